@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+const Cli = require('../src/cli/cli');
+
+// Stop quietly when the reader of a pipe goes away (e.g. `sat export | head`)
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') throw error;
+});
+
+new Cli().run(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,349 @@
+/**
+ * Labels assigned to arguments by a labelling
+ */
+const LABELS = {
+  IN: 'IN',
+  OUT: 'OUT',
+  UNDEC: 'UNDEC'
+};
+
+const SUPPORTED_SEMANTICS = ['grounded', 'complete', 'preferred', 'stable', 'semi-stable'];
+
+/**
+ * AbstractSemantics computes Dung-style extensions and labellings from the
+ * attack relation of an ArgumentGraph (every `contradicts` edge is an attack)
+ */
+class AbstractSemantics {
+  /**
+   * Computes all labellings of the graph under the given semantics
+   */
+  static computeLabellings(graph, semantics = 'grounded') {
+    switch (semantics) {
+      case 'grounded':
+        return [this.groundedLabelling(graph)];
+      case 'complete':
+        return this.completeLabellings(graph);
+      case 'preferred':
+        return this.preferredLabellings(graph);
+      case 'stable':
+        return this.stableLabellings(graph);
+      case 'semi-stable':
+        return this.semiStableLabellings(graph);
+      default:
+        throw new Error(`Unknown semantics. Must be one of: ${SUPPORTED_SEMANTICS.join(', ')}`);
+    }
+  }
+  
+  /**
+   * Computes all extensions (sets of accepted argument IDs) under the given semantics
+   */
+  static computeExtensions(graph, semantics = 'grounded') {
+    return this.computeLabellings(graph, semantics).map(labelling => this.toExtension(labelling));
+  }
+  
+  /**
+   * Gets a single IN/OUT/UNDEC label per argument. For semantics with several
+   * extensions an argument is IN (OUT) only if it is IN (OUT) in every labelling.
+   * When no labelling exists (stable semantics) every argument is UNDEC.
+   */
+  static getLabels(graph, semantics = 'grounded') {
+    const labellings = this.computeLabellings(graph, semantics);
+    const labels = {};
+    
+    graph.arguments.forEach((arg, id) => {
+      const assigned = new Set(labellings.map(labelling => labelling[id]));
+      labels[id] = assigned.size === 1 ? labellings[0][id] : LABELS.UNDEC;
+    });
+    
+    return labels;
+  }
+  
+  /**
+   * Checks if an argument is IN in at least one labelling
+   */
+  static isCredulouslyAccepted(graph, argumentId, semantics = 'preferred') {
+    return this.computeLabellings(graph, semantics).some(labelling => labelling[argumentId] === LABELS.IN);
+  }
+  
+  /**
+   * Checks if an argument is IN in every labelling
+   */
+  static isSkepticallyAccepted(graph, argumentId, semantics = 'preferred') {
+    const labellings = this.computeLabellings(graph, semantics);
+    return labellings.length > 0 && labellings.every(labelling => labelling[argumentId] === LABELS.IN);
+  }
+  
+  /**
+   * Computes the grounded labelling (least fixed point of the characteristic function)
+   */
+  static groundedLabelling(graph) {
+    const attackers = this.buildAttackerMap(graph);
+    const labelling = {};
+    let changed = true;
+    
+    while (changed) {
+      changed = false;
+      
+      attackers.forEach((argAttackers, id) => {
+        if (labelling[id]) return;
+        
+        if (argAttackers.every(attackerId => labelling[attackerId] === LABELS.OUT)) {
+          labelling[id] = LABELS.IN;
+          changed = true;
+        } else if (argAttackers.some(attackerId => labelling[attackerId] === LABELS.IN)) {
+          labelling[id] = LABELS.OUT;
+          changed = true;
+        }
+      });
+    }
+    
+    attackers.forEach((_, id) => {
+      if (!labelling[id]) labelling[id] = LABELS.UNDEC;
+    });
+    
+    return this.inGraphOrder(labelling, attackers);
+  }
+  
+  /**
+   * Enumerates all complete labellings
+   */
+  static completeLabellings(graph) {
+    const attackers = this.buildAttackerMap(graph);
+    const targets = this.buildTargetMap(attackers);
+    const grounded = this.groundedLabelling(graph);
+    
+    // Every complete labelling agrees with the grounded one on its IN and OUT
+    // arguments, so only the grounded UNDEC arguments need to be searched
+    const open = Array.from(attackers.keys()).filter(id => grounded[id] === LABELS.UNDEC);
+    const labellings = [];
+    const labelling = {};
+    
+    Object.entries(grounded).forEach(([id, label]) => {
+      if (label !== LABELS.UNDEC) labelling[id] = label;
+    });
+    
+    // Labelling an argument can only make it or the arguments it attacks
+    // illegal, so only those are checked
+    const touched = id => [id, ...targets.get(id)].filter(touchedId => labelling[touchedId] !== undefined);
+    
+    const search = index => {
+      if (index === open.length) {
+        labellings.push(this.inGraphOrder(labelling, attackers));
+        return;
+      }
+      
+      const id = open[index];
+      [LABELS.IN, LABELS.OUT, LABELS.UNDEC].forEach(label => {
+        labelling[id] = label;
+        if (touched(id).every(touchedId => this.isLegal(touchedId, labelling, attackers))) {
+          search(index + 1);
+        }
+        delete labelling[id];
+      });
+    };
+    
+    search(0);
+    return labellings;
+  }
+  
+  /**
+   * Enumerates preferred labellings (complete labellings with maximal IN sets)
+   */
+  static preferredLabellings(graph) {
+    const attackers = this.buildAttackerMap(graph);
+    const targets = this.buildTargetMap(attackers);
+    
+    return this.preferredExtensions(graph, attackers, targets).map(extension => {
+      const accepted = new Set(extension);
+      const labelling = {};
+      
+      attackers.forEach((argAttackers, id) => {
+        if (accepted.has(id)) labelling[id] = LABELS.IN;
+        else if (argAttackers.some(attackerId => accepted.has(attackerId))) labelling[id] = LABELS.OUT;
+        else labelling[id] = LABELS.UNDEC;
+      });
+      
+      return labelling;
+    });
+  }
+  
+  /**
+   * Enumerates stable labellings (complete labellings without UNDEC arguments).
+   * Every stable labelling is preferred.
+   */
+  static stableLabellings(graph) {
+    return this.preferredLabellings(graph).filter(labelling =>
+      this.labelledWith(labelling, LABELS.UNDEC).length === 0
+    );
+  }
+  
+  /**
+   * Enumerates semi-stable labellings (complete labellings with minimal UNDEC
+   * sets). Every semi-stable labelling is preferred.
+   */
+  static semiStableLabellings(graph) {
+    const preferred = this.preferredLabellings(graph);
+    const undecided = labelling => this.labelledWith(labelling, LABELS.UNDEC);
+    
+    return preferred.filter(candidate =>
+      !preferred.some(other =>
+        other !== candidate && this.isStrictSubset(undecided(other), undecided(candidate))
+      )
+    );
+  }
+  
+  /**
+   * Searches for the maximal admissible sets. Each preferred extension holds
+   * the grounded extension, so only the grounded UNDEC arguments are decided,
+   * trying IN before leaving them out. Every strict superset of a set is then
+   * reached before the set itself, so an admissible set is maximal exactly
+   * when no extension found so far contains it. Branches are cut as soon as
+   * an accepted argument can no longer be defended, or everything still
+   * reachable is already contained in an extension found.
+   */
+  static preferredExtensions(graph, attackers, targets) {
+    const grounded = this.groundedLabelling(graph);
+    const open = Array.from(attackers.keys()).filter(id => grounded[id] === LABELS.UNDEC);
+    const undecided = new Set(open);
+    const accepted = new Set(this.labelledWith(grounded, LABELS.IN));
+    const rejected = new Set();
+    const extensions = [];
+    
+    const conflicts = id => attackers.get(id).some(otherId => otherId === id || accepted.has(otherId)) ||
+      targets.get(id).some(otherId => accepted.has(otherId));
+    const canDefend = defenderId => accepted.has(defenderId) ||
+      (undecided.has(defenderId) && !rejected.has(defenderId) && !conflicts(defenderId));
+    const defensible = () => Array.from(accepted).every(id =>
+      attackers.get(id).every(attackerId => attackers.get(attackerId).some(canDefend))
+    );
+    const isDefended = () => Array.from(accepted).every(id =>
+      attackers.get(id).every(attackerId => attackers.get(attackerId).some(defenderId => accepted.has(defenderId)))
+    );
+    const containedInFound = ids => extensions.some(extension => ids.every(id => extension.has(id)));
+    
+    const search = index => {
+      const reachable = [...accepted, ...open.slice(index).filter(id => !conflicts(id))];
+      if (containedInFound(reachable)) return;
+      
+      if (index === open.length) {
+        if (isDefended()) extensions.push(new Set(accepted));
+        return;
+      }
+      
+      const id = open[index];
+      if (!conflicts(id)) {
+        accepted.add(id);
+        if (defensible()) search(index + 1);
+        accepted.delete(id);
+      }
+      
+      rejected.add(id);
+      if (defensible()) search(index + 1);
+      rejected.delete(id);
+    };
+    
+    search(0);
+    return extensions.map(extension => Array.from(attackers.keys()).filter(id => extension.has(id)));
+  }
+  
+  /**
+   * Converts a labelling into its extension (the IN arguments)
+   */
+  static toExtension(labelling) {
+    return this.labelledWith(labelling, LABELS.IN);
+  }
+  
+  /**
+   * Builds a map from argument ID to the IDs of its attackers
+   */
+  static buildAttackerMap(graph) {
+    const attackers = new Map();
+    
+    graph.arguments.forEach((_, id) => {
+      attackers.set(id, []);
+    });
+    
+    graph.getAttackRelation().forEach(([fromId, toId]) => {
+      const targetAttackers = attackers.get(toId);
+      if (targetAttackers && !targetAttackers.includes(fromId)) {
+        targetAttackers.push(fromId);
+      }
+    });
+    
+    return attackers;
+  }
+  
+  /**
+   * Inverts an attacker map into a map from argument ID to the IDs it attacks
+   */
+  static buildTargetMap(attackers) {
+    const targets = new Map();
+    
+    attackers.forEach((_, id) => {
+      targets.set(id, []);
+    });
+    
+    attackers.forEach((argAttackers, id) => {
+      argAttackers.forEach(attackerId => targets.get(attackerId).push(id));
+    });
+    
+    return targets;
+  }
+  
+  /**
+   * Copies a labelling with its keys in the graph's argument order
+   */
+  static inGraphOrder(labelling, attackers) {
+    const ordered = {};
+    
+    attackers.forEach((_, id) => {
+      ordered[id] = labelling[id];
+    });
+    
+    return ordered;
+  }
+  
+  /**
+   * Checks that a (possibly partial) labelling does not violate the complete
+   * labelling conditions for the given argument
+   */
+  static isLegal(id, labelling, attackers) {
+    const argAttackers = attackers.get(id);
+    const attackerLabels = argAttackers.map(attackerId => labelling[attackerId]);
+    const allAssigned = attackerLabels.every(label => label !== undefined);
+    
+    switch (labelling[id]) {
+      case LABELS.IN:
+        // Every attacker must be OUT
+        return attackerLabels.every(label => label === undefined || label === LABELS.OUT);
+      case LABELS.OUT:
+        // Some attacker must be IN
+        return !allAssigned || attackerLabels.includes(LABELS.IN);
+      case LABELS.UNDEC:
+        // No attacker IN, and not every attacker OUT
+        if (attackerLabels.includes(LABELS.IN)) return false;
+        return !allAssigned || attackerLabels.some(label => label !== LABELS.OUT);
+      default:
+        return true;
+    }
+  }
+  
+  /**
+   * Gets the IDs carrying a given label
+   */
+  static labelledWith(labelling, label) {
+    return Object.keys(labelling).filter(id => labelling[id] === label);
+  }
+  
+  /**
+   * Checks if set a is a strict subset of set b
+   */
+  static isStrictSubset(a, b) {
+    return a.length < b.length && a.every(id => b.includes(id));
+  }
+}
+
+AbstractSemantics.LABELS = LABELS;
+AbstractSemantics.SUPPORTED_SEMANTICS = SUPPORTED_SEMANTICS;
+
+module.exports = AbstractSemantics;
@@ -0,0 +1,144 @@
+/**
+ * Labels for the kinds of derived attacks
+ */
+const DERIVED_ATTACK_LABELS = {
+  supported: 'supported attack',
+  secondary: 'secondary attack',
+  mediated: 'mediated attack'
+};
+
+/**
+ * BipolarFramework treats an ArgumentGraph as a bipolar argumentation framework
+ * and derives the indirect attacks that arise from combining `supports` chains
+ * with `contradicts` edges:
+ *
+ * - supported attack: A supports ... supports X, and X attacks B
+ * - secondary attack: A attacks X, and X supports ... supports B
+ * - mediated attack:  B supports ... supports X, and A attacks X
+ */
+class BipolarFramework {
+  /**
+   * Gets every derived attack in the graph
+   */
+  static getDerivedAttacks(graph) {
+    return [
+      ...this.getSupportedAttacks(graph),
+      ...this.getSecondaryAttacks(graph),
+      ...this.getMediatedAttacks(graph)
+    ];
+  }
+  
+  /**
+   * Gets supported attacks: A reaches X through supports and X attacks B
+   */
+  static getSupportedAttacks(graph) {
+    const chains = this.getSupportChains(graph);
+    const attacks = [];
+    
+    chains.forEach((reachable, fromId) => {
+      reachable.forEach((path, viaId) => {
+        graph.adjacencyList.get(viaId).contradicts.forEach(toId => {
+          attacks.push({ from: fromId, to: toId, kind: 'supported', via: path });
+        });
+      });
+    });
+    
+    return this.withoutDirectAttacks(graph, attacks);
+  }
+  
+  /**
+   * Gets secondary attacks: A attacks X and X reaches B through supports
+   */
+  static getSecondaryAttacks(graph) {
+    const chains = this.getSupportChains(graph);
+    const attacks = [];
+    
+    graph.getAttackRelation().forEach(([fromId, viaId]) => {
+      chains.get(viaId).forEach((path, toId) => {
+        attacks.push({ from: fromId, to: toId, kind: 'secondary', via: path });
+      });
+    });
+    
+    return this.withoutDirectAttacks(graph, attacks);
+  }
+  
+  /**
+   * Gets mediated attacks: B reaches X through supports and A attacks X
+   */
+  static getMediatedAttacks(graph) {
+    const chains = this.getSupportChains(graph);
+    const attacks = [];
+    
+    graph.getAttackRelation().forEach(([fromId, viaId]) => {
+      chains.forEach((reachable, toId) => {
+        if (reachable.has(viaId)) {
+          attacks.push({ from: fromId, to: toId, kind: 'mediated', via: reachable.get(viaId) });
+        }
+      });
+    });
+    
+    return this.withoutDirectAttacks(graph, attacks);
+  }
+  
+  /**
+   * Gets the derived attacks targeting a given argument
+   */
+  static getIndirectAttackers(graph, argumentId) {
+    return this.getDerivedAttacks(graph).filter(attack => attack.to === argumentId);
+  }
+  
+  /**
+   * Maps each argument to the arguments it reaches through one or more
+   * `supports` edges, together with the shortest support path to each
+   */
+  static getSupportChains(graph) {
+    const chains = new Map();
+    
+    graph.adjacencyList.forEach((_, startId) => {
+      const reachable = new Map();
+      const queue = [[startId]];
+      
+      while (queue.length > 0) {
+        const path = queue.shift();
+        const currentId = path[path.length - 1];
+        
+        graph.adjacencyList.get(currentId).supports.forEach(nextId => {
+          if (nextId === startId || reachable.has(nextId)) return;
+          
+          const nextPath = [...path, nextId];
+          reachable.set(nextId, nextPath);
+          queue.push(nextPath);
+        });
+      }
+      
+      chains.set(startId, reachable);
+    });
+    
+    return chains;
+  }
+  
+  /**
+   * Drops self-attacks, duplicates and attacks already present as direct edges
+   */
+  static withoutDirectAttacks(graph, attacks) {
+    const seen = new Set();
+    
+    return attacks.filter(attack => {
+      const key = `${attack.from}->${attack.to}`;
+      if (attack.from === attack.to || seen.has(key)) return false;
+      if (graph.adjacencyList.get(attack.from).contradicts.includes(attack.to)) return false;
+      
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  /**
+   * Gets a display label for a derived attack kind
+   */
+  static getAttackLabel(kind) {
+    return DERIVED_ATTACK_LABELS[kind] || 'derived attack';
+  }
+}
+
+module.exports = BipolarFramework;
@@ -0,0 +1,228 @@
+/**
+ * Words that negate a statement
+ */
+const NEGATIONS = new Set(['not', 'neither', 'nor']);
+
+/**
+ * Quantifiers, and the words that quantify and negate at once ("no cars are
+ * safe" says of every car that it is not safe)
+ */
+const UNIVERSAL = new Set(['all', 'every', 'each', 'always', 'everyone', 'everybody', 'everything']);
+const EXISTENTIAL = new Set(['some', 'many', 'several', 'sometimes', 'someone', 'somebody', 'something']);
+const NEGATIVE_UNIVERSAL = new Set(['no', 'none', 'never', 'nobody', 'nothing']);
+
+/**
+ * Antonym pairs. The second word of each pair is read as the negation of the
+ * first, so "X is dangerous" and "X is not safe" say the same thing.
+ */
+const ANTONYM_PAIRS = [
+  ['safe', 'unsafe'], ['safe', 'dangerous'], ['safe', 'risky'], ['true', 'false'], ['good', 'bad'],
+  ['increase', 'decrease'], ['increase', 'reduce'], ['increase', 'cut'], ['increase', 'lower'], ['increase', 'fall'],
+  ['increase', 'shrink'], ['growth', 'decline'], ['gain', 'loss'], ['profit', 'loss'], ['create', 'destroy'],
+  ['beneficial', 'harmful'], ['benefit', 'harm'], ['help', 'hurt'], ['positive', 'negative'], ['high', 'low'],
+  ['more', 'less'], ['strong', 'weak'], ['cheap', 'expensive'], ['rich', 'poor'], ['win', 'lose'],
+  ['success', 'failure'], ['succeed', 'fail'], ['support', 'oppose'], ['accept', 'reject'], ['agree', 'disagree'],
+  ['allow', 'forbid'], ['allow', 'ban'], ['permit', 'prohibit'], ['include', 'exclude'], ['present', 'absent'],
+  ['effective', 'ineffective'], ['legal', 'illegal'], ['possible', 'impossible'], ['fair', 'unfair'],
+  ['ethical', 'unethical'], ['moral', 'immoral'], ['necessary', 'unnecessary'], ['sustainable', 'unsustainable'],
+  ['efficient', 'inefficient'], ['healthy', 'unhealthy'], ['responsible', 'irresponsible']
+];
+
+/**
+ * Words read as synonyms of the first word of an antonym pair
+ */
+const SYNONYMS = new Map([['raise', 'increase'], ['rise', 'increase'], ['grow', 'increase'], ['boost', 'increase']]);
+
+const ANTONYMS = new Map();
+ANTONYM_PAIRS.forEach(([word, opposite]) => {
+  if (!ANTONYMS.has(word)) ANTONYMS.set(word, { term: word, negated: false });
+  if (!ANTONYMS.has(opposite)) ANTONYMS.set(opposite, { term: word, negated: true });
+});
+
+/**
+ * Prefixes that turn a word into its opposite, for words of the pairs above
+ * whose prefixed form is not listed, such as "allow" and "disallow"
+ */
+const NEGATING_PREFIXES = ['un', 'in', 'im', 'il', 'ir', 'dis', 'non'];
+
+/**
+ * Words that carry no content for comparing statements
+ */
+const FILLER_WORDS = new Set([
+  'the', 'and', 'that', 'was', 'for', 'are', 'were', 'been', 'being', 'has', 'have', 'had', 'does', 'did',
+  'will', 'would', 'can', 'could', 'should', 'may', 'might', 'must', 'shall', 'this', 'these', 'those',
+  'than', 'then', 'they', 'them', 'its', 'their', 'our', 'very', 'really', 'also', 'just', 'any'
+]);
+
+/**
+ * ConsistencyChecker compares statements for contradiction. It normalizes
+ * negations ("not", "isn't"), antonym pairs ("safe" and "dangerous") and
+ * quantifiers ("all" against "some ... not") and then classifies two
+ * statements about the same terms as:
+ *
+ * - contradictory: exactly one is true, as with "X is safe" and "X is not
+ *   safe", or "all X are safe" and "some X are not safe"
+ * - contrary: both can be false but not both true, as with "all X are safe"
+ *   and "no X are safe"
+ *
+ * Statements are about the same terms only when they name them in the same
+ * order, so "dogs chase cats" is not compared with "cats do not chase dogs",
+ * nor "X is cheaper than Y" with "Y is not cheaper than X".
+ */
+class ConsistencyChecker {
+  /**
+   * Normalizes a statement to { terms, positive, quantifier }: its content
+   * words in canonical form and in order, whether it affirms or denies them once
+   * negations and antonyms are counted, and 'universal', 'existential' or
+   * null when it is unquantified
+   */
+  static normalize(statement) {
+    const words = statement.toLowerCase()
+      .replace(/\bcan't\b|\bcannot\b/g, 'can not')
+      .replace(/\bwon't\b/g, 'will not')
+      .replace(/n't\b/g, ' not')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    
+    const terms = [];
+    let negations = 0;
+    let quantifier = null;
+    
+    words.forEach((word, index) => {
+      if (word === null) return;
+      
+      if (word === 'not' && UNIVERSAL.has(words[index + 1])) {
+        // "not all" is "some ... not"
+        quantifier = quantifier || 'existential';
+        negations++;
+        words[index + 1] = null;
+      } else if (NEGATIONS.has(word)) {
+        negations++;
+      } else if (NEGATIVE_UNIVERSAL.has(word)) {
+        quantifier = quantifier || 'universal';
+        negations++;
+      } else if (UNIVERSAL.has(word)) {
+        quantifier = quantifier || 'universal';
+      } else if (EXISTENTIAL.has(word)) {
+        quantifier = quantifier || 'existential';
+      } else if (word.length > 2 && !FILLER_WORDS.has(word)) {
+        const stem = SYNONYMS.get(this.stem(word)) || this.stem(word);
+        const antonym = ANTONYMS.get(word) || ANTONYMS.get(stem);
+        if (antonym && antonym.negated) negations++;
+        terms.push(antonym ? antonym.term : stem);
+      }
+    });
+    
+    return { terms, positive: negations % 2 === 0, quantifier };
+  }
+  
+  /**
+   * Reduces plural and third-person forms to a shared stem
+   */
+  static stem(word) {
+    if (word.length <= 3 || word.endsWith('ss')) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    return word.endsWith('s') ? word.slice(0, -1) : word;
+  }
+  
+  /**
+   * Compares two statements. Returns 'contradictory', 'contrary', or null
+   * when they are about different terms or can both be true.
+   */
+  static compare(statement1, statement2) {
+    const left = this.normalize(statement1);
+    const right = this.normalize(statement2);
+    
+    if (left.terms.length === 0 || left.terms.length !== right.terms.length) return null;
+    
+    // Words in the same place must match, or differ only by a negating prefix
+    // on a word of an antonym pair, such as "allow" and "disallow", which
+    // counts as a negation
+    const isNegation = (word, other) => ANTONYMS.has(other) &&
+      NEGATING_PREFIXES.some(prefix => word === `${prefix}${other}`);
+    let flips = 0;
+    for (let i = 0; i < left.terms.length; i++) {
+      const [term, other] = [left.terms[i], right.terms[i]];
+      if (term === other) continue;
+      if (!isNegation(term, other) && !isNegation(other, term)) return null;
+      flips++;
+    }
+    
+    const rightPositive = flips % 2 === 0 ? right.positive : !right.positive;
+    if (left.positive === rightPositive) return null;
+    if (!left.quantifier && !right.quantifier) return 'contradictory';
+    
+    const quantifiers = [left.quantifier || 'universal', right.quantifier || 'universal'];
+    if (quantifiers.every(quantifier => quantifier === 'universal')) return 'contrary';
+    if (quantifiers.every(quantifier => quantifier === 'existential')) return null;
+    return 'contradictory';
+  }
+  
+  /**
+   * Checks if two statements cannot both be true
+   */
+  static areConflicting(statement1, statement2) {
+    return this.compare(statement1, statement2) !== null;
+  }
+  
+  /**
+   * Finds pairs of premises of an argument that cannot both be true, as
+   * { premises: [i, j], relation, statements } with zero-based indexes
+   */
+  static findInconsistentPremises(argument) {
+    const conflicts = [];
+    
+    argument.premises.forEach((premise, i) => {
+      argument.premises.slice(i + 1).forEach((other, offset) => {
+        const relation = this.compare(premise, other);
+        if (relation) {
+          conflicts.push({ premises: [i, i + offset + 1], relation, statements: [premise, other] });
+        }
+      });
+    });
+    
+    return conflicts;
+  }
+  
+  /**
+   * Proposes contradicts edges between arguments whose conclusions cannot
+   * both be true and that do not attack each other yet. Each proposal is
+   * { from, to, relation, conclusions }, from the later argument to the
+   * earlier one.
+   */
+  static proposeContradictions(graph) {
+    const args = Array.from(graph.arguments.values());
+    const attacks = (fromId, toId) => graph.adjacencyList.get(fromId).attacks.some(attack => attack.target === toId);
+    const proposals = [];
+    
+    args.forEach((earlier, i) => {
+      args.slice(i + 1).forEach(later => {
+        if (attacks(later.id, earlier.id) || attacks(earlier.id, later.id)) return;
+        
+        const relation = this.compare(earlier.conclusion, later.conclusion);
+        if (relation) {
+          proposals.push({ from: later.id, to: earlier.id, relation, conclusions: [earlier.conclusion, later.conclusion] });
+        }
+      });
+    });
+    
+    return proposals;
+  }
+  
+  /**
+   * Checks a whole graph: the arguments with inconsistent premises, as
+   * { argumentId, conflicts }, and the proposed contradicts edges
+   */
+  static checkGraph(graph) {
+    return {
+      inconsistentArguments: Array.from(graph.arguments.values())
+        .map(arg => ({ argumentId: arg.id, conflicts: this.findInconsistentPremises(arg) }))
+        .filter(({ conflicts }) => conflicts.length > 0),
+      proposedContradictions: this.proposeContradictions(graph)
+    };
+  }
+}
+
+ConsistencyChecker.ANTONYM_PAIRS = ANTONYM_PAIRS;
+
+module.exports = ConsistencyChecker;
@@ -0,0 +1,217 @@
+/**
+ * CycleDetector finds circular reasoning in an ArgumentGraph:
+ *
+ * - support cycles: arguments that support each other in a loop, such as A
+ *   supports B, B supports C and C supports A
+ * - proposition cycles: propositions derived from themselves. A proposition
+ *   depends on the premises of every argument concluding it and on the
+ *   conclusions of the arguments supporting those, so a conclusion that
+ *   reappears as a premise further down a supports chain closes a cycle.
+ *
+ * Both are found as the strongly connected components of a dependency graph
+ * (Tarjan's algorithm) that contain more than one node or a self-loop.
+ * Arguments that support each other in a loop also derive their conclusions
+ * from each other, so a proposition cycle made by exactly the arguments of a
+ * support cycle is reported as that support cycle only.
+ */
+class CycleDetector {
+  /**
+   * Finds every support and proposition cycle in the graph
+   */
+  static findCycles(graph) {
+    const supportCycles = this.findSupportCycles(graph);
+    const sameArguments = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+    
+    return [
+      ...supportCycles,
+      ...this.findPropositionCycles(graph).filter(cycle =>
+        !supportCycles.some(supportCycle => sameArguments(supportCycle.arguments, cycle.arguments))
+      )
+    ];
+  }
+  
+  /**
+   * Finds the cycles an argument is part of
+   */
+  static findCyclesThrough(graph, argumentId) {
+    return this.findCycles(graph).filter(cycle => cycle.arguments.includes(argumentId));
+  }
+  
+  /**
+   * Finds groups of arguments that support each other in a loop. Each cycle
+   * is { type: 'support', arguments, path } where path is one loop through
+   * the group, starting and ending with the same argument.
+   */
+  static findSupportCycles(graph) {
+    const neighbors = id => graph.adjacencyList.get(id).supports.filter(toId => graph.adjacencyList.has(toId));
+    
+    return this.findCyclicComponents(Array.from(graph.arguments.keys()), neighbors).map(component => ({
+      type: 'support',
+      arguments: component,
+      path: this.findLoop(component, neighbors)
+    }));
+  }
+  
+  /**
+   * Finds groups of propositions that are derived from each other in a loop.
+   * Each cycle is { type: 'proposition', propositions, path, arguments }
+   * where arguments are those whose inferences or supports close the loop.
+   */
+  static findPropositionCycles(graph) {
+    const dependencies = this.getPropositionDependencies(graph);
+    const neighbors = id => Array.from((dependencies.get(id) || new Map()).keys());
+    
+    return this.findCyclicComponents(Array.from(dependencies.keys()), neighbors).map(component => {
+      const members = new Set(component);
+      const argumentIds = new Set();
+      component.forEach(fromId => {
+        dependencies.get(fromId).forEach((viaIds, toId) => {
+          if (members.has(toId)) viaIds.forEach(id => argumentIds.add(id));
+        });
+      });
+      
+      return {
+        type: 'proposition',
+        propositions: component,
+        path: this.findLoop(component, neighbors),
+        arguments: Array.from(graph.arguments.keys()).filter(id => argumentIds.has(id))
+      };
+    });
+  }
+  
+  /**
+   * Maps each proposition to the propositions that depend on it, and each of
+   * those to the IDs of the arguments creating the dependency: premise to
+   * conclusion within an argument, and the supporter's conclusion to the
+   * supported argument's conclusion along each supports edge between
+   * arguments with different conclusions
+   */
+  static getPropositionDependencies(graph) {
+    const dependencies = new Map();
+    const add = (fromId, toId, argumentId) => {
+      if (!fromId || !toId) return;
+      if (!dependencies.has(fromId)) dependencies.set(fromId, new Map());
+      if (!dependencies.has(toId)) dependencies.set(toId, new Map());
+      
+      const viaIds = dependencies.get(fromId).get(toId) || [];
+      if (!viaIds.includes(argumentId)) viaIds.push(argumentId);
+      dependencies.get(fromId).set(toId, viaIds);
+    };
+    
+    graph.arguments.forEach(arg => {
+      arg.premiseIds.forEach(premiseId => add(premiseId, arg.conclusionId, arg.id));
+      graph.adjacencyList.get(arg.id).supports.forEach(supportedId => {
+        const supported = graph.getArgument(supportedId);
+        if (supported && supported.conclusionId !== arg.conclusionId) add(arg.conclusionId, supported.conclusionId, arg.id);
+      });
+    });
+    
+    return dependencies;
+  }
+  
+  /**
+   * Gets the strongly connected components that contain a cycle: those with
+   * more than one node, or a single node with an edge to itself
+   */
+  static findCyclicComponents(nodes, neighbors) {
+    return this.findStronglyConnectedComponents(nodes, neighbors).filter(component =>
+      component.length > 1 || neighbors(component[0]).includes(component[0])
+    );
+  }
+  
+  /**
+   * Tarjan's algorithm. Returns the strongly connected components of a
+   * directed graph, each listing its nodes in the order they were visited.
+   * The depth-first search keeps its own stack of nodes and the neighbours
+   * they have left to visit, so long chains do not overflow the call stack.
+   */
+  static findStronglyConnectedComponents(nodes, neighbors) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    const frames = [];
+    
+    const enter = node => {
+      index.set(node, index.size);
+      lowLink.set(node, index.get(node));
+      stack.push(node);
+      onStack.add(node);
+      frames.push({ node, next: neighbors(node), position: 0 });
+    };
+    
+    const visit = root => {
+      enter(root);
+      
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const { node } = frame;
+        
+        if (frame.position < frame.next.length) {
+          const next = frame.next[frame.position++];
+          if (!index.has(next)) {
+            enter(next);
+          } else if (onStack.has(next)) {
+            lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+          }
+          continue;
+        }
+        
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1].node;
+          lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(node)));
+        }
+        
+        if (lowLink.get(node) === index.get(node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.unshift(member);
+          } while (member !== node);
+          components.push(component);
+        }
+      }
+    };
+    
+    nodes.forEach(node => {
+      if (!index.has(node)) visit(node);
+    });
+    
+    return components;
+  }
+  
+  /**
+   * Finds the shortest loop from the first node of a strongly connected
+   * component back to itself, staying inside the component
+   */
+  static findLoop(component, neighbors) {
+    const [start] = component;
+    const members = new Set(component);
+    const previous = new Map();
+    const queue = [start];
+    
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const next of neighbors(node)) {
+        if (!members.has(next)) continue;
+        if (next === start) {
+          const path = [start];
+          for (let step = node; step !== start; step = previous.get(step)) path.splice(1, 0, step);
+          return [...path, start];
+        }
+        if (!previous.has(next)) {
+          previous.set(next, node);
+          queue.push(next);
+        }
+      }
+    }
+    
+    return [start];
+  }
+}
+
+module.exports = CycleDetector;
@@ -1,118 +1,199 @@
+const AbstractSemantics = require('./abstractSemantics');
+const GradualSemantics = require('./gradualSemantics');
+const ArgumentationSchemes = require('../core/argumentationSchemes');
+const FallacyDetector = require('./fallacyDetector');
+const CycleDetector = require('./cycleDetector');
+const ConsistencyChecker = require('./consistencyChecker');
+const RuleRegistry = require('./rules/ruleRegistry');
+const { extractKeywords } = require('./rules/keywords');
+const fallacies = require('./rules/fallacies');
+const coherence = require('./rules/coherence');
+const empiricalData = require('./rules/empiricalData');
+const citations = require('./rules/citations');
+const qualifiers = require('./rules/qualifiers');
+
+/**
+ * Labels of the score categories in explanations
+ */
+const CATEGORY_LABELS = {
+  logical: 'Logical structure',
+  evidence: 'Evidence',
+  support: 'Support'
+};
+
 /**
- * Evaluator analyzes argument quality and identifies strengths/weaknesses
+ * Evaluator analyzes argument quality and identifies strengths/weaknesses.
+ * The logical, evidence and support scores come from the rules in a
+ * RuleRegistry: Evaluator.rules by default, configured by the graph's
+ * ruleSettings.
  */
 class Evaluator {
   /**
-   * Evaluates an argument for strengths and weaknesses
+   * Evaluates an argument for strengths and weaknesses. options.rules
+   * replaces the default rule registry, and options.cycles gives the cycles
+   * of the graph when they were already found.
    */
-  static evaluateArgument(argument, graph) {
+  static evaluateArgument(argument, graph, options = {}) {
+    const rules = this.getRules(graph, options.rules);
     const evaluation = {
       strengths: [],
       weaknesses: [],
       score: 0,
       supportScore: 0,
       logicalScore: 0,
-      evidenceScore: 0
+      evidenceScore: 0,
+      justification: null,
+      acceptability: null,
+      attackProfile: null,
+      unansweredCriticalQuestions: [],
+      findings: [],
+      fallacies: [],
+      cycles: [],
+      inconsistencies: [],
+      explanation: null
     };
     
-    // Evaluate logical structure
-    evaluation.logicalScore = this.evaluateLogicalStructure(argument);
+    // Score logical structure, evidence quality and support from other arguments
+    const logical = rules.evaluate('logical', argument, graph);
+    const evidence = rules.evaluate('evidence', argument, graph);
+    const support = rules.evaluate('support', argument, graph);
+    evaluation.logicalScore = logical.score;
+    evaluation.evidenceScore = evidence.score;
+    evaluation.supportScore = support.score;
+    evaluation.findings = [...logical.findings, ...evidence.findings, ...support.findings];
+    
+    // Locate possible fallacies in the argument's text
+    evaluation.fallacies = this.findFallacies(argument);
+    
+    // Find circular support and reasoning the argument takes part in
+    evaluation.cycles = options.cycles
+      ? options.cycles.filter(cycle => cycle.arguments.includes(argument.id))
+      : CycleDetector.findCyclesThrough(graph, argument.id);
     
-    // Evaluate evidence quality
-    evaluation.evidenceScore = this.evaluateEvidence(argument);
+    // Find premises that cannot all be true
+    evaluation.inconsistencies = ConsistencyChecker.findInconsistentPremises(argument);
     
-    // Evaluate support from other arguments
-    evaluation.supportScore = this.evaluateSupport(argument, graph);
+    // Break down attacks by the part of the argument they target
+    evaluation.attackProfile = this.evaluateAttackProfile(argument, graph);
+    
+    // Check which critical questions of the argument's scheme remain open
+    evaluation.unansweredCriticalQuestions = this.findUnansweredCriticalQuestions(argument, graph);
+    
+    // Determine whether the argument survives the attacks against it
+    evaluation.justification = this.evaluateJustification(argument, graph, options.semantics);
+    
+    // Propagate confidence through attacks and supports
+    evaluation.acceptability = GradualSemantics.getAcceptability(
+      graph,
+      argument.id,
+      options.gradualSemantics || 'quadratic-energy'
+    );
     
     // Identify specific strengths
     evaluation.strengths = this.identifyStrengths(argument, evaluation);
     
     // Identify specific weaknesses
-    evaluation.weaknesses = this.identifyWeaknesses(argument, evaluation);
+    evaluation.weaknesses = this.identifyWeaknesses(argument, evaluation, graph);
     
     // Calculate overall score
-    evaluation.score = this.calculateOverallScore(evaluation);
+    evaluation.score = this.calculateOverallScore(evaluation, rules);
+    
+    // Explain the score by the rules behind it
+    evaluation.explanation = this.explainScore(evaluation.score, { logical, evidence, support }, rules);
     
     return evaluation;
   }
   
+  /**
+   * Evaluates every argument of a graph, finding its cycles once. Returns a
+   * Map from argument ID to evaluation.
+   */
+  static evaluateArguments(graph, options = {}) {
+    const cycles = options.cycles || CycleDetector.findCycles(graph);
+    return new Map(Array.from(graph.arguments.values()).map(arg =>
+      [arg.id, this.evaluateArgument(arg, graph, { ...options, cycles })]
+    ));
+  }
+  
+  /**
+   * Gets the rule registry to evaluate a graph with: the given registry (the
+   * default one otherwise), configured by the graph's rule settings. Settings
+   * for rules the registry does not hold are ignored, as a document may name
+   * rules that the application loading it has not registered.
+   */
+  static getRules(graph, rules = this.rules) {
+    return graph && graph.ruleSettings ? rules.clone().configure(graph.ruleSettings, { skipUnknown: true }) : rules;
+  }
+  
   /**
    * Evaluates the logical structure of an argument
    */
-  static evaluateLogicalStructure(argument) {
-    let score = 0;
-    
-    // Check if conclusion follows from premises
-    const conclusionKeywords = this.extractKeywords(argument.conclusion);
-    const premiseKeywords = argument.premises.flatMap(p => this.extractKeywords(p));
-    
-    const keywordOverlap = conclusionKeywords.filter(kw => premiseKeywords.includes(kw)).length;
-    score += keywordOverlap / conclusionKeywords.length * 0.4;
-    
-    // Check for logical fallacies
-    const fallacies = this.detectFallacies(argument);
-    score -= fallacies.length * 0.1;
-    
-    // Check for coherence
-    if (this.checkCoherence(argument)) {
-      score += 0.3;
-    }
-    
-    // Check for completeness
-    if (argument.premises.length >= 2) {
-      score += 0.2;
-    }
-    
-    return Math.max(0, Math.min(1, score));
+  static evaluateLogicalStructure(argument, rules = this.rules) {
+    return rules.evaluate('logical', argument, null).score;
   }
   
   /**
    * Evaluates the quality of evidence in premises
    */
-  static evaluateEvidence(argument) {
-    let score = 0;
-    
-    argument.premises.forEach(premise => {
-      // Check for empirical data
-      if (this.containsData(premise)) {
-        score += 0.2;
-      }
-      
-      // Check for citations or references
-      if (this.containsCitations(premise)) {
-        score += 0.15;
-      }
-      
-      // Check for qualifiers (shows nuance)
-      if (this.containsQualifiers(premise)) {
-        score += 0.1;
-      }
-    });
-    
-    return Math.min(1, score);
+  static evaluateEvidence(argument, rules = this.rules) {
+    return rules.evaluate('evidence', argument, null).score;
   }
   
   /**
    * Evaluates support from other arguments
    */
-  static evaluateSupport(argument, graph) {
-    const supporters = graph.getSupporters(argument.id);
-    const contradictors = graph.getContradictors(argument.id);
-    
-    let score = 0;
-    
-    // Count supporting arguments
-    score += Math.min(supporters.length * 0.2, 0.6);
+  static evaluateSupport(argument, graph, rules = this.rules) {
+    return rules.evaluate('support', argument, graph).score;
+  }
+  
+  /**
+   * Groups the attacks on an argument by kind: rebutting (conclusion),
+   * undermining (a premise) and undercutting (the inference)
+   */
+  static evaluateAttackProfile(argument, graph) {
+    const profile = {
+      rebutting: [],
+      undermining: [],
+      undercutting: []
+    };
     
-    // Penalize for contradictions
-    score -= Math.min(contradictors.length * 0.15, 0.45);
+    graph.getAttacksOn(argument.id).forEach(attack => {
+      profile[attack.kind].push(attack);
+    });
     
-    // Consider confidence of supporters
-    const avgSupporterConfidence = supporters.reduce((acc, curr) => acc + curr.confidence, 0) / 
-                                   (supporters.length || 1);
-    score += avgSupporterConfidence * 0.2;
+    return profile;
+  }
+  
+  /**
+   * Finds the critical questions of an argument's scheme that no attacking or
+   * responding argument has raised yet
+   */
+  static findUnansweredCriticalQuestions(argument, graph) {
+    if (!argument.scheme) return [];
+    
+    const challengers = [
+      ...graph.getAttackerIds(argument.id),
+      ...graph.getResponders(argument.id).map(responder => responder.id)
+    ];
+    const raised = new Set(challengers
+      .map(id => graph.getArgument(id).criticalQuestion)
+      .filter(Boolean));
+    
+    return ArgumentationSchemes.getCriticalQuestions(argument.scheme)
+      .filter(cq => !raised.has(cq.id));
+  }
+  
+  /**
+   * Gets the IN/OUT/UNDEC label of an argument under the given semantics
+   */
+  static evaluateJustification(argument, graph, semantics = 'grounded') {
+    const labels = AbstractSemantics.getLabels(graph, semantics);
     
-    return Math.max(0, Math.min(1, score));
+    return {
+      semantics,
+      label: labels[argument.id],
+      attackers: graph.getAttackerIds(argument.id)
+    };
   }
   
   /**
@@ -141,13 +222,18 @@ class Evaluator {
       strengths.push("Comprehensive premise set");
     }
     
+    const { justification } = evaluation;
+    if (justification && justification.label === 'IN' && justification.attackers.length > 0) {
+      strengths.push(`Survives all attacks (IN under ${justification.semantics} semantics)`);
+    }
+    
     return strengths;
   }
   
   /**
    * Identifies weaknesses of an argument
    */
-  static identifyWeaknesses(argument, evaluation) {
+  static identifyWeaknesses(argument, evaluation, graph = null) {
     const weaknesses = [];
     
     if (evaluation.logicalScore < 0.4) {
@@ -175,18 +261,72 @@ class Evaluator {
       weaknesses.push("Overly dependent on single premise");
     }
     
+    if (argument.scheme) {
+      const scheme = ArgumentationSchemes.getScheme(argument.scheme);
+      scheme.premises.slice(argument.premises.length).forEach(slot => {
+        weaknesses.push(`Missing ${slot.slot} premise for ${scheme.name.toLowerCase()}`);
+      });
+    }
+    
+    evaluation.unansweredCriticalQuestions.forEach(cq => {
+      weaknesses.push(`Unanswered critical question (${cq.id}): ${cq.question}`);
+    });
+    
+    const { attackProfile } = evaluation;
+    if (attackProfile) {
+      attackProfile.rebutting.forEach(attack => {
+        weaknesses.push(`Conclusion rebutted by ${attack.from}`);
+      });
+      attackProfile.undermining.forEach(attack => {
+        weaknesses.push(`Premise ${attack.premiseIndex + 1} undermined by ${attack.from}`);
+      });
+      attackProfile.undercutting.forEach(attack => {
+        weaknesses.push(`Inference undercut by ${attack.from}`);
+      });
+    }
+    
+    (evaluation.cycles || []).forEach(cycle => {
+      weaknesses.push(this.describeCycle(cycle, graph));
+    });
+    
+    (evaluation.inconsistencies || []).forEach(({ premises: [first, second], relation }) => {
+      weaknesses.push(relation === 'contradictory'
+        ? `Premises ${first + 1} and ${second + 1} contradict each other`
+        : `Premises ${first + 1} and ${second + 1} cannot both be true`);
+    });
+    
+    const { justification } = evaluation;
+    if (justification && justification.label === 'OUT') {
+      weaknesses.push(`Defeated by an accepted attacker (OUT under ${justification.semantics} semantics)`);
+    } else if (justification && justification.label === 'UNDEC') {
+      weaknesses.push(`Justification undecided (UNDEC under ${justification.semantics} semantics)`);
+    }
+    
+    if (typeof argument.confidence === 'number' && argument.confidence - evaluation.acceptability > 0.2) {
+      weaknesses.push(`Acceptability reduced by attacks (${evaluation.acceptability.toFixed(2)} from ${argument.confidence})`);
+    }
+    
     return weaknesses;
   }
   
+  /**
+   * Describes a support or proposition cycle found by CycleDetector
+   */
+  static describeCycle(cycle, graph) {
+    if (cycle.type === 'support') {
+      return `Circular support: ${cycle.path.join(' → ')}`;
+    }
+    
+    const proposition = graph && graph.getProposition(cycle.propositions[0]);
+    const statement = proposition ? `"${proposition.text}"` : cycle.propositions[0];
+    return `Circular reasoning: ${statement} is derived from itself through ${cycle.arguments.join(', ')}`;
+  }
+  
   /**
    * Calculates overall argument score
    */
-  static calculateOverallScore(evaluation) {
-    const weights = {
-      logical: 0.4,
-      evidence: 0.3,
-      support: 0.3
-    };
+  static calculateOverallScore(evaluation, rules = this.rules) {
+    const weights = rules.getCategoryWeights();
     
     return (
       evaluation.logicalScore * weights.logical +
@@ -195,77 +335,95 @@ class Evaluator {
     );
   }
   
+  /**
+   * Builds the explanation tree of an overall score from the results of
+   * RuleRegistry.evaluate for each category. The root node holds the score,
+   * its children the categories (score, the unclamped rawScore, weight and
+   * weighted contribution) and their children the rules that fired, with
+   * the contribution, matched text spans and related arguments of each.
+   */
+  static explainScore(score, results, rules = this.rules) {
+    const weights = rules.getCategoryWeights();
+    
+    return {
+      label: 'Overall score',
+      score,
+      children: Object.entries(results).map(([category, result]) => ({
+        label: CATEGORY_LABELS[category],
+        category,
+        score: result.score,
+        rawScore: result.rawScore,
+        weight: weights[category],
+        contribution: result.score * weights[category],
+        children: result.findings.map(finding => ({
+          label: finding.finding,
+          rule: finding.rule,
+          description: rules.getRule(finding.rule).description || null,
+          contribution: finding.contribution,
+          spans: finding.spans,
+          arguments: finding.arguments,
+          children: []
+        }))
+      }))
+    };
+  }
+  
   /**
    * Extracts keywords from text
    */
   static extractKeywords(text) {
-    const stopWords = new Set(['the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'is', 'was', 'for', 'it']);
-    return text.toLowerCase()
-               .split(/\W+/)
-               .filter(word => word.length > 2 && !stopWords.has(word));
+    return extractKeywords(text);
   }
   
   /**
    * Detects common logical fallacies
    */
   static detectFallacies(argument) {
-    const fallacies = [];
-    const text = argument.claim + ' ' + argument.premises.join(' ') + ' ' + argument.conclusion;
-    
-    // Check for ad hominem
-    if (text.match(/\bpeople\s+who\s+(believe|think|say)\b/i)) {
-      fallacies.push('Possible ad hominem');
-    }
-    
-    // Check for straw man
-    if (text.match(/\b(nobody|no one|everyone)\s+(thinks|believes|says)\b/i)) {
-      fallacies.push('Possible straw man');
-    }
-    
-    // Check for false dichotomy
-    if (text.match(/\b(either|only)\s+.*\bor\b/i)) {
-      fallacies.push('Possible false dichotomy');
-    }
-    
-    return fallacies;
+    return fallacies.detect(argument);
+  }
+  
+  /**
+   * Detects common logical fallacies with the spans of text that suggest
+   * them, as { fallacy, name, description, spans }
+   */
+  static findFallacies(argument) {
+    return FallacyDetector.detect(argument);
   }
   
   /**
    * Checks coherence of argument
    */
   static checkCoherence(argument) {
-    // Simple coherence check: look for keyword overlap
-    const claimKeywords = this.extractKeywords(argument.claim);
-    const premiseKeywords = argument.premises.flatMap(p => this.extractKeywords(p));
-    const conclusionKeywords = this.extractKeywords(argument.conclusion);
-    
-    const overlap = claimKeywords.filter(kw => 
-      premiseKeywords.includes(kw) || conclusionKeywords.includes(kw)
-    ).length;
-    
-    return overlap >= 2;
+    return coherence.isCoherent(argument);
   }
   
   /**
    * Checks if text contains data or statistics
    */
   static containsData(text) {
-    return /\b\d+(\.\d+)?(%|\s*(percent|percentage|data|study|research|evidence))/i.test(text);
+    return empiricalData.matches(text);
   }
   
   /**
    * Checks if text contains citations
    */
   static containsCitations(text) {
-    return /\(.*\d{4}.*\)|et\s+al\.|according\s+to/i.test(text);
+    return citations.matches(text);
   }
   
   /**
    * Checks if text contains qualifiers
    */
   static containsQualifiers(text) {
-    return /\b(might|may|could|possibly|perhaps|likely|probably|generally|tends?\s+to)\b/i.test(text);
+    return qualifiers.matches(text);
   }
 }
 
+/**
+ * Rules used when neither the caller nor the graph configures others.
+ * Register domain-specific rules here to apply them everywhere.
+ */
+Evaluator.rules = RuleRegistry.createDefault();
+Evaluator.RuleRegistry = RuleRegistry;
+
 module.exports = Evaluator;
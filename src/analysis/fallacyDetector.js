@@ -0,0 +1,207 @@
+const { extractKeywords } = require('./rules/keywords');
+const { getTexts, findSpans } = require('./rules/spans');
+
+/**
+ * Terms with several common meanings, which an argument can slide between
+ */
+const AMBIGUOUS_TERMS = [
+  'theory', 'right', 'rights', 'free', 'freedom', 'natural', 'law', 'laws', 'fair', 'faith',
+  'significant', 'normal', 'power', 'value', 'values', 'interest', 'light', 'chance', 'mean'
+];
+
+/**
+ * Wording of anecdotes and small samples, and of sweeping generalizations
+ */
+const ANECDOTE = /\b(my\s+(friend|neighbou?r|uncle|aunt|cousin|brother|sister|colleague|family)|i\s+know\s+(someone|somebody|a\s+(guy|person|man|woman))|one\s+(study|case|example|time|person)|a\s+few\s+(cases|people|examples|times)|in\s+my\s+experience)\b/i;
+const GENERALIZATION = /\b(all|every|always|never|everyone|everybody|nobody|no\s+one)\b/i;
+
+/**
+ * Creates a detector that flags every match of a pattern
+ */
+const matching = (id, name, description, pattern) => ({
+  id,
+  name,
+  description,
+  detect: argument => findSpans(argument, pattern)
+});
+
+/**
+ * Gets the distinct keyword stems of a text, so that "smokes" and
+ * "smoking" count as the same word
+ */
+const getStems = text => new Set(extractKeywords(text).map(keyword => keyword.slice(0, 4)));
+
+/**
+ * Spans covering the whole text of an argument part
+ */
+const wholeSpan = ({ part, index, text }) => ({ part, index, start: 0, end: text.length, text });
+
+/**
+ * Gets the keywords right before and after a span in the part it was found in
+ */
+const getNeighbours = (argument, span) => {
+  const text = span.part === 'premise' ? argument.premises[span.index] : argument[span.part];
+  const before = extractKeywords(text.slice(0, span.start));
+  const after = extractKeywords(text.slice(span.end));
+  return [before[before.length - 1], after[0]].filter(Boolean);
+};
+
+/**
+ * Checks if two spans share characters of the same part
+ */
+const overlaps = (a, b) => a.part === b.part && a.index === b.index && a.start < b.end && b.start < a.end;
+
+const DETECTORS = [
+  matching('ad-hominem', 'Possible ad hominem', 'Attacks the people holding a view instead of the view',
+    /\bpeople\s+who\s+(believe|think|say)\b/i),
+  matching('straw-man', 'Possible straw man', 'Misstates what opponents think',
+    /\b(nobody|no one|everyone)\s+(thinks|believes|says)\b/i),
+  matching('false-dichotomy', 'Possible false dichotomy', 'Presents two options as the only ones',
+    /\b(either|only)\s+.*\bor\b/i),
+  matching('slippery-slope', 'Possible slippery slope', 'Claims one step will set off a chain of worse ones',
+    /\b(will|would|could)\s+(inevitably|eventually|ultimately|soon)\s+lead\s+to\b|\bslippery\s+slope\b|\bnext\s+thing\s+(you|we)\s+know\b|\bopens?\s+the\s+(door|floodgates)\b|\bwhere\s+(does|will)\s+it\s+(end|stop)\b/i),
+  matching('appeal-to-authority', 'Possible appeal to authority', 'Rests on who holds a view rather than on evidence for it',
+    /\b(experts?|scientists?|doctors?|authorities|professors?|officials?)\s+(say|says|agree|agrees|claim|claims|believe|believes|confirm|confirms)\b|\b(famous|renowned|leading|top|well-known)\s+(expert|scientist|doctor|professor|economist|authority)\b|\btrust\s+(me|the\s+experts)\b/i),
+  matching('appeal-to-popularity', 'Possible appeal to popularity', 'Takes a view to be true because many hold it',
+    /\b(everyone|everybody|most\s+people|millions\s+of\s+people|the\s+majority)\s+(knows?|agrees?|believes?|thinks?|uses?|does|supports?)\b|\bwidely\s+(believed|accepted)\b|\bcommon\s+knowledge\b/i),
+  {
+    id: 'begging-the-question',
+    name: 'Possible begging the question',
+    description: 'A premise restates the conclusion',
+    detect(argument) {
+      const conclusion = getStems(argument.conclusion);
+      if (conclusion.size < 2) return [];
+      
+      const restating = getTexts(argument, ['premise']).filter(({ text }) => {
+        const premise = getStems(text);
+        const extra = Array.from(premise).filter(stem => !conclusion.has(stem)).length;
+        return Array.from(conclusion).every(stem => premise.has(stem)) && extra <= 1;
+      });
+      
+      return restating.length > 0
+        ? [...restating.map(wholeSpan), ...getTexts(argument, ['conclusion']).map(wholeSpan)]
+        : [];
+    }
+  },
+  {
+    id: 'hasty-generalization',
+    name: 'Possible hasty generalization',
+    description: 'Draws a sweeping conclusion from an anecdote or a few cases',
+    detect(argument) {
+      const anecdotes = findSpans(argument, ANECDOTE, ['premise']);
+      const generalizations = findSpans(argument, GENERALIZATION, ['claim', 'conclusion']);
+      return anecdotes.length > 0 && generalizations.length > 0 ? [...anecdotes, ...generalizations] : [];
+    }
+  },
+  matching('post-hoc', 'Possible post hoc', 'Takes one event to cause another because it came first',
+    /\b(ever\s+since|right\s+after|shortly\s+after|soon\s+after|immediately\s+after)\b|\bafter\b[^.;]*\b(so|therefore|thus|hence)\b[^.;]*\b(caused|causes|led\s+to|must\s+be\s+because)\b/i),
+  matching('tu-quoque', 'Possible tu quoque', 'Dismisses a view because its holder does not act on it',
+    /\b(you|they|he|she)\s+(do|does|did)\s+it\s+too\b|\bhypocrit(e|es|ical)\b|\bwho\s+(are|is)\s+(you|they|he|she)\s+to\s+(say|talk|judge|lecture)\b|\blook\s+who'?s\s+talking\b|\bpractice\s+what\s+(you|they|he|she)\s+preach\b/i),
+  {
+    id: 'equivocation',
+    name: 'Possible equivocation',
+    description: 'An ambiguous term is used in a premise and elsewhere among other words, perhaps in another sense',
+    detect(argument) {
+      return AMBIGUOUS_TERMS.flatMap(term => {
+        const uses = findSpans(argument, new RegExp(`\\b${term}\\b`, 'i'))
+          .map(span => ({ span, neighbours: getNeighbours(argument, span) }));
+        
+        // "free speech" in two places uses "free" in one sense; "free speech"
+        // and "free of charge" may not
+        const shifts = uses.some((use, i) => uses.slice(i + 1).some(other =>
+          (use.span.part !== other.span.part || use.span.index !== other.span.index) &&
+          (use.span.part === 'premise' || other.span.part === 'premise') &&
+          use.neighbours.length > 0 && other.neighbours.length > 0 &&
+          !use.neighbours.some(word => other.neighbours.includes(word))
+        ));
+        return shifts ? uses.map(use => use.span) : [];
+      });
+    }
+  },
+  {
+    id: 'red-herring',
+    name: 'Possible red herring',
+    description: 'A premise shares no terms with the claim, the conclusion or the other premises',
+    detect(argument) {
+      const texts = getTexts(argument);
+      
+      return texts.filter(current => {
+        if (current.part !== 'premise') return false;
+        const stems = getStems(current.text);
+        if (stems.size < 2) return false;
+        
+        return texts
+          .filter(other => other !== current)
+          .every(other => !Array.from(getStems(other.text)).some(stem => stems.has(stem)));
+      }).map(wholeSpan);
+    }
+  }
+];
+
+/**
+ * FallacyDetector flags wording and structure typical of informal fallacies.
+ * Detections are hints for reviewers, not verdicts: each names the possible
+ * fallacy and the spans of the claim, premises or conclusion that suggest it.
+ */
+class FallacyDetector {
+  /**
+   * Runs every detector on an argument. Returns { fallacy, name,
+   * description, spans } for each fallacy found, where spans are
+   * { part, index, start, end, text } as in rules/spans.js.
+   *
+   * Text is blamed on one fallacy only: where spans of different fallacies
+   * overlap, the narrower span is kept, so a premise flagged as a whole does
+   * not count again for the wording another detector found in it. A fallacy
+   * left without spans is not reported.
+   */
+  static detect(argument) {
+    const found = this.DETECTORS.map(detector => ({ detector, spans: detector.detect(argument) }));
+    const candidates = found.flatMap(({ detector, spans }, order) => spans.map(span => ({ detector, span, order })))
+      .sort((a, b) => (a.span.end - a.span.start) - (b.span.end - b.span.start) || a.order - b.order);
+    
+    const kept = [];
+    candidates.forEach(candidate => {
+      if (!kept.some(other => other.detector !== candidate.detector && overlaps(other.span, candidate.span))) {
+        kept.push(candidate);
+      }
+    });
+    const keptSpans = new Set(kept.map(candidate => candidate.span));
+    
+    return found.map(({ detector, spans }) => ({ detector, spans: spans.filter(span => keptSpans.has(span)) }))
+      .filter(({ spans }) => spans.length > 0)
+      .map(({ detector, spans }) => ({
+        fallacy: detector.id,
+        name: detector.name,
+        description: detector.description,
+        spans: spans.map(span => ({ ...span, fallacy: detector.id }))
+      }));
+  }
+  
+  /**
+   * Adds a detector of the form { id, name, description, detect(argument) }
+   * where detect returns the matching spans, or none
+   */
+  static register(detector) {
+    if (!detector || !detector.id) throw new Error('Detector id is required');
+    if (typeof detector.detect !== 'function') throw new Error(`Detector ${detector.id} must have a detect function`);
+    if (this.DETECTORS.some(existing => existing.id === detector.id)) {
+      throw new Error(`Fallacy detector ${detector.id} is already registered`);
+    }
+    
+    this.DETECTORS.push(detector);
+  }
+  
+  /**
+   * Removes a detector
+   */
+  static unregister(id) {
+    const index = this.DETECTORS.findIndex(detector => detector.id === id);
+    if (index === -1) throw new Error(`Unknown fallacy detector: ${id}`);
+    this.DETECTORS.splice(index, 1);
+  }
+}
+
+FallacyDetector.DETECTORS = DETECTORS;
+FallacyDetector.AMBIGUOUS_TERMS = AMBIGUOUS_TERMS;
+
+module.exports = FallacyDetector;
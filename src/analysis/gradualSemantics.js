@@ -0,0 +1,142 @@
+/**
+ * Built-in gradual semantics. Each definition maps an argument's base weight and
+ * the current scores of its attackers and supporters to its next score.
+ */
+const BUILT_IN_SEMANTICS = {
+  'h-categorizer': {
+    description: 'Weighted h-categorizer: weight / (1 + sum of attacker scores)',
+    usesSupport: false,
+    update: (weight, attackerScores) =>
+      weight / (1 + attackerScores.reduce((acc, score) => acc + score, 0))
+  },
+  'weighted-max-based': {
+    description: 'Weighted max-based: weight / (1 + strongest attacker score)',
+    usesSupport: false,
+    update: (weight, attackerScores) =>
+      weight / (1 + Math.max(0, ...attackerScores))
+  },
+  'quadratic-energy': {
+    description: 'Quadratic energy model for bipolar graphs (supports raise, attacks lower)',
+    usesSupport: true,
+    damping: 0.5,
+    update: (weight, attackerScores, supporterScores) => {
+      const energy = supporterScores.reduce((acc, score) => acc + score, 0) -
+                     attackerScores.reduce((acc, score) => acc + score, 0);
+      const impact = x => {
+        const positive = Math.max(x, 0);
+        return (positive * positive) / (1 + positive * positive);
+      };
+      
+      return weight - weight * impact(-energy) + (1 - weight) * impact(energy);
+    }
+  }
+};
+
+const registry = new Map(Object.entries(BUILT_IN_SEMANTICS));
+
+/**
+ * GradualSemantics propagates argument confidence through the graph, producing
+ * a computed acceptability score in [0, 1] for every argument
+ */
+class GradualSemantics {
+  /**
+   * Registers a custom gradual semantics
+   */
+  static registerSemantics(name, definition) {
+    if (!name) throw new Error('Semantics name is required');
+    if (!definition || typeof definition.update !== 'function') {
+      throw new Error('Semantics definition must provide an update function');
+    }
+    
+    registry.set(name, { usesSupport: false, ...definition });
+  }
+  
+  /**
+   * Removes a custom gradual semantics, restoring the built-in one it
+   * replaced, if any
+   */
+  static unregisterSemantics(name) {
+    if (!registry.has(name)) throw new Error(`Unknown gradual semantics: ${name}`);
+    
+    if (BUILT_IN_SEMANTICS[name]) {
+      registry.set(name, BUILT_IN_SEMANTICS[name]);
+    } else {
+      registry.delete(name);
+    }
+  }
+  
+  /**
+   * Lists the names of the available semantics
+   */
+  static getAvailableSemantics() {
+    return Array.from(registry.keys());
+  }
+  
+  /**
+   * Computes acceptability scores by iterating the semantics to a fixed point
+   */
+  static computeScores(graph, semantics = 'h-categorizer', options = {}) {
+    const definition = registry.get(semantics);
+    if (!definition) {
+      throw new Error(`Unknown gradual semantics. Must be one of: ${this.getAvailableSemantics().join(', ')}`);
+    }
+    
+    const config = {
+      maxIterations: 1000,
+      tolerance: 1e-6,
+      damping: definition.damping || 1,
+      defaultWeight: 0.5,
+      ...options
+    };
+    
+    const weights = {};
+    const attackers = {};
+    const supporters = {};
+    
+    graph.arguments.forEach((arg, id) => {
+      weights[id] = typeof arg.confidence === 'number' ? arg.confidence : config.defaultWeight;
+      attackers[id] = graph.getAttackerIds(id);
+      supporters[id] = definition.usesSupport ? graph.getSupporterIds(id) : [];
+    });
+    
+    let scores = { ...weights };
+    let iterations = 0;
+    let converged = false;
+    
+    while (!converged && iterations < config.maxIterations) {
+      const next = {};
+      let maxChange = 0;
+      
+      Object.keys(scores).forEach(id => {
+        const target = definition.update(
+          weights[id],
+          attackers[id].map(attackerId => scores[attackerId]),
+          supporters[id].map(supporterId => scores[supporterId])
+        );
+        
+        next[id] = scores[id] + config.damping * (target - scores[id]);
+        maxChange = Math.max(maxChange, Math.abs(next[id] - scores[id]));
+      });
+      
+      scores = next;
+      iterations++;
+      converged = maxChange < config.tolerance;
+    }
+    
+    return {
+      semantics,
+      scores,
+      iterations,
+      converged
+    };
+  }
+  
+  /**
+   * Gets the computed acceptability of a single argument
+   */
+  static getAcceptability(graph, argumentId, semantics = 'h-categorizer', options = {}) {
+    return this.computeScores(graph, semantics, options).scores[argumentId];
+  }
+}
+
+module.exports = GradualSemantics;
@@ -0,0 +1,378 @@
+const ArgumentGraph = require('../core/argumentGraph');
+
+/**
+ * Argument fields compared by diff and merged by merge
+ */
+const FIELDS = ['claim', 'premises', 'conclusion', 'type', 'confidence', 'author', 'scheme', 'criticalQuestion'];
+
+/**
+ * GraphDiff compares two argument graphs and merges graphs that were extended
+ * independently from a common base.
+ *
+ * Edges are { from, to, type } where type is support, contradict or respond.
+ * Contradictions also carry the attack kind and, for undermining attacks,
+ * the premise index.
+ */
+class GraphDiff {
+  /**
+   * Lists the changes that turn the base graph into the target graph
+   */
+  static diff(base, target) {
+    const result = {
+      arguments: { added: [], removed: [], changed: [] },
+      relationships: { added: [], removed: [] },
+      confidence: []
+    };
+    
+    target.arguments.forEach((arg, id) => {
+      const before = base.getArgument(id);
+      if (!before) {
+        result.arguments.added.push(id);
+        return;
+      }
+      
+      const changes = FIELDS.filter(field => !this.isEqual(before[field], arg[field]))
+                            .map(field => ({ field, from: before[field], to: arg[field] }));
+      if (changes.length > 0) result.arguments.changed.push({ id, changes });
+      
+      if (before.confidence !== arg.confidence) {
+        result.confidence.push({
+          id,
+          from: before.confidence,
+          to: arg.confidence,
+          delta: Math.round((arg.confidence - before.confidence) * 1000) / 1000
+        });
+      }
+    });
+    
+    base.arguments.forEach((arg, id) => {
+      if (!target.getArgument(id)) result.arguments.removed.push(id);
+    });
+    
+    const baseEdges = this.getEdgeMap(base);
+    const targetEdges = this.getEdgeMap(target);
+    targetEdges.forEach((edge, key) => {
+      if (!baseEdges.has(key)) result.relationships.added.push(edge);
+    });
+    baseEdges.forEach((edge, key) => {
+      if (!targetEdges.has(key)) result.relationships.removed.push(edge);
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Checks whether a diff has no changes
+   */
+  static isEmpty(diff) {
+    return diff.arguments.added.length === 0 &&
+           diff.arguments.removed.length === 0 &&
+           diff.arguments.changed.length === 0 &&
+           diff.relationships.added.length === 0 &&
+           diff.relationships.removed.length === 0;
+  }
+  
+  /**
+   * Counts the changes in a diff
+   */
+  static summarize(diff) {
+    return {
+      argumentsAdded: diff.arguments.added.length,
+      argumentsRemoved: diff.arguments.removed.length,
+      argumentsChanged: diff.arguments.changed.length,
+      relationshipsAdded: diff.relationships.added.length,
+      relationshipsRemoved: diff.relationships.removed.length,
+      confidenceChanges: diff.confidence.length
+    };
+  }
+  
+  /**
+   * Merges two graphs derived from a common base into a new graph.
+   *
+   * A change made on one side only is taken. When both sides changed the
+   * same thing differently, a conflict is recorded and options.resolve
+   * (conflict => 'ours' | 'theirs') picks the side to keep, ours by default.
+   * Conflicts are:
+   *
+   * - field: both sides changed a field of an argument, or both added an
+   *   argument with the same ID but different content (base is undefined)
+   * - delete: one side removed an argument the other side changed
+   * - edge: a relationship added on one side cannot be kept, e.g. because
+   *   the other side removed one of its arguments
+   * - stance: both sides recorded different stances of a participant
+   * - rules: both sides configured the evaluation rules differently
+   */
+  static merge(base, ours, theirs, options = {}) {
+    const resolve = options.resolve || (() => 'ours');
+    const conflicts = [];
+    const conflict = data => {
+      const entry = { ...data };
+      entry.resolution = resolve(entry) === 'theirs' ? 'theirs' : 'ours';
+      conflicts.push(entry);
+      return entry.resolution;
+    };
+    
+    const merged = new ArgumentGraph();
+    const graphs = { base, ours, theirs };
+    
+    // Participants from either side
+    [ours, theirs].forEach(graph => {
+      graph.participants.forEach(participant => {
+        if (!merged.getParticipant(participant.id)) {
+          merged.addParticipant({ ...participant.toJSON(), participantId: participant.id });
+        }
+      });
+    });
+    
+    // Arguments in base order, then those added by ours and by theirs
+    const ids = [...new Set([...base.arguments.keys(), ...ours.arguments.keys(), ...theirs.arguments.keys()])];
+    const respondsTo = new Map();
+    
+    ids.forEach(id => {
+      const versions = {
+        base: base.getArgument(id),
+        ours: ours.getArgument(id),
+        theirs: theirs.getArgument(id)
+      };
+      
+      if (!this.mergePresence(id, versions, conflict)) return;
+      
+      const values = {};
+      const sources = {};
+      [...FIELDS, 'respondsTo'].forEach(field => {
+        const [baseValue, ourValue, theirValue] = ['base', 'ours', 'theirs'].map(side =>
+          this.getFieldValue(graphs[side], versions[side], field)
+        );
+        
+        const picked = this.mergeValue(baseValue, ourValue, theirValue, versions, () =>
+          conflict({ type: 'field', argumentId: id, field, base: baseValue, ours: ourValue, theirs: theirValue })
+        );
+        values[field] = picked.value;
+        sources[field] = picked.side;
+      });
+      
+      this.addMergedArgument(merged, id, values, sources, versions, graphs);
+      if (values.respondsTo) respondsTo.set(id, values.respondsTo);
+    });
+    
+    this.mergeEdges(merged, base, ours, theirs, conflict);
+    
+    respondsTo.forEach((to, from) => {
+      if (merged.getArgument(to)) {
+        merged.addRespondsToRelationship(from, to);
+      } else {
+        conflict({ type: 'edge', edge: { from, to, type: 'respond' }, message: `Argument ${to} was removed` });
+      }
+    });
+    
+    this.mergeStances(merged, base, ours, theirs, conflict);
+    
+    const rules = this.mergeValue(base.ruleSettings, ours.ruleSettings, theirs.ruleSettings,
+      { base: true, ours: true, theirs: true },
+      () => conflict({ type: 'rules', base: base.ruleSettings, ours: ours.ruleSettings, theirs: theirs.ruleSettings })
+    );
+    merged.setRuleSettings(rules.value);
+    
+    return { graph: merged, conflicts };
+  }
+  
+  /**
+   * Decides whether an argument survives the merge
+   */
+  static mergePresence(id, versions, conflict) {
+    const { base, ours, theirs } = versions;
+    
+    if (!base) return true;
+    if (ours && theirs) return true;
+    if (!ours && !theirs) return false;
+    
+    // Removed on one side: keep it only if the other side changed it and the
+    // conflict is resolved in favour of the change
+    const remaining = ours || theirs;
+    const changed = FIELDS.some(field => !this.isEqual(base[field], remaining[field]));
+    if (!changed) return false;
+    
+    const deletedIn = ours ? 'theirs' : 'ours';
+    const resolution = conflict({ type: 'delete', argumentId: id, deletedIn });
+    return resolution !== deletedIn;
+  }
+  
+  /**
+   * Gets a field of an argument, reading respondsTo from the graph
+   */
+  static getFieldValue(graph, arg, field) {
+    if (!arg) return undefined;
+    return field === 'respondsTo' ? graph.adjacencyList.get(arg.id).respondsTo : arg[field];
+  }
+  
+  /**
+   * Three-way merges a single value, returning the value and the side it
+   * came from
+   */
+  static mergeValue(baseValue, ourValue, theirValue, versions, onConflict) {
+    if (!versions.ours) return { value: theirValue, side: 'theirs' };
+    if (!versions.theirs) return { value: ourValue, side: 'ours' };
+    
+    if (this.isEqual(ourValue, theirValue)) return { value: ourValue, side: 'ours' };
+    if (versions.base && this.isEqual(ourValue, baseValue)) return { value: theirValue, side: 'theirs' };
+    if (versions.base && this.isEqual(theirValue, baseValue)) return { value: ourValue, side: 'ours' };
+    
+    const side = onConflict();
+    return { value: side === 'theirs' ? theirValue : ourValue, side };
+  }
+  
+  /**
+   * Adds a merged argument, keeping the proposition IDs of the side each
+   * statement came from
+   */
+  static addMergedArgument(merged, id, values, sources, versions, graphs) {
+    const premiseSource = graphs[sources.premises];
+    const conclusionSource = graphs[sources.conclusion];
+    const propositionFrom = (graph, propositionId) => {
+      const proposition = graph.getProposition(propositionId);
+      merged.addProposition({ text: proposition.text, propositionId, createdAt: proposition.createdAt });
+      return propositionId;
+    };
+    
+    const premiseArg = premiseSource.getArgument(id);
+    const conclusionArg = conclusionSource.getArgument(id);
+    const latest = [versions.ours, versions.theirs].filter(Boolean)
+                                                   .sort((a, b) => b.lastModified - a.lastModified)[0];
+    
+    merged.addArgument({
+      argumentId: id,
+      claim: values.claim,
+      premises: values.premises,
+      conclusion: values.conclusion,
+      premiseIds: premiseArg.premiseIds.map(propositionId => propositionFrom(premiseSource, propositionId)),
+      conclusionId: propositionFrom(conclusionSource, conclusionArg.conclusionId),
+      argumentType: values.type,
+      confidence: values.confidence,
+      author: values.author,
+      scheme: values.scheme,
+      criticalQuestion: values.criticalQuestion,
+      strengths: [...latest.strengths],
+      weaknesses: [...latest.weaknesses],
+      createdAt: (versions.base || latest).createdAt,
+      lastModified: latest.lastModified
+    });
+  }
+  
+  /**
+   * Keeps the support and attack edges that both sides kept or one side added
+   */
+  static mergeEdges(merged, base, ours, theirs, conflict) {
+    const baseEdges = this.getEdgeMap(base, false);
+    const ourEdges = this.getEdgeMap(ours, false);
+    const theirEdges = this.getEdgeMap(theirs, false);
+    const keys = [...new Set([...ourEdges.keys(), ...theirEdges.keys()])];
+    
+    keys.forEach(key => {
+      const inBase = baseEdges.has(key);
+      const inOurs = ourEdges.has(key);
+      const inTheirs = theirEdges.has(key);
+      
+      // Removed by either side
+      if (inBase && !(inOurs && inTheirs)) return;
+      
+      const edge = ourEdges.get(key) || theirEdges.get(key);
+      const missing = [edge.from, edge.to].find(argumentId => !merged.getArgument(argumentId));
+      if (missing) {
+        conflict({ type: 'edge', edge, message: `Argument ${missing} was removed` });
+        return;
+      }
+      
+      try {
+        this.addEdge(merged, edge);
+      } catch (error) {
+        conflict({ type: 'edge', edge, message: error.message });
+      }
+    });
+  }
+  
+  /**
+   * Three-way merges the stances recorded on each side
+   */
+  static mergeStances(merged, base, ours, theirs, conflict) {
+    const stanceMap = graph => {
+      const map = new Map();
+      graph.stances.forEach((stances, participantId) => {
+        stances.forEach((stance, argumentId) => map.set(`${participantId}\u0000${argumentId}`, stance));
+      });
+      return map;
+    };
+    
+    const baseStances = stanceMap(base);
+    const ourStances = stanceMap(ours);
+    const theirStances = stanceMap(theirs);
+    const keys = [...new Set([...ourStances.keys(), ...theirStances.keys()])];
+    
+    keys.forEach(key => {
+      const [participantId, argumentId] = key.split('\u0000');
+      if (!merged.getArgument(argumentId)) return;
+      
+      const picked = this.mergeValue(baseStances.get(key), ourStances.get(key), theirStances.get(key),
+        { base: true, ours: true, theirs: true },
+        () => conflict({
+          type: 'stance',
+          participantId,
+          argumentId,
+          base: baseStances.get(key),
+          ours: ourStances.get(key),
+          theirs: theirStances.get(key)
+        })
+      );
+      
+      if (picked.value) merged.setStance(participantId, argumentId, picked.value);
+    });
+  }
+  
+  /**
+   * Lists the relationships of a graph as edges keyed by their identity
+   */
+  static getEdgeMap(graph, includeResponses = true) {
+    const edges = new Map();
+    
+    graph.adjacencyList.forEach((relations, from) => {
+      relations.supports.forEach(to => {
+        edges.set(`support:${from}:${to}`, { from, to, type: 'support' });
+      });
+      
+      relations.attacks.forEach(attack => {
+        const edge = { from, to: attack.target, type: 'contradict', kind: attack.kind };
+        if (attack.premiseIndex !== undefined) edge.premiseIndex = attack.premiseIndex;
+        edges.set(`contradict:${from}:${attack.target}:${attack.kind}:${attack.premiseIndex}`, edge);
+      });
+      
+      if (includeResponses && relations.respondsTo) {
+        edges.set(`respond:${from}:${relations.respondsTo}`, { from, to: relations.respondsTo, type: 'respond' });
+      }
+    });
+    
+    return edges;
+  }
+  
+  /**
+   * Adds an edge to a graph
+   */
+  static addEdge(graph, edge) {
+    if (edge.type === 'support') {
+      graph.addSupportsRelationship(edge.from, edge.to);
+    } else if (edge.type === 'contradict') {
+      graph.addContradictsRelationship(edge.from, edge.to, { kind: edge.kind, premiseIndex: edge.premiseIndex });
+    } else {
+      graph.addRespondsToRelationship(edge.from, edge.to);
+    }
+  }
+  
+  /**
+   * Compares field values, including arrays
+   */
+  static isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+GraphDiff.FIELDS = FIELDS;
+
+module.exports = GraphDiff;
@@ -0,0 +1,27 @@
+const { findSpans } = require('./spans');
+
+const PATTERN = /\(.*\d{4}.*\)|et\s+al\.|according\s+to/i;
+
+/**
+ * Rewards premises that cite a source
+ */
+module.exports = {
+  name: 'citations',
+  category: 'evidence',
+  description: 'Bonus for each premise that cites a source',
+  evaluate(argument) {
+    const count = argument.premises.filter(premise => this.matches(premise)).length;
+    return {
+      score: count * 0.15,
+      finding: count > 0 ? `${count} premise(s) cite a source` : null,
+      spans: findSpans(argument, PATTERN, ['premise'])
+    };
+  },
+  
+  /**
+   * Checks if text contains citations
+   */
+  matches(text) {
+    return PATTERN.test(text);
+  }
+};
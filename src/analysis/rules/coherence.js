@@ -0,0 +1,39 @@
+const { extractKeywords } = require('./keywords');
+const { findKeywordSpans } = require('./spans');
+
+/**
+ * Rewards claims that share at least two keywords with the premises or the
+ * conclusion
+ */
+module.exports = {
+  name: 'coherence',
+  category: 'logical',
+  description: 'Bonus when the claim is tied to the premises or conclusion',
+  evaluate(argument) {
+    const shared = this.getSharedKeywords(argument);
+    return shared.length >= 2
+      ? { score: 0.3, finding: 'Claim shares keywords with the premises or conclusion', spans: findKeywordSpans(argument, shared, ['claim']) }
+      : { score: 0, finding: null };
+  },
+  
+  /**
+   * Checks whether the claim shares at least two keywords with the rest of
+   * the argument
+   */
+  isCoherent(argument) {
+    return this.getSharedKeywords(argument).length >= 2;
+  },
+  
+  /**
+   * Lists the claim's keywords that the premises or conclusion also use,
+   * with repeats
+   */
+  getSharedKeywords(argument) {
+    const premiseKeywords = argument.premises.flatMap(premise => extractKeywords(premise));
+    const conclusionKeywords = extractKeywords(argument.conclusion);
+    
+    return extractKeywords(argument.claim).filter(keyword =>
+      premiseKeywords.includes(keyword) || conclusionKeywords.includes(keyword)
+    );
+  }
+};
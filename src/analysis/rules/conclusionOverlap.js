@@ -0,0 +1,25 @@
+const { extractKeywords } = require('./keywords');
+const { findKeywordSpans } = require('./spans');
+
+/**
+ * Rewards conclusions whose keywords already appear in the premises, as a
+ * rough sign that the conclusion follows from them
+ */
+module.exports = {
+  name: 'conclusion-overlap',
+  category: 'logical',
+  description: 'Share of the conclusion\'s keywords that the premises mention',
+  evaluate(argument) {
+    const conclusionKeywords = extractKeywords(argument.conclusion);
+    if (conclusionKeywords.length === 0) return { score: 0, finding: null };
+    
+    const premiseKeywords = argument.premises.flatMap(premise => extractKeywords(premise));
+    const shared = conclusionKeywords.filter(keyword => premiseKeywords.includes(keyword));
+    
+    return {
+      score: shared.length / conclusionKeywords.length * 0.4,
+      finding: `Premises mention ${shared.length} of ${conclusionKeywords.length} conclusion keywords`,
+      spans: findKeywordSpans(argument, shared, ['premise', 'conclusion'])
+    };
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Penalizes arguments that other arguments contradict, up to three
+ * contradictors
+ */
+module.exports = {
+  name: 'contradictors',
+  category: 'support',
+  description: 'Penalty for each contradicting argument, capped at three',
+  evaluate(argument, graph) {
+    const contradictors = graph.getAttackerIds(argument.id).map(id => graph.getArgument(id));
+    const count = contradictors.length;
+    return {
+      score: -Math.min(count * 0.15, 0.45),
+      finding: count > 0 ? `Contradicted by ${count} argument(s)` : null,
+      arguments: contradictors.map(contradictor => contradictor.id)
+    };
+  }
+};
@@ -0,0 +1,27 @@
+const { findSpans } = require('./spans');
+
+const PATTERN = /\b\d+(\.\d+)?(%|\s*(percent|percentage|data|study|research|evidence))/i;
+
+/**
+ * Rewards premises that report figures, studies or research
+ */
+module.exports = {
+  name: 'empirical-data',
+  category: 'evidence',
+  description: 'Bonus for each premise that reports data or statistics',
+  evaluate(argument) {
+    const count = argument.premises.filter(premise => this.matches(premise)).length;
+    return {
+      score: count * 0.2,
+      finding: count > 0 ? `${count} premise(s) report data or statistics` : null,
+      spans: findSpans(argument, PATTERN, ['premise'])
+    };
+  },
+  
+  /**
+   * Checks if text contains data or statistics
+   */
+  matches(text) {
+    return PATTERN.test(text);
+  }
+};
@@ -0,0 +1,26 @@
+const FallacyDetector = require('../fallacyDetector');
+
+/**
+ * Penalizes wording and structure typical of informal fallacies, once per
+ * kind of fallacy FallacyDetector finds
+ */
+module.exports = {
+  name: 'fallacies',
+  category: 'logical',
+  description: 'Penalty for each kind of fallacy found in the argument',
+  evaluate(argument) {
+    const detections = FallacyDetector.detect(argument);
+    return {
+      score: -detections.length * 0.1,
+      finding: detections.length > 0 ? detections.map(detection => detection.name).join(', ') : null,
+      spans: detections.flatMap(detection => detection.spans)
+    };
+  },
+  
+  /**
+   * Lists the fallacies an argument's wording suggests
+   */
+  detect(argument) {
+    return FallacyDetector.detect(argument).map(detection => detection.name);
+  }
+};
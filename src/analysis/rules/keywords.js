@@ -0,0 +1,10 @@
+const STOP_WORDS = new Set(['the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'is', 'was', 'for', 'it']);
+
+/**
+ * Splits text into lower-case keywords, dropping short words and stop words
+ */
+const extractKeywords = text => text.toLowerCase()
+  .split(/\W+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+module.exports = { extractKeywords };
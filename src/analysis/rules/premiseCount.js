@@ -0,0 +1,13 @@
+/**
+ * Rewards arguments resting on more than one premise
+ */
+module.exports = {
+  name: 'premise-count',
+  category: 'logical',
+  description: 'Bonus for arguments with at least two premises',
+  evaluate(argument) {
+    return argument.premises.length >= 2
+      ? { score: 0.2, finding: `Rests on ${argument.premises.length} premises` }
+      : { score: 0, finding: null };
+  }
+};
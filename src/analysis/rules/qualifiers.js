@@ -0,0 +1,27 @@
+const { findSpans } = require('./spans');
+
+const PATTERN = /\b(might|may|could|possibly|perhaps|likely|probably|generally|tends?\s+to)\b/i;
+
+/**
+ * Rewards premises that qualify their claims, as a sign of nuance
+ */
+module.exports = {
+  name: 'qualifiers',
+  category: 'evidence',
+  description: 'Bonus for each premise with a qualifier such as "likely" or "may"',
+  evaluate(argument) {
+    const count = argument.premises.filter(premise => this.matches(premise)).length;
+    return {
+      score: count * 0.1,
+      finding: count > 0 ? `${count} premise(s) are qualified` : null,
+      spans: findSpans(argument, PATTERN, ['premise'])
+    };
+  },
+  
+  /**
+   * Checks if text contains qualifiers
+   */
+  matches(text) {
+    return PATTERN.test(text);
+  }
+};
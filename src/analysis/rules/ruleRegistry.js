@@ -0,0 +1,271 @@
+/**
+ * Score categories, with the weight each has in the overall score
+ */
+const CATEGORY_WEIGHTS = {
+  logical: 0.4,
+  evidence: 0.3,
+  support: 0.3
+};
+
+/**
+ * Rules every default registry starts with, in evaluation order
+ */
+const DEFAULT_RULES = [
+  require('./conclusionOverlap'),
+  require('./fallacies'),
+  require('./coherence'),
+  require('./premiseCount'),
+  require('./empiricalData'),
+  require('./citations'),
+  require('./qualifiers'),
+  require('./supporters'),
+  require('./contradictors'),
+  require('./supporterConfidence')
+];
+
+/**
+ * RuleRegistry holds the rules the Evaluator scores arguments with. A rule is
+ * an object such as
+ *
+ *   {
+ *     name: 'official-statistics',
+ *     category: 'evidence',
+ *     description: 'Premises citing a national statistics office',
+ *     evaluate(argument, graph) {
+ *       return { score: 0.2, finding: 'Cites official statistics', spans: [] };
+ *     }
+ *   }
+ *
+ * where score is the rule's contribution to its category before weighting
+ * (negative for penalties) and finding explains it, or is null when the rule
+ * found nothing to report. A rule may also return the text it matched as
+ * spans ({ part, index, start, end, text }, see spans.js) and the IDs of the
+ * related arguments it counted as arguments. Each category score is the
+ * weighted sum of its enabled rules, clamped to [0, 1].
+ */
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+    this.weights = new Map();
+    this.disabled = new Set();
+    this.categoryWeights = { ...CATEGORY_WEIGHTS };
+  }
+  
+  /**
+   * Creates a registry holding the built-in rules
+   */
+  static createDefault() {
+    const registry = new RuleRegistry();
+    DEFAULT_RULES.forEach(rule => registry.register(rule));
+    return registry;
+  }
+  
+  /**
+   * Adds a rule. options.weight scales its score (1 by default) and
+   * options.enabled: false registers it switched off.
+   */
+  register(rule, options = {}) {
+    if (!rule || !rule.name) throw new Error('Rule name is required');
+    if (!Object.prototype.hasOwnProperty.call(CATEGORY_WEIGHTS, rule.category)) {
+      throw new Error(`Invalid rule category. Must be one of: ${Object.keys(CATEGORY_WEIGHTS).join(', ')}`);
+    }
+    if (typeof rule.evaluate !== 'function') throw new Error(`Rule ${rule.name} must have an evaluate function`);
+    if (this.rules.has(rule.name)) throw new Error(`Rule ${rule.name} is already registered`);
+    
+    this.rules.set(rule.name, rule);
+    this.setWeight(rule.name, options.weight === undefined ? 1 : options.weight);
+    if (options.enabled === false) this.disabled.add(rule.name);
+    
+    return this;
+  }
+  
+  /**
+   * Removes a rule
+   */
+  unregister(name) {
+    this.requireRule(name);
+    this.rules.delete(name);
+    this.weights.delete(name);
+    this.disabled.delete(name);
+    return this;
+  }
+  
+  /**
+   * Switches a rule on
+   */
+  enable(name) {
+    this.requireRule(name);
+    this.disabled.delete(name);
+    return this;
+  }
+  
+  /**
+   * Switches a rule off
+   */
+  disable(name) {
+    this.requireRule(name);
+    this.disabled.add(name);
+    return this;
+  }
+  
+  /**
+   * Sets the factor a rule's score is multiplied by
+   */
+  setWeight(name, weight) {
+    this.requireRule(name);
+    RuleRegistry.checkWeight(weight, `Weight of rule ${name}`);
+    this.weights.set(name, weight);
+    return this;
+  }
+  
+  /**
+   * Sets the weight of a category in the overall score
+   */
+  setCategoryWeight(category, weight) {
+    if (!Object.prototype.hasOwnProperty.call(this.categoryWeights, category)) {
+      throw new Error(`Invalid rule category. Must be one of: ${Object.keys(CATEGORY_WEIGHTS).join(', ')}`);
+    }
+    RuleRegistry.checkWeight(weight, `Weight of category ${category}`);
+    this.categoryWeights[category] = weight;
+    return this;
+  }
+  
+  /**
+   * Applies settings of the form { enabled, disabled, weights,
+   * categoryWeights }, as stored per graph in ArgumentGraph.ruleSettings.
+   * Unknown rule names throw, unless options.skipUnknown is set.
+   */
+  configure(settings = {}, options = {}) {
+    const known = name => !options.skipUnknown || this.rules.has(name);
+    
+    (settings.enabled || []).filter(known).forEach(name => this.enable(name));
+    (settings.disabled || []).filter(known).forEach(name => this.disable(name));
+    Object.entries(settings.weights || {}).filter(([name]) => known(name))
+      .forEach(([name, weight]) => this.setWeight(name, weight));
+    Object.entries(settings.categoryWeights || {}).forEach(([category, weight]) => this.setCategoryWeight(category, weight));
+    return this;
+  }
+  
+  /**
+   * Creates an independent copy of the registry
+   */
+  clone() {
+    const copy = new RuleRegistry();
+    this.rules.forEach((rule, name) => copy.rules.set(name, rule));
+    this.weights.forEach((weight, name) => copy.weights.set(name, weight));
+    this.disabled.forEach(name => copy.disabled.add(name));
+    copy.categoryWeights = { ...this.categoryWeights };
+    return copy;
+  }
+  
+  /**
+   * Gets a rule by name
+   */
+  getRule(name) {
+    return this.rules.get(name);
+  }
+  
+  /**
+   * Checks if a rule is registered
+   */
+  hasRule(name) {
+    return this.rules.has(name);
+  }
+  
+  /**
+   * Checks if a rule is registered and switched on
+   */
+  isEnabled(name) {
+    return this.rules.has(name) && !this.disabled.has(name);
+  }
+  
+  /**
+   * Gets the weight of a rule
+   */
+  getWeight(name) {
+    return this.weights.get(name);
+  }
+  
+  /**
+   * Gets the weight of each category in the overall score
+   */
+  getCategoryWeights() {
+    return { ...this.categoryWeights };
+  }
+  
+  /**
+   * Gets the enabled rules, optionally of one category, in evaluation order
+   */
+  getRules(category) {
+    return Array.from(this.rules.values()).filter(rule =>
+      !this.disabled.has(rule.name) && (!category || rule.category === category)
+    );
+  }
+  
+  /**
+   * Lists every registered rule as { name, category, description, weight,
+   * enabled }
+   */
+  listRules() {
+    return Array.from(this.rules.values()).map(rule => ({
+      name: rule.name,
+      category: rule.category,
+      description: rule.description || null,
+      weight: this.weights.get(rule.name),
+      enabled: !this.disabled.has(rule.name)
+    }));
+  }
+  
+  /**
+   * Scores an argument on one category. Returns the clamped score, the sum
+   * it was clamped from as rawScore, and the findings of the rules that
+   * reported one, as { rule, category, contribution, finding, spans,
+   * arguments }.
+   */
+  evaluate(category, argument, graph) {
+    let score = 0;
+    const findings = [];
+    
+    this.getRules(category).forEach(rule => {
+      const result = rule.evaluate(argument, graph) || {};
+      const contribution = (result.score || 0) * this.weights.get(rule.name);
+      score += contribution;
+      
+      if (result.finding) {
+        findings.push({
+          rule: rule.name,
+          category,
+          contribution,
+          finding: result.finding,
+          spans: result.spans || [],
+          arguments: result.arguments || []
+        });
+      }
+    });
+    
+    return { score: Math.max(0, Math.min(1, score)), rawScore: score, findings };
+  }
+  
+  /**
+   * Gets a rule, throwing if it is not registered
+   */
+  requireRule(name) {
+    const rule = this.rules.get(name);
+    if (!rule) throw new Error(`Unknown evaluation rule: ${name}`);
+    return rule;
+  }
+  
+  /**
+   * Checks that a weight is a non-negative number
+   */
+  static checkWeight(weight, label) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`${label} must be a non-negative number`);
+    }
+  }
+}
+
+RuleRegistry.CATEGORY_WEIGHTS = CATEGORY_WEIGHTS;
+RuleRegistry.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = RuleRegistry;
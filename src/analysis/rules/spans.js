@@ -0,0 +1,47 @@
+/**
+ * Parts of an argument whose text rules can match
+ */
+const PARTS = ['claim', 'premise', 'conclusion'];
+
+/**
+ * Lists the texts of an argument's parts as { part, index, text }, where
+ * index is the position of a premise and null for the claim and conclusion
+ */
+const getTexts = (argument, parts = PARTS) => [
+  ...(parts.includes('claim') ? [{ part: 'claim', index: null, text: argument.claim }] : []),
+  ...(parts.includes('premise') ? argument.premises.map((text, index) => ({ part: 'premise', index, text })) : []),
+  ...(parts.includes('conclusion') ? [{ part: 'conclusion', index: null, text: argument.conclusion }] : [])
+];
+
+/**
+ * Finds every match of a pattern in the given parts of an argument, as
+ * { part, index, start, end, text } with character offsets into that part
+ */
+const findSpans = (argument, pattern, parts = PARTS) => {
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  const spans = [];
+  
+  getTexts(argument, parts).forEach(({ part, index, text }) => {
+    const regex = new RegExp(pattern.source, flags);
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      spans.push({ part, index, start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+  });
+  
+  return spans;
+};
+
+/**
+ * Finds the words of the given parts that are among the keywords
+ */
+const findKeywordSpans = (argument, keywords, parts = PARTS) => {
+  const wanted = new Set(keywords);
+  return findSpans(argument, /\w+/, parts).filter(span => wanted.has(span.text.toLowerCase()));
+};
+
+module.exports = { PARTS, getTexts, findSpans, findKeywordSpans };
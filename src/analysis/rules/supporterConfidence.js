@@ -0,0 +1,19 @@
+/**
+ * Rewards support from confident arguments
+ */
+module.exports = {
+  name: 'supporter-confidence',
+  category: 'support',
+  description: 'Bonus in proportion to the average confidence of the supporters',
+  evaluate(argument, graph) {
+    const supporters = graph.getSupporterIds(argument.id).map(id => graph.getArgument(id));
+    if (supporters.length === 0) return { score: 0, finding: null };
+    
+    const average = supporters.reduce((acc, curr) => acc + curr.confidence, 0) / supporters.length;
+    return {
+      score: average * 0.2,
+      finding: `Supporters have an average confidence of ${average.toFixed(2)}`,
+      arguments: supporters.map(supporter => supporter.id)
+    };
+  }
+};
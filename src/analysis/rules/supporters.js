@@ -0,0 +1,17 @@
+/**
+ * Rewards arguments that other arguments support, up to three supporters
+ */
+module.exports = {
+  name: 'supporters',
+  category: 'support',
+  description: 'Bonus for each supporting argument, capped at three',
+  evaluate(argument, graph) {
+    const supporters = graph.getSupporterIds(argument.id).map(id => graph.getArgument(id));
+    const count = supporters.length;
+    return {
+      score: Math.min(count * 0.2, 0.6),
+      finding: count > 0 ? `Supported by ${count} argument(s)` : null,
+      arguments: supporters.map(supporter => supporter.id)
+    };
+  }
+};
@@ -1,3 +1,5 @@
+const ConsistencyChecker = require('./consistencyChecker');
+
 /**
  * Synthesizer generates synthesis arguments from multiple perspectives
  */
@@ -5,16 +7,16 @@ class Synthesizer {
   /**
    * Generates a synthesis from multiple arguments
    */
-  static generateSynthesis(arguments, graph) {
-    if (arguments.length < 2) {
+  static generateSynthesis(args, graph) {
+    if (args.length < 2) {
       throw new Error('Synthesis requires at least 2 arguments');
     }
     
-    const analysis = this.analyzeArguments(arguments);
-    const synthesis = this.constructSynthesis(arguments, analysis);
+    const analysis = this.analyzeArguments(args);
+    const synthesis = this.constructSynthesis(args, analysis);
     
     // Validate synthesis quality
-    const quality = this.evaluateSynthesisQuality(synthesis, arguments);
+    const quality = this.evaluateSynthesisQuality(synthesis, args);
     
     return {
       synthesis,
@@ -26,7 +28,7 @@ class Synthesizer {
   /**
    * Analyzes multiple arguments for synthesis opportunities
    */
-  static analyzeArguments(arguments) {
+  static analyzeArguments(args) {
     const analysis = {
       sharedThemes: [],
       complementaryPremises: [],
@@ -36,7 +38,7 @@ class Synthesizer {
     };
     
     // Find shared themes
-    const allThemes = arguments.flatMap(arg => this.extractThemes(arg));
+    const allThemes = args.flatMap(arg => this.extractThemes(arg));
     const themeFrequency = {};
     
     allThemes.forEach(theme => {
@@ -48,10 +50,10 @@ class Synthesizer {
       .map(([theme]) => theme);
     
     // Find complementary and conflicting elements
-    for (let i = 0; i < arguments.length; i++) {
-      for (let j = i + 1; j < arguments.length; j++) {
-        const arg1 = arguments[i];
-        const arg2 = arguments[j];
+    for (let i = 0; i < args.length; i++) {
+      for (let j = i + 1; j < args.length; j++) {
+        const arg1 = args[i];
+        const arg2 = args[j];
         
         // Check for complementary premises
         const complementary = this.findComplementaryPremises(arg1, arg2);
@@ -83,14 +85,14 @@ class Synthesizer {
   /**
    * Constructs synthesis argument from analysis
    */
-  static constructSynthesis(arguments, analysis) {
+  static constructSynthesis(args, analysis) {
     const synthesis = {
-      claim: this.synthesizeClaim(arguments, analysis),
-      premises: this.synthesizePremises(arguments, analysis),
-      conclusion: this.synthesizeConclusion(arguments, analysis),
+      claim: this.synthesizeClaim(args, analysis),
+      premises: this.synthesizePremises(args, analysis),
+      conclusion: this.synthesizeConclusion(args, analysis),
       type: 'synthesis',
-      supports: arguments.map(arg => arg.id),
-      confidence: this.calculateSynthesisConfidence(arguments, analysis)
+      supports: args.map(arg => arg.id),
+      confidence: this.calculateSynthesisConfidence(args, analysis)
     };
     
     return synthesis;
@@ -99,7 +101,7 @@ class Synthesizer {
   /**
    * Synthesizes claim from multiple arguments
    */
-  static synthesizeClaim(arguments, analysis) {
+  static synthesizeClaim(args, analysis) {
     // Use shared themes for synthesis
     const primaryTheme = analysis.sharedThemes[0] || 'multiple perspectives';
     
@@ -108,17 +110,17 @@ class Synthesizer {
       return `Integrating ${primaryTheme} while balancing ${analysis.reconcilableDifferences.length} distinct perspectives`;
     }
     
-    return `Comprehensive integration of ${primaryTheme} from ${arguments.length} perspectives`;
+    return `Comprehensive integration of ${primaryTheme} from ${args.length} perspectives`;
   }
   
   /**
    * Synthesizes premises from multiple arguments
    */
-  static synthesizePremises(arguments, analysis) {
+  static synthesizePremises(args, analysis) {
     const synthesizedPremises = [];
     
     // Add shared premises
-    const sharedPremises = this.findSharedPremises(arguments);
+    const sharedPremises = this.findSharedPremises(args);
     sharedPremises.forEach(premise => {
       synthesizedPremises.push(`Commonly accepted: ${premise}`);
     });
@@ -130,8 +132,8 @@ class Synthesizer {
     
     // Add reconciled differences
     analysis.reconcilableDifferences.forEach(diff => {
-      const arg1 = arguments.find(a => a.id === diff.arg1Id);
-      const arg2 = arguments.find(a => a.id === diff.arg2Id);
+      const arg1 = args.find(a => a.id === diff.arg1Id);
+      const arg2 = args.find(a => a.id === diff.arg2Id);
       synthesizedPremises.push(`Balancing ${arg1.claim} with ${arg2.claim}`);
     });
     
@@ -141,7 +143,7 @@ class Synthesizer {
   /**
    * Synthesizes conclusion from multiple arguments
    */
-  static synthesizeConclusion(arguments, analysis) {
+  static synthesizeConclusion(args, analysis) {
     let conclusion = '';
     
     if (analysis.irreconcilableDifferences.length === 0) {
@@ -161,11 +163,11 @@ class Synthesizer {
   /**
    * Calculates confidence in synthesis
    */
-  static calculateSynthesisConfidence(arguments, analysis) {
+  static calculateSynthesisConfidence(args, analysis) {
     let confidence = 0;
     
     // Base confidence from original arguments
-    const avgConfidence = arguments.reduce((acc, curr) => acc + curr.confidence, 0) / arguments.length;
+    const avgConfidence = args.reduce((acc, curr) => acc + curr.confidence, 0) / args.length;
     confidence += avgConfidence * 0.4;
     
     // Boost for shared themes
@@ -264,6 +266,11 @@ class Synthesizer {
    * Checks if claims are conflicting
    */
   static areClaimsConflicting(claim1, claim2) {
+    // Negated, antonymous or oppositely quantified statements of the same terms
+    if (ConsistencyChecker.areConflicting(claim1, claim2)) {
+      return true;
+    }
+    
     // Simple negation check
     const negationIndicators = /\b(not|no|never|none|isn't|aren't|doesn't|don't)\b/i;
     
@@ -327,19 +334,29 @@ class Synthesizer {
   /**
    * Finds shared premises between arguments
    */
-  static findSharedPremises(arguments) {
+  static findSharedPremises(args) {
     const premiseCounts = {};
-    
-    arguments.forEach(arg => {
-      arg.premises.forEach(premise => {
-        const normalized = premise.toLowerCase().trim();
-        premiseCounts[normalized] = (premiseCounts[normalized] || 0) + 1;
+    const premiseTexts = {};
+    
+    args.forEach(arg => {
+      // Count each premise once per argument, by proposition identity when the
+      // argument belongs to a graph and by normalized text otherwise
+      const keys = new Set();
+      arg.premises.forEach((premise, index) => {
+        const propositionId = arg.premiseIds && arg.premiseIds[index];
+        const key = propositionId || premise.toLowerCase().trim();
+        if (!(key in premiseTexts)) premiseTexts[key] = propositionId ? premise : key;
+        keys.add(key);
+      });
+      
+      keys.forEach(key => {
+        premiseCounts[key] = (premiseCounts[key] || 0) + 1;
       });
     });
     
     return Object.entries(premiseCounts)
       .filter(([_, count]) => count > 1)
-      .map(([premise]) => premise);
+      .map(([key]) => premiseTexts[key]);
   }
   
   /**
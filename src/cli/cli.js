@@ -0,0 +1,511 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { StructuredArgumentationTool } = require('../index');
+const GraphSchema = require('../io/graphSchema');
+const JsonFileStorageAdapter = require('../storage/jsonFileStorageAdapter');
+const ApiServer = require('../server/apiServer');
+const DebateSession = require('./debateSession');
+
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  INVALID_DATA: 4
+};
+
+const VISUALIZE_FORMATS = ['ascii', 'dot', 'mermaid', 'html'];
+const REPORT_FORMATS = ['markdown', 'html', 'json', 'text'];
+const BOOLEAN_OPTIONS = ['force', 'help'];
+const ALIASES = { f: 'file', o: 'output', h: 'help' };
+
+const COMMANDS = {
+  init: { method: 'init', usage: 'init [--force]', description: 'Create an empty graph file' },
+  add: {
+    method: 'add',
+    usage: 'add --claim <text> --premise <text>... --conclusion <text> --type <type> [--confidence <0-1>]',
+    description: 'Add an argument'
+  },
+  relate: {
+    method: 'relate',
+    usage: 'relate <from> <to> --type support|contradict|respond [--kind <kind>] [--premise <n>]',
+    description: 'Add a relationship between two arguments'
+  },
+  evaluate: { method: 'evaluate', usage: 'evaluate [<id>...]', description: 'Re-evaluate arguments (all by default)' },
+  synthesize: { method: 'synthesize', usage: 'synthesize <id> <id>...', description: 'Synthesize arguments into a new one' },
+  visualize: {
+    method: 'visualize',
+    usage: `visualize [--format ${VISUALIZE_FORMATS.join('|')}] [--output <file>]`,
+    description: 'Draw the graph'
+  },
+  report: {
+    method: 'report',
+    usage: `report [--format ${REPORT_FORMATS.join('|')}] [--output <file>]`,
+    description: 'Generate an analysis report'
+  },
+  session: { method: 'session', usage: 'session', description: 'Start an interactive, guided debate session' },
+  serve: {
+    method: 'serve',
+    usage: 'serve [--port <n>] [--host <host>] [--dir <directory>] [--allow-origin <origin>]',
+    description: 'Serve the graphs stored in a directory (default: ./graphs) over HTTP'
+  },
+  import: { method: 'importGraph', usage: 'import <file|->', description: 'Import a graph document into the graph file' },
+  export: { method: 'exportGraph', usage: 'export [--output <file>]', description: 'Print the graph document' }
+};
+
+/**
+ * CliError carries the exit code the CLI should end with
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Cli runs the `sat` command line. Every command works on a graph file
+ * (--file, $SAT_GRAPH or ./graph.json) holding an export() document. Commands
+ * print JSON, except visualize and report, which print the requested format.
+ * Errors are printed to stderr as JSON and mapped to an exit code.
+ */
+class Cli {
+  constructor(options = {}) {
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.stdin = options.stdin || process.stdin;
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+  }
+  
+  /**
+   * Runs a command line (without the node and script arguments), resolving
+   * to the exit code
+   */
+  async run(argv) {
+    try {
+      const { positionals, options } = Cli.parseArgs(argv);
+      const [command, ...args] = positionals;
+      
+      if (!command || command === 'help' || options.help) {
+        this.stdout.write(Cli.getUsage());
+        return command || options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+      }
+      
+      if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        throw new CliError(`Unknown command: ${command}. Run "sat help" for a list of commands`, EXIT_CODES.USAGE);
+      }
+      
+      const result = await this[COMMANDS[command].method](args, options);
+      this.stdout.write(typeof result === 'string' ? result : JSON.stringify(result, null, 2));
+      this.stdout.write('\n');
+      return EXIT_CODES.OK;
+    } catch (error) {
+      const output = { error: { message: error.message, exitCode: Cli.getExitCode(error) } };
+      if (error.errors) output.error.errors = error.errors;
+      
+      this.stderr.write(JSON.stringify(output, null, 2) + '\n');
+      return output.error.exitCode;
+    }
+  }
+  
+  /**
+   * Creates an empty graph file
+   */
+  async init(args, options) {
+    const file = this.getGraphFile(options);
+    if (!options.force && await Cli.exists(file)) {
+      throw new CliError(`Graph file ${file} already exists. Use --force to overwrite it`);
+    }
+    
+    await this.saveTool(new StructuredArgumentationTool(), file);
+    return { file, created: true };
+  }
+  
+  /**
+   * Adds an argument
+   */
+  async add(args, options) {
+    ['claim', 'conclusion', 'type'].forEach(name => Cli.requireOption(options, name));
+    const confidence = options.confidence === undefined ? 0.5 : Cli.parseNumber(options.confidence, 'confidence');
+    
+    return this.withTool(options, tool => {
+      let argument;
+      try {
+        argument = tool.createArgument(
+          options.claim,
+          Cli.getList(options, 'premise'),
+          options.conclusion,
+          options.type,
+          confidence
+        );
+      } catch (error) {
+        // Argument rejected the type, confidence or text it was given
+        throw new CliError(error.message, EXIT_CODES.INVALID_DATA);
+      }
+      return { argument: argument.toJSON() };
+    });
+  }
+  
+  /**
+   * Adds a relationship
+   */
+  async relate(args, options) {
+    if (args.length !== 2) throw new CliError(`Usage: sat ${COMMANDS.relate.usage}`, EXIT_CODES.USAGE);
+    Cli.requireOption(options, 'type');
+    
+    const [from, to] = args;
+    const relationship = { from, to, type: options.type };
+    if (options.kind) relationship.kind = options.kind;
+    if (options.premise !== undefined) {
+      const premise = Cli.parseNumber(options.premise, 'premise');
+      if (!Number.isInteger(premise) || premise < 1) {
+        throw new CliError('Option --premise must be a premise number starting at 1', EXIT_CODES.USAGE);
+      }
+      relationship.premiseIndex = premise - 1;
+      relationship.kind = relationship.kind || 'undermining';
+    }
+    
+    return this.withTool(options, tool => {
+      Cli.requireArguments(tool, [from, to]);
+      try {
+        tool.addRelationship(from, to, relationship.type, relationship);
+      } catch (error) {
+        // The graph rejected the type, attack kind or premise it was given
+        throw new CliError(error.message, EXIT_CODES.INVALID_DATA);
+      }
+      return { relationship };
+    });
+  }
+  
+  /**
+   * Re-evaluates the given arguments, or all of them
+   */
+  async evaluate(args, options) {
+    return this.withTool(options, tool => {
+      const ids = args.length > 0 ? Cli.requireArguments(tool, args) : Array.from(tool.getAllArguments().keys());
+      return {
+        evaluations: ids.map(argumentId => {
+          const evaluation = tool.evaluateArgument(argumentId);
+          return {
+            argumentId,
+            score: evaluation.score,
+            strengths: evaluation.strengths,
+            weaknesses: evaluation.weaknesses,
+            justification: evaluation.justification,
+            explanation: evaluation.explanation
+          };
+        })
+      };
+    });
+  }
+  
+  /**
+   * Synthesizes arguments into a new synthesis argument
+   */
+  async synthesize(args, options) {
+    if (args.length < 2) throw new CliError(`Usage: sat ${COMMANDS.synthesize.usage}`, EXIT_CODES.USAGE);
+    
+    return this.withTool(options, tool => ({ argument: tool.synthesize(Cli.requireArguments(tool, args)).toJSON() }));
+  }
+  
+  /**
+   * Draws the graph
+   */
+  async visualize(args, options) {
+    const format = Cli.getFormat(options, VISUALIZE_FORMATS, 'ascii');
+    const tool = await this.loadTool(this.getGraphFile(options));
+    
+    return this.writeOutput(tool.visualize(format), options);
+  }
+  
+  /**
+   * Generates a report
+   */
+  async report(args, options) {
+    const format = Cli.getFormat(options, REPORT_FORMATS, 'markdown');
+    const tool = await this.loadTool(this.getGraphFile(options));
+    
+    return this.writeOutput(tool.generateReport(format), options);
+  }
+  
+  /**
+   * Runs an interactive session on the graph file, creating it if needed and
+   * saving it after every change
+   */
+  async session(args, options) {
+    const file = this.getGraphFile(options);
+    const tool = await Cli.exists(file) ? await this.loadTool(file) : new StructuredArgumentationTool();
+    
+    await new DebateSession(tool, {
+      input: this.stdin,
+      output: this.stdout,
+      save: session => this.saveTool(session, file)
+    }).start();
+    
+    return `Saved to ${file}`;
+  }
+  
+  /**
+   * Serves the graphs stored in a directory over HTTP until interrupted
+   */
+  async serve(args, options) {
+    const port = options.port === undefined ? 3000 : Cli.parseNumber(options.port, 'port');
+    const directory = path.resolve(this.cwd, options.dir || 'graphs');
+    const server = new ApiServer({
+      adapter: new JsonFileStorageAdapter(directory),
+      allowOrigin: options['allow-origin']
+    });
+    
+    const address = await server.listen(port, options.host || '127.0.0.1');
+    this.stdout.write(`Serving ${directory} at http://${address.address}:${address.port}\n`);
+    
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    await server.close();
+    return 'Server stopped';
+  }
+  
+  /**
+   * Imports a graph document from a file, or from stdin with "-". Creates the
+   * graph file if it does not exist yet.
+   */
+  async importGraph(args, options) {
+    if (args.length !== 1) throw new CliError(`Usage: sat ${COMMANDS.import.usage}`, EXIT_CODES.USAGE);
+    
+    const source = args[0];
+    const text = source === '-' ? await this.readStdin() : await this.readFile(path.resolve(this.cwd, source));
+    const document = Cli.parseJson(text, source === '-' ? 'stdin' : source);
+    
+    const file = this.getGraphFile(options);
+    const tool = await Cli.exists(file) ? await this.loadTool(file) : new StructuredArgumentationTool();
+    tool.import(document);
+    await this.saveTool(tool, file);
+    
+    return { file, arguments: tool.getAllArguments().size };
+  }
+  
+  /**
+   * Prints the graph document, or writes it to --output
+   */
+  async exportGraph(args, options) {
+    const tool = await this.loadTool(this.getGraphFile(options));
+    return this.writeOutput(JSON.stringify(tool.export(), null, 2), options);
+  }
+  
+  /**
+   * Loads the graph file, runs a command against it and saves the result
+   */
+  async withTool(options, command) {
+    const file = this.getGraphFile(options);
+    const tool = await this.loadTool(file);
+    const result = command(tool);
+    await this.saveTool(tool, file);
+    return result;
+  }
+  
+  /**
+   * Gets the path of the graph file
+   */
+  getGraphFile(options) {
+    return path.resolve(this.cwd, options.file || this.env.SAT_GRAPH || 'graph.json');
+  }
+  
+  /**
+   * Loads a tool from a graph file
+   */
+  async loadTool(file) {
+    const document = Cli.parseJson(await this.readFile(file, 'Run "sat init" to create it'), file);
+    const tool = new StructuredArgumentationTool();
+    tool.import(document);
+    return tool;
+  }
+  
+  /**
+   * Writes a tool's export() document to a graph file, replacing it
+   * atomically
+   */
+  async saveTool(tool, file) {
+    const tempPath = `${file}.${process.pid}.tmp`;
+    
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(tool.export(), null, 2) + '\n');
+    await fs.rename(tempPath, file);
+  }
+  
+  /**
+   * Returns output for stdout, or writes it to --output and describes the file
+   */
+  async writeOutput(output, options) {
+    if (!options.output) return output;
+    
+    const file = path.resolve(this.cwd, options.output);
+    await fs.writeFile(file, output.endsWith('\n') ? output : output + '\n');
+    return { file, bytes: Buffer.byteLength(output) };
+  }
+  
+  /**
+   * Reads a file, turning a missing file into a NOT_FOUND error
+   */
+  async readFile(file, hint) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new CliError(`File ${file} does not exist${hint ? `. ${hint}` : ''}`, EXIT_CODES.NOT_FOUND);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Reads all of stdin
+   */
+  async readStdin() {
+    const chunks = [];
+    for await (const chunk of this.stdin) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  
+  /**
+   * Parses command line arguments into positionals and options. Options are
+   * written --name value, --name=value or -f value; repeated options become
+   * arrays.
+   */
+  static parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      const match = /^(?:--([^=]+)|-([a-zA-Z]))(?:=(.*))?$/.exec(arg);
+      
+      if (!match || arg === '-') {
+        positionals.push(arg);
+        continue;
+      }
+      
+      const name = match[1] || ALIASES[match[2]];
+      if (!name) throw new CliError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+      
+      let value;
+      if (BOOLEAN_OPTIONS.includes(name)) {
+        value = true;
+      } else if (match[3] !== undefined) {
+        value = match[3];
+      } else if (i + 1 < argv.length) {
+        value = argv[++i];
+      } else {
+        throw new CliError(`Option --${name} requires a value`, EXIT_CODES.USAGE);
+      }
+      
+      options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+    }
+    
+    return { positionals, options };
+  }
+  
+  /**
+   * Gets the exit code for an error
+   */
+  static getExitCode(error) {
+    if (error instanceof CliError) return error.exitCode;
+    if (error instanceof GraphSchema.SchemaValidationError) return EXIT_CODES.INVALID_DATA;
+    return EXIT_CODES.ERROR;
+  }
+  
+  /**
+   * Checks that every ID names an argument of the tool's graph, returning
+   * the IDs
+   */
+  static requireArguments(tool, ids) {
+    ids.forEach(id => {
+      if (!tool.getArgument(id)) throw new CliError(`Argument with ID ${id} does not exist`, EXIT_CODES.NOT_FOUND);
+    });
+    return ids;
+  }
+  
+  /**
+   * Gets the help text
+   */
+  static getUsage() {
+    const lines = ['Usage: sat <command> [options]', '', 'Commands:'];
+    Object.values(COMMANDS).forEach(command => {
+      lines.push(`  ${command.usage}`);
+      lines.push(`      ${command.description}`);
+    });
+    lines.push('');
+    lines.push('Options:');
+    lines.push('  -f, --file <path>   Graph file (default: $SAT_GRAPH or ./graph.json)');
+    lines.push('  -h, --help          Show this help');
+    lines.push('');
+    lines.push('Exit codes:');
+    Object.entries(EXIT_CODES).forEach(([name, code]) => lines.push(`  ${code}  ${name}`));
+    return lines.join('\n') + '\n';
+  }
+  
+  /**
+   * Throws a usage error if an option is missing
+   */
+  static requireOption(options, name) {
+    if (options[name] === undefined) throw new CliError(`Option --${name} is required`, EXIT_CODES.USAGE);
+  }
+  
+  /**
+   * Gets an option that may be given several times as a list
+   */
+  static getList(options, name) {
+    return options[name] === undefined ? [] : [].concat(options[name]);
+  }
+  
+  /**
+   * Parses a numeric option
+   */
+  static parseNumber(value, name) {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) {
+      throw new CliError(`Option --${name} must be a number`, EXIT_CODES.USAGE);
+    }
+    return number;
+  }
+  
+  /**
+   * Gets the --format option, checking it against the supported formats
+   */
+  static getFormat(options, formats, defaultFormat) {
+    const format = options.format || defaultFormat;
+    if (!formats.includes(format)) {
+      throw new CliError(`Invalid format: ${format}. Must be one of: ${formats.join(', ')}`, EXIT_CODES.USAGE);
+    }
+    return format;
+  }
+  
+  /**
+   * Parses JSON, reporting the source on failure
+   */
+  static parseJson(text, source) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new CliError(`${source} is not valid JSON: ${error.message}`, EXIT_CODES.INVALID_DATA);
+    }
+  }
+  
+  /**
+   * Checks whether a file exists
+   */
+  static async exists(file) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+Cli.CliError = CliError;
+Cli.EXIT_CODES = EXIT_CODES;
+Cli.COMMANDS = COMMANDS;
+
+module.exports = Cli;
@@ -0,0 +1,396 @@
+const readline = require('readline');
+
+/**
+ * Arguments a new argument of each type answers, and how it relates to them
+ */
+const TARGETS = {
+  antithesis: { types: ['thesis'], relationship: 'contradict' },
+  objection: { types: ['thesis', 'antithesis', 'synthesis', 'rebuttal'], relationship: 'contradict' },
+  rebuttal: { types: ['objection', 'antithesis'], relationship: 'respond' }
+};
+
+const HELP = [
+  'Commands:',
+  '  next                      add the suggested next argument (or just press Enter)',
+  '  add <type>                add a thesis, antithesis, objection, rebuttal or synthesis',
+  '  relate <from> <to> <type> add a support, contradict or respond relationship',
+  '  edit <id>                 edit an argument',
+  '  evaluate [<id>]           evaluate one argument, or all of them',
+  '  synthesize [<id> <id>]    synthesize two arguments, or the best candidate',
+  '  show                      show the graph',
+  '  undo, redo                undo or redo the last command',
+  '  quit                      end the session'
+].join('\n');
+
+/**
+ * Thrown when the input ends in the middle of a prompt
+ */
+class EndOfInput extends Error {
+  constructor() {
+    super('Input ended');
+    this.name = 'EndOfInput';
+  }
+}
+
+/**
+ * DebateSession walks a user through a dialectic in the terminal. It prompts
+ * for a thesis, then suggests the next move from the DialecticalEngine
+ * (the argument type the debate is missing and the best synthesis
+ * candidates), shows the ASCII graph after each step, and calls options.save
+ * after every change so the session is saved as it goes.
+ */
+class DebateSession {
+  constructor(tool, options = {}) {
+    this.tool = tool;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.save = options.save || (async () => {});
+    this.lines = null;
+  }
+  
+  /**
+   * Runs the session until the user quits or the input ends
+   */
+  async start() {
+    const rl = readline.createInterface({ input: this.input, terminal: false });
+    this.lines = rl[Symbol.asyncIterator]();
+    
+    try {
+      this.print('Structured argumentation session. Type "help" for commands.');
+      
+      if (this.tool.getAllArguments().size === 0) {
+        this.print('\nStart by stating the thesis under debate.');
+        await this.runStep(() => this.addArgument('thesis'));
+      } else {
+        this.showGraph();
+      }
+      
+      for (;;) {
+        this.showSuggestions();
+        const [command, ...args] = (await this.ask('> ')).trim().split(/\s+/);
+        if (command === 'quit' || command === 'exit') break;
+        
+        await this.runCommand(command || 'next', args);
+      }
+    } catch (error) {
+      if (!(error instanceof EndOfInput)) throw error;
+    } finally {
+      rl.close();
+    }
+    
+    this.print('\nSession ended.');
+  }
+  
+  /**
+   * Runs one session command
+   */
+  async runCommand(command, args) {
+    switch (command) {
+      case 'help':
+        return this.print(HELP);
+      case 'show':
+        return this.showGraph();
+      case 'next':
+        return this.runStep(() => this.addSuggestedArgument());
+      case 'add':
+        return this.runStep(() => this.addArgument(args[0]));
+      case 'relate':
+        return this.runStep(() => this.relate(args));
+      case 'edit':
+        return this.runStep(() => this.editArgument(args[0]));
+      case 'evaluate':
+        return this.runStep(() => this.evaluate(args[0]));
+      case 'synthesize':
+        return this.runStep(() => this.synthesize(args));
+      case 'undo':
+      case 'redo':
+        return this.runStep(async () => {
+          if (this.tool[command]().length === 0) throw new Error(`Nothing to ${command}`);
+        });
+      default:
+        return this.print(`Unknown command: ${command}. Type "help" for commands.`);
+    }
+  }
+  
+  /**
+   * Runs a step that may change the graph, then saves and shows the graph.
+   * Errors are reported and the session carries on.
+   */
+  async runStep(step) {
+    const getState = () => {
+      const events = this.tool.getHistory();
+      return { length: events.length, last: events[events.length - 1] };
+    };
+    const before = getState();
+    
+    try {
+      await step();
+    } catch (error) {
+      if (error instanceof EndOfInput) throw error;
+      this.print(`Error: ${error.message}`);
+      return;
+    }
+    
+    const after = getState();
+    if (after.length !== before.length || after.last !== before.last) {
+      await this.save(this.tool);
+      this.showGraph();
+    }
+  }
+  
+  /**
+   * Adds an argument of the type the engine suggests, or a synthesis of the
+   * best candidate pair
+   */
+  async addSuggestedArgument() {
+    const type = this.tool.engine.suggestNextArgumentType();
+    if (type === 'synthesis') return this.synthesize([]);
+    
+    this.print(`\nAdding ${DebateSession.withArticle(type)}.`);
+    return this.addArgument(type);
+  }
+  
+  /**
+   * Prompts for an argument of the given type and what it answers, and adds
+   * both as one undoable step
+   */
+  async addArgument(type) {
+    if (type === 'synthesis') return this.synthesize([]);
+    if (!['thesis', ...Object.keys(TARGETS)].includes(type)) {
+      throw new Error('Usage: add thesis|antithesis|objection|rebuttal|synthesis');
+    }
+    
+    const target = TARGETS[type] ? await this.chooseTarget(type) : null;
+    const attack = target && TARGETS[type].relationship === 'contradict' ? await this.chooseAttack(target) : null;
+    
+    const claim = await this.askRequired('Claim: ');
+    const premises = await this.askList('Premises (one per line, empty line to finish):');
+    const conclusion = await this.askRequired('Conclusion: ');
+    const confidence = await this.askNumber('Confidence 0-1 [0.5]: ', 0.5);
+    
+    const argument = this.tool.transact(() => {
+      const created = this.tool.createArgument(claim, premises, conclusion, type, confidence);
+      if (attack) this.tool.addRelationship(created.id, target.id, 'contradict', attack);
+      if (type === 'rebuttal') this.tool.addRelationship(created.id, target.id, 'respond');
+      return created;
+    });
+    
+    this.print(`Added ${argument.id}.`);
+    return argument;
+  }
+  
+  /**
+   * Asks which argument a new argument of the given type answers, defaulting
+   * to the most recent one nobody has answered yet
+   */
+  async chooseTarget(type) {
+    const candidates = Array.from(this.tool.getAllArguments().values())
+      .filter(arg => TARGETS[type].types.includes(arg.type));
+    if (candidates.length === 0) {
+      const answers = TARGETS[type].types.map(DebateSession.withArticle).join(' or ');
+      throw new Error(`Cannot add ${DebateSession.withArticle(type)} without ${answers} to answer`);
+    }
+    
+    const graph = this.tool.graph;
+    const unanswered = candidates.filter(arg => graph.getAttackerIds(arg.id).length + graph.getResponderIds(arg.id).length === 0);
+    const fallback = (unanswered.length > 0 ? unanswered : candidates).slice(-1)[0];
+    
+    this.print('Which argument does it answer?');
+    candidates.forEach((arg, index) => this.print(`  ${index + 1}. [${arg.id}] ${arg.claim}`));
+    
+    for (;;) {
+      const answer = (await this.ask(`Target [${fallback.id}]: `)).trim();
+      if (!answer) return fallback;
+      
+      const chosen = candidates[Number(answer) - 1] || candidates.find(arg => arg.id === answer);
+      if (chosen) return chosen;
+      this.print(`Enter a number from 1 to ${candidates.length} or an argument ID.`);
+    }
+  }
+  
+  /**
+   * Asks which part of the target an attack is aimed at
+   */
+  async chooseAttack(target) {
+    target.premises.forEach((premise, index) => this.print(`  p${index + 1}. ${premise}`));
+    
+    for (;;) {
+      const answer = (await this.ask('Attack a premise (number), the inference (i) or the conclusion [c]: ')).trim().toLowerCase();
+      if (!answer || answer === 'c') return { kind: 'rebutting' };
+      if (answer === 'i') return { kind: 'undercutting' };
+      
+      const premise = Number(answer.replace(/^p/, ''));
+      if (Number.isInteger(premise) && premise >= 1 && premise <= target.premises.length) {
+        return { kind: 'undermining', premiseIndex: premise - 1 };
+      }
+      this.print('Enter a premise number, i or c.');
+    }
+  }
+  
+  /**
+   * Adds a relationship: relate <from> <to> <type>
+   */
+  async relate(args) {
+    if (args.length !== 3) throw new Error('Usage: relate <from> <to> support|contradict|respond');
+    const [from, to, type] = args;
+    
+    this.tool.addRelationship(from, to, type);
+    this.print(`${from} now ${type === 'support' ? 'supports' : type === 'respond' ? 'responds to' : 'contradicts'} ${to}.`);
+  }
+  
+  /**
+   * Edits an argument field by field; pressing Enter keeps a value
+   */
+  async editArgument(argumentId) {
+    if (!argumentId) throw new Error('Usage: edit <id>');
+    const argument = this.tool.getArgument(argumentId);
+    if (!argument) throw new Error(`Argument with ID ${argumentId} does not exist`);
+    
+    const changes = {};
+    const claim = (await this.ask(`Claim [${argument.claim}]: `)).trim();
+    if (claim) changes.claim = claim;
+    
+    this.print('Premises:');
+    argument.premises.forEach((premise, index) => this.print(`  ${index + 1}. ${premise}`));
+    const premises = await this.askList('New premises (one per line, empty line to keep the current ones):');
+    if (premises.length > 0) changes.premises = premises;
+    
+    const conclusion = (await this.ask(`Conclusion [${argument.conclusion}]: `)).trim();
+    if (conclusion) changes.conclusion = conclusion;
+    
+    const confidence = await this.askNumber(`Confidence 0-1 [${argument.confidence}]: `, argument.confidence);
+    if (confidence !== argument.confidence) changes.confidence = confidence;
+    
+    if (Object.keys(changes).length === 0) {
+      this.print('No changes.');
+      return;
+    }
+    
+    this.tool.editArgument(argumentId, changes);
+    this.print(`Updated ${argumentId}.`);
+  }
+  
+  /**
+   * Evaluates one argument, or all of them, and prints the results
+   */
+  async evaluate(argumentId) {
+    const ids = argumentId ? [argumentId] : Array.from(this.tool.getAllArguments().keys());
+    
+    this.tool.transact(() => ids.forEach(id => {
+      const evaluation = this.tool.evaluateArgument(id);
+      this.print(`\n[${id}] ${this.tool.getArgument(id).claim}`);
+      this.print(`  Score: ${(evaluation.score * 100).toFixed(1)}%`);
+      evaluation.strengths.forEach(strength => this.print(`  + ${strength}`));
+      evaluation.weaknesses.forEach(weakness => this.print(`  - ${weakness}`));
+    }));
+  }
+  
+  /**
+   * Synthesizes the given arguments, or offers the best synthesis candidate
+   */
+  async synthesize(args) {
+    let ids = args;
+    
+    if (ids.length === 0) {
+      const [candidate] = this.tool.engine.findSynthesisCandidates();
+      if (!candidate) throw new Error('No thesis and antithesis are ready for synthesis. Use: synthesize <id> <id>');
+      
+      const claim = id => this.tool.getArgument(id).claim;
+      this.print(`\nSynthesis candidate (potential ${candidate.potential.toFixed(2)}):`);
+      this.print(`  [${candidate.thesis}] ${claim(candidate.thesis)}`);
+      this.print(`  [${candidate.antithesis}] ${claim(candidate.antithesis)}`);
+      
+      const answer = (await this.ask('Synthesize them? [Y/n]: ')).trim().toLowerCase();
+      if (answer === 'n' || answer === 'no') return;
+      ids = [candidate.thesis, candidate.antithesis];
+    }
+    
+    const synthesis = this.tool.synthesize(ids);
+    this.print(`Added ${synthesis.id}: ${synthesis.claim}`);
+  }
+  
+  /**
+   * Prints the ASCII graph
+   */
+  showGraph() {
+    this.print('');
+    this.print(this.tool.visualize('ascii'));
+  }
+  
+  /**
+   * Prints the suggested next move
+   */
+  showSuggestions() {
+    const [next, ...syntheses] = this.tool.suggestNextArguments();
+    this.print(`\nSuggested next move: ${DebateSession.withArticle(next.type)} ("next" or Enter)`);
+    syntheses.slice(0, 3).forEach(suggestion => {
+      this.print(`  or synthesize ${suggestion.argumentIds.join(' and ')} (potential ${suggestion.potential.toFixed(2)})`);
+    });
+  }
+  
+  /**
+   * Writes a prompt and resolves to the next line of input
+   */
+  async ask(prompt) {
+    this.output.write(prompt);
+    const { value, done } = await this.lines.next();
+    if (done) throw new EndOfInput();
+    return value;
+  }
+  
+  /**
+   * Asks until a non-empty answer is given
+   */
+  async askRequired(prompt) {
+    for (;;) {
+      const answer = (await this.ask(prompt)).trim();
+      if (answer) return answer;
+    }
+  }
+  
+  /**
+   * Asks for lines until an empty one
+   */
+  async askList(heading) {
+    this.print(heading);
+    const items = [];
+    for (;;) {
+      const item = (await this.ask('  - ')).trim();
+      if (!item) return items;
+      items.push(item);
+    }
+  }
+  
+  /**
+   * Asks for a number between 0 and 1, with a default
+   */
+  async askNumber(prompt, defaultValue) {
+    for (;;) {
+      const answer = (await this.ask(prompt)).trim();
+      if (!answer) return defaultValue;
+      
+      const number = Number(answer);
+      if (!Number.isNaN(number) && number >= 0 && number <= 1) return number;
+      this.print('Enter a number between 0 and 1.');
+    }
+  }
+  
+  /**
+   * Prefixes an argument type with "a" or "an"
+   */
+  static withArticle(type) {
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+  }
+  
+  /**
+   * Writes a line of output
+   */
+  print(text) {
+    this.output.write(`${text}\n`);
+  }
+}
+
+DebateSession.EndOfInput = EndOfInput;
+DebateSession.HELP = HELP;
+
+module.exports = DebateSession;
@@ -0,0 +1,489 @@
+const Argument = require('../core/argument');
+const ArgumentGraph = require('../core/argumentGraph');
+const Evaluator = require('../analysis/evaluator');
+
+/**
+ * Argument fields held in last-writer-wins registers
+ */
+const FIELDS = ['claim', 'premises', 'conclusion', 'argumentType', 'confidence', 'author', 'scheme', 'criticalQuestion', 'respondsTo'];
+
+const RELATIONSHIP_TYPES = ['support', 'contradict'];
+
+/**
+ * CrdtGraph is one replica of an argument graph that several peers edit at
+ * once. Every local edit becomes an operation that is applied locally and
+ * handed to onUpdate listeners for broadcast; operations received from other
+ * peers are applied with applyUpdates, in any order and any number of times.
+ * Replicas that have seen the same operations materialize the same graph.
+ *
+ * - Arguments and support/contradict relationships are observed-remove sets:
+ *   a removal only cancels the additions the remover had seen, so a
+ *   concurrent re-add survives.
+ * - Argument fields (including respondsTo), participants, stances and the
+ *   rule settings are last-writer-wins registers ordered by Lamport
+ *   timestamp, then peer ID.
+ * - Relationships whose arguments are missing and undermining attacks on
+ *   premises that no longer exist are left out of the materialized graph.
+ *
+ * Each operation carries its origin peer and a per-peer sequence number, so
+ * getVersionVector/getUpdatesSince can bring a lagging replica up to date.
+ */
+class CrdtGraph {
+  constructor(options = {}) {
+    if (!options.peerId) throw new Error('Peer ID is required');
+    
+    this.peerId = options.peerId;
+    this.clock = 0;
+    this.sequence = 0;
+    this.operations = new Map();
+    this.listeners = [];
+    
+    // Observed-remove sets: element -> add tags, and the removed tags
+    this.argumentTags = new Map();
+    this.edgeTags = new Map();
+    this.edges = new Map();
+    this.tombstones = new Set();
+    
+    // Last-writer-wins registers: key -> { value, stamp }
+    this.registers = new Map();
+    this.participants = new Map();
+    this.stances = new Map();
+  }
+  
+  /**
+   * Adds an argument. Relationships in the data (supports, contradicts,
+   * attacks, respondsTo) are added as separate operations.
+   */
+  addArgument(argumentData) {
+    const argument = new Argument(argumentData);
+    if (this.hasArgument(argument.id)) {
+      throw new Error(`Argument with ID ${argument.id} already exists`);
+    }
+    
+    const fields = {};
+    FIELDS.forEach(field => {
+      fields[field] = field === 'argumentType' ? argument.type : field === 'respondsTo' ? null : argument[field];
+    });
+    
+    const operations = [this.commit({ type: 'add-argument', argumentId: argument.id, fields, createdAt: argument.createdAt.toISOString() })];
+    
+    argument.supports.forEach(target => operations.push(...this.addRelationship(argument.id, target, 'support')));
+    argument.attacks.forEach(attack => operations.push(...this.addRelationship(argument.id, attack.target, 'contradict', attack)));
+    if (argument.respondsTo) operations.push(...this.addRelationship(argument.id, argument.respondsTo, 'respond'));
+    
+    return operations;
+  }
+  
+  /**
+   * Changes fields of an argument (claim, premises, conclusion, argumentType,
+   * confidence, author, scheme, criticalQuestion)
+   */
+  updateArgument(argumentId, changes) {
+    this.requireArgument(argumentId);
+    
+    const unknown = Object.keys(changes).filter(field => !FIELDS.includes(field) || field === 'respondsTo');
+    if (unknown.length > 0) {
+      throw new Error(`Cannot update ${unknown.join(', ')}. Fields must be one of: ${FIELDS.filter(f => f !== 'respondsTo').join(', ')}`);
+    }
+    
+    // Validate the argument as it would be after the change
+    new Argument({ ...this.getArgumentData(argumentId), ...changes, argumentId });
+    
+    return Object.entries(changes).map(([field, value]) =>
+      this.commit({ type: 'set-field', argumentId, field, value })
+    );
+  }
+  
+  /**
+   * Removes an argument
+   */
+  removeArgument(argumentId) {
+    this.requireArgument(argumentId);
+    return [this.commit({ type: 'remove-argument', argumentId, tags: this.getLiveTags(this.argumentTags, argumentId) })];
+  }
+  
+  /**
+   * Adds a support, contradict or respond relationship. Contradictions accept
+   * options.kind and options.premiseIndex.
+   */
+  addRelationship(from, to, type, options = {}) {
+    this.requireArgument(from);
+    this.requireArgument(to);
+    
+    if (type === 'respond') {
+      return [this.commit({ type: 'set-field', argumentId: from, field: 'respondsTo', value: to })];
+    }
+    
+    const edge = this.createEdge(from, to, type, options);
+    return [this.commit({ type: 'add-edge', key: CrdtGraph.getEdgeKey(edge), edge })];
+  }
+  
+  /**
+   * Removes a relationship
+   */
+  removeRelationship(from, to, type, options = {}) {
+    if (type === 'respond') {
+      return [this.commit({ type: 'set-field', argumentId: from, field: 'respondsTo', value: null })];
+    }
+    
+    const key = CrdtGraph.getEdgeKey(this.createEdge(from, to, type, options));
+    const tags = this.getLiveTags(this.edgeTags, key);
+    if (tags.length === 0) throw new Error(`No ${type} relationship from ${from} to ${to}`);
+    
+    return [this.commit({ type: 'remove-edge', key, tags })];
+  }
+  
+  /**
+   * Adds or updates a participant
+   */
+  addParticipant(participantData) {
+    const data = { name: null, team: null, role: null, createdAt: new Date().toISOString(), ...participantData };
+    if (!data.participantId) throw new Error('Participant ID is required');
+    
+    return [this.commit({ type: 'set-participant', participant: data })];
+  }
+  
+  /**
+   * Records a participant's stance toward an argument
+   */
+  setStance(participantId, argumentId, stance) {
+    if (!ArgumentGraph.STANCES.includes(stance)) {
+      throw new Error(`Invalid stance. Must be one of: ${ArgumentGraph.STANCES.join(', ')}`);
+    }
+    this.requireArgument(argumentId);
+    
+    return [this.commit({ type: 'set-stance', participantId, argumentId, stance })];
+  }
+  
+  /**
+   * Sets the evaluation rule settings of the graph, or null for the defaults
+   */
+  setRuleSettings(settings) {
+    // Check the rule names and weights before recording anything
+    if (settings) Evaluator.rules.clone().configure(settings);
+    
+    return [this.commit({ type: 'set-rules', settings: settings || null })];
+  }
+  
+  /**
+   * Registers a listener for operations made on this replica
+   */
+  onUpdate(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(registered => registered !== listener);
+    };
+  }
+  
+  /**
+   * Applies operations from other replicas, returning how many were new
+   */
+  applyUpdates(operations) {
+    let applied = 0;
+    
+    operations.forEach(operation => {
+      if (this.operations.has(operation.id)) return;
+      
+      this.apply(operation);
+      this.clock = Math.max(this.clock, operation.stamp.counter);
+      applied++;
+    });
+    
+    return applied;
+  }
+  
+  /**
+   * Gets the highest sequence number seen from each peer, counting only
+   * operations received without gaps
+   */
+  getVersionVector() {
+    const seen = new Map();
+    this.operations.forEach(operation => {
+      if (!seen.has(operation.origin)) seen.set(operation.origin, new Set());
+      seen.get(operation.origin).add(operation.sequence);
+    });
+    
+    const vector = {};
+    seen.forEach((sequences, origin) => {
+      let sequence = 0;
+      while (sequences.has(sequence + 1)) sequence++;
+      vector[origin] = sequence;
+    });
+    
+    return vector;
+  }
+  
+  /**
+   * Gets the operations a replica with the given version vector is missing
+   */
+  getUpdatesSince(versionVector = {}) {
+    return Array.from(this.operations.values()).filter(operation =>
+      operation.sequence > (versionVector[operation.origin] || 0)
+    );
+  }
+  
+  /**
+   * Builds an ArgumentGraph from the current state
+   */
+  toGraph() {
+    const graph = new ArgumentGraph();
+    
+    Array.from(this.participants.values())
+         .sort((a, b) => a.value.participantId.localeCompare(b.value.participantId))
+         .forEach(({ value }) => graph.addParticipant(value));
+    
+    const argumentIds = this.getArgumentIds();
+    argumentIds.forEach(argumentId => {
+      const data = this.getArgumentData(argumentId);
+      if (data.author && !graph.getParticipant(data.author)) data.author = null;
+      graph.addArgument({ ...data, respondsTo: null });
+    });
+    
+    this.getEdges().forEach(edge => {
+      if (!graph.getArgument(edge.from) || !graph.getArgument(edge.to)) return;
+      if (edge.kind === 'undermining' && edge.premiseIndex >= graph.getArgument(edge.to).premises.length) return;
+      
+      if (edge.type === 'support') {
+        graph.addSupportsRelationship(edge.from, edge.to);
+      } else {
+        graph.addContradictsRelationship(edge.from, edge.to, edge);
+      }
+    });
+    
+    argumentIds.forEach(argumentId => {
+      const respondsTo = this.getRegister(argumentId, 'respondsTo');
+      if (respondsTo && graph.getArgument(respondsTo)) graph.addRespondsToRelationship(argumentId, respondsTo);
+    });
+    
+    Array.from(this.stances.keys()).sort().forEach(key => {
+      const { value } = this.stances.get(key);
+      if (graph.getParticipant(value.participantId) && graph.getArgument(value.argumentId)) {
+        graph.setStance(value.participantId, value.argumentId, value.stance);
+      }
+    });
+    
+    const rules = this.registers.get('ruleSettings');
+    graph.setRuleSettings(rules ? rules.value : null);
+    
+    return graph;
+  }
+  
+  /**
+   * Checks whether an argument is currently present
+   */
+  hasArgument(argumentId) {
+    return this.getLiveTags(this.argumentTags, argumentId).length > 0;
+  }
+  
+  /**
+   * Lists the present arguments, ordered by when they were first added
+   */
+  getArgumentIds() {
+    return Array.from(this.argumentTags.keys())
+                .filter(argumentId => this.hasArgument(argumentId))
+                .sort((a, b) => this.compareFirstAdded(this.argumentTags, a, b));
+  }
+  
+  /**
+   * Lists the present support and contradict edges, ordered by when they
+   * were first added
+   */
+  getEdges() {
+    return Array.from(this.edgeTags.keys())
+                .filter(key => this.getLiveTags(this.edgeTags, key).length > 0)
+                .sort((a, b) => this.compareFirstAdded(this.edgeTags, a, b))
+                .map(key => this.edges.get(key));
+  }
+  
+  /**
+   * Gets the current fields of an argument as argument data
+   */
+  getArgumentData(argumentId) {
+    const data = {
+      argumentId,
+      createdAt: this.getRegister(argumentId, 'createdAt'),
+      lastModified: this.getRegister(argumentId, 'lastModified')
+    };
+    FIELDS.forEach(field => {
+      data[field] = this.getRegister(argumentId, field);
+    });
+    return data;
+  }
+  
+  /**
+   * Converts the replica to JSON: its peer ID and every operation it has seen
+   */
+  toJSON() {
+    return {
+      peerId: this.peerId,
+      operations: Array.from(this.operations.values())
+    };
+  }
+  
+  /**
+   * Restores a replica from its JSON form
+   */
+  static fromJSON(data) {
+    const replica = new CrdtGraph({ peerId: data.peerId });
+    replica.applyUpdates(data.operations);
+    replica.sequence = data.operations.filter(operation => operation.origin === data.peerId).length;
+    return replica;
+  }
+  
+  /**
+   * Stamps a local operation, applies it and notifies listeners
+   */
+  commit(operation) {
+    this.clock++;
+    this.sequence++;
+    
+    const stamped = {
+      ...operation,
+      id: `${this.peerId}:${this.sequence}`,
+      origin: this.peerId,
+      sequence: this.sequence,
+      stamp: { counter: this.clock, peer: this.peerId },
+      timestamp: new Date().toISOString()
+    };
+    
+    this.apply(stamped);
+    this.listeners.forEach(listener => listener(stamped));
+    return stamped;
+  }
+  
+  /**
+   * Applies an operation to the state
+   */
+  apply(operation) {
+    this.operations.set(operation.id, operation);
+    
+    switch (operation.type) {
+      case 'add-argument':
+        this.addTag(this.argumentTags, operation.argumentId, operation);
+        this.setRegister(`${operation.argumentId}\u0000createdAt`, operation.createdAt, operation.stamp);
+        this.setRegister(`${operation.argumentId}\u0000lastModified`, operation.timestamp, operation.stamp);
+        Object.entries(operation.fields).forEach(([field, value]) => {
+          this.setRegister(`${operation.argumentId}\u0000${field}`, value, operation.stamp);
+        });
+        break;
+      case 'set-field':
+        this.setRegister(`${operation.argumentId}\u0000${operation.field}`, operation.value, operation.stamp);
+        this.setRegister(`${operation.argumentId}\u0000lastModified`, operation.timestamp, operation.stamp);
+        break;
+      case 'add-edge':
+        this.addTag(this.edgeTags, operation.key, operation);
+        this.edges.set(operation.key, operation.edge);
+        break;
+      case 'remove-argument':
+      case 'remove-edge':
+        operation.tags.forEach(tag => this.tombstones.add(tag));
+        break;
+      case 'set-participant':
+        this.setEntry(this.participants, operation.participant.participantId, operation.participant, operation.stamp);
+        break;
+      case 'set-stance':
+        this.setEntry(this.stances, `${operation.participantId}\u0000${operation.argumentId}`, {
+          participantId: operation.participantId,
+          argumentId: operation.argumentId,
+          stance: operation.stance
+        }, operation.stamp);
+        break;
+      case 'set-rules':
+        this.setRegister('ruleSettings', operation.settings, operation.stamp);
+        break;
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+  
+  /**
+   * Records the tag of an addition to an observed-remove set
+   */
+  addTag(tags, key, operation) {
+    if (!tags.has(key)) tags.set(key, []);
+    tags.get(key).push({ id: operation.id, stamp: operation.stamp });
+  }
+  
+  /**
+   * Gets the addition tags of an element that have not been removed
+   */
+  getLiveTags(tags, key) {
+    return (tags.get(key) || []).map(tag => tag.id).filter(id => !this.tombstones.has(id));
+  }
+  
+  /**
+   * Orders two elements of an observed-remove set by their earliest addition
+   */
+  compareFirstAdded(tags, a, b) {
+    const first = key => tags.get(key).map(tag => tag.stamp).sort(CrdtGraph.compareStamps)[0];
+    return CrdtGraph.compareStamps(first(a), first(b)) || (a < b ? -1 : a > b ? 1 : 0);
+  }
+  
+  /**
+   * Writes a register if the stamp is newer than the current one
+   */
+  setRegister(key, value, stamp) {
+    this.setEntry(this.registers, key, value, stamp);
+  }
+  
+  /**
+   * Writes a last-writer-wins entry if the stamp is newer than the current one
+   */
+  setEntry(map, key, value, stamp) {
+    const current = map.get(key);
+    if (!current || CrdtGraph.compareStamps(stamp, current.stamp) > 0) {
+      map.set(key, { value, stamp });
+    }
+  }
+  
+  /**
+   * Reads an argument field register
+   */
+  getRegister(argumentId, field) {
+    const register = this.registers.get(`${argumentId}\u0000${field}`);
+    return register ? register.value : undefined;
+  }
+  
+  /**
+   * Builds an edge, validating its type and attack options
+   */
+  createEdge(from, to, type, options) {
+    if (!RELATIONSHIP_TYPES.includes(type)) {
+      throw new Error(`Invalid relationship type. Must be one of: ${[...RELATIONSHIP_TYPES, 'respond'].join(', ')}`);
+    }
+    if (type === 'support') return { from, to, type };
+    
+    const attack = Argument.normalizeAttack({ target: to, kind: options.kind, premiseIndex: options.premiseIndex });
+    Argument.validateAttack(attack);
+    
+    const edge = { from, to, type, kind: attack.kind };
+    if (attack.premiseIndex !== undefined) edge.premiseIndex = attack.premiseIndex;
+    return edge;
+  }
+  
+  /**
+   * Throws unless the argument is present
+   */
+  requireArgument(argumentId) {
+    if (!this.hasArgument(argumentId)) throw new Error(`Argument with ID ${argumentId} does not exist`);
+  }
+  
+  /**
+   * Gets the identity of an edge
+   */
+  static getEdgeKey(edge) {
+    return [edge.type, edge.from, edge.to, edge.kind, edge.premiseIndex].filter(part => part !== undefined).join('\u0000');
+  }
+  
+  /**
+   * Orders Lamport timestamps, breaking ties by peer ID
+   */
+  static compareStamps(a, b) {
+    if (a.counter !== b.counter) return a.counter - b.counter;
+    return a.peer < b.peer ? -1 : a.peer > b.peer ? 1 : 0;
+  }
+}
+
+CrdtGraph.FIELDS = FIELDS;
+
+module.exports = CrdtGraph;
@@ -0,0 +1,145 @@
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+ */
+const createRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * SimulatedNetwork connects CrdtGraph replicas in-process. Operations made on
+ * a replica are queued for every other connected replica and only arrive when
+ * deliver() is called, in order or shuffled, so tests can reproduce delays,
+ * reordering and partitions deterministically.
+ */
+class SimulatedNetwork {
+  constructor(options = {}) {
+    this.replicas = new Map();
+    this.subscriptions = new Map();
+    this.queue = [];
+    this.groups = null;
+    this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+  }
+  
+  /**
+   * Connects a replica, which starts sending its operations to the others
+   */
+  connect(replica) {
+    if (this.replicas.has(replica.peerId)) {
+      throw new Error(`Peer ${replica.peerId} is already connected`);
+    }
+    
+    this.replicas.set(replica.peerId, replica);
+    this.subscriptions.set(replica.peerId, replica.onUpdate(operation => this.broadcast(replica.peerId, operation)));
+    return replica;
+  }
+  
+  /**
+   * Disconnects a replica, dropping the messages addressed to it
+   */
+  disconnect(peerId) {
+    const unsubscribe = this.subscriptions.get(peerId);
+    if (unsubscribe) unsubscribe();
+    
+    this.replicas.delete(peerId);
+    this.subscriptions.delete(peerId);
+    this.queue = this.queue.filter(message => message.to !== peerId);
+  }
+  
+  /**
+   * Splits the peers into groups that cannot reach each other, e.g.
+   * partition(['alice'], ['bob', 'carol']). Messages sent across groups are lost.
+   */
+  partition(...groups) {
+    this.groups = new Map();
+    groups.forEach((group, index) => group.forEach(peerId => this.groups.set(peerId, index)));
+  }
+  
+  /**
+   * Removes the partition
+   */
+  heal() {
+    this.groups = null;
+  }
+  
+  /**
+   * Checks whether two peers can currently reach each other
+   */
+  canReach(from, to) {
+    return !this.groups || this.groups.get(from) === this.groups.get(to);
+  }
+  
+  /**
+   * Queues an operation for every other reachable replica
+   */
+  broadcast(from, operation) {
+    this.replicas.forEach((replica, to) => {
+      if (to !== from && this.canReach(from, to)) this.queue.push({ from, to, operation });
+    });
+  }
+  
+  /**
+   * Gets the number of messages waiting to be delivered
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+  
+  /**
+   * Delivers queued messages. options.shuffle delivers them in random
+   * (seeded) order and options.limit caps how many are delivered. Returns
+   * the number of messages delivered.
+   */
+  deliver(options = {}) {
+    const messages = this.queue;
+    if (options.shuffle) {
+      for (let i = messages.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [messages[i], messages[j]] = [messages[j], messages[i]];
+      }
+    }
+    
+    const count = Math.min(options.limit !== undefined ? options.limit : messages.length, messages.length);
+    const delivered = messages.slice(0, count);
+    this.queue = messages.slice(count);
+    
+    delivered.forEach(message => {
+      if (this.canReach(message.from, message.to)) {
+        this.replicas.get(message.to).applyUpdates([message.operation]);
+      }
+    });
+    
+    return delivered.length;
+  }
+  
+  /**
+   * Runs anti-entropy between every pair of reachable replicas, so each one
+   * receives the operations it missed (for example while partitioned)
+   */
+  sync() {
+    const replicas = Array.from(this.replicas.values());
+    
+    replicas.forEach(receiver => {
+      replicas.forEach(sender => {
+        if (sender === receiver || !this.canReach(sender.peerId, receiver.peerId)) return;
+        receiver.applyUpdates(sender.getUpdatesSince(receiver.getVersionVector()));
+      });
+    });
+  }
+  
+  /**
+   * Checks whether every connected replica materializes the same graph
+   */
+  isConverged() {
+    const states = Array.from(this.replicas.values()).map(replica => JSON.stringify(replica.toGraph().toJSON()));
+    return states.every(state => state === states[0]);
+  }
+}
+
+module.exports = SimulatedNetwork;
@@ -1,3 +1,7 @@
+const ArgumentationSchemes = require('./argumentationSchemes');
+
+const ATTACK_KINDS = ['rebutting', 'undermining', 'undercutting'];
+
 /**
  * Core Argument class representing a structured argument with claims, premises, and conclusions
  */
@@ -10,20 +14,36 @@ class Argument {
     this.premises = data.premises;
     this.conclusion = data.conclusion;
     this.type = data.argumentType;
-    this.confidence = data.confidence;
+    this.confidence = data.confidence === null ? undefined : data.confidence;
+    
+    // Participant who put the argument forward
+    this.author = data.author || null;
+    
+    // Argumentation scheme, and the critical question this argument raises
+    // against the argument it attacks or responds to
+    this.scheme = data.scheme || null;
+    this.criticalQuestion = data.criticalQuestion || null;
+    
+    // Shared propositions (assigned when the argument joins a graph)
+    this.premiseIds = data.premiseIds || [];
+    this.conclusionId = data.conclusionId || null;
     
     // Relationships
     this.respondsTo = data.respondsTo || null;
     this.supports = data.supports || [];
-    this.contradicts = data.contradicts || [];
+    this.attacks = [
+      ...(data.contradicts || []).map(target => ({ target, kind: 'rebutting' })),
+      ...(data.attacks || []).map(attack => Argument.normalizeAttack(attack))
+    ];
+    this.contradicts = [...new Set(this.attacks.map(attack => attack.target))];
     
     // Evaluation
     this.strengths = data.strengths || [];
     this.weaknesses = data.weaknesses || [];
     
     // Metadata
-    this.createdAt = new Date();
-    this.lastModified = new Date();
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+    this.lastModified = data.lastModified ? new Date(data.lastModified) : new Date();
   }
   
   /**
@@ -44,6 +64,72 @@ class Argument {
     if (data.confidence !== undefined && (data.confidence < 0 || data.confidence > 1)) {
       throw new Error('Confidence must be between 0 and 1');
     }
+    
+    if (data.scheme && !ArgumentationSchemes.hasScheme(data.scheme)) {
+      throw new Error(`Unknown argumentation scheme. Must be one of: ${ArgumentationSchemes.listSchemes().join(', ')}`);
+    }
+    
+    if (data.attacks !== undefined) {
+      if (!Array.isArray(data.attacks)) throw new Error('Attacks must be an array');
+      data.attacks.forEach(attack => Argument.validateAttack(attack));
+    }
+  }
+  
+  /**
+   * Validates an attack descriptor ({ target, kind, premiseIndex })
+   */
+  static validateAttack(attack) {
+    if (!attack || !attack.target) throw new Error('Attack target is required');
+    
+    const kind = attack.kind || 'rebutting';
+    if (!ATTACK_KINDS.includes(kind)) {
+      throw new Error(`Invalid attack kind. Must be one of: ${ATTACK_KINDS.join(', ')}`);
+    }
+    
+    if (kind === 'undermining' && !(Number.isInteger(attack.premiseIndex) && attack.premiseIndex >= 0)) {
+      throw new Error('Undermining attacks must specify a premise index');
+    }
+  }
+  
+  /**
+   * Generates a random argument ID such as "arg_k3x9q2m1"
+   */
+  static generateId() {
+    return `arg_${Math.random().toString(36).substring(2, 10).padEnd(8, '0')}`;
+  }
+  
+  /**
+   * Normalizes an attack descriptor, defaulting to a rebutting attack
+   */
+  static normalizeAttack(attack) {
+    const kind = attack.kind || 'rebutting';
+    const normalized = { target: attack.target, kind };
+    
+    if (kind === 'undermining') {
+      normalized.premiseIndex = attack.premiseIndex;
+    }
+    
+    return normalized;
+  }
+  
+  /**
+   * Gets the addressable ID of a premise (e.g. "arg1#p2" for the second premise)
+   */
+  getPremiseId(index) {
+    return `${this.id}#p${index + 1}`;
+  }
+  
+  /**
+   * Gets the premises as addressable sub-nodes
+   */
+  getPremiseNodes() {
+    return this.premises.map((text, index) => ({
+      id: this.getPremiseId(index),
+      argumentId: this.id,
+      propositionId: this.premiseIds[index] || null,
+      index,
+      text
+    }));
   }
   
   /**
@@ -89,17 +175,25 @@ class Argument {
       claim: this.claim,
       premises: this.premises,
       conclusion: this.conclusion,
+      premiseIds: this.premiseIds,
+      conclusionId: this.conclusionId,
       type: this.type,
-      confidence: this.confidence,
+      confidence: this.confidence === undefined ? null : this.confidence,
+      author: this.author,
+      scheme: this.scheme,
+      criticalQuestion: this.criticalQuestion,
       respondsTo: this.respondsTo,
       supports: this.supports,
       contradicts: this.contradicts,
+      attacks: this.attacks,
       strengths: this.strengths,
       weaknesses: this.weaknesses,
-      createdAt: this.createdAt,
-      lastModified: this.lastModified
+      createdAt: this.createdAt.toISOString(),
+      lastModified: this.lastModified.toISOString()
     };
   }
 }
 
+Argument.ATTACK_KINDS = ATTACK_KINDS;
+
 module.exports = Argument;
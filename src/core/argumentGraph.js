@@ -1,4 +1,18 @@
 const Argument = require('./argument');
+const Proposition = require('./proposition');
+const Participant = require('./participant');
+
+const STANCES = ['endorse', 'reject', 'undecided'];
+
+/**
+ * Argument fields that updateArgument may change
+ */
+const EDITABLE_FIELDS = ['claim', 'premises', 'conclusion', 'argumentType', 'confidence', 'scheme', 'criticalQuestion'];
+
+/**
+ * Version of the JSON document written by toJSON
+ */
+const SCHEMA_VERSION = 2;
 
 /**
  * ArgumentGraph manages the network of arguments and their relationships
@@ -7,22 +21,57 @@ class ArgumentGraph {
   constructor() {
     this.arguments = new Map();
     this.adjacencyList = new Map();
+    this.propositions = new Map();
+    this.participants = new Map();
+    this.stances = new Map();
+    
+    // Evaluation rule settings for this graph (see RuleRegistry.configure),
+    // or null to use the default rules
+    this.ruleSettings = null;
+  }
+  
+  /**
+   * Removes everything from the graph, keeping the same instance so that
+   * engines holding a reference to it see the change
+   */
+  clear() {
+    this.arguments.clear();
+    this.adjacencyList.clear();
+    this.propositions.clear();
+    this.participants.clear();
+    this.stances.clear();
+    this.ruleSettings = null;
   }
   
   /**
    * Adds an argument to the graph
    */
   addArgument(argumentData) {
-    const argument = new Argument(argumentData);
+    const data = this.resolvePropositions(argumentData);
+    const argument = new Argument(data);
     
     if (this.arguments.has(argument.id)) {
       throw new Error(`Argument with ID ${argument.id} already exists`);
     }
     
+    if (argument.author && !this.participants.has(argument.author)) {
+      throw new Error(`Participant with ID ${argument.author} does not exist`);
+    }
+    
+    // Link premises and conclusion to shared propositions, keeping any
+    // propositions the caller referenced by ID. New propositions are dated
+    // from the argument that first states them.
+    const propose = text => this.addProposition({ text, createdAt: argument.createdAt }).id;
+    argument.premiseIds = argument.premises.map((premise, index) =>
+      data.premiseIds && data.premiseIds[index] ? data.premiseIds[index] : propose(premise)
+    );
+    argument.conclusionId = data.conclusionId || propose(argument.conclusion);
+    
     this.arguments.set(argument.id, argument);
     this.adjacencyList.set(argument.id, {
       supports: [],
       contradicts: [],
+      attacks: [],
       respondsTo: null
     });
     
@@ -33,10 +82,13 @@ class ArgumentGraph {
       });
     }
     
-    if (argument.contradicts.length > 0) {
-      argument.contradicts.forEach(contradictedId => {
-        this.addContradictsRelationship(argument.id, contradictedId);
-      });
+    if (argument.attacks.length > 0) {
+      // Keep the argument's own attacks in step with the adjacency list, with
+      // premise addresses resolved and duplicates dropped
+      argument.attacks = this.uniqueAttacks(argument.attacks.map(attack =>
+        this.addContradictsRelationship(argument.id, attack.target, attack)
+      ));
+      argument.contradicts = [...new Set(argument.attacks.map(attack => attack.target))];
     }
     
     if (argument.respondsTo) {
@@ -46,6 +98,277 @@ class ArgumentGraph {
     return argument;
   }
   
+  /**
+   * Edits an argument's fields (see EDITABLE_FIELDS). Changed premises and
+   * conclusions are linked to shared propositions. Removing a premise that
+   * an undermining attack targets is rejected.
+   */
+  updateArgument(argumentId, changes, modifiedAt = new Date()) {
+    const argument = this.arguments.get(argumentId);
+    if (!argument) throw new Error(`Argument with ID ${argumentId} does not exist`);
+    
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot edit ${unknown.join(', ')}. Fields must be one of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+    
+    // Validate the argument as it would be after the change
+    const edited = new Argument({ ...argument.toJSON(), argumentId, argumentType: argument.type, ...changes });
+    
+    const lostPremise = this.getAttacksOnPremises(argumentId).find(attack => attack.premiseIndex >= edited.premises.length);
+    if (lostPremise) {
+      throw new Error(`Premise ${lostPremise.premiseIndex + 1} of ${argumentId} is attacked by ${lostPremise.from}`);
+    }
+    
+    const propose = text => this.addProposition({ text, createdAt: modifiedAt }).id;
+    if (changes.premises) argument.premiseIds = edited.premises.map(propose);
+    if (changes.conclusion) argument.conclusionId = propose(edited.conclusion);
+    
+    argument.claim = edited.claim;
+    argument.premises = edited.premises;
+    argument.conclusion = edited.conclusion;
+    argument.type = edited.type;
+    argument.confidence = edited.confidence;
+    argument.scheme = edited.scheme;
+    argument.criticalQuestion = edited.criticalQuestion;
+    argument.lastModified = new Date(modifiedAt);
+    
+    return argument;
+  }
+  
+  /**
+   * Removes an argument, its relationships in both directions and the
+   * stances taken toward it. Its propositions stay, as other arguments may
+   * share them.
+   */
+  removeArgument(argumentId) {
+    const argument = this.arguments.get(argumentId);
+    if (!argument) throw new Error(`Argument with ID ${argumentId} does not exist`);
+    
+    this.arguments.delete(argumentId);
+    this.adjacencyList.delete(argumentId);
+    
+    this.adjacencyList.forEach(relations => {
+      relations.supports = relations.supports.filter(id => id !== argumentId);
+      relations.attacks = relations.attacks.filter(attack => attack.target !== argumentId);
+      relations.contradicts = relations.contradicts.filter(id => id !== argumentId);
+      if (relations.respondsTo === argumentId) relations.respondsTo = null;
+    });
+    
+    this.stances.forEach(stances => stances.delete(argumentId));
+    
+    return argument;
+  }
+  
+  /**
+   * Removes a relationship between arguments. For contradictions,
+   * options.kind and options.premiseIndex narrow which attacks are removed;
+   * without them every attack on the target is.
+   */
+  removeRelationship(fromId, toId, type, options = {}) {
+    if (!this.arguments.has(fromId) || !this.arguments.has(toId)) {
+      throw new Error('Both arguments must exist in the graph');
+    }
+    
+    const relations = this.adjacencyList.get(fromId);
+    const missing = () => new Error(`No ${type} relationship from ${fromId} to ${toId}`);
+    
+    if (type === 'support') {
+      if (!relations.supports.includes(toId)) throw missing();
+      relations.supports = relations.supports.filter(id => id !== toId);
+    } else if (type === 'contradict') {
+      const matches = attack => attack.target === toId &&
+        (!options.kind || attack.kind === options.kind) &&
+        (options.premiseIndex === undefined || attack.premiseIndex === options.premiseIndex);
+      
+      if (!relations.attacks.some(matches)) throw missing();
+      relations.attacks = relations.attacks.filter(attack => !matches(attack));
+      relations.contradicts = [...new Set(relations.attacks.map(attack => attack.target))];
+    } else if (type === 'respond') {
+      if (relations.respondsTo !== toId) throw missing();
+      relations.respondsTo = null;
+    } else {
+      throw new Error('Invalid relationship type. Must be one of: support, contradict, respond');
+    }
+  }
+  
+  /**
+   * Gets the undermining attacks on any premise of an argument
+   */
+  getAttacksOnPremises(argumentId) {
+    return this.getAttacksOn(argumentId).filter(attack => attack.kind === 'undermining');
+  }
+  
+  /**
+   * Fills in premise and conclusion text for arguments that reference
+   * existing propositions through premiseIds / conclusionId
+   */
+  resolvePropositions(argumentData) {
+    const resolved = { ...argumentData };
+    const lookup = id => {
+      const proposition = this.propositions.get(id);
+      if (!proposition) throw new Error(`Proposition with ID ${id} does not exist`);
+      return proposition.text;
+    };
+    
+    if (Array.isArray(argumentData.premiseIds) && argumentData.premiseIds.length > 0) {
+      resolved.premises = argumentData.premiseIds.map(lookup);
+    }
+    
+    if (argumentData.conclusionId) {
+      resolved.conclusion = lookup(argumentData.conclusionId);
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Adds a proposition, or returns the existing one with the same identity.
+   * Accepts either the statement text or { text, propositionId }.
+   */
+  addProposition(propositionData) {
+    const data = typeof propositionData === 'string' ? { text: propositionData } : propositionData;
+    const proposition = new Proposition(data);
+    const existing = this.propositions.get(proposition.id);
+    
+    if (existing) {
+      if (Proposition.normalizeText(existing.text) !== Proposition.normalizeText(proposition.text)) {
+        throw new Error(`Proposition with ID ${proposition.id} already exists with different text`);
+      }
+      return existing;
+    }
+    
+    this.propositions.set(proposition.id, proposition);
+    return proposition;
+  }
+  
+  /**
+   * Gets a proposition by ID
+   */
+  getProposition(id) {
+    return this.propositions.get(id);
+  }
+  
+  /**
+   * Finds the proposition matching a statement, if any
+   */
+  findProposition(text) {
+    const normalized = Proposition.normalizeText(text);
+    return Array.from(this.propositions.values()).find(proposition =>
+      Proposition.normalizeText(proposition.text) === normalized
+    );
+  }
+  
+  /**
+   * Gets all arguments that use a proposition as a premise
+   */
+  getArgumentsDependingOn(propositionId) {
+    return Array.from(this.arguments.values()).filter(arg =>
+      arg.premiseIds.includes(propositionId)
+    );
+  }
+  
+  /**
+   * Gets all arguments that conclude a proposition
+   */
+  getArgumentsConcluding(propositionId) {
+    return Array.from(this.arguments.values()).filter(arg =>
+      arg.conclusionId === propositionId
+    );
+  }
+  
+  /**
+   * Adds a participant who can author arguments and take stances
+   */
+  addParticipant(participantData) {
+    const participant = new Participant(participantData);
+    
+    if (this.participants.has(participant.id)) {
+      throw new Error(`Participant with ID ${participant.id} already exists`);
+    }
+    
+    this.participants.set(participant.id, participant);
+    this.stances.set(participant.id, new Map());
+    return participant;
+  }
+  
+  /**
+   * Gets a participant by ID
+   */
+  getParticipant(id) {
+    return this.participants.get(id);
+  }
+  
+  /**
+   * Gets all participants belonging to a team
+   */
+  getTeamMembers(team) {
+    return Array.from(this.participants.values()).filter(participant => participant.team === team);
+  }
+  
+  /**
+   * Gets all arguments put forward by a participant
+   */
+  getArgumentsByAuthor(participantId) {
+    return Array.from(this.arguments.values()).filter(arg => arg.author === participantId);
+  }
+  
+  /**
+   * Records a participant's stance toward an argument
+   */
+  setStance(participantId, argumentId, stance) {
+    if (!this.participants.has(participantId)) {
+      throw new Error(`Participant with ID ${participantId} does not exist`);
+    }
+    if (!this.arguments.has(argumentId)) {
+      throw new Error(`Argument with ID ${argumentId} does not exist`);
+    }
+    if (!STANCES.includes(stance)) {
+      throw new Error(`Invalid stance. Must be one of: ${STANCES.join(', ')}`);
+    }
+    
+    this.stances.get(participantId).set(argumentId, stance);
+  }
+  
+  /**
+   * Gets a participant's stance toward an argument. Authors endorse their own
+   * arguments unless they record otherwise.
+   */
+  getStance(participantId, argumentId) {
+    const stances = this.stances.get(participantId);
+    if (stances && stances.has(argumentId)) return stances.get(argumentId);
+    
+    const argument = this.arguments.get(argumentId);
+    return argument && argument.author === participantId ? 'endorse' : 'undecided';
+  }
+  
+  /**
+   * Gets every participant's stance toward an argument
+   */
+  getStances(argumentId) {
+    const stances = {};
+    this.participants.forEach((_, participantId) => {
+      stances[participantId] = this.getStance(participantId, argumentId);
+    });
+    return stances;
+  }
+  
+  /**
+   * Gets the arguments a participant holds a given stance toward
+   */
+  getArgumentsWithStance(participantId, stance) {
+    return Array.from(this.arguments.values()).filter(arg =>
+      this.getStance(participantId, arg.id) === stance
+    );
+  }
+  
+  /**
+   * Sets the evaluation rule settings of the graph, or null for the defaults
+   */
+  setRuleSettings(settings) {
+    this.ruleSettings = settings ? JSON.parse(JSON.stringify(settings)) : null;
+  }
+  
   /**
    * Adds a "supports" relationship between arguments
    */
@@ -59,15 +382,67 @@ class ArgumentGraph {
   }
   
   /**
-   * Adds a "contradicts" relationship between arguments
+   * Adds a "contradicts" relationship between arguments. The target may be an
+   * argument ID or a premise address such as "arg1#p2", and options.kind
+   * selects a rebutting (default), undermining or undercutting attack. A
+   * premise address makes a rebutting attack undermine that premise. Adding
+   * an attack that already exists changes nothing. Returns the attack.
    */
-  addContradictsRelationship(contradictorId, contradictedId) {
-    if (!this.arguments.has(contradictorId) || !this.arguments.has(contradictedId)) {
+  addContradictsRelationship(contradictorId, contradictedId, options = {}) {
+    const premiseAddress = this.parsePremiseId(contradictedId);
+    const targetId = premiseAddress ? premiseAddress.argumentId : contradictedId;
+    
+    if (!this.arguments.has(contradictorId) || !this.arguments.has(targetId)) {
       throw new Error('Both arguments must exist in the graph');
     }
     
+    const kind = options.kind || 'rebutting';
+    const attack = Argument.normalizeAttack({
+      target: targetId,
+      kind: premiseAddress && kind === 'rebutting' ? 'undermining' : kind,
+      premiseIndex: premiseAddress ? premiseAddress.index : options.premiseIndex
+    });
+    Argument.validateAttack(attack);
+    
+    if (attack.kind === 'undermining' && attack.premiseIndex >= this.arguments.get(targetId).premises.length) {
+      throw new Error(`Argument ${targetId} has no premise ${attack.premiseIndex + 1}`);
+    }
+    
     const contradictor = this.adjacencyList.get(contradictorId);
-    contradictor.contradicts.push(contradictedId);
+    if (!contradictor.contradicts.includes(targetId)) {
+      contradictor.contradicts.push(targetId);
+    }
+    if (!contradictor.attacks.some(existing => this.isSameAttack(existing, attack))) {
+      contradictor.attacks.push(attack);
+    }
+    
+    return attack;
+  }
+  
+  /**
+   * Checks if two attacks have the same target, kind and premise
+   */
+  isSameAttack(a, b) {
+    return a.target === b.target && a.kind === b.kind && a.premiseIndex === b.premiseIndex;
+  }
+  
+  /**
+   * Keeps the first of each group of identical attacks
+   */
+  uniqueAttacks(attacks) {
+    return attacks.filter((attack, index) => attacks.findIndex(other => this.isSameAttack(other, attack)) === index);
+  }
+  
+  /**
+   * Parses a premise address ("arg1#p2") into its argument ID and premise index
+   */
+  parsePremiseId(premiseId) {
+    if (this.arguments.has(premiseId)) return null;
+    
+    const match = /^(.+)#p(\d+)$/.exec(premiseId);
+    if (!match || !this.arguments.has(match[1])) return null;
+    
+    return { argumentId: match[1], index: parseInt(match[2], 10) - 1 };
   }
   
   /**
@@ -123,6 +498,92 @@ class ArgumentGraph {
     );
   }
   
+  /**
+   * Gets the attack relation as a list of [attackerId, targetId] pairs
+   */
+  getAttackRelation() {
+    const attacks = [];
+    
+    this.adjacencyList.forEach((relations, fromId) => {
+      relations.contradicts.forEach(toId => {
+        attacks.push([fromId, toId]);
+      });
+    });
+    
+    return attacks;
+  }
+  
+  /**
+   * Gets the IDs of all arguments attacking a given argument
+   */
+  getAttackerIds(argumentId) {
+    const attackers = [];
+    
+    this.adjacencyList.forEach((relations, fromId) => {
+      if (relations.contradicts.includes(argumentId)) {
+        attackers.push(fromId);
+      }
+    });
+    
+    return attackers;
+  }
+  
+  /**
+   * Gets all attacks targeting a given argument, with their kind
+   */
+  getAttacksOn(argumentId) {
+    const attacks = [];
+    
+    this.adjacencyList.forEach((relations, fromId) => {
+      relations.attacks.forEach(attack => {
+        if (attack.target === argumentId) {
+          attacks.push({ from: fromId, ...attack });
+        }
+      });
+    });
+    
+    return attacks;
+  }
+  
+  /**
+   * Gets all undermining attacks on a specific premise of an argument
+   */
+  getAttacksOnPremise(argumentId, premiseIndex) {
+    return this.getAttacksOn(argumentId).filter(attack =>
+      attack.kind === 'undermining' && attack.premiseIndex === premiseIndex
+    );
+  }
+  
+  /**
+   * Gets the IDs of all arguments supporting a given argument
+   */
+  getSupporterIds(argumentId) {
+    const supporters = [];
+    
+    this.adjacencyList.forEach((relations, fromId) => {
+      if (relations.supports.includes(argumentId)) {
+        supporters.push(fromId);
+      }
+    });
+    
+    return supporters;
+  }
+  
+  /**
+   * Gets the IDs of all arguments responding to a given argument
+   */
+  getResponderIds(argumentId) {
+    const responders = [];
+    
+    this.adjacencyList.forEach((relations, fromId) => {
+      if (relations.respondsTo === argumentId) {
+        responders.push(fromId);
+      }
+    });
+    
+    return responders;
+  }
+  
   /**
    * Finds paths between two arguments
    */
@@ -154,17 +615,36 @@ class ArgumentGraph {
   }
   
   /**
-   * Exports the graph to JSON
+   * Exports the graph to JSON, following the current version of the schema
+   * documented in GraphSchema. Relationships are listed once, per argument,
+   * rather than on the arguments themselves.
    */
   toJSON() {
     return {
-      arguments: Array.from(this.arguments.values()).map(arg => arg.toJSON()),
+      schemaVersion: SCHEMA_VERSION,
+      arguments: Array.from(this.arguments.values()).map(arg => {
+        const { respondsTo, supports, contradicts, attacks, ...data } = arg.toJSON();
+        return data;
+      }),
+      propositions: Array.from(this.propositions.values()).map(prop => prop.toJSON()),
+      participants: Array.from(this.participants.values()).map(participant => participant.toJSON()),
+      stances: Array.from(this.stances.entries()).flatMap(([participantId, stances]) =>
+        Array.from(stances.entries()).map(([argumentId, stance]) => ({ participantId, argumentId, stance }))
+      ),
       relationships: Array.from(this.adjacencyList.entries()).map(([id, rel]) => ({
         argumentId: id,
-        ...rel
-      }))
+        supports: [...rel.supports],
+        contradicts: [...rel.contradicts],
+        attacks: rel.attacks.map(attack => ({ ...attack })),
+        respondsTo: rel.respondsTo
+      })),
+      ...(this.ruleSettings ? { ruleSettings: JSON.parse(JSON.stringify(this.ruleSettings)) } : {})
     };
   }
 }
 
+ArgumentGraph.STANCES = STANCES;
+ArgumentGraph.EDITABLE_FIELDS = EDITABLE_FIELDS;
+ArgumentGraph.SCHEMA_VERSION = SCHEMA_VERSION;
+
 module.exports = ArgumentGraph;
@@ -0,0 +1,182 @@
+/**
+ * Catalogue of Walton-style argumentation schemes. Each scheme declares the
+ * premise slots an argument fills in order, the form of its conclusion, and
+ * the critical questions that can be raised against it. A critical question
+ * names the attack kind an objection raising it would make, and the premise
+ * slot it targets when it undermines a premise.
+ */
+const SCHEMES = {
+  'expert-opinion': {
+    name: 'Argument from expert opinion',
+    premises: [
+      { slot: 'expertise', description: 'Source E is an expert in subject domain S containing proposition A' },
+      { slot: 'assertion', description: 'E asserts that proposition A is true' }
+    ],
+    conclusion: 'A is true',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'How credible is E as an expert source?', kind: 'undermining', premise: 'expertise' },
+      { id: 'CQ2', question: 'Is E an expert in the field that A is in?', kind: 'undermining', premise: 'expertise' },
+      { id: 'CQ3', question: 'What did E assert that implies A?', kind: 'undermining', premise: 'assertion' },
+      { id: 'CQ4', question: 'Is E personally reliable as a source?', kind: 'undercutting' },
+      { id: 'CQ5', question: 'Is A consistent with what other experts assert?', kind: 'rebutting' },
+      { id: 'CQ6', question: "Is E's assertion based on evidence?", kind: 'undercutting' }
+    ]
+  },
+  'analogy': {
+    name: 'Argument from analogy',
+    premises: [
+      { slot: 'similarity', description: 'Generally, case C1 is similar to case C2' },
+      { slot: 'base', description: 'A is true in case C1' }
+    ],
+    conclusion: 'A is true in case C2',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'Are there differences between C1 and C2 that would undermine the similarity?', kind: 'undermining', premise: 'similarity' },
+      { id: 'CQ2', question: 'Is A true in C1?', kind: 'undermining', premise: 'base' },
+      { id: 'CQ3', question: 'Is there another case C3 similar to C2 in which A is false?', kind: 'rebutting' }
+    ]
+  },
+  'cause-to-effect': {
+    name: 'Argument from cause to effect',
+    premises: [
+      { slot: 'generalization', description: 'Generally, if A occurs, then B will (might) occur' },
+      { slot: 'cause', description: 'In this case, A occurs (might occur)' }
+    ],
+    conclusion: 'B will (might) occur',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'How strong is the causal generalization?', kind: 'undermining', premise: 'generalization' },
+      { id: 'CQ2', question: 'Is the evidence cited strong enough to warrant the causal generalization?', kind: 'undercutting' },
+      { id: 'CQ3', question: 'Are there other causal factors that could interfere with the production of the effect?', kind: 'undercutting' }
+    ]
+  },
+  'practical-reasoning': {
+    name: 'Practical reasoning',
+    premises: [
+      { slot: 'goal', description: 'We have a goal G' },
+      { slot: 'means', description: 'Carrying out action A is a means to realize G' }
+    ],
+    conclusion: 'We ought to carry out action A',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'What other goals that might conflict with G should be considered?', kind: 'undercutting' },
+      { id: 'CQ2', question: 'What alternative actions to A would also bring about G?', kind: 'undercutting' },
+      { id: 'CQ3', question: 'Among A and its alternatives, which is the most efficient?', kind: 'rebutting' },
+      { id: 'CQ4', question: 'Is it practically possible to carry out A?', kind: 'undermining', premise: 'means' },
+      { id: 'CQ5', question: 'What consequences of doing A should also be taken into account?', kind: 'rebutting' }
+    ]
+  },
+  'sign': {
+    name: 'Argument from sign',
+    premises: [
+      { slot: 'finding', description: 'Some finding B is true in this situation' },
+      { slot: 'indication', description: 'B is generally indicative of A' }
+    ],
+    conclusion: 'A is true in this situation',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'How strong is the correlation between the sign and what it signifies?', kind: 'undermining', premise: 'indication' },
+      { id: 'CQ2', question: 'Are there other events that would more reliably account for the sign?', kind: 'undercutting' }
+    ]
+  },
+  'positive-consequences': {
+    name: 'Argument from positive consequences',
+    premises: [
+      { slot: 'consequences', description: 'If A is brought about, good consequences will plausibly occur' }
+    ],
+    conclusion: 'A should be brought about',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'How likely is it that the cited consequences will occur?', kind: 'undermining', premise: 'consequences' },
+      { id: 'CQ2', question: 'What evidence supports the claim that these consequences will occur?', kind: 'undercutting' },
+      { id: 'CQ3', question: 'Are there consequences of the opposite value that should be taken into account?', kind: 'rebutting' }
+    ]
+  },
+  'negative-consequences': {
+    name: 'Argument from negative consequences',
+    premises: [
+      { slot: 'consequences', description: 'If A is brought about, bad consequences will plausibly occur' }
+    ],
+    conclusion: 'A should not be brought about',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'How likely is it that the cited consequences will occur?', kind: 'undermining', premise: 'consequences' },
+      { id: 'CQ2', question: 'What evidence supports the claim that these consequences will occur?', kind: 'undercutting' },
+      { id: 'CQ3', question: 'Are there consequences of the opposite value that should be taken into account?', kind: 'rebutting' }
+    ]
+  },
+  'popular-opinion': {
+    name: 'Argument from popular opinion',
+    premises: [
+      { slot: 'acceptance', description: 'A is generally accepted as true' }
+    ],
+    conclusion: 'A is (plausibly) true',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'What evidence shows that A is generally accepted?', kind: 'undermining', premise: 'acceptance' },
+      { id: 'CQ2', question: 'Even if A is generally accepted, are there good reasons to doubt it?', kind: 'rebutting' }
+    ]
+  },
+  'example': {
+    name: 'Argument from example',
+    premises: [
+      { slot: 'instance', description: 'In this case, a has property F and also property G' }
+    ],
+    conclusion: 'Generally, if x has property F, it also has property G',
+    criticalQuestions: [
+      { id: 'CQ1', question: 'Is the premise describing the example actually true?', kind: 'undermining', premise: 'instance' },
+      { id: 'CQ2', question: 'Is the example typical of the cases the generalization covers?', kind: 'undercutting' },
+      { id: 'CQ3', question: 'Are there counter-examples to the generalization?', kind: 'rebutting' }
+    ]
+  }
+};
+
+const registry = new Map(Object.entries(SCHEMES));
+
+/**
+ * ArgumentationSchemes provides lookup into the scheme catalogue
+ */
+class ArgumentationSchemes {
+  /**
+   * Gets a scheme by ID
+   */
+  static getScheme(schemeId) {
+    const scheme = registry.get(schemeId);
+    return scheme ? { id: schemeId, ...scheme } : undefined;
+  }
+  
+  /**
+   * Checks if a scheme exists in the catalogue
+   */
+  static hasScheme(schemeId) {
+    return registry.has(schemeId);
+  }
+  
+  /**
+   * Lists the IDs of all schemes in the catalogue
+   */
+  static listSchemes() {
+    return Array.from(registry.keys());
+  }
+  
+  /**
+   * Adds a scheme to the catalogue
+   */
+  static registerScheme(schemeId, scheme) {
+    if (!schemeId) throw new Error('Scheme ID is required');
+    if (!scheme || !Array.isArray(scheme.premises) || !Array.isArray(scheme.criticalQuestions)) {
+      throw new Error('Scheme must declare premises and criticalQuestions arrays');
+    }
+    
+    registry.set(schemeId, { name: schemeId, ...scheme });
+  }
+  
+  /**
+   * Gets the critical questions of a scheme, with the index of the premise
+   * slot each undermining question targets
+   */
+  static getCriticalQuestions(schemeId) {
+    const scheme = registry.get(schemeId);
+    if (!scheme) return [];
+    
+    return scheme.criticalQuestions.map(cq => ({
+      ...cq,
+      premiseIndex: cq.premise ? scheme.premises.findIndex(p => p.slot === cq.premise) : undefined
+    }));
+  }
+}
+
+module.exports = ArgumentationSchemes;
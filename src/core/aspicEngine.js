@@ -0,0 +1,521 @@
+const ArgumentGraph = require('./argumentGraph');
+const AbstractSemantics = require('../analysis/abstractSemantics');
+
+/**
+ * AspicEngine builds structured arguments from an ASPIC+ knowledge base and
+ * outputs them, together with the defeat relation, as an ArgumentGraph.
+ *
+ * Literals are plain strings and "~" marks negation ("~rain" contradicts
+ * "rain"). A defeasible rule with id r can be undercut by any argument that
+ * concludes "~[r]". Preferences are given as [weaker, stronger] pairs.
+ */
+class AspicEngine {
+  constructor(knowledgeBase = {}) {
+    this.axioms = [];
+    this.premises = [];
+    this.strictRules = [];
+    this.defeasibleRules = [];
+    this.rulePreferences = [];
+    this.premisePreferences = [];
+    this.builtArguments = null;
+    
+    this.ordering = knowledgeBase.ordering || 'last-link';
+    this.comparison = knowledgeBase.comparison || 'elitist';
+    this.maxArguments = knowledgeBase.maxArguments || 1000;
+    
+    if (!['last-link', 'weakest-link'].includes(this.ordering)) {
+      throw new Error('Ordering must be one of: last-link, weakest-link');
+    }
+    if (!['elitist', 'democratic'].includes(this.comparison)) {
+      throw new Error('Comparison must be one of: elitist, democratic');
+    }
+    
+    (knowledgeBase.axioms || []).forEach(literal => this.addAxiom(literal));
+    (knowledgeBase.premises || []).forEach(literal => this.addPremise(literal));
+    (knowledgeBase.strictRules || []).forEach(rule => this.addStrictRule(rule));
+    (knowledgeBase.defeasibleRules || []).forEach(rule => this.addDefeasibleRule(rule));
+    (knowledgeBase.rulePreferences || []).forEach(([weaker, stronger]) => this.addRulePreference(weaker, stronger));
+    (knowledgeBase.premisePreferences || []).forEach(([weaker, stronger]) => this.addPremisePreference(weaker, stronger));
+    
+    if (knowledgeBase.closeUnderTransposition) {
+      this.closeUnderTransposition();
+    }
+  }
+  
+  /**
+   * Negates a literal
+   */
+  static negate(literal) {
+    return literal.startsWith('~') ? literal.slice(1) : `~${literal}`;
+  }
+  
+  /**
+   * Gets the literal naming a defeasible rule, used for undercutting
+   */
+  static ruleName(ruleId) {
+    return `[${ruleId}]`;
+  }
+  
+  /**
+   * Adds a necessary premise (cannot be attacked)
+   */
+  addAxiom(literal) {
+    this.validateLiteral(literal);
+    this.axioms.push(literal);
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Adds an ordinary premise (can be undermined)
+   */
+  addPremise(literal) {
+    this.validateLiteral(literal);
+    this.premises.push(literal);
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Adds a strict rule: { id, antecedents, consequent }
+   */
+  addStrictRule(rule) {
+    this.strictRules.push(this.validateRule(rule, 's'));
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Adds a defeasible rule: { id, antecedents, consequent }
+   */
+  addDefeasibleRule(rule) {
+    this.defeasibleRules.push(this.validateRule(rule, 'd'));
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Declares one defeasible rule weaker than another
+   */
+  addRulePreference(weakerId, strongerId) {
+    this.rulePreferences.push([weakerId, strongerId]);
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Declares one ordinary premise weaker than another
+   */
+  addPremisePreference(weaker, stronger) {
+    this.premisePreferences.push([weaker, stronger]);
+    this.builtArguments = null;
+  }
+  
+  /**
+   * Validates a literal
+   */
+  validateLiteral(literal) {
+    if (typeof literal !== 'string' || !literal.trim()) {
+      throw new Error('Literal must be a non-empty string');
+    }
+  }
+  
+  /**
+   * Validates a rule and assigns it an ID if it has none
+   */
+  validateRule(rule, prefix) {
+    if (!rule || !Array.isArray(rule.antecedents)) throw new Error('Rule antecedents must be an array');
+    this.validateLiteral(rule.consequent);
+    rule.antecedents.forEach(literal => this.validateLiteral(literal));
+    
+    const id = rule.id || `${prefix}${this.strictRules.length + this.defeasibleRules.length + 1}`;
+    if ([...this.strictRules, ...this.defeasibleRules].some(existing => existing.id === id)) {
+      throw new Error(`Rule with ID ${id} already exists`);
+    }
+    
+    return { id, antecedents: [...rule.antecedents], consequent: rule.consequent };
+  }
+  
+  /**
+   * Adds all transpositions of the strict rules, which the consistency
+   * postulates require
+   */
+  closeUnderTransposition() {
+    const signature = rule => `${[...rule.antecedents].sort().join(',')}->${rule.consequent}`;
+    const known = new Set(this.strictRules.map(signature));
+    
+    this.strictRules.slice().forEach(rule => {
+      rule.antecedents.forEach((antecedent, index) => {
+        const transposed = {
+          id: `${rule.id}_t${index + 1}`,
+          antecedents: rule.antecedents.map((literal, i) =>
+            i === index ? AspicEngine.negate(rule.consequent) : literal
+          ),
+          consequent: AspicEngine.negate(antecedent)
+        };
+        
+        if (!known.has(signature(transposed))) {
+          known.add(signature(transposed));
+          this.strictRules.push(transposed);
+          this.builtArguments = null;
+        }
+      });
+    });
+  }
+  
+  /**
+   * Builds every (non-circular) argument from the knowledge base
+   */
+  buildArguments() {
+    const args = [];
+    const keys = new Set();
+    
+    const add = argument => {
+      const key = `${argument.rule ? argument.rule.id : argument.premiseType}:${argument.conclusion}:${argument.subArguments.join(',')}`;
+      if (keys.has(key)) return false;
+      if (args.length >= this.maxArguments) {
+        throw new Error(`Argument construction exceeded ${this.maxArguments} arguments`);
+      }
+      
+      keys.add(key);
+      argument.id = `A${args.length + 1}`;
+      args.push(argument);
+      return true;
+    };
+    
+    this.axioms.forEach(literal => add(this.createPremiseArgument(literal, 'axiom')));
+    this.premises.forEach(literal => add(this.createPremiseArgument(literal, 'ordinary')));
+    
+    const rules = [
+      ...this.strictRules.map(rule => ({ ...rule, strict: true })),
+      ...this.defeasibleRules.map(rule => ({ ...rule, strict: false }))
+    ];
+    
+    let changed = true;
+    while (changed) {
+      changed = false;
+      
+      rules.forEach(rule => {
+        const candidates = rule.antecedents.map(literal => args.filter(arg => arg.conclusion === literal));
+        
+        this.combinations(candidates).forEach(subArguments => {
+          // Skip circular arguments that rely on their own conclusion
+          const circular = subArguments.some(sub =>
+            this.getSubArguments(sub, args).some(nested => nested.conclusion === rule.consequent)
+          );
+          
+          if (!circular && add(this.createRuleArgument(rule, subArguments))) {
+            changed = true;
+          }
+        });
+      });
+    }
+    
+    this.builtArguments = args;
+    return args;
+  }
+  
+  /**
+   * Creates an argument consisting of a single premise
+   */
+  createPremiseArgument(literal, premiseType) {
+    return {
+      conclusion: literal,
+      premiseType,
+      rule: null,
+      subArguments: [],
+      ordinaryPremises: premiseType === 'ordinary' ? [literal] : [],
+      defeasibleRules: [],
+      lastDefeasibleRules: [],
+      strict: true,
+      firm: premiseType === 'axiom'
+    };
+  }
+  
+  /**
+   * Creates an argument applying a rule to sub-arguments
+   */
+  createRuleArgument(rule, subArguments) {
+    const union = selector => [...new Set(subArguments.flatMap(selector))];
+    const defeasibleRules = union(sub => sub.defeasibleRules);
+    
+    if (!rule.strict) defeasibleRules.push(rule.id);
+    
+    return {
+      conclusion: rule.consequent,
+      premiseType: null,
+      rule: { id: rule.id, strict: rule.strict },
+      subArguments: subArguments.map(sub => sub.id),
+      ordinaryPremises: union(sub => sub.ordinaryPremises),
+      defeasibleRules: [...new Set(defeasibleRules)],
+      lastDefeasibleRules: rule.strict ? union(sub => sub.lastDefeasibleRules) : [rule.id],
+      strict: rule.strict && subArguments.every(sub => sub.strict),
+      firm: subArguments.every(sub => sub.firm)
+    };
+  }
+  
+  /**
+   * Gets an argument together with all of its (nested) sub-arguments
+   */
+  getSubArguments(argument, args = this.builtArguments) {
+    const result = [argument];
+    
+    argument.subArguments.forEach(subId => {
+      const sub = args.find(arg => arg.id === subId);
+      result.push(...this.getSubArguments(sub, args));
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Computes every attack between the built arguments. Each attack records the
+   * sub-argument it hits ("on") and whether it succeeds as a defeat.
+   */
+  computeAttacks() {
+    const args = this.builtArguments || this.buildArguments();
+    const attacks = [];
+    
+    args.forEach(attacker => {
+      args.forEach(target => {
+        this.getSubArguments(target, args).forEach(sub => {
+          const kind = this.getAttackKind(attacker, sub);
+          if (!kind) return;
+          
+          attacks.push({
+            from: attacker.id,
+            to: target.id,
+            on: sub.id,
+            kind,
+            defeat: kind === 'undercutting' || !this.isWeaker(attacker, sub)
+          });
+        });
+      });
+    });
+    
+    return attacks;
+  }
+  
+  /**
+   * Determines how an argument attacks a (sub-)argument, if at all
+   */
+  getAttackKind(attacker, sub) {
+    const contrary = AspicEngine.negate(attacker.conclusion);
+    
+    if (sub.rule && !sub.rule.strict) {
+      if (attacker.conclusion === AspicEngine.negate(AspicEngine.ruleName(sub.rule.id))) return 'undercutting';
+      if (contrary === sub.conclusion) return 'rebutting';
+    }
+    
+    if (sub.premiseType === 'ordinary' && contrary === sub.conclusion) {
+      return 'undermining';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Checks if argument a is strictly weaker than argument b under the
+   * configured ordering and set comparison
+   */
+  isWeaker(a, b) {
+    const rulesWeaker = (x, y) => this.isSetWeaker(x, y, this.rulePreferences);
+    const premisesWeaker = (x, y) => this.isSetWeaker(x, y, this.premisePreferences);
+    
+    if (this.ordering === 'last-link') {
+      if (a.lastDefeasibleRules.length === 0 && b.lastDefeasibleRules.length === 0) {
+        return premisesWeaker(a.ordinaryPremises, b.ordinaryPremises);
+      }
+      return rulesWeaker(a.lastDefeasibleRules, b.lastDefeasibleRules);
+    }
+    
+    // Weakest link
+    if (a.strict && b.strict) return premisesWeaker(a.ordinaryPremises, b.ordinaryPremises);
+    if (a.firm && b.firm) return rulesWeaker(a.defeasibleRules, b.defeasibleRules);
+    return premisesWeaker(a.ordinaryPremises, b.ordinaryPremises) ||
+           rulesWeaker(a.defeasibleRules, b.defeasibleRules);
+  }
+  
+  /**
+   * Compares two sets of rules or premises. An empty set is never weaker,
+   * and any non-empty set is weaker than an empty one.
+   */
+  isSetWeaker(setA, setB, preferences) {
+    if (setA.length === 0) return false;
+    if (setB.length === 0) return true;
+    
+    const less = (x, y) => this.isPreferred(y, x, preferences);
+    
+    if (this.comparison === 'elitist') {
+      return setA.some(x => setB.every(y => less(x, y)));
+    }
+    return setA.every(x => setB.some(y => less(x, y)));
+  }
+  
+  /**
+   * Checks if element a is strictly preferred over b (transitively)
+   */
+  isPreferred(a, b, preferences) {
+    const visited = new Set();
+    const queue = [b];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      visited.add(current);
+      
+      for (const [weaker, stronger] of preferences) {
+        if (weaker !== current || visited.has(stronger)) continue;
+        if (stronger === a) return true;
+        queue.push(stronger);
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Outputs the arguments and defeats as an ArgumentGraph. Sub-arguments
+   * support the arguments built on them; defeats become contradicts edges.
+   */
+  toArgumentGraph(options = {}) {
+    const args = this.builtArguments || this.buildArguments();
+    const defeats = this.computeAttacks().filter(attack => attack.defeat);
+    const graph = options.graph || new ArgumentGraph();
+    const attackerIds = new Set(defeats.map(defeat => defeat.from));
+    const prefix = options.idPrefix || '';
+    
+    args.forEach(arg => {
+      const subConclusions = arg.subArguments.map(subId => args.find(a => a.id === subId).conclusion);
+      
+      graph.addArgument({
+        argumentId: `${prefix}${arg.id}`,
+        claim: arg.conclusion,
+        premises: subConclusions,
+        conclusion: arg.conclusion,
+        argumentType: options.typeOf ? options.typeOf(arg) : (attackerIds.has(arg.id) ? 'objection' : 'thesis'),
+        confidence: arg.strict && arg.firm ? 1 : (options.defeasibleConfidence || 0.7)
+      });
+    });
+    
+    args.forEach(arg => {
+      arg.subArguments.forEach(subId => {
+        graph.addSupportsRelationship(`${prefix}${subId}`, `${prefix}${arg.id}`);
+      });
+    });
+    
+    const added = new Set();
+    defeats.forEach(defeat => {
+      const attack = this.toGraphAttack(defeat, args);
+      const key = `${defeat.from}->${defeat.to}:${attack.kind}:${attack.premiseIndex}`;
+      if (added.has(key)) return;
+      
+      added.add(key);
+      graph.addContradictsRelationship(`${prefix}${defeat.from}`, `${prefix}${defeat.to}`, attack);
+    });
+    
+    return graph;
+  }
+  
+  /**
+   * Maps an ASPIC+ defeat onto the graph's attack kinds. An attack on a proper
+   * sub-argument undermines the premise of the target that the sub-argument
+   * establishes.
+   */
+  toGraphAttack(defeat, args) {
+    if (defeat.on === defeat.to) {
+      return { kind: defeat.kind === 'undercutting' ? 'undercutting' : 'rebutting' };
+    }
+    
+    const target = args.find(arg => arg.id === defeat.to);
+    const premiseIndex = target.subArguments.findIndex(subId =>
+      this.getSubArguments(args.find(arg => arg.id === subId), args).some(sub => sub.id === defeat.on)
+    );
+    
+    return { kind: 'undermining', premiseIndex };
+  }
+  
+  /**
+   * Checks the rationality postulates (sub-argument closure, closure under
+   * strict rules, direct and indirect consistency) for every extension
+   */
+  checkRationalityPostulates(semantics = 'grounded') {
+    const args = this.builtArguments || this.buildArguments();
+    const graph = this.toArgumentGraph();
+    const extensions = AbstractSemantics.computeExtensions(graph, semantics);
+    const violations = [];
+    
+    extensions.forEach(extension => {
+      const members = args.filter(arg => extension.includes(arg.id));
+      const conclusions = [...new Set(members.map(arg => arg.conclusion))];
+      const closure = this.strictClosure(conclusions);
+      
+      members.forEach(arg => {
+        this.getSubArguments(arg, args).forEach(sub => {
+          if (!extension.includes(sub.id)) {
+            violations.push({ postulate: 'subArgumentClosure', extension, detail: `${sub.id} is a sub-argument of ${arg.id}` });
+          }
+        });
+      });
+      
+      closure.filter(literal => !conclusions.includes(literal)).forEach(literal => {
+        violations.push({ postulate: 'strictClosure', extension, detail: `${literal} follows by strict rules` });
+      });
+      
+      this.findInconsistencies(conclusions).forEach(literal => {
+        violations.push({ postulate: 'directConsistency', extension, detail: `${literal} and ${AspicEngine.negate(literal)}` });
+      });
+      
+      this.findInconsistencies(closure).forEach(literal => {
+        violations.push({ postulate: 'indirectConsistency', extension, detail: `${literal} and ${AspicEngine.negate(literal)}` });
+      });
+    });
+    
+    const holds = postulate => !violations.some(violation => violation.postulate === postulate);
+    
+    return {
+      semantics,
+      satisfied: violations.length === 0,
+      postulates: {
+        subArgumentClosure: holds('subArgumentClosure'),
+        strictClosure: holds('strictClosure'),
+        directConsistency: holds('directConsistency'),
+        indirectConsistency: holds('indirectConsistency')
+      },
+      violations
+    };
+  }
+  
+  /**
+   * Closes a set of literals under the strict rules
+   */
+  strictClosure(literals) {
+    const closure = new Set(literals);
+    let changed = true;
+    
+    while (changed) {
+      changed = false;
+      this.strictRules.forEach(rule => {
+        if (!closure.has(rule.consequent) && rule.antecedents.every(literal => closure.has(literal))) {
+          closure.add(rule.consequent);
+          changed = true;
+        }
+      });
+    }
+    
+    return Array.from(closure);
+  }
+  
+  /**
+   * Finds literals whose negation is also in the set (reported once per pair)
+   */
+  findInconsistencies(literals) {
+    return literals.filter(literal => !literal.startsWith('~') && literals.includes(AspicEngine.negate(literal)));
+  }
+  
+  /**
+   * Computes the cartesian product of a list of candidate lists
+   */
+  combinations(lists) {
+    return lists.reduce(
+      (acc, list) => acc.flatMap(combo => list.map(item => [...combo, item])),
+      [[]]
+    );
+  }
+}
+
+module.exports = AspicEngine;
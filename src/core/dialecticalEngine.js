@@ -1,20 +1,42 @@
 const ArgumentGraph = require('./argumentGraph');
 const Argument = require('./argument');
+const DialogueGame = require('./dialogueGame');
+const Evaluator = require('../analysis/evaluator');
 
 /**
  * DialecticalEngine orchestrates the dialectical reasoning process
  */
 class DialecticalEngine {
-  constructor() {
-    this.graph = new ArgumentGraph();
+  constructor(graph = new ArgumentGraph()) {
+    this.graph = graph;
     this.dialecticHistory = [];
+    this.dialogue = null;
   }
   
   /**
-   * Adds an argument and tracks dialectical progression
+   * Starts a dialogue game over the graph. While it runs, addArgument is an
+   * argue move and is rejected when the protocol does not allow it.
    */
-  addArgument(argumentData) {
-    const argument = this.graph.addArgument(argumentData);
+  startDialogue(options) {
+    this.dialogue = new DialogueGame({ ...options, graph: this.graph });
+    return this.dialogue;
+  }
+  
+  /**
+   * Adds an argument and tracks dialectical progression. During a dialogue,
+   * move.speaker (or the argument's author) names the participant putting the
+   * argument forward.
+   */
+  addArgument(argumentData, move = {}) {
+    let argument;
+    
+    if (this.dialogue) {
+      const speaker = move.speaker || argumentData.author || this.dialogue.getCurrentSpeaker();
+      const record = this.dialogue.makeMove({ ...move, speaker, type: 'argue', argument: argumentData });
+      argument = this.graph.getArgument(record.argumentId);
+    } else {
+      argument = this.graph.addArgument(argumentData);
+    }
     
     // Log dialectical step
     this.dialecticHistory.push({
@@ -22,6 +44,7 @@ class DialecticalEngine {
       action: 'added',
       argumentId: argument.id,
       argumentType: argument.type,
+      author: argument.author,
       context: this.getCurrentContext(argument)
     });
     
@@ -74,6 +97,88 @@ class DialecticalEngine {
     return 'synthesis';
   }
   
+  /**
+   * Suggests attacks on the parts of an argument that have not been challenged
+   * yet: each unattacked premise (undermining), the inference (undercutting)
+   * and the conclusion (rebutting)
+   */
+  suggestAttacks(argumentId) {
+    const argument = this.graph.getArgument(argumentId);
+    if (!argument) {
+      throw new Error(`Argument with ID ${argumentId} does not exist`);
+    }
+    
+    const existing = this.graph.getAttacksOn(argumentId);
+    const isAttacked = (kind, premiseIndex) => existing.some(attack =>
+      attack.kind === kind && (kind !== 'undermining' || attack.premiseIndex === premiseIndex)
+    );
+    
+    const suggestions = [];
+    
+    argument.premises.forEach((premise, index) => {
+      if (!isAttacked('undermining', index)) {
+        suggestions.push({
+          kind: 'undermining',
+          target: argumentId,
+          premiseIndex: index,
+          argumentType: 'objection',
+          description: `Challenge premise ${index + 1}: "${premise}"`
+        });
+      }
+    });
+    
+    if (!isAttacked('undercutting')) {
+      suggestions.push({
+        kind: 'undercutting',
+        target: argumentId,
+        argumentType: 'objection',
+        description: `Question whether "${argument.conclusion}" follows from the premises`
+      });
+    }
+    
+    if (!isAttacked('rebutting')) {
+      suggestions.push({
+        kind: 'rebutting',
+        target: argumentId,
+        argumentType: argument.type === 'thesis' ? 'antithesis' : 'objection',
+        description: `Argue for the opposite of "${argument.conclusion}"`
+      });
+    }
+    
+    return suggestions;
+  }
+  
+  /**
+   * Drafts objections from the unanswered critical questions of an argument's
+   * scheme. Each draft is argument data ready for addArgument once it has an
+   * ID and the objector's own premises.
+   */
+  suggestObjections(argumentId) {
+    const argument = this.graph.getArgument(argumentId);
+    if (!argument) {
+      throw new Error(`Argument with ID ${argumentId} does not exist`);
+    }
+    
+    return Evaluator.findUnansweredCriticalQuestions(argument, this.graph).map(cq => {
+      // Fall back to undercutting when the targeted premise slot is not filled in
+      const undermines = cq.kind === 'undermining' && cq.premiseIndex < argument.premises.length;
+      const kind = cq.kind === 'undermining' && !undermines ? 'undercutting' : cq.kind;
+      
+      return {
+        claim: cq.question,
+        premises: [],
+        conclusion: `"${argument.conclusion}" is not established until ${cq.id} is answered`,
+        argumentType: 'objection',
+        criticalQuestion: cq.id,
+        attacks: [{
+          target: argumentId,
+          kind,
+          ...undermines && { premiseIndex: cq.premiseIndex }
+        }]
+      };
+    });
+  }
+  
   /**
    * Finds arguments ready for synthesis
    */
@@ -84,18 +189,19 @@ class DialecticalEngine {
     const candidates = [];
     
     theses.forEach(thesis => {
-      const relatedAntitheses = antitheses.filter(anti => 
-        anti.respondsTo === thesis.id ||
-        anti.contradicts.includes(thesis.id) ||
-        thesis.contradicts.includes(anti.id)
-      );
+      const relations = this.graph.adjacencyList.get(thesis.id);
+      const relatedAntitheses = antitheses.filter(anti => {
+        const antiRelations = this.graph.adjacencyList.get(anti.id);
+        return antiRelations.respondsTo === thesis.id ||
+          antiRelations.contradicts.includes(thesis.id) ||
+          relations.contradicts.includes(anti.id);
+      });
       
       relatedAntitheses.forEach(antithesis => {
-        const existingSynthesis = Array.from(this.graph.arguments.values()).find(arg =>
-          arg.type === 'synthesis' &&
-          arg.supports.includes(thesis.id) &&
-          arg.supports.includes(antithesis.id)
-        );
+        const existingSynthesis = this.graph.getArgumentsByType('synthesis').find(arg => {
+          const supports = this.graph.adjacencyList.get(arg.id).supports;
+          return supports.includes(thesis.id) && supports.includes(antithesis.id);
+        });
         
         if (!existingSynthesis) {
           candidates.push({
@@ -117,7 +223,7 @@ class DialecticalEngine {
     let potential = 0;
     
     // Check for complementary premises
-    const sharedConcepts = this.findSharedConcepts(arg1.premises, arg2.premises);
+    const sharedConcepts = this.findSharedArgumentConcepts(arg1, arg2);
     potential += sharedConcepts.length * 0.3;
     
     // Check for resolvable differences
@@ -147,6 +253,34 @@ class DialecticalEngine {
     return concepts1.filter(concept => concepts2.includes(concept));
   }
   
+  /**
+   * Finds shared concepts between the premises of two arguments. Premises
+   * that are the same proposition count as shared concepts in their own
+   * right; the remaining premises are compared by keyword.
+   */
+  findSharedArgumentConcepts(arg1, arg2) {
+    const sharedIds = this.findSharedPropositions(arg1, arg2);
+    const sharedPremises = arg1.premises
+      .filter((premise, index) => sharedIds.includes(arg1.premiseIds[index]))
+      .map(premise => premise.toLowerCase());
+    
+    const otherPremises = arg => arg.premises.filter((premise, index) =>
+      !sharedIds.includes(arg.premiseIds[index])
+    );
+    
+    return [...sharedPremises, ...this.findSharedConcepts(otherPremises(arg1), otherPremises(arg2))];
+  }
+  
+  /**
+   * Finds propositions both arguments rely on as premises
+   */
+  findSharedPropositions(arg1, arg2) {
+    const ids1 = arg1.premiseIds || [];
+    const ids2 = arg2.premiseIds || [];
+    
+    return [...new Set(ids1.filter(id => id && ids2.includes(id)))];
+  }
+  
   /**
    * Extracts key concepts from premises (simplified)
    */
@@ -176,13 +310,87 @@ class DialecticalEngine {
       resolvable += 0.3;
     }
     
-    if (this.findSharedConcepts(arg1.premises, arg2.premises).length > 0) {
+    if (this.findSharedArgumentConcepts(arg1, arg2).length > 0) {
       resolvable += 0.2;
     }
     
     return resolvable;
   }
   
+  /**
+   * Gets a participant's view of the debate: what they authored, their stance
+   * toward every argument, what they are committed to, and which of their
+   * arguments nobody else has attacked or responded to
+   */
+  getParticipantView(participantId) {
+    const participant = this.graph.getParticipant(participantId);
+    if (!participant) {
+      throw new Error(`Participant with ID ${participantId} does not exist`);
+    }
+    
+    return {
+      participant: participant.toJSON(),
+      ...this.buildView([participantId])
+    };
+  }
+  
+  /**
+   * Gets the combined view of every member of a team
+   */
+  getTeamView(team) {
+    const members = this.graph.getTeamMembers(team).map(participant => participant.id);
+    if (members.length === 0) {
+      throw new Error(`Team ${team} has no members`);
+    }
+    
+    return {
+      team,
+      members,
+      ...this.buildView(members)
+    };
+  }
+  
+  /**
+   * Builds a view over a group of participants
+   */
+  buildView(memberIds) {
+    const members = new Set(memberIds);
+    const withStance = stance => Array.from(this.graph.arguments.keys()).filter(id =>
+      memberIds.some(memberId => this.graph.getStance(memberId, id) === stance)
+    );
+    const authored = Array.from(this.graph.arguments.values()).filter(arg => members.has(arg.author));
+    const endorsed = withStance('endorse');
+    
+    // Commitments: the premises and conclusions of endorsed arguments, plus
+    // anything committed to in a running dialogue
+    const commitments = new Set();
+    endorsed.forEach(id => {
+      const arg = this.graph.getArgument(id);
+      [...arg.premiseIds, arg.conclusionId].forEach(propId => commitments.add(propId));
+    });
+    if (this.dialogue) {
+      memberIds.forEach(memberId => {
+        if (this.dialogue.commitments.has(memberId)) {
+          this.dialogue.commitments.get(memberId).forEach(propId => commitments.add(propId));
+        }
+      });
+    }
+    
+    const isOutsider = argId => !members.has(this.graph.getArgument(argId).author);
+    const unanswered = authored.filter(arg =>
+      !this.graph.getAttackerIds(arg.id).some(isOutsider) &&
+      !this.graph.getResponderIds(arg.id).some(isOutsider)
+    );
+    
+    return {
+      authored: authored.map(arg => arg.id),
+      endorsed,
+      rejected: withStance('reject'),
+      commitments: Array.from(commitments).map(propId => this.graph.getProposition(propId).text),
+      unanswered: unanswered.map(arg => arg.id)
+    };
+  }
+  
   /**
    * Gets dialectical progression summary
    */
@@ -195,6 +403,11 @@ class DialecticalEngine {
         contradicts: 0,
         responds: 0
       },
+      attackKinds: {
+        rebutting: 0,
+        undermining: 0,
+        undercutting: 0
+      },
       synthesisOpportunities: this.findSynthesisCandidates().length,
       nextRecommendedType: this.suggestNextArgumentType(),
       history: this.dialecticHistory
@@ -210,6 +423,9 @@ class DialecticalEngine {
       summary.relationships.supports += rel.supports.length;
       summary.relationships.contradicts += rel.contradicts.length;
       if (rel.respondsTo) summary.relationships.responds++;
+      rel.attacks.forEach(attack => {
+        summary.attackKinds[attack.kind]++;
+      });
     });
     
     return summary;
@@ -227,16 +443,16 @@ class DialecticalEngine {
     }
     
     // Extract shared premises
-    const sharedConcepts = this.findSharedConcepts(thesis.premises, antithesis.premises);
+    const sharedConcepts = this.findSharedArgumentConcepts(thesis, antithesis);
     
     // Create synthesis claim
     const synthesisClaim = `Integration of "${thesis.claim}" and "${antithesis.claim}"`;
     
     // Combine relevant premises
-    const synthesisPremises = [
+    const synthesisPremises = [...new Set([
       ...thesis.premises.filter(p => sharedConcepts.some(c => p.toLowerCase().includes(c))),
       ...antithesis.premises.filter(p => sharedConcepts.some(c => p.toLowerCase().includes(c)))
-    ];
+    ])];
     
     // Create synthesis conclusion
     const synthesisConclusion = `A balanced approach that incorporates strengths from both perspectives: ${thesis.conclusion} and ${antithesis.conclusion}`;
@@ -0,0 +1,462 @@
+const ArgumentGraph = require('./argumentGraph');
+const AbstractSemantics = require('../analysis/abstractSemantics');
+
+const MOVE_TYPES = ['claim', 'why', 'concede', 'retract', 'argue'];
+
+/**
+ * Dialogue protocols. Each declares how many participants it takes, whether it
+ * is about a fixed topic, and when it terminates and who wins.
+ *
+ * - persuasion: a proponent defends the topic against an opponent. It ends when
+ *   the proponent retracts the topic or the opponent concedes it.
+ * - deliberation: participants propose courses of action with claim moves
+ *   and debate them. It ends when every participant is committed to the same
+ *   proposal, and the participant who first claimed it wins. Shared
+ *   commitments to premises that nobody proposed do not end it.
+ * - inquiry: participants cooperate to establish the topic, so a proposition
+ *   may only be conceded once an argument for it has been put forward. It
+ *   ends when every participant is committed to the topic.
+ */
+const PROTOCOLS = {
+  'persuasion': {
+    description: 'Proponent tries to persuade the opponent to accept the topic',
+    minParticipants: 2,
+    maxParticipants: 2,
+    requiresTopic: true,
+    concedeRequiresArgument: false,
+    checkTermination: game => {
+      const [proponent, opponent] = game.participants;
+      if (!game.isCommitted(proponent, game.topic)) {
+        return { reason: 'Proponent retracted the topic', winner: opponent };
+      }
+      if (game.isCommitted(opponent, game.topic)) {
+        return { reason: 'Opponent conceded the topic', winner: proponent };
+      }
+      return null;
+    },
+    decideOnTurnLimit: game => {
+      const [proponent, opponent] = game.participants;
+      return game.isTopicJustified() ? proponent : opponent;
+    }
+  },
+  'deliberation': {
+    description: 'Participants agree on a course of action',
+    minParticipants: 2,
+    maxParticipants: Infinity,
+    requiresTopic: false,
+    concedeRequiresArgument: false,
+    checkTermination: game => {
+      const proposals = game.moves.filter(move => move.type === 'claim');
+      const agreed = game.getSharedCommitments().find(prop => proposals.some(move => move.proposition === prop.id));
+      if (!agreed) return null;
+      
+      return {
+        reason: `Agreement on "${agreed.text}"`,
+        winner: proposals.find(move => move.proposition === agreed.id).speaker,
+        agreement: agreed.text
+      };
+    },
+    decideOnTurnLimit: () => null
+  },
+  'inquiry': {
+    description: 'Participants jointly try to establish whether the topic holds',
+    minParticipants: 2,
+    maxParticipants: Infinity,
+    requiresTopic: true,
+    concedeRequiresArgument: true,
+    checkTermination: game => {
+      if (game.participants.every(participant => game.isCommitted(participant, game.topic))) {
+        return { reason: 'Topic established', winner: null };
+      }
+      return null;
+    },
+    decideOnTurnLimit: () => null
+  }
+};
+
+/**
+ * DialogueGame enforces a dialogue protocol over an ArgumentGraph: participants
+ * take turns making claim, why, concede, retract and argue moves, and each
+ * move updates the speaker's commitment store
+ */
+class DialogueGame {
+  constructor(options = {}) {
+    const protocol = options.protocol || 'persuasion';
+    const definition = PROTOCOLS[protocol];
+    
+    if (!definition) {
+      throw new Error(`Unknown dialogue protocol. Must be one of: ${Object.keys(PROTOCOLS).join(', ')}`);
+    }
+    
+    const participants = options.participants || [];
+    if (participants.length < definition.minParticipants || participants.length > definition.maxParticipants) {
+      throw new Error(`The ${protocol} protocol needs ${definition.minParticipants === definition.maxParticipants
+        ? definition.minParticipants
+        : `at least ${definition.minParticipants}`} participants`);
+    }
+    if (new Set(participants).size !== participants.length) {
+      throw new Error('Participants must be unique');
+    }
+    if (definition.requiresTopic && !options.topic) {
+      throw new Error(`The ${protocol} protocol requires a topic`);
+    }
+    
+    this.protocol = protocol;
+    this.definition = definition;
+    this.graph = options.graph || new ArgumentGraph();
+    this.participants = [...participants];
+    this.participants.forEach(participantId => {
+      if (!this.graph.getParticipant(participantId)) this.graph.addParticipant({ participantId });
+    });
+    this.topic = options.topic ? this.graph.addProposition(options.topic).id : null;
+    this.maxTurns = options.maxTurns || Infinity;
+    
+    this.moves = [];
+    this.commitments = new Map(participants.map(participant => [participant, new Set()]));
+    this.challenges = [];
+    this.outcome = null;
+  }
+  
+  /**
+   * Gets the participant whose turn it is
+   */
+  getCurrentSpeaker() {
+    return this.participants[this.moves.length % this.participants.length];
+  }
+  
+  /**
+   * Makes a move, throwing if the protocol does not allow it
+   */
+  makeMove(move) {
+    const reason = this.getIllegalReason(move);
+    if (reason) throw new Error(`Illegal move: ${reason}`);
+    
+    const record = {
+      id: `m${this.moves.length + 1}`,
+      turn: this.moves.length + 1,
+      speaker: move.speaker,
+      type: move.type,
+      proposition: null,
+      argumentId: null,
+      replyTo: move.replyTo || null,
+      timestamp: new Date()
+    };
+    
+    if (move.type === 'argue') {
+      this.applyArgue(record, move.argument);
+    } else {
+      const proposition = move.type === 'claim'
+        ? this.graph.addProposition(move.proposition)
+        : this.findProposition(move.proposition);
+      record.proposition = proposition.id;
+      this.applyPropositionMove(record);
+    }
+    
+    this.moves.push(record);
+    this.updateOutcome();
+    
+    return record;
+  }
+  
+  /**
+   * Checks whether a move is legal
+   */
+  isLegal(move) {
+    return this.getIllegalReason(move) === null;
+  }
+  
+  /**
+   * Explains why a move is illegal, or returns null when it is legal
+   */
+  getIllegalReason(move) {
+    if (this.outcome) return 'the dialogue has ended';
+    if (!move || !MOVE_TYPES.includes(move.type)) {
+      return `move type must be one of: ${MOVE_TYPES.join(', ')}`;
+    }
+    if (!this.commitments.has(move.speaker)) return `${move.speaker} is not a participant`;
+    
+    const current = this.getCurrentSpeaker();
+    if (move.speaker !== current) return `it is ${current}'s turn`;
+    
+    if (this.moves.length === 0) {
+      if (move.type !== 'claim') return 'the dialogue must open with a claim';
+      if (this.topic && this.resolveId(move.proposition) !== this.topic) {
+        return `the dialogue must open with a claim of the topic "${this.graph.getProposition(this.topic).text}"`;
+      }
+    }
+    
+    if (move.type === 'argue') return this.getIllegalArgueReason(move);
+    
+    if (!move.proposition) return `a ${move.type} move needs a proposition`;
+    
+    const id = this.resolveId(move.proposition);
+    const text = this.describe(move.proposition);
+    const ownCommitment = id !== null && this.isCommitted(move.speaker, id);
+    const othersCommitment = id !== null && this.getCommittedParticipants(id).some(p => p !== move.speaker);
+    
+    switch (move.type) {
+      case 'claim':
+        return ownCommitment ? `${move.speaker} is already committed to ${text}` : null;
+      case 'why':
+        if (!othersCommitment) return `${text} is not a commitment of another participant`;
+        if (ownCommitment) return `${move.speaker} cannot challenge their own commitment ${text}`;
+        if (this.getOpenChallenges().some(c => c.challenger === move.speaker && c.proposition === id)) {
+          return `${move.speaker} has already challenged ${text}`;
+        }
+        return null;
+      case 'concede':
+        if (!othersCommitment) return `${text} is not a commitment of another participant`;
+        if (ownCommitment) return `${move.speaker} is already committed to ${text}`;
+        if (this.definition.concedeRequiresArgument && this.graph.getArgumentsConcluding(id).length === 0) {
+          return `${text} must be argued for before it can be conceded in an inquiry`;
+        }
+        return null;
+      case 'retract':
+        return ownCommitment ? null : `${move.speaker} is not committed to ${text}`;
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Explains why an argue move is illegal: an argument must answer an open
+   * challenge to its conclusion or attack an argument of another participant
+   */
+  getIllegalArgueReason(move) {
+    const data = move.argument;
+    if (!data) return 'an argue move needs an argument';
+    if (this.graph.getArgument(data.argumentId)) return `argument ${data.argumentId} already exists`;
+    if (data.author && data.author !== move.speaker) {
+      return `argument ${data.argumentId} is authored by ${data.author}, not ${move.speaker}`;
+    }
+    
+    const conclusionId = data.conclusionId || (data.conclusion ? this.resolveId(data.conclusion) : null);
+    const answersChallenge = this.getOpenChallenges().some(challenge =>
+      challenge.against.includes(move.speaker) && challenge.proposition === conclusionId
+    );
+    
+    const targets = [
+      ...(data.contradicts || []),
+      ...(data.attacks || []).map(attack => attack.target)
+    ];
+    const attacksOther = targets.some(targetId => {
+      const target = this.graph.getArgument(String(targetId).replace(/#p\d+$/, ''));
+      return target && target.author && target.author !== move.speaker;
+    });
+    
+    if (!answersChallenge && !attacksOther) {
+      return "an argument must answer a challenge to its conclusion or attack another participant's argument";
+    }
+    return null;
+  }
+  
+  /**
+   * Applies a claim, why, concede or retract move
+   */
+  applyPropositionMove(record) {
+    const store = this.commitments.get(record.speaker);
+    const id = record.proposition;
+    
+    switch (record.type) {
+      case 'claim':
+        store.add(id);
+        break;
+      case 'why':
+        this.challenges.push({
+          moveId: record.id,
+          challenger: record.speaker,
+          proposition: id,
+          against: this.getCommittedParticipants(id),
+          open: true
+        });
+        break;
+      case 'concede':
+        store.add(id);
+        this.closeChallenges(c => c.challenger === record.speaker && c.proposition === id);
+        break;
+      case 'retract':
+        store.delete(id);
+        this.closeChallenges(c => c.proposition === id && c.against.every(p => !this.isCommitted(p, id)));
+        break;
+      default:
+        break;
+    }
+  }
+  
+  /**
+   * Applies an argue move: adds the argument to the graph and commits the
+   * speaker to its premises and conclusion
+   */
+  applyArgue(record, argumentData) {
+    const argument = this.graph.addArgument({ ...argumentData, author: record.speaker });
+    const store = this.commitments.get(record.speaker);
+    
+    argument.premiseIds.forEach(id => store.add(id));
+    store.add(argument.conclusionId);
+    
+    record.argumentId = argument.id;
+    record.proposition = argument.conclusionId;
+    
+    this.closeChallenges(c => c.proposition === argument.conclusionId && c.against.includes(record.speaker));
+  }
+  
+  /**
+   * Closes the open challenges matching a predicate
+   */
+  closeChallenges(predicate) {
+    this.challenges.forEach(challenge => {
+      if (challenge.open && predicate(challenge)) challenge.open = false;
+    });
+  }
+  
+  /**
+   * Gets the challenges that have not been answered, conceded or withdrawn
+   */
+  getOpenChallenges() {
+    return this.challenges.filter(challenge => challenge.open);
+  }
+  
+  /**
+   * Lists the moves a participant could legally make next
+   */
+  getLegalMoves(speaker = this.getCurrentSpeaker()) {
+    const candidates = [];
+    const propositions = new Set();
+    this.commitments.forEach(store => store.forEach(id => propositions.add(id)));
+    if (this.topic) propositions.add(this.topic);
+    
+    propositions.forEach(id => {
+      ['claim', 'why', 'concede', 'retract'].forEach(type => {
+        candidates.push({ speaker, type, proposition: id });
+      });
+    });
+    
+    const legal = candidates.filter(move => this.isLegal(move));
+    
+    if (!this.outcome && speaker === this.getCurrentSpeaker()) {
+      this.getOpenChallenges()
+        .filter(challenge => challenge.against.includes(speaker))
+        .forEach(challenge => {
+          legal.push({ speaker, type: 'argue', proposition: challenge.proposition, replyTo: challenge.moveId });
+        });
+    }
+    
+    return legal;
+  }
+  
+  /**
+   * Gets a participant's commitment store as propositions
+   */
+  getCommitments(participant) {
+    const store = this.commitments.get(participant);
+    if (!store) throw new Error(`${participant} is not a participant`);
+    
+    return Array.from(store).map(id => this.graph.getProposition(id));
+  }
+  
+  /**
+   * Checks whether a participant is committed to a proposition
+   */
+  isCommitted(participant, proposition) {
+    const store = this.commitments.get(participant);
+    return Boolean(store) && store.has(this.resolveId(proposition));
+  }
+  
+  /**
+   * Gets the participants committed to a proposition
+   */
+  getCommittedParticipants(proposition) {
+    return this.participants.filter(participant => this.isCommitted(participant, proposition));
+  }
+  
+  /**
+   * Gets the propositions every participant is committed to
+   */
+  getSharedCommitments() {
+    const [first, ...rest] = this.participants;
+    return Array.from(this.commitments.get(first))
+      .filter(id => rest.every(participant => this.isCommitted(participant, id)))
+      .map(id => this.graph.getProposition(id));
+  }
+  
+  /**
+   * Checks whether an argument concluding the topic is justified under
+   * grounded semantics
+   */
+  isTopicJustified() {
+    const labels = AbstractSemantics.getLabels(this.graph, 'grounded');
+    return this.graph.getArgumentsConcluding(this.topic).some(arg =>
+      labels[arg.id] === AbstractSemantics.LABELS.IN
+    );
+  }
+  
+  /**
+   * Checks the protocol's termination conditions after a move
+   */
+  updateOutcome() {
+    const result = this.definition.checkTermination(this);
+    
+    if (result) {
+      this.outcome = { ...result, turns: this.moves.length };
+    } else if (this.moves.length >= this.maxTurns) {
+      this.outcome = {
+        reason: 'Turn limit reached',
+        winner: this.definition.decideOnTurnLimit(this),
+        turns: this.moves.length
+      };
+    }
+  }
+  
+  /**
+   * Checks whether the dialogue has ended
+   */
+  isTerminated() {
+    return this.outcome !== null;
+  }
+  
+  /**
+   * Gets how the dialogue ended, or null while it is running
+   */
+  getOutcome() {
+    return this.outcome;
+  }
+  
+  /**
+   * Finds a proposition under discussion by ID or text
+   */
+  findProposition(proposition) {
+    const id = this.resolveId(proposition);
+    if (id === null) throw new Error(`Proposition "${proposition}" is not under discussion`);
+    return this.graph.getProposition(id);
+  }
+  
+  /**
+   * Resolves a proposition ID or text to a known proposition ID
+   */
+  resolveId(proposition) {
+    if (!proposition) return null;
+    if (this.graph.getProposition(proposition)) return proposition;
+    
+    const found = this.graph.findProposition(proposition);
+    return found ? found.id : null;
+  }
+  
+  /**
+   * Describes a proposition for error messages
+   */
+  describe(proposition) {
+    const id = this.resolveId(proposition);
+    return `"${id ? this.graph.getProposition(id).text : proposition}"`;
+  }
+  
+  /**
+   * Lists the available protocols
+   */
+  static getAvailableProtocols() {
+    return Object.keys(PROTOCOLS);
+  }
+}
+
+DialogueGame.MOVE_TYPES = MOVE_TYPES;
+
+module.exports = DialogueGame;
@@ -0,0 +1,252 @@
+const ArgumentGraph = require('./argumentGraph');
+
+const RELATIONSHIP_TYPES = ['support', 'contradict', 'respond'];
+
+/**
+ * How each event type changes a graph. Replaying the events of a log in order
+ * through these reducers rebuilds the graph.
+ */
+const REDUCERS = {
+  'proposition-added': (graph, payload) => {
+    graph.addProposition(payload.proposition);
+  },
+  'participant-added': (graph, payload) => {
+    graph.addParticipant(payload.participant);
+  },
+  'argument-added': (graph, payload) => {
+    // Copied so that later changes to the argument cannot alter the event
+    graph.addArgument(JSON.parse(JSON.stringify(payload.argument)));
+  },
+  'relationship-added': (graph, payload) => {
+    if (payload.type === 'support') {
+      graph.addSupportsRelationship(payload.from, payload.to);
+    } else if (payload.type === 'contradict') {
+      graph.addContradictsRelationship(payload.from, payload.to, {
+        kind: payload.kind,
+        premiseIndex: payload.premiseIndex
+      });
+    } else if (payload.type === 'respond') {
+      graph.addRespondsToRelationship(payload.from, payload.to);
+    } else {
+      throw new Error(`Invalid relationship type. Must be one of: ${RELATIONSHIP_TYPES.join(', ')}`);
+    }
+  },
+  'argument-removed': (graph, payload) => {
+    graph.removeArgument(payload.argumentId);
+  },
+  'relationship-removed': (graph, payload) => {
+    graph.removeRelationship(payload.from, payload.to, payload.type, {
+      kind: payload.kind,
+      premiseIndex: payload.premiseIndex
+    });
+  },
+  'confidence-updated': (graph, payload, event) => {
+    const argument = EventLog.requireArgument(graph, payload.argumentId);
+    argument.updateConfidence(payload.confidence);
+    argument.lastModified = new Date(event.timestamp);
+  },
+  'argument-edited': (graph, payload, event) => {
+    graph.updateArgument(payload.argumentId, JSON.parse(JSON.stringify(payload.changes)), event.timestamp);
+  },
+  'argument-evaluated': (graph, payload) => {
+    const argument = EventLog.requireArgument(graph, payload.argumentId);
+    argument.strengths = [...payload.strengths];
+    argument.weaknesses = [...payload.weaknesses];
+  },
+  'stance-set': (graph, payload) => {
+    graph.setStance(payload.participantId, payload.argumentId, payload.stance);
+  },
+  'rules-configured': (graph, payload) => {
+    graph.setRuleSettings(payload.settings);
+  },
+  'round-started': () => {}
+};
+
+/**
+ * EventLog is an event-sourced history of a graph. Every change is recorded as
+ * an event, events made by one command share a transaction, and undo and redo
+ * move a cursor over whole transactions. Events past the cursor are discarded
+ * when a new event is recorded.
+ */
+class EventLog {
+  constructor() {
+    this.events = [];
+    this.position = 0;
+    this.nextTransaction = 1;
+  }
+  
+  /**
+   * Creates the next event without recording it
+   */
+  createEvent(type, payload, transaction) {
+    if (!REDUCERS[type]) {
+      throw new Error(`Unknown event type. Must be one of: ${EventLog.getEventTypes().join(', ')}`);
+    }
+    
+    return {
+      sequence: this.position + 1,
+      transaction,
+      round: this.getCurrentRound() + (type === 'round-started' ? 1 : 0),
+      type,
+      payload,
+      timestamp: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Starts a new transaction and returns its ID
+   */
+  beginTransaction() {
+    return this.nextTransaction++;
+  }
+  
+  /**
+   * Records an event, discarding any undone events
+   */
+  record(event) {
+    this.events = this.events.slice(0, this.position);
+    this.events.push(event);
+    this.position = this.events.length;
+    return event;
+  }
+  
+  /**
+   * Drops the events of a transaction that failed part way
+   */
+  discardTransaction(transaction) {
+    const kept = this.events.filter(event => event.transaction !== transaction);
+    this.position -= this.events.length - kept.length;
+    this.events = kept;
+  }
+  
+  /**
+   * Gets the events up to the cursor
+   */
+  getEvents() {
+    return this.events.slice(0, this.position);
+  }
+  
+  /**
+   * Checks whether there is a transaction to undo
+   */
+  canUndo() {
+    return this.position > 0;
+  }
+  
+  /**
+   * Checks whether there is an undone transaction to redo
+   */
+  canRedo() {
+    return this.position < this.events.length;
+  }
+  
+  /**
+   * Moves the cursor back over the last transaction and returns its events
+   */
+  undo() {
+    if (!this.canUndo()) return [];
+    
+    const transaction = this.events[this.position - 1].transaction;
+    const end = this.position;
+    while (this.position > 0 && this.events[this.position - 1].transaction === transaction) {
+      this.position--;
+    }
+    
+    return this.events.slice(this.position, end);
+  }
+  
+  /**
+   * Moves the cursor forward over the next transaction and returns its events
+   */
+  redo() {
+    if (!this.canRedo()) return [];
+    
+    const transaction = this.events[this.position].transaction;
+    const start = this.position;
+    while (this.position < this.events.length && this.events[this.position].transaction === transaction) {
+      this.position++;
+    }
+    
+    return this.events.slice(start, this.position);
+  }
+  
+  /**
+   * Gets the round the latest event belongs to (0 before the first round)
+   */
+  getCurrentRound() {
+    return this.position > 0 ? this.events[this.position - 1].round : 0;
+  }
+  
+  /**
+   * Gets the events up to a point in time: { sequence }, { round } (the end
+   * of that round) or { timestamp }. Without a point, all events up to the
+   * cursor.
+   */
+  getEventsUntil(point = {}) {
+    return this.getEvents().filter(event => {
+      if (point.sequence !== undefined && event.sequence > point.sequence) return false;
+      if (point.round !== undefined && event.round > point.round) return false;
+      if (point.timestamp !== undefined && new Date(event.timestamp) > new Date(point.timestamp)) return false;
+      return true;
+    });
+  }
+  
+  /**
+   * Rebuilds the graph as of a point in time, into a new graph unless one is given
+   */
+  replay(point = {}, graph = new ArgumentGraph()) {
+    this.getEventsUntil(point).forEach(event => EventLog.applyEvent(graph, event));
+    return graph;
+  }
+  
+  /**
+   * Converts the log to a JSON object
+   */
+  toJSON() {
+    return {
+      position: this.position,
+      events: this.events
+    };
+  }
+  
+  /**
+   * Restores a log from its JSON form
+   */
+  static fromJSON(data) {
+    const log = new EventLog();
+    log.events = (data.events || []).map(event => ({ ...event }));
+    log.position = data.position !== undefined ? data.position : log.events.length;
+    log.nextTransaction = log.events.reduce((max, event) => Math.max(max, event.transaction), 0) + 1;
+    return log;
+  }
+  
+  /**
+   * Applies an event to a graph
+   */
+  static applyEvent(graph, event) {
+    const reducer = REDUCERS[event.type];
+    if (!reducer) throw new Error(`Unknown event type: ${event.type}`);
+    
+    reducer(graph, event.payload, event);
+  }
+  
+  /**
+   * Gets an argument an event refers to, throwing if it does not exist
+   */
+  static requireArgument(graph, argumentId) {
+    const argument = graph.getArgument(argumentId);
+    if (!argument) throw new Error(`Argument with ID ${argumentId} does not exist`);
+    return argument;
+  }
+  
+  /**
+   * Lists the event types
+   */
+  static getEventTypes() {
+    return Object.keys(REDUCERS);
+  }
+}
+
+EventLog.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+
+module.exports = EventLog;
@@ -0,0 +1,39 @@
+/**
+ * Participant represents an author of arguments: a person, a team member or
+ * a role in a debate
+ */
+class Participant {
+  constructor(data) {
+    this.validateParticipant(data);
+    
+    this.id = data.participantId;
+    this.name = data.name || data.participantId;
+    this.team = data.team || null;
+    this.role = data.role || null;
+    
+    // Metadata
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+  
+  /**
+   * Validates the participant structure
+   */
+  validateParticipant(data) {
+    if (!data || !data.participantId) throw new Error('Participant ID is required');
+  }
+  
+  /**
+   * Converts the participant to a JSON object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      team: this.team,
+      role: this.role,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
+
+module.exports = Participant;
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Proposition represents a statement that arguments can share as a premise or conclusion
+ */
+class Proposition {
+  constructor(data) {
+    this.validateProposition(data);
+    
+    this.id = data.propositionId || Proposition.generateId(data.text);
+    this.text = data.text.trim();
+    
+    // Metadata
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+  
+  /**
+   * Validates the proposition structure
+   */
+  validateProposition(data) {
+    if (!data || typeof data.text !== 'string' || !data.text.trim()) {
+      throw new Error('Proposition text is required');
+    }
+  }
+  
+  /**
+   * Normalizes text so trivially different spellings of a statement match
+   */
+  static normalizeText(text) {
+    return text.toLowerCase()
+               .replace(/\s+/g, ' ')
+               .replace(/[.!?;,\s]+$/, '')
+               .trim();
+  }
+  
+  /**
+   * Generates a stable ID from the normalized text
+   */
+  static generateId(text) {
+    const hash = crypto.createHash('sha1').update(this.normalizeText(text)).digest('hex');
+    return `prop_${hash.substr(0, 10)}`;
+  }
+  
+  /**
+   * Returns a string representation of the proposition
+   */
+  toString() {
+    return this.text;
+  }
+  
+  /**
+   * Converts the proposition to a JSON object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      text: this.text,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
+
+module.exports = Proposition;
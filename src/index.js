@@ -1,86 +1,312 @@
 const Argument = require('./core/argument');
 const ArgumentGraph = require('./core/argumentGraph');
+const Proposition = require('./core/proposition');
+const Participant = require('./core/participant');
+const ArgumentationSchemes = require('./core/argumentationSchemes');
 const DialecticalEngine = require('./core/dialecticalEngine');
+const DialogueGame = require('./core/dialogueGame');
+const AspicEngine = require('./core/aspicEngine');
+const EventLog = require('./core/eventLog');
 const Evaluator = require('./analysis/evaluator');
+const RuleRegistry = require('./analysis/rules/ruleRegistry');
+const FallacyDetector = require('./analysis/fallacyDetector');
+const CycleDetector = require('./analysis/cycleDetector');
+const ConsistencyChecker = require('./analysis/consistencyChecker');
 const Synthesizer = require('./analysis/synthesizer');
+const AbstractSemantics = require('./analysis/abstractSemantics');
+const GradualSemantics = require('./analysis/gradualSemantics');
+const BipolarFramework = require('./analysis/bipolarFramework');
+const GraphDiff = require('./analysis/graphDiff');
 const GraphVisualizer = require('./visualization/graphVisualizer');
 const ReportGenerator = require('./visualization/reportGenerator');
+const AifConverter = require('./io/aifConverter');
+const ArgdownConverter = require('./io/argdownConverter');
+const IccmaConverter = require('./io/iccmaConverter');
+const GraphSchema = require('./io/graphSchema');
+const StorageAdapter = require('./storage/storageAdapter');
+const MemoryStorageAdapter = require('./storage/memoryStorageAdapter');
+const JsonFileStorageAdapter = require('./storage/jsonFileStorageAdapter');
+const JsonlStorageAdapter = require('./storage/jsonlStorageAdapter');
+const CrdtGraph = require('./collab/crdtGraph');
+const SimulatedNetwork = require('./collab/simulatedNetwork');
 
 /**
- * StructuredArgumentationTool - Main interface for the tool
+ * StructuredArgumentationTool - Main interface for the tool. Every change goes
+ * through an event log, so the graph can be undone, redone and replayed as of
+ * any earlier point.
  */
 class StructuredArgumentationTool {
   constructor() {
     this.graph = new ArgumentGraph();
     this.engine = new DialecticalEngine(this.graph);
+    this.history = new EventLog();
+    
+    // Where the tool was last opened from or saved to
+    this.storage = null;
+    
+    // Transaction of the command being run
+    this.transaction = null;
+  }
+  
+  /**
+   * Open a graph saved with save()
+   */
+  static async open(adapter, graphId) {
+    const record = await adapter.load(graphId);
+    if (!record) throw new Error(`Graph ${graphId} does not exist`);
+    
+    const tool = new StructuredArgumentationTool();
+    tool.restore(record.data);
+    tool.storage = { adapter, graphId, version: record.version };
+    
+    return tool;
   }
   
   /**
    * Create new argument
    */
   createArgument(claim, premises, conclusion, type, confidence) {
-    const argument = new Argument(claim, premises, conclusion, type, confidence);
-    this.graph.addArgument(argument);
-    
-    // Apply automatic evaluation
-    const evaluation = Evaluator.evaluateArgument(argument, this.graph);
-    argument.strengths = evaluation.strengths;
-    argument.weaknesses = evaluation.weaknesses;
-    
-    // Check if automatic synthesis is needed
-    if (this.engine.shouldSynthesize()) {
-      const syntheses = this.engine.generateSyntheses();
-      syntheses.forEach(synthesis => {
-        this.graph.addArgument(synthesis);
-      });
-    }
+    return this.transact(transaction => {
+      const argumentId = Argument.generateId();
+      const now = new Date().toISOString();
+      this.dispatch('argument-added', {
+        argument: {
+          argumentId,
+          claim,
+          premises,
+          conclusion,
+          argumentType: type,
+          confidence,
+          createdAt: now,
+          lastModified: now
+        }
+      }, transaction);
+      
+      // Apply automatic evaluation
+      this.recordEvaluation(argumentId, transaction);
+      
+      return this.graph.getArgument(argumentId);
+    });
+  }
+  
+  /**
+   * Add relationships between arguments. Contradictions accept
+   * options.kind and options.premiseIndex.
+   */
+  addRelationship(fromArgId, toArgId, type, options = {}) {
+    const payload = this.createRelationshipPayload(fromArgId, toArgId, type, options);
+    this.transact(transaction => this.dispatch('relationship-added', payload, transaction));
+  }
+  
+  /**
+   * Remove a relationship between arguments. For contradictions,
+   * options.kind and options.premiseIndex select which attacks to remove.
+   */
+  removeRelationship(fromArgId, toArgId, type, options = {}) {
+    const payload = this.createRelationshipPayload(fromArgId, toArgId, type, options);
+    this.transact(transaction => this.dispatch('relationship-removed', payload, transaction));
+  }
+  
+  /**
+   * Update an argument's confidence
+   */
+  updateConfidence(argumentId, confidence) {
+    const argument = this.requireArgument(argumentId);
+    
+    this.transact(transaction => this.dispatch('confidence-updated', {
+      argumentId,
+      confidence,
+      previous: argument.confidence
+    }, transaction));
+    
+    return this.graph.getArgument(argumentId);
+  }
+  
+  /**
+   * Edit an argument's claim, premises, conclusion, type, confidence, scheme
+   * or critical question, and re-evaluate it
+   */
+  editArgument(argumentId, changes) {
+    const argument = this.requireArgument(argumentId);
+    const previous = {};
+    Object.keys(changes).forEach(field => {
+      previous[field] = field === 'argumentType' ? argument.type : argument[field];
+    });
+    
+    this.transact(transaction => {
+      this.dispatch('argument-edited', { argumentId, changes, previous }, transaction);
+      this.recordEvaluation(argumentId, transaction);
+    });
     
+    return this.graph.getArgument(argumentId);
+  }
+  
+  /**
+   * Remove an argument together with its relationships, returning it
+   */
+  removeArgument(argumentId) {
+    const argument = this.requireArgument(argumentId);
+    this.transact(transaction => this.dispatch('argument-removed', { argumentId }, transaction));
     return argument;
   }
   
   /**
-   * Add relationships between arguments
+   * Re-evaluate an argument against the current graph
    */
-  addRelationship(fromArgId, toArgId, type) {
-    if (type === 'support') {
-      this.graph.addSupport(fromArgId, toArgId);
-    } else if (type === 'contradict') {
-      this.graph.addContradiction(fromArgId, toArgId);
-    } else if (type === 'respond') {
-      this.graph.addResponse(fromArgId, toArgId);
-    }
+  evaluateArgument(argumentId) {
+    this.requireArgument(argumentId);
+    return this.transact(transaction => this.recordEvaluation(argumentId, transaction));
+  }
+  
+  /**
+   * Find arguments with contradictory premises, and propose contradicts
+   * relationships between arguments with contrary conclusions
+   */
+  checkConsistency() {
+    return ConsistencyChecker.checkGraph(this.graph);
+  }
+  
+  /**
+   * Add a participant who can author arguments and take stances
+   */
+  addParticipant(participantData) {
+    const participantId = participantData.participantId;
+    
+    this.transact(transaction => this.dispatch('participant-added', {
+      participant: { ...participantData, createdAt: new Date().toISOString() }
+    }, transaction));
+    
+    return this.graph.getParticipant(participantId);
+  }
+  
+  /**
+   * Record a participant's stance toward an argument
+   */
+  setStance(participantId, argumentId, stance) {
+    this.transact(transaction => this.dispatch('stance-set', { participantId, argumentId, stance }, transaction));
+  }
+  
+  /**
+   * Configure the evaluation rules of this graph with { enabled, disabled,
+   * weights, categoryWeights } (see RuleRegistry), or restore the defaults
+   * with null, and re-evaluate every argument
+   */
+  configureRules(settings) {
+    // Check the rule names and weights before recording anything
+    if (settings) Evaluator.rules.clone().configure(settings);
+    
+    this.transact(transaction => {
+      this.dispatch('rules-configured', { settings, previous: this.graph.ruleSettings }, transaction);
+      this.graph.arguments.forEach((argument, argumentId) => this.recordEvaluation(argumentId, transaction));
+    });
+    
+    return Evaluator.getRules(this.graph).listRules();
+  }
+  
+  /**
+   * Start a new round of the debate and return its number
+   */
+  startRound(label = null) {
+    return this.transact(transaction => this.dispatch('round-started', { label }, transaction).round);
+  }
+  
+  /**
+   * Undo the last command, returning the events it had recorded
+   */
+  undo() {
+    const events = this.history.undo();
+    if (events.length > 0) this.rebuild();
+    return events;
+  }
+  
+  /**
+   * Redo the last undone command, returning its events
+   */
+  redo() {
+    const events = this.history.redo();
+    if (events.length > 0) this.rebuild();
+    return events;
+  }
+  
+  /**
+   * Check whether there is a command to undo
+   */
+  canUndo() {
+    return this.history.canUndo();
+  }
+  
+  /**
+   * Check whether there is an undone command to redo
+   */
+  canRedo() {
+    return this.history.canRedo();
+  }
+  
+  /**
+   * Get a new graph holding the debate as of { sequence }, { round } or
+   * { timestamp }
+   */
+  getStateAt(point) {
+    return this.history.replay(point);
   }
   
   /**
-   * Suggest next arguments
+   * Get the recorded events, excluding undone ones
+   */
+  getHistory() {
+    return this.history.getEvents();
+  }
+  
+  /**
+   * Suggest next arguments, as { type, claim } entries led by the argument
+   * type the debate is missing and followed by promising syntheses
    */
   suggestNextArguments() {
-    return this.engine.suggestNextArguments();
+    const nextType = this.engine.suggestNextArgumentType();
+    const suggestions = [{ type: nextType, claim: `Add ${/^[aeiou]/.test(nextType) ? 'an' : 'a'} ${nextType} argument` }];
+    
+    this.engine.findSynthesisCandidates().forEach(candidate => {
+      suggestions.push({
+        type: 'synthesis',
+        claim: `Synthesize ${candidate.thesis} and ${candidate.antithesis}`,
+        argumentIds: [candidate.thesis, candidate.antithesis],
+        potential: candidate.potential
+      });
+    });
+    
+    return suggestions;
   }
   
   /**
    * Generate synthesis
    */
   synthesize(argumentIds) {
-    const args = argumentIds.map(id => this.graph.getArgument(id));
+    const args = argumentIds.map(id => this.requireArgument(id));
     const result = Synthesizer.generateSynthesis(args, this.graph);
     
-    const synthesisArg = new Argument(
-      result.synthesis.claim,
-      result.synthesis.premises,
-      result.synthesis.conclusion,
-      'synthesis',
-      result.synthesis.confidence
-    );
-    
-    this.graph.addArgument(synthesisArg);
-    
-    // Add relationships to supported arguments
-    argumentIds.forEach(id => {
-      this.graph.addSupport(synthesisArg.id, id);
+    return this.transact(transaction => {
+      const synthesisId = Argument.generateId();
+      const now = new Date().toISOString();
+      this.dispatch('argument-added', {
+        argument: {
+          argumentId: synthesisId,
+          claim: result.synthesis.claim,
+          premises: result.synthesis.premises,
+          conclusion: result.synthesis.conclusion,
+          argumentType: 'synthesis',
+          confidence: result.synthesis.confidence,
+          createdAt: now,
+          lastModified: now
+        }
+      }, transaction);
+      
+      // Add relationships to supported arguments
+      argumentIds.forEach(id => {
+        this.dispatch('relationship-added', { from: synthesisId, to: id, type: 'support' }, transaction);
+      });
+      
+      return this.graph.getArgument(synthesisId);
     });
-    
-    return synthesisArg;
   }
   
   /**
@@ -112,61 +338,142 @@ class StructuredArgumentationTool {
   }
   
   /**
-   * Import argument data
+   * Import a document written by export(), or by an older version (see
+   * GraphSchema). A document with a history replaces the tool's graph and
+   * history; otherwise its contents are added as a single undoable command.
    */
   import(data) {
-    if (data.arguments) {
-      data.arguments.forEach(argData => {
-        const arg = new Argument(
-          argData.claim,
-          argData.premises,
-          argData.conclusion,
-          argData.type,
-          argData.confidence
-        );
-        if (argData.id) arg.id = argData.id;
-        this.graph.addArgument(arg);
-      });
+    if (data && data.history !== undefined) {
+      this.restore(data);
+      return;
     }
     
-    if (data.relationships) {
-      data.relationships.forEach(rel => {
-        this.addRelationship(rel.from, rel.to, rel.type);
-      });
-    }
+    const document = GraphSchema.parse(data);
+    this.transact(transaction => {
+      GraphSchema.toEvents(document).forEach(event => this.dispatch(event.type, event.payload, transaction));
+    });
   }
   
   /**
-   * Export argument data
+   * Export the graph and its history as a GraphSchema document
    */
   export() {
-    const data = {
-      arguments: this.graph.arguments.map(arg => ({
-        id: arg.id,
-        claim: arg.claim,
-        premises: arg.premises,
-        conclusion: arg.conclusion,
-        type: arg.type,
-        confidence: arg.confidence,
-        strengths: arg.strengths,
-        weaknesses: arg.weaknesses
-      })),
-      relationships: []
+    return {
+      ...this.graph.toJSON(),
+      history: this.history.toJSON()
     };
+  }
+  
+  /**
+   * Save the graph and its history, resolving to the new version. Saving again
+   * to the same place only succeeds if nobody else has saved in between;
+   * otherwise it rejects with a VersionConflictError.
+   */
+  async save(adapter = this.storage && this.storage.adapter, graphId = this.storage && this.storage.graphId) {
+    if (!adapter || !graphId) throw new Error('A storage adapter and graph ID are required');
     
-    this.graph.adjacencyList.forEach((relations, fromId) => {
-      relations.supports.forEach(toId => {
-        data.relationships.push({ from: fromId, to: toId, type: 'support' });
-      });
-      relations.contradicts.forEach(toId => {
-        data.relationships.push({ from: fromId, to: toId, type: 'contradict' });
-      });
-      if (relations.respondsTo) {
-        data.relationships.push({ from: fromId, to: relations.respondsTo, type: 'respond' });
-      }
+    const sameTarget = this.storage && this.storage.adapter === adapter && this.storage.graphId === graphId;
+    const version = await adapter.save(graphId, this.export(), {
+      expectedVersion: sameTarget ? this.storage.version : 0
     });
     
-    return data;
+    this.storage = { adapter, graphId, version };
+    return version;
+  }
+  
+  /**
+   * Restores saved data, replaying its history when present. Data without a
+   * history is imported.
+   */
+  restore(data) {
+    const document = GraphSchema.parse(data);
+    if (!document.history) {
+      this.import(document);
+      return;
+    }
+    
+    this.history = EventLog.fromJSON(document.history);
+    this.rebuild();
+  }
+  
+  /**
+   * Runs a command as one transaction. If any of its events fails, the
+   * transaction is dropped and the graph rebuilt from the remaining log.
+   * Commands run inside another command join its transaction, so several
+   * commands can be grouped into one undoable step.
+   */
+  transact(command) {
+    if (this.transaction) return command(this.transaction);
+    
+    const transaction = this.history.beginTransaction();
+    this.transaction = transaction;
+    
+    try {
+      return command(transaction);
+    } catch (error) {
+      this.history.discardTransaction(transaction);
+      this.rebuild();
+      throw error;
+    } finally {
+      this.transaction = null;
+    }
+  }
+  
+  /**
+   * Builds the payload of a relationship event, checking its type
+   */
+  createRelationshipPayload(from, to, type, options) {
+    if (!EventLog.RELATIONSHIP_TYPES.includes(type)) {
+      throw new Error(`Invalid relationship type. Must be one of: ${EventLog.RELATIONSHIP_TYPES.join(', ')}`);
+    }
+    
+    const payload = { from, to, type };
+    if (type === 'contradict') {
+      if (options.kind) payload.kind = options.kind;
+      if (options.premiseIndex !== undefined) payload.premiseIndex = options.premiseIndex;
+    }
+    
+    return payload;
+  }
+  
+  /**
+   * Applies an event to the graph and records it
+   */
+  dispatch(type, payload, transaction) {
+    const event = this.history.createEvent(type, payload, transaction);
+    EventLog.applyEvent(this.graph, event);
+    return this.history.record(event);
+  }
+  
+  /**
+   * Evaluates an argument and records the outcome as an event
+   */
+  recordEvaluation(argumentId, transaction) {
+    const evaluation = Evaluator.evaluateArgument(this.graph.getArgument(argumentId), this.graph);
+    this.dispatch('argument-evaluated', {
+      argumentId,
+      score: evaluation.score,
+      strengths: evaluation.strengths,
+      weaknesses: evaluation.weaknesses
+    }, transaction);
+    return evaluation;
+  }
+  
+  /**
+   * Rebuilds the graph in place from the active events
+   */
+  rebuild() {
+    this.graph.clear();
+    this.history.replay({}, this.graph);
+  }
+  
+  /**
+   * Gets an argument, throwing if it does not exist
+   */
+  requireArgument(argumentId) {
+    const argument = this.graph.getArgument(argumentId);
+    if (!argument) throw new Error(`Argument with ID ${argumentId} does not exist`);
+    return argument;
   }
 }
 
@@ -175,31 +482,36 @@ module.exports = {
   StructuredArgumentationTool,
   Argument,
   ArgumentGraph,
+  Proposition,
+  Participant,
+  ArgumentationSchemes,
   DialecticalEngine,
+  DialogueGame,
+  AspicEngine,
+  EventLog,
   Evaluator,
+  RuleRegistry,
+  FallacyDetector,
+  CycleDetector,
+  ConsistencyChecker,
   Synthesizer,
+  AbstractSemantics,
+  GradualSemantics,
+  BipolarFramework,
+  GraphDiff,
   GraphVisualizer,
-  ReportGenerator
+  ReportGenerator,
+  AifConverter,
+  ArgdownConverter,
+  IccmaConverter,
+  GraphSchema,
+  SchemaValidationError: GraphSchema.SchemaValidationError,
+  StorageAdapter,
+  MemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  JsonlStorageAdapter,
+  VersionConflictError: StorageAdapter.VersionConflictError,
+  CrdtGraph,
+  SimulatedNetwork
 };
 
-// Also create a simple CLI interface for testing
-if (require.main === module) {
-  const tool = new StructuredArgumentationTool();
-  
-  // Example usage
-  console.log("Structured Argumentation Tool");
-  console.log("=============================");
-  
-  // Add a sample argument
-  const thesis = tool.createArgument(
-    "Renewable energy should be prioritized",
-    ["Climate change is accelerating", "Fossil fuels are finite"],
-    "Therefore, we must transition to renewable energy sources",
-    "thesis",
-    0.8
-  );
-  
-  console.log("\nCreated thesis argument:", thesis.id);
-  console.log("Visualization:\n", tool.visualize('ascii'));
-  console.log("\nReport:\n", tool.generateReport());
-}
\ No newline at end of file
@@ -0,0 +1,466 @@
+const ArgumentGraph = require('../core/argumentGraph');
+const Proposition = require('../core/proposition');
+
+/**
+ * Confidence given to arguments imported from AIF without tool metadata
+ */
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Node types that belong to the dialogical side of AIF. L-nodes (locutions)
+ * anchored by YA nodes name the author of an argument. TA nodes (transitions
+ * between locutions) have no counterpart in an ArgumentGraph.
+ */
+const DIALOGICAL_NODE_TYPES = ['L', 'YA', 'TA'];
+
+/**
+ * AifConverter maps between ArgumentGraph and the Argument Interchange Format
+ * in its AIFdb JSON form ({ nodes, edges, locutions }).
+ *
+ * - propositions become I-nodes
+ * - each argument becomes an RA node linking its premise I-nodes to its
+ *   conclusion I-node
+ * - a supports edge becomes an RA node from the supporter's conclusion to the
+ *   supported argument's conclusion
+ * - an attack becomes a CA node from the attacker's conclusion to the target's
+ *   conclusion (rebutting), premise (undermining) or RA node (undercutting)
+ *
+ * - an argument's author becomes an L-node, anchored to the argument's RA
+ *   node by a YA node, with a locution naming the author as its person
+ *
+ * - every participant is listed under `participants`, as AIFdb's
+ *   { participantID, firstname, surname }, and stances under `stances`
+ *
+ * Exported nodes carry the tool's own fields under `proposition`, `argument`
+ * and `relation`, and locutions and participants under `participant`, so a
+ * graph survives a round trip unchanged. AIF from other tools is interpreted
+ * from its structure alone. Timestamps use AIFdb's "YYYY-MM-DD HH:MM:SS" form,
+ * in UTC, and the tool's fields keep the exact ISO 8601 times.
+ */
+class AifConverter {
+  /**
+   * Converts an ArgumentGraph, or the output of its toJSON(), to AIF JSON
+   */
+  static toAIF(graph) {
+    const data = typeof graph.toJSON === 'function' ? graph.toJSON() : graph;
+    const nodes = [];
+    const edges = [];
+    const addEdge = (fromID, toID) => {
+      edges.push({ edgeID: edges.length + 1, fromID, toID });
+    };
+    
+    const propositions = new Map();
+    (data.propositions || []).forEach(prop => propositions.set(prop.id, prop));
+    
+    const links = new Map();
+    data.arguments.forEach(arg => {
+      const premiseIds = arg.premises.map((premise, index) =>
+        (arg.premiseIds && arg.premiseIds[index]) || Proposition.generateId(premise)
+      );
+      const conclusionId = arg.conclusionId || Proposition.generateId(arg.conclusion);
+      
+      premiseIds.forEach((id, index) => {
+        if (!propositions.has(id)) propositions.set(id, { id, text: arg.premises[index] });
+      });
+      if (!propositions.has(conclusionId)) {
+        propositions.set(conclusionId, { id: conclusionId, text: arg.conclusion });
+      }
+      
+      links.set(arg.id, { premiseIds, conclusionId });
+    });
+    
+    propositions.forEach(prop => {
+      nodes.push({
+        nodeID: prop.id,
+        text: prop.text,
+        type: 'I',
+        timestamp: this.formatTimestamp(prop.createdAt),
+        ...prop.createdAt && { proposition: { createdAt: this.toISOString(prop.createdAt) } }
+      });
+    });
+    
+    const relationships = data.relationships || [];
+    const respondsTo = new Map(relationships.map(rel => [rel.argumentId, rel.respondsTo]));
+    
+    data.arguments.forEach(arg => {
+      const { premiseIds, conclusionId } = links.get(arg.id);
+      const node = {
+        nodeID: this.getInferenceNodeId(arg.id),
+        text: 'Default Inference',
+        type: 'RA',
+        timestamp: this.formatTimestamp(arg.createdAt),
+        argument: {
+          id: arg.id,
+          claim: arg.claim,
+          type: arg.type,
+          confidence: arg.confidence,
+          scheme: arg.scheme || null,
+          criticalQuestion: arg.criticalQuestion || null,
+          respondsTo: respondsTo.get(arg.id) || arg.respondsTo || null,
+          strengths: arg.strengths || [],
+          weaknesses: arg.weaknesses || [],
+          createdAt: this.toISOString(arg.createdAt),
+          lastModified: this.toISOString(arg.lastModified)
+        }
+      };
+      if (arg.scheme) node.scheme = arg.scheme;
+      
+      nodes.push(node);
+      premiseIds.forEach(id => addEdge(id, node.nodeID));
+      addEdge(node.nodeID, conclusionId);
+    });
+    
+    relationships.forEach(rel => {
+      rel.supports.forEach(toId => {
+        const nodeID = `ra_${rel.argumentId}_supports_${toId}`;
+        nodes.push({
+          nodeID,
+          text: 'Default Inference',
+          type: 'RA',
+          relation: { type: 'supports', from: rel.argumentId, to: toId }
+        });
+        addEdge(links.get(rel.argumentId).conclusionId, nodeID);
+        addEdge(nodeID, links.get(toId).conclusionId);
+      });
+    });
+    
+    relationships.forEach(rel => {
+      const attacks = rel.attacks || rel.contradicts.map(target => ({ target, kind: 'rebutting' }));
+      
+      attacks.forEach((attack, index) => {
+        const nodeID = `ca_${rel.argumentId}_${index + 1}`;
+        const relation = { type: 'contradicts', from: rel.argumentId, to: attack.target, kind: attack.kind };
+        if (attack.kind === 'undermining') relation.premiseIndex = attack.premiseIndex;
+        
+        nodes.push({ nodeID, text: 'Default Conflict', type: 'CA', relation });
+        addEdge(links.get(rel.argumentId).conclusionId, nodeID);
+        addEdge(nodeID, this.getAttackTargetNodeId(attack, links.get(attack.target)));
+      });
+    });
+    
+    const participants = new Map((data.participants || []).map(participant => [participant.id, participant]));
+    const locutions = [];
+    
+    data.arguments.forEach(arg => {
+      if (!arg.author) return;
+      
+      const participant = participants.get(arg.author) || { id: arg.author, name: arg.author };
+      const timestamp = this.formatTimestamp(arg.createdAt);
+      const nodeID = `l_${arg.id}`;
+      const anchorID = `ya_${arg.id}`;
+      
+      nodes.push({ nodeID, text: `${participant.name}: ${arg.claim}`, type: 'L', timestamp });
+      nodes.push({ nodeID: anchorID, text: 'Arguing', type: 'YA' });
+      addEdge(nodeID, anchorID);
+      addEdge(anchorID, this.getInferenceNodeId(arg.id));
+      
+      locutions.push({
+        nodeID,
+        personID: participant.id,
+        timestamp,
+        participant: {
+          name: participant.name,
+          team: participant.team || null,
+          role: participant.role || null,
+          createdAt: this.toISOString(participant.createdAt)
+        }
+      });
+    });
+    
+    return {
+      nodes,
+      edges,
+      locutions,
+      participants: Array.from(participants.values()).map(participant => ({
+        participantID: participant.id,
+        firstname: participant.name,
+        surname: '',
+        participant: {
+          team: participant.team || null,
+          role: participant.role || null,
+          createdAt: this.toISOString(participant.createdAt)
+        }
+      })),
+      stances: (data.stances || []).map(({ participantId, argumentId, stance }) => ({ participantId, argumentId, stance }))
+    };
+  }
+  
+  /**
+   * Builds an ArgumentGraph from AIF JSON, adding to an existing graph if given
+   */
+  static fromAIF(aif, graph = new ArgumentGraph()) {
+    if (!aif || !Array.isArray(aif.nodes) || !Array.isArray(aif.edges)) {
+      throw new Error('AIF data must contain nodes and edges arrays');
+    }
+    
+    const nodes = new Map();
+    const dialogical = new Map();
+    aif.nodes.forEach(node => {
+      (DIALOGICAL_NODE_TYPES.includes(node.type) ? dialogical : nodes).set(String(node.nodeID), node);
+    });
+    
+    this.importParticipants(aif, graph);
+    const authors = this.importLocutions(aif, dialogical, graph);
+    
+    const incoming = new Map();
+    const outgoing = new Map();
+    nodes.forEach((_, id) => {
+      incoming.set(id, []);
+      outgoing.set(id, []);
+    });
+    aif.edges.forEach(edge => {
+      const fromId = String(edge.fromID);
+      const toId = String(edge.toID);
+      if (!nodes.has(fromId) || !nodes.has(toId)) return;
+      
+      outgoing.get(fromId).push(toId);
+      incoming.get(toId).push(fromId);
+    });
+    
+    const isType = type => id => nodes.get(id).type === type;
+    const inferences = Array.from(nodes.keys()).filter(id =>
+      isType('RA')(id) && !nodes.get(id).relation
+    );
+    
+    // Propositions
+    nodes.forEach((node, id) => {
+      if (node.type !== 'I') return;
+      const createdAt = node.proposition ? node.proposition.createdAt : node.timestamp;
+      graph.addProposition({ text: node.text, propositionId: id, createdAt: this.parseTimestamp(createdAt) });
+    });
+    
+    // Arguments, one per inference
+    const argumentIds = new Map();
+    const concluding = new Map();
+    
+    inferences.forEach(nodeId => {
+      const node = nodes.get(nodeId);
+      const meta = node.argument || {};
+      const premiseIds = incoming.get(nodeId).filter(isType('I'));
+      const conclusionId = outgoing.get(nodeId).find(isType('I'));
+      
+      if (!conclusionId) throw new Error(`RA node ${nodeId} has no conclusion`);
+      
+      const argument = graph.addArgument({
+        argumentId: meta.id || nodeId,
+        claim: meta.claim || nodes.get(conclusionId).text,
+        premises: [],
+        premiseIds,
+        conclusionId,
+        argumentType: meta.type || 'thesis',
+        confidence: meta.confidence !== undefined ? meta.confidence : DEFAULT_CONFIDENCE,
+        scheme: meta.scheme,
+        criticalQuestion: meta.criticalQuestion,
+        author: authors.get(nodeId) || authors.get(conclusionId),
+        strengths: meta.strengths,
+        weaknesses: meta.weaknesses,
+        createdAt: this.parseTimestamp(meta.createdAt || node.timestamp),
+        lastModified: this.parseTimestamp(meta.lastModified)
+      });
+      
+      argumentIds.set(nodeId, argument.id);
+      if (!concluding.has(conclusionId)) concluding.set(conclusionId, []);
+      concluding.get(conclusionId).push(argument.id);
+    });
+    
+    // Claims that no inference concludes become premise-less arguments when
+    // they stand alone or attack something
+    nodes.forEach((node, id) => {
+      if (node.type !== 'I' || concluding.has(id)) return;
+      
+      const usedAsPremise = outgoing.get(id).some(toId => inferences.includes(toId));
+      const attacks = outgoing.get(id).some(isType('CA'));
+      if (usedAsPremise && !attacks) return;
+      
+      graph.addArgument({
+        argumentId: id,
+        claim: node.text,
+        premises: [],
+        conclusionId: id,
+        argumentType: 'thesis',
+        confidence: DEFAULT_CONFIDENCE,
+        author: authors.get(id),
+        createdAt: this.parseTimestamp(node.timestamp)
+      });
+      concluding.set(id, [id]);
+    });
+    
+    // Relationships
+    const concludedBy = id => concluding.get(id) || [];
+    
+    nodes.forEach((node, nodeId) => {
+      const relation = node.relation;
+      
+      if (relation && relation.type === 'supports') {
+        graph.addSupportsRelationship(relation.from, relation.to);
+      } else if (relation && relation.type === 'contradicts') {
+        graph.addContradictsRelationship(relation.from, relation.to, relation);
+      } else if (node.type === 'RA' && !node.argument) {
+        const targetId = argumentIds.get(nodeId);
+        incoming.get(nodeId).filter(isType('I')).forEach(premiseId => {
+          concludedBy(premiseId).forEach(fromId => graph.addSupportsRelationship(fromId, targetId));
+        });
+      } else if (node.type === 'CA') {
+        this.importConflict(graph, nodeId, nodes, incoming, outgoing, argumentIds, concludedBy);
+      } else if (node.type === 'MA') {
+        incoming.get(nodeId).forEach(originalId => {
+          outgoing.get(nodeId).forEach(restatedId => {
+            const respondeeId = concludedBy(originalId)[0];
+            concludedBy(restatedId).forEach(fromId => {
+              if (respondeeId && fromId !== respondeeId) graph.addRespondsToRelationship(fromId, respondeeId);
+            });
+          });
+        });
+      }
+    });
+    
+    inferences.forEach(nodeId => {
+      const meta = nodes.get(nodeId).argument;
+      if (meta && meta.respondsTo) {
+        graph.addRespondsToRelationship(argumentIds.get(nodeId), meta.respondsTo);
+      }
+    });
+    
+    (aif.stances || []).forEach(entry => graph.setStance(entry.participantId, entry.argumentId, entry.stance));
+    
+    return graph;
+  }
+  
+  /**
+   * Adds the participants AIFdb lists, named by their first name and surname
+   */
+  static importParticipants(aif, graph) {
+    (aif.participants || []).forEach(entry => {
+      const participantId = String(entry.participantID);
+      if (graph.getParticipant(participantId)) return;
+      
+      const meta = entry.participant || {};
+      const name = [entry.firstname, entry.surname].filter(Boolean).join(' ');
+      graph.addParticipant({
+        participantId,
+        name: name || participantId,
+        team: meta.team,
+        role: meta.role,
+        createdAt: this.parseTimestamp(meta.createdAt)
+      });
+    });
+  }
+  
+  /**
+   * Adds a participant for each speaker of a locution, and maps the nodes
+   * that YA nodes anchor the locutions to onto the speakers' participant IDs.
+   * A speaker is the locution's personID, or else the name before the colon
+   * in the L-node's text, as in "Alice: cars should go".
+   */
+  static importLocutions(aif, dialogical, graph) {
+    const locutions = new Map((aif.locutions || []).map(locution => [String(locution.nodeID), locution]));
+    const speakers = new Map();
+    
+    dialogical.forEach((node, id) => {
+      if (node.type !== 'L') return;
+      
+      const locution = locutions.get(id) || {};
+      const match = /^([^:]+):/.exec(node.text || '');
+      const name = (locution.participant && locution.participant.name) || (match ? match[1].trim() : null);
+      const participantId = locution.personID !== undefined ? String(locution.personID) : name;
+      if (!participantId) return;
+      
+      if (!graph.getParticipant(participantId)) {
+        const meta = locution.participant || {};
+        graph.addParticipant({
+          participantId,
+          name: name || participantId,
+          team: meta.team,
+          role: meta.role,
+          createdAt: this.parseTimestamp(meta.createdAt || locution.timestamp || node.timestamp)
+        });
+      }
+      speakers.set(id, participantId);
+    });
+    
+    const anchoredBy = new Map();
+    const authors = new Map();
+    aif.edges.forEach(edge => {
+      const fromId = String(edge.fromID);
+      const toId = String(edge.toID);
+      if (speakers.has(fromId) && (dialogical.get(toId) || {}).type === 'YA') anchoredBy.set(toId, speakers.get(fromId));
+    });
+    aif.edges.forEach(edge => {
+      const fromId = String(edge.fromID);
+      const toId = String(edge.toID);
+      if (anchoredBy.has(fromId) && !dialogical.has(toId) && !authors.has(toId)) authors.set(toId, anchoredBy.get(fromId));
+    });
+    
+    return authors;
+  }
+  
+  /**
+   * Adds the attacks described by a CA node that has no tool metadata
+   */
+  static importConflict(graph, nodeId, nodes, incoming, outgoing, argumentIds, concludedBy) {
+    const attackerIds = incoming.get(nodeId).flatMap(concludedBy);
+    
+    outgoing.get(nodeId).forEach(targetNodeId => {
+      const target = nodes.get(targetNodeId);
+      const attacks = [];
+      
+      if (target.type === 'RA' && argumentIds.has(targetNodeId)) {
+        attacks.push({ target: argumentIds.get(targetNodeId), kind: 'undercutting' });
+      } else if (target.type === 'I') {
+        concludedBy(targetNodeId).forEach(argId => {
+          attacks.push({ target: argId, kind: 'rebutting' });
+        });
+        graph.getArgumentsDependingOn(targetNodeId).forEach(arg => {
+          attacks.push({ target: arg.id, kind: 'undermining', premiseIndex: arg.premiseIds.indexOf(targetNodeId) });
+        });
+      }
+      
+      attackerIds.forEach(fromId => {
+        attacks.forEach(attack => graph.addContradictsRelationship(fromId, attack.target, attack));
+      });
+    });
+  }
+  
+  /**
+   * Gets the ID of the RA node representing an argument
+   */
+  static getInferenceNodeId(argumentId) {
+    return `ra_${argumentId}`;
+  }
+  
+  /**
+   * Gets the node an attack points at: the target's conclusion, one of its
+   * premises, or its inference
+   */
+  static getAttackTargetNodeId(attack, targetLinks) {
+    if (attack.kind === 'undermining') return targetLinks.premiseIds[attack.premiseIndex];
+    if (attack.kind === 'undercutting') return this.getInferenceNodeId(attack.target);
+    return targetLinks.conclusionId;
+  }
+  
+  /**
+   * Formats a date as an AIFdb timestamp ("YYYY-MM-DD HH:MM:SS", UTC)
+   */
+  static formatTimestamp(date) {
+    return date ? new Date(date).toISOString().slice(0, 19).replace('T', ' ') : undefined;
+  }
+  
+  /**
+   * Formats a date as an ISO 8601 timestamp, keeping its milliseconds
+   */
+  static toISOString(date) {
+    return date ? new Date(date).toISOString() : undefined;
+  }
+  
+  /**
+   * Parses an AIFdb timestamp as UTC. ISO timestamps are accepted as well.
+   */
+  static parseTimestamp(timestamp) {
+    if (!timestamp) return undefined;
+    return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(timestamp)
+      ? new Date(`${timestamp.replace(' ', 'T')}Z`)
+      : new Date(timestamp);
+  }
+}
+
+module.exports = AifConverter;
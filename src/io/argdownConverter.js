@@ -0,0 +1,487 @@
+const ArgumentGraph = require('../core/argumentGraph');
+const Proposition = require('../core/proposition');
+
+/**
+ * Confidence given to arguments whose Argdown source does not set one
+ */
+const DEFAULT_CONFIDENCE = 0.5;
+
+const ARGUMENT_TYPES = ['thesis', 'antithesis', 'synthesis', 'objection', 'rebuttal'];
+
+/**
+ * Relation symbols, the relation they express, and whether the child element
+ * is the source (incoming) or the target (outgoing) of the relation
+ */
+const RELATION_SYMBOLS = {
+  '+': { type: 'support', incoming: true },
+  '<+': { type: 'support', incoming: true },
+  '+>': { type: 'support', incoming: false },
+  '-': { type: 'attack', incoming: true },
+  '<-': { type: 'attack', incoming: true },
+  '->': { type: 'attack', incoming: false },
+  '<_': { type: 'undercut', incoming: true },
+  '_>': { type: 'undercut', incoming: false }
+};
+
+const RELATION_PATTERN = /^(<\+|\+>|<-|->|<_|_>|\+|-)\s+(.+)$/;
+const PCS_STATEMENT_PATTERN = /^\((\d+)\)\s*(.+)$/;
+const INFERENCE_PATTERN = /^-{2,}/;
+
+/**
+ * Characters a backslash escapes. While a document is parsed, an escaped
+ * character stands in as a private-use character so that it is read as text.
+ */
+const ESCAPE_PATTERN = /\\([\\#{}<>[\]/])/g;
+const ESCAPE_OFFSET = 0xE000;
+
+/**
+ * ArgdownConverter reads and writes the Argdown plain-text syntax.
+ *
+ * - `<Title>: description` defines an argument, `[Title]: text` a statement
+ * - a premise-conclusion structure ((1) premise ... ---- (n) conclusion)
+ *   after an argument title gives the argument's premises and conclusion
+ * - indented `+`/`<+`/`+>` lines are supports, `-`/`<-`/`->` rebutting attacks
+ *   and `<_`/`_>` undercuts; an attack under a premise of a
+ *   premise-conclusion structure undermines that premise
+ * - `#type` tags set the argument type and `{key: value}` metadata sets
+ *   confidence, scheme and respondsTo
+ * - a backslash escapes `\`, `#`, `{`, `}`, `<`, `>`, `[`, `]` and `/`, so
+ *   text can contain what would otherwise read as a tag, metadata, a title or
+ *   a comment
+ *
+ * A statement that no argument concludes becomes a premise-less argument when
+ * it is used outside a premise-conclusion structure.
+ */
+class ArgdownConverter {
+  /**
+   * Converts an ArgumentGraph, or the output of its toJSON(), to Argdown text
+   */
+  static toArgdown(graph) {
+    const data = typeof graph.toJSON === 'function' ? graph.toJSON() : graph;
+    const relationships = new Map((data.relationships || []).map(rel => [rel.argumentId, rel]));
+    const propositions = new Map((data.propositions || []).map(prop => [prop.id, prop]));
+    
+    const propositionId = (text, id) => id || Proposition.generateId(text);
+    const uses = new Map();
+    data.arguments.forEach(arg => {
+      [
+        ...arg.premises.map((premise, index) => propositionId(premise, arg.premiseIds && arg.premiseIds[index])),
+        propositionId(arg.conclusion, arg.conclusionId)
+      ].forEach(id => uses.set(id, (uses.get(id) || 0) + 1));
+    });
+    
+    const underminers = new Map();
+    (data.relationships || []).forEach(rel => {
+      (rel.attacks || []).filter(attack => attack.kind === 'undermining').forEach(attack => {
+        const key = `${attack.target}#${attack.premiseIndex}`;
+        if (!underminers.has(key)) underminers.set(key, []);
+        underminers.get(key).push(rel.argumentId);
+      });
+    });
+    
+    const written = new Set();
+    const formatStatement = (text, id) => {
+      const needsTitle = uses.get(id) > 1 || id !== Proposition.generateId(text);
+      if (!needsTitle) return this.escapeText(text);
+      if (written.has(id)) return `[${id}]`;
+      
+      written.add(id);
+      return `[${id}]: ${this.escapeText(propositions.has(id) ? propositions.get(id).text : text)}`;
+    };
+    
+    const blocks = data.arguments.map(arg => {
+      const rel = relationships.get(arg.id) || { supports: [], attacks: [], contradicts: [], respondsTo: null };
+      const attacks = rel.attacks || rel.contradicts.map(target => ({ target, kind: 'rebutting' }));
+      const metadata = this.formatMetadata({
+        confidence: arg.confidence,
+        scheme: arg.scheme,
+        respondsTo: rel.respondsTo || arg.respondsTo
+      });
+      const lines = [`<${arg.id}>: ${this.escapeText(arg.claim)} #${arg.type}${metadata ? ` ${metadata}` : ''}`];
+      
+      rel.supports.forEach(targetId => lines.push(`  +> <${targetId}>`));
+      attacks.forEach(attack => {
+        if (attack.kind === 'rebutting') lines.push(`  -> <${attack.target}>`);
+        if (attack.kind === 'undercutting') lines.push(`  _> <${attack.target}>`);
+      });
+      
+      if (arg.premises.length === 0 && arg.claim === arg.conclusion) {
+        return lines.join('\n');
+      }
+      
+      lines.push('', `<${arg.id}>`, '');
+      arg.premises.forEach((premise, index) => {
+        const id = propositionId(premise, arg.premiseIds && arg.premiseIds[index]);
+        lines.push(`(${index + 1}) ${formatStatement(premise, id)}`);
+        (underminers.get(`${arg.id}#${index}`) || []).forEach(attackerId => {
+          lines.push(`    <- <${attackerId}>`);
+        });
+      });
+      lines.push('----');
+      lines.push(`(${arg.premises.length + 1}) ${formatStatement(arg.conclusion, propositionId(arg.conclusion, arg.conclusionId))}`);
+      
+      return lines.join('\n');
+    });
+    
+    return blocks.join('\n\n') + '\n';
+  }
+  
+  /**
+   * Builds an ArgumentGraph from Argdown text, adding to an existing graph if given
+   */
+  static fromArgdown(text, graph = new ArgumentGraph()) {
+    if (typeof text !== 'string') throw new Error('Argdown source must be a string');
+    
+    const doc = this.parseDocument(text);
+    
+    // Propositions
+    const propositionIds = new Map();
+    doc.statements.forEach((statement, key) => {
+      if (!statement.text) throw new Error(`Statement [${statement.title}] is used but never defined`);
+      
+      const proposition = graph.addProposition(
+        statement.title ? { text: statement.text, propositionId: statement.title } : statement.text
+      );
+      propositionIds.set(key, proposition.id);
+    });
+    
+    // Arguments, in the order their top-level definitions appear
+    const position = arg => (arg.position === null ? Infinity : arg.position);
+    const args = Array.from(doc.arguments.values()).sort((a, b) =>
+      position(a) === position(b) ? 0 : position(a) - position(b)
+    );
+    
+    args.forEach(arg => {
+      const conclusionKey = arg.conclusion;
+      const conclusion = arg.description || arg.title;
+      
+      graph.addArgument({
+        argumentId: arg.title,
+        claim: arg.description || (conclusionKey ? doc.statements.get(conclusionKey).text : conclusion),
+        premises: [],
+        premiseIds: arg.premises.map(key => propositionIds.get(key)),
+        conclusion,
+        conclusionId: conclusionKey ? propositionIds.get(conclusionKey) : undefined,
+        argumentType: arg.tags.find(tag => ARGUMENT_TYPES.includes(tag)) || 'thesis',
+        confidence: arg.metadata.confidence !== undefined ? arg.metadata.confidence : DEFAULT_CONFIDENCE,
+        scheme: arg.metadata.scheme
+      });
+    });
+    
+    // Standalone statements nobody concludes
+    const concluding = key => graph.getArgumentsConcluding(propositionIds.get(key)).map(arg => arg.id);
+    doc.statements.forEach((statement, key) => {
+      if (!statement.standalone || concluding(key).length > 0) return;
+      
+      const argumentId = statement.title || propositionIds.get(key);
+      if (graph.getArgument(argumentId)) {
+        throw new Error(`Statement [${argumentId}] clashes with argument <${argumentId}>`);
+      }
+      
+      graph.addArgument({
+        argumentId,
+        claim: statement.text,
+        premises: [],
+        conclusionId: propositionIds.get(key),
+        argumentType: 'thesis',
+        confidence: DEFAULT_CONFIDENCE
+      });
+    });
+    
+    // Relations
+    const sources = ref => (ref.kind === 'argument' ? [ref.title] : concluding(ref.key));
+    const targets = (ref, type) => {
+      if (ref.kind === 'argument' || ref.kind === 'conclusion') {
+        return [{ id: ref.title, kind: type === 'undercut' ? 'undercutting' : 'rebutting' }];
+      }
+      if (ref.kind === 'premise') {
+        return [{ id: ref.title, kind: type === 'undercut' ? 'undercutting' : 'undermining', premiseIndex: ref.index }];
+      }
+      
+      const propId = propositionIds.get(ref.key);
+      return [
+        ...concluding(ref.key).map(id => ({ id, kind: type === 'undercut' ? 'undercutting' : 'rebutting' })),
+        ...(type === 'undercut' ? [] : graph.getArgumentsDependingOn(propId).map(arg => ({
+          id: arg.id,
+          kind: 'undermining',
+          premiseIndex: arg.premiseIds.indexOf(propId)
+        })))
+      ];
+    };
+    
+    doc.relations.forEach(relation => {
+      sources(relation.from).forEach(fromId => {
+        targets(relation.to, relation.type).forEach(target => {
+          if (fromId === target.id) return;
+          
+          if (relation.type === 'support') {
+            const supports = graph.adjacencyList.get(fromId).supports;
+            if (!supports.includes(target.id)) graph.addSupportsRelationship(fromId, target.id);
+          } else {
+            graph.addContradictsRelationship(fromId, target.id, target);
+          }
+        });
+      });
+    });
+    
+    doc.arguments.forEach(arg => {
+      if (arg.metadata.respondsTo) {
+        graph.addRespondsToRelationship(arg.title, String(arg.metadata.respondsTo));
+      }
+    });
+    
+    return graph;
+  }
+  
+  /**
+   * Parses Argdown text into its arguments, statements and relations
+   */
+  static parseDocument(text) {
+    const doc = { arguments: new Map(), statements: new Map(), relations: [] };
+    const lines = this.stripComments(this.maskEscapes(text)).split(/\r?\n/);
+    
+    let stack = [];
+    let pcs = null;
+    let pcsOwner = null;
+    
+    lines.forEach((rawLine, lineIndex) => {
+      const line = rawLine.replace(/\t/g, '  ').replace(/\s+$/, '');
+      const content = line.trim();
+      const indent = line.length - line.trimStart().length;
+      
+      if (!content) return;
+      
+      if (indent === 0 && /^#+\s/.test(content)) {
+        stack = [];
+        pcsOwner = null;
+        return;
+      }
+      
+      const relationMatch = indent > 0 ? RELATION_PATTERN.exec(content) : null;
+      if (relationMatch) {
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+        if (stack.length === 0) throw new Error(`Line ${lineIndex + 1}: relation has no parent element`);
+        
+        const parent = stack[stack.length - 1].ref;
+        const child = this.registerElement(doc, this.parseElement(relationMatch[2]), true);
+        const { type, incoming } = RELATION_SYMBOLS[relationMatch[1]];
+        
+        doc.relations.push(incoming
+          ? { from: child, to: parent, type }
+          : { from: this.asSource(parent), to: child, type });
+        stack.push({ indent, ref: child });
+        return;
+      }
+      
+      if (indent > 0) throw new Error(`Line ${lineIndex + 1}: unexpected indentation`);
+      
+      const statementMatch = PCS_STATEMENT_PATTERN.exec(content);
+      if ((statementMatch || INFERENCE_PATTERN.test(content)) && pcsOwner) {
+        if (!pcs || pcs.owner !== pcsOwner) {
+          pcs = { owner: pcsOwner, statements: [], inferred: false };
+          pcsOwner.premises = [];
+          pcsOwner.conclusion = null;
+        }
+        
+        if (!statementMatch) {
+          pcs.inferred = true;
+          stack = [];
+          return;
+        }
+        
+        // Intermediate conclusions of a multi-step structure count as premises
+        const ref = this.registerElement(doc, { ...this.parseElement(statementMatch[2]), kind: 'statement' }, false);
+        if (pcsOwner.conclusion) {
+          pcsOwner.premises.push(pcsOwner.conclusion);
+          pcsOwner.conclusion = null;
+        }
+        
+        if (pcs.inferred) {
+          pcs.inferred = false;
+          pcsOwner.conclusion = ref.key;
+          stack = [{ indent: 0, ref: { kind: 'conclusion', title: pcsOwner.title, key: ref.key } }];
+        } else {
+          pcsOwner.premises.push(ref.key);
+          stack = [{ indent: 0, ref: { kind: 'premise', title: pcsOwner.title, index: pcsOwner.premises.length - 1, key: ref.key } }];
+        }
+        return;
+      }
+      
+      if (statementMatch || INFERENCE_PATTERN.test(content)) {
+        throw new Error(`Line ${lineIndex + 1}: premise-conclusion structure must follow an argument title`);
+      }
+      
+      const ref = this.registerElement(doc, this.parseElement(content), true);
+      pcs = null;
+      pcsOwner = ref.kind === 'argument' ? doc.arguments.get(ref.title) : null;
+      if (pcsOwner && pcsOwner.position === null) pcsOwner.position = lineIndex;
+      stack = [{ indent: 0, ref }];
+    });
+    
+    return doc;
+  }
+  
+  /**
+   * Parses an argument or statement: its title, text, tags and metadata
+   */
+  static parseElement(content) {
+    const argumentMatch = /^<([^<>]+)>(.*)$/.exec(content);
+    const statementMatch = /^\[([^[\]]+)\](.*)$/.exec(content);
+    const match = argumentMatch || statementMatch;
+    
+    let rest = match ? match[2] : content;
+    let metadata = {};
+    
+    const metadataMatch = /\s*\{([^{}]*)\}\s*$/.exec(rest);
+    if (metadataMatch) {
+      metadata = this.parseMetadata(metadataMatch[1]);
+      rest = rest.slice(0, metadataMatch.index);
+    }
+    
+    const tags = [];
+    rest = rest.replace(/(^|\s)#([\w-]+)/g, (_, space, tag) => {
+      tags.push(tag);
+      return '';
+    });
+    
+    if (match) rest = rest.replace(/^\s*:/, '');
+    
+    Object.keys(metadata).forEach(key => {
+      if (typeof metadata[key] === 'string') metadata[key] = this.unmaskEscapes(metadata[key]);
+    });
+    
+    return {
+      kind: argumentMatch ? 'argument' : 'statement',
+      title: match ? this.unmaskEscapes(match[1].trim()) : null,
+      text: this.unmaskEscapes(rest.trim()),
+      tags,
+      metadata
+    };
+  }
+  
+  /**
+   * Escapes the characters of a text that would read as a tag, metadata,
+   * a title or a comment
+   */
+  static escapeText(text) {
+    return text.replace(/\\/g, '\\\\')
+               .replace(/[#{}]/g, '\\$&')
+               .replace(/\/(?=[/*])|(?<=\*)\//g, '\\/')
+               .replace(/^[<[]/, '\\$&');
+  }
+  
+  /**
+   * Replaces escaped characters by private-use characters
+   */
+  static maskEscapes(text) {
+    return text.replace(ESCAPE_PATTERN, (_, char) => String.fromCharCode(ESCAPE_OFFSET + char.charCodeAt(0)));
+  }
+  
+  /**
+   * Turns the private-use characters of maskEscapes back into the characters
+   * they stand for
+   */
+  static unmaskEscapes(text) {
+    return text.replace(/[\uE000-\uE07F]/g, char => String.fromCharCode(char.charCodeAt(0) - ESCAPE_OFFSET));
+  }
+  
+  /**
+   * Parses inline metadata ("confidence: 0.8, scheme: analogy")
+   */
+  static parseMetadata(source) {
+    const metadata = {};
+    const pattern = /\s*([\w-]+)\s*:\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^,]*)\s*(?:,|$)/g;
+    let match;
+    
+    while ((match = pattern.exec(source)) !== null && match[0]) {
+      metadata[match[1]] = this.parseValue(match[2].trim());
+    }
+    
+    return metadata;
+  }
+  
+  /**
+   * Parses a metadata value as a number, boolean, null or string
+   */
+  static parseValue(value) {
+    if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null') return null;
+    if (value.startsWith('"')) return JSON.parse(value);
+    if (value.startsWith("'")) return value.slice(1, -1);
+    return value;
+  }
+  
+  /**
+   * Formats metadata, leaving out empty values
+   */
+  static formatMetadata(metadata) {
+    const entries = Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    
+    const format = value => (typeof value === 'string' && (!/^[\w.-]+$/.test(value) || this.parseValue(value) !== value)
+      ? JSON.stringify(value)
+      : String(value));
+    
+    return `{${entries.map(([key, value]) => `${key}: ${format(value)}`).join(', ')}}`;
+  }
+  
+  /**
+   * Records an element in the document and returns a reference to it
+   */
+  static registerElement(doc, element, standalone) {
+    if (element.kind === 'argument') {
+      if (!doc.arguments.has(element.title)) {
+        doc.arguments.set(element.title, {
+          title: element.title,
+          description: '',
+          tags: [],
+          metadata: {},
+          premises: [],
+          conclusion: null,
+          position: null
+        });
+      }
+      
+      const arg = doc.arguments.get(element.title);
+      if (element.text && !arg.description) arg.description = element.text;
+      arg.tags.push(...element.tags);
+      Object.assign(arg.metadata, element.metadata);
+      
+      return { kind: 'argument', title: element.title };
+    }
+    
+    const key = element.title ? `[${element.title}]` : element.text;
+    if (!key) throw new Error('Statement text is required');
+    
+    if (!doc.statements.has(key)) {
+      doc.statements.set(key, { title: element.title, text: '', standalone: false });
+    }
+    
+    const statement = doc.statements.get(key);
+    if (element.text && !statement.text) statement.text = element.text;
+    if (standalone) statement.standalone = true;
+    
+    return { kind: 'statement', key };
+  }
+  
+  /**
+   * Turns a premise-conclusion line reference into a plain statement reference
+   * when it is the source of an outgoing relation
+   */
+  static asSource(ref) {
+    return ref.kind === 'premise' || ref.kind === 'conclusion' ? { kind: 'statement', key: ref.key } : ref;
+  }
+  
+  /**
+   * Removes block and line comments
+   */
+  static stripComments(text) {
+    return text.replace(/\/\*[\s\S]*?\*\//g, '')
+               .split(/\r?\n/)
+               .map(line => (/^\s*\/\//.test(line) ? '' : line))
+               .join('\n');
+  }
+}
+
+module.exports = ArgdownConverter;
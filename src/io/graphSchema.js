@@ -0,0 +1,624 @@
+const Argument = require('../core/argument');
+const ArgumentGraph = require('../core/argumentGraph');
+const Proposition = require('../core/proposition');
+const ArgumentationSchemes = require('../core/argumentationSchemes');
+const EventLog = require('../core/eventLog');
+
+const CURRENT_VERSION = ArgumentGraph.SCHEMA_VERSION;
+
+const ARGUMENT_TYPES = ['thesis', 'antithesis', 'synthesis', 'objection', 'rebuttal'];
+
+/**
+ * Confidence given to arguments that older documents saved without one
+ */
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each returns a document
+ * one version newer.
+ */
+const MIGRATIONS = {
+  1: migrateFromVersion1
+};
+
+/**
+ * Thrown when a document does not match the schema. `errors` lists every
+ * problem as { path, message }.
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid graph document:\n${errors.map(error => `  ${error.path}: ${error.message}`).join('\n')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * GraphSchema documents, validates and migrates the JSON written by
+ * ArgumentGraph.toJSON() and StructuredArgumentationTool.export().
+ *
+ * Version 2 document:
+ *
+ * - schemaVersion: 2
+ * - arguments: [{ id, claim, premises, conclusion, premiseIds, conclusionId,
+ *   type, confidence, author, scheme, criticalQuestion, strengths,
+ *   weaknesses, createdAt, lastModified }]
+ * - propositions: [{ id, text, createdAt }]
+ * - participants: [{ id, name, team, role, createdAt }]
+ * - stances: [{ participantId, argumentId, stance }]
+ * - relationships: [{ argumentId, supports, contradicts, attacks, respondsTo }],
+ *   one entry per argument, where attacks are { target, kind, premiseIndex? }
+ *   and contradicts lists the attack targets
+ * - ruleSettings (optional): evaluation rule settings as { enabled, disabled,
+ *   weights, categoryWeights }, where enabled and disabled list rule names
+ *   and weights map rule or category names to non-negative numbers
+ * - history (optional): the tool's EventLog as { position, events }
+ *
+ * Timestamps are ISO 8601 strings, and confidence, author, scheme, criticalQuestion,
+ * team, role and respondsTo may be null.
+ *
+ * Version 1 covers documents without a schemaVersion: the flat
+ * { arguments, relationships: [{ from, to, type }] } export of the tool, and
+ * ArgumentGraph.toJSON() output from before relationships moved off the
+ * arguments.
+ */
+class GraphSchema {
+  /**
+   * Gets the schema version of a document
+   */
+  static getVersion(document) {
+    return document.schemaVersion === undefined ? 1 : document.schemaVersion;
+  }
+  
+  /**
+   * Upgrades a document to the current schema version
+   */
+  static migrate(document) {
+    if (!isObject(document)) return document;
+    
+    let migrated = document;
+    let version = this.getVersion(migrated);
+    
+    while (Number.isInteger(version) && version < CURRENT_VERSION && MIGRATIONS[version]) {
+      migrated = MIGRATIONS[version](migrated);
+      version = this.getVersion(migrated);
+    }
+    
+    return migrated;
+  }
+  
+  /**
+   * Checks a current-version document, returning every problem as
+   * { path, message }
+   */
+  static validate(document) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+    
+    if (!isObject(document)) {
+      fail('(root)', 'must be an object');
+      return errors;
+    }
+    
+    if (document.schemaVersion !== CURRENT_VERSION) {
+      fail('schemaVersion', Number.isInteger(document.schemaVersion) && document.schemaVersion > CURRENT_VERSION
+        ? `version ${document.schemaVersion} is newer than the supported version ${CURRENT_VERSION}`
+        : `must be ${CURRENT_VERSION}`);
+    }
+    
+    const collections = ['arguments', 'propositions', 'participants', 'stances', 'relationships'];
+    collections.forEach(key => {
+      if (!Array.isArray(document[key])) fail(key, 'must be an array');
+    });
+    const list = key => (Array.isArray(document[key]) ? document[key] : []);
+    
+    const propositionIds = collectIds(list('propositions'), 'propositions', fail);
+    const participantIds = collectIds(list('participants'), 'participants', fail);
+    const argumentIds = collectIds(list('arguments'), 'arguments', fail);
+    const argumentsById = new Map(list('arguments').filter(isObject).map(arg => [arg.id, arg]));
+    
+    list('propositions').forEach((prop, index) => {
+      const path = `propositions[${index}]`;
+      if (!isObject(prop)) return;
+      checkText(prop.text, `${path}.text`, fail);
+      checkDate(prop.createdAt, `${path}.createdAt`, fail);
+    });
+    
+    list('participants').forEach((participant, index) => {
+      const path = `participants[${index}]`;
+      if (!isObject(participant)) return;
+      checkText(participant.name, `${path}.name`, fail);
+      checkNullableString(participant.team, `${path}.team`, fail);
+      checkNullableString(participant.role, `${path}.role`, fail);
+      checkDate(participant.createdAt, `${path}.createdAt`, fail);
+    });
+    
+    list('arguments').forEach((arg, index) => {
+      if (isObject(arg)) this.validateArgument(arg, `arguments[${index}]`, { propositionIds, participantIds }, fail);
+    });
+    
+    list('stances').forEach((entry, index) => {
+      const path = `stances[${index}]`;
+      if (!isObject(entry)) return fail(path, 'must be an object');
+      checkReference(entry.participantId, participantIds, `${path}.participantId`, 'participant', fail);
+      checkReference(entry.argumentId, argumentIds, `${path}.argumentId`, 'argument', fail);
+      if (!ArgumentGraph.STANCES.includes(entry.stance)) {
+        fail(`${path}.stance`, `must be one of: ${ArgumentGraph.STANCES.join(', ')}`);
+      }
+    });
+    
+    const related = new Set();
+    list('relationships').forEach((rel, index) => {
+      const path = `relationships[${index}]`;
+      if (!isObject(rel)) return fail(path, 'must be an object');
+      
+      checkReference(rel.argumentId, argumentIds, `${path}.argumentId`, 'argument', fail);
+      if (related.has(rel.argumentId)) fail(`${path}.argumentId`, `duplicate entry for argument ${rel.argumentId}`);
+      related.add(rel.argumentId);
+      
+      this.validateRelationship(rel, path, argumentsById, fail);
+    });
+    
+    if (document.ruleSettings !== undefined) this.validateRuleSettings(document.ruleSettings, 'ruleSettings', fail);
+    if (document.history !== undefined) this.validateHistory(document.history, 'history', fail);
+    
+    return errors;
+  }
+  
+  /**
+   * Checks one argument entry
+   */
+  static validateArgument(arg, path, { propositionIds, participantIds }, fail) {
+    checkText(arg.claim, `${path}.claim`, fail);
+    checkText(arg.conclusion, `${path}.conclusion`, fail);
+    checkStrings(arg.premises, `${path}.premises`, fail);
+    
+    if (checkStrings(arg.premiseIds, `${path}.premiseIds`, fail)) {
+      if (Array.isArray(arg.premises) && arg.premiseIds.length !== arg.premises.length) {
+        fail(`${path}.premiseIds`, 'must have one entry per premise');
+      } else {
+        arg.premiseIds.forEach((id, i) =>
+          checkReference(id, propositionIds, `${path}.premiseIds[${i}]`, 'proposition', fail)
+        );
+      }
+    }
+    checkReference(arg.conclusionId, propositionIds, `${path}.conclusionId`, 'proposition', fail);
+    
+    if (!ARGUMENT_TYPES.includes(arg.type)) fail(`${path}.type`, `must be one of: ${ARGUMENT_TYPES.join(', ')}`);
+    if (arg.confidence !== null && (typeof arg.confidence !== 'number' || arg.confidence < 0 || arg.confidence > 1)) {
+      fail(`${path}.confidence`, 'must be a number between 0 and 1');
+    }
+    
+    if (arg.author !== null) checkReference(arg.author, participantIds, `${path}.author`, 'participant', fail);
+    if (arg.scheme !== null && !ArgumentationSchemes.hasScheme(arg.scheme)) {
+      fail(`${path}.scheme`, `must be null or one of: ${ArgumentationSchemes.listSchemes().join(', ')}`);
+    }
+    checkNullableString(arg.criticalQuestion, `${path}.criticalQuestion`, fail);
+    checkStrings(arg.strengths, `${path}.strengths`, fail);
+    checkStrings(arg.weaknesses, `${path}.weaknesses`, fail);
+    checkDate(arg.createdAt, `${path}.createdAt`, fail);
+    checkDate(arg.lastModified, `${path}.lastModified`, fail);
+  }
+  
+  /**
+   * Checks the outgoing relationships of one argument
+   */
+  static validateRelationship(rel, path, argumentsById, fail) {
+    if (checkStrings(rel.supports, `${path}.supports`, fail)) {
+      rel.supports.forEach((id, i) => checkReference(id, argumentsById, `${path}.supports[${i}]`, 'argument', fail));
+    }
+    
+    if (!Array.isArray(rel.attacks)) {
+      fail(`${path}.attacks`, 'must be an array');
+    } else {
+      rel.attacks.forEach((attack, i) => {
+        const attackPath = `${path}.attacks[${i}]`;
+        if (!isObject(attack)) return fail(attackPath, 'must be an object');
+        if (!checkReference(attack.target, argumentsById, `${attackPath}.target`, 'argument', fail)) return;
+        
+        if (!Argument.ATTACK_KINDS.includes(attack.kind)) {
+          fail(`${attackPath}.kind`, `must be one of: ${Argument.ATTACK_KINDS.join(', ')}`);
+        } else if (attack.kind === 'undermining') {
+          const premises = argumentsById.get(attack.target).premises || [];
+          if (!Number.isInteger(attack.premiseIndex) || attack.premiseIndex < 0 || attack.premiseIndex >= premises.length) {
+            fail(`${attackPath}.premiseIndex`, `must be the index of a premise of ${attack.target}`);
+          }
+        } else if (attack.premiseIndex !== undefined) {
+          fail(`${attackPath}.premiseIndex`, 'is only allowed on undermining attacks');
+        }
+      });
+      
+      const targets = [...new Set(rel.attacks.filter(isObject).map(attack => attack.target))];
+      if (!Array.isArray(rel.contradicts) || JSON.stringify(rel.contradicts) !== JSON.stringify(targets)) {
+        fail(`${path}.contradicts`, 'must list the targets of attacks in order');
+      }
+    }
+    
+    if (rel.respondsTo !== null) checkReference(rel.respondsTo, argumentsById, `${path}.respondsTo`, 'argument', fail);
+  }
+  
+  /**
+   * Checks an event log
+   */
+  static validateHistory(history, path, fail) {
+    if (!isObject(history)) return fail(path, 'must be an object');
+    if (!Array.isArray(history.events)) return fail(`${path}.events`, 'must be an array');
+    
+    if (!Number.isInteger(history.position) || history.position < 0 || history.position > history.events.length) {
+      fail(`${path}.position`, `must be an integer from 0 to ${history.events.length}`);
+    }
+    
+    const types = EventLog.getEventTypes();
+    history.events.forEach((event, index) => {
+      const eventPath = `${path}.events[${index}]`;
+      if (!isObject(event)) return fail(eventPath, 'must be an object');
+      
+      ['sequence', 'transaction', 'round'].forEach(key => {
+        if (!Number.isInteger(event[key])) fail(`${eventPath}.${key}`, 'must be an integer');
+      });
+      if (!types.includes(event.type)) fail(`${eventPath}.type`, `must be one of: ${types.join(', ')}`);
+      if (!isObject(event.payload)) fail(`${eventPath}.payload`, 'must be an object');
+      checkDate(event.timestamp, `${eventPath}.timestamp`, fail);
+    });
+  }
+  
+  /**
+   * Checks evaluation rule settings. Rule names are not checked, as rules
+   * may be registered by the application loading the document.
+   */
+  static validateRuleSettings(settings, path, fail) {
+    if (!isObject(settings)) return fail(path, 'must be an object');
+    
+    ['enabled', 'disabled'].forEach(key => {
+      if (settings[key] !== undefined) checkStrings(settings[key], `${path}.${key}`, fail);
+    });
+    
+    ['weights', 'categoryWeights'].forEach(key => {
+      if (settings[key] === undefined) return;
+      if (!isObject(settings[key])) return fail(`${path}.${key}`, 'must be an object');
+      
+      Object.entries(settings[key]).forEach(([name, weight]) => {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          fail(`${path}.${key}.${name}`, 'must be a non-negative number');
+        }
+      });
+    });
+  }
+  
+  /**
+   * Migrates and validates a document, throwing a SchemaValidationError
+   * listing every problem. The history of a current-version document must
+   * replay to the graph the document holds.
+   */
+  static parse(document) {
+    const migrated = this.migrate(document);
+    let errors = this.validate(migrated);
+    
+    // Older versions saved a snapshot that migration fills in, so only a
+    // current-version snapshot can be held to its history
+    if (errors.length === 0 && migrated.history && this.getVersion(document) === CURRENT_VERSION) {
+      errors = this.checkHistory(migrated);
+    }
+    
+    if (errors.length > 0) throw new SchemaValidationError(errors);
+    return migrated;
+  }
+  
+  /**
+   * Checks that replaying a valid document's history rebuilds the graph the
+   * document holds, returning the entries that differ as { path, message }
+   */
+  static checkHistory(document) {
+    let replayed;
+    try {
+      replayed = EventLog.fromJSON(document.history).replay().toJSON();
+    } catch (error) {
+      return [{ path: 'history', message: `cannot be replayed: ${error.message}` }];
+    }
+    
+    const snapshot = this.toGraph({ ...document, history: undefined }).toJSON();
+    const errors = [];
+    const keys = new Set([...Object.keys(snapshot), ...Object.keys(replayed)]);
+    
+    keys.forEach(key => {
+      const expected = snapshot[key];
+      const actual = replayed[key];
+      if (JSON.stringify(expected) === JSON.stringify(actual)) return;
+      
+      if (!Array.isArray(expected) || !Array.isArray(actual) || expected.length !== actual.length) {
+        errors.push({ path: key, message: 'does not match the graph the history rebuilds' });
+        return;
+      }
+      
+      expected.forEach((entry, index) => {
+        if (JSON.stringify(entry) !== JSON.stringify(actual[index])) {
+          errors.push({ path: `${key}[${index}]`, message: 'does not match the graph the history rebuilds' });
+        }
+      });
+    });
+    
+    return errors;
+  }
+  
+  /**
+   * Lists the events that rebuild the graph of a valid document, as
+   * { type, payload }
+   */
+  static toEvents(document) {
+    const events = [];
+    const add = (type, payload) => events.push({ type, payload });
+    
+    document.propositions.forEach(prop => {
+      add('proposition-added', { proposition: { propositionId: prop.id, text: prop.text, createdAt: prop.createdAt } });
+    });
+    
+    document.participants.forEach(participant => {
+      add('participant-added', {
+        participant: {
+          participantId: participant.id,
+          name: participant.name,
+          team: participant.team,
+          role: participant.role,
+          createdAt: participant.createdAt
+        }
+      });
+    });
+    
+    document.arguments.forEach(arg => {
+      add('argument-added', {
+        argument: {
+          argumentId: arg.id,
+          claim: arg.claim,
+          premises: arg.premises,
+          conclusion: arg.conclusion,
+          premiseIds: arg.premiseIds,
+          conclusionId: arg.conclusionId,
+          argumentType: arg.type,
+          confidence: arg.confidence,
+          author: arg.author,
+          scheme: arg.scheme,
+          criticalQuestion: arg.criticalQuestion,
+          strengths: arg.strengths,
+          weaknesses: arg.weaknesses,
+          createdAt: arg.createdAt,
+          lastModified: arg.lastModified
+        }
+      });
+    });
+    
+    document.relationships.forEach(rel => {
+      rel.supports.forEach(to => add('relationship-added', { from: rel.argumentId, to, type: 'support' }));
+      rel.attacks.forEach(attack => {
+        const payload = { from: rel.argumentId, to: attack.target, type: 'contradict', kind: attack.kind };
+        if (attack.premiseIndex !== undefined) payload.premiseIndex = attack.premiseIndex;
+        add('relationship-added', payload);
+      });
+      if (rel.respondsTo) add('relationship-added', { from: rel.argumentId, to: rel.respondsTo, type: 'respond' });
+    });
+    
+    document.stances.forEach(entry => {
+      add('stance-set', { participantId: entry.participantId, argumentId: entry.argumentId, stance: entry.stance });
+    });
+    
+    if (document.ruleSettings) add('rules-configured', { settings: document.ruleSettings, previous: null });
+    
+    return events;
+  }
+  
+  /**
+   * Builds an ArgumentGraph from a document of any supported version
+   */
+  static toGraph(document, graph = new ArgumentGraph()) {
+    this.toEvents(this.parse(document)).forEach(event => EventLog.applyEvent(graph, event));
+    return graph;
+  }
+}
+
+/**
+ * Upgrades an unversioned document to version 2
+ */
+function migrateFromVersion1(document) {
+  const errors = checkVersion1(document);
+  if (errors.length > 0) throw new SchemaValidationError(errors);
+  
+  const now = new Date().toISOString();
+  const propositionId = text => (typeof text === 'string' && text.trim() ? Proposition.generateId(text) : null);
+  
+  const args = (document.arguments || []).map(arg => {
+    if (!isObject(arg)) return arg;
+    
+    const premises = arg.premises || [];
+    const createdAt = toISOString(arg.createdAt) || now;
+    
+    return {
+      id: arg.id,
+      claim: arg.claim,
+      premises,
+      conclusion: arg.conclusion,
+      premiseIds: Array.isArray(arg.premiseIds) && arg.premiseIds.length === premises.length
+        ? arg.premiseIds
+        : premises.map(propositionId),
+      conclusionId: arg.conclusionId || propositionId(arg.conclusion),
+      type: arg.type,
+      confidence: arg.confidence !== undefined ? arg.confidence : DEFAULT_CONFIDENCE,
+      author: arg.author || null,
+      scheme: arg.scheme || null,
+      criticalQuestion: arg.criticalQuestion || null,
+      strengths: arg.strengths || [],
+      weaknesses: arg.weaknesses || [],
+      createdAt,
+      lastModified: toISOString(arg.lastModified) || createdAt
+    };
+  });
+  
+  // Older exports had no propositions, so derive them from the statements
+  const propositions = (document.propositions || []).map(prop =>
+    isObject(prop) ? { ...prop, createdAt: toISOString(prop.createdAt) || now } : prop
+  );
+  const known = new Set(propositions.filter(isObject).map(prop => prop.id));
+  args.filter(isObject).forEach(arg => {
+    const statements = [...arg.premises.map((text, i) => [arg.premiseIds[i], text]), [arg.conclusionId, arg.conclusion]];
+    statements.forEach(([id, text]) => {
+      if (id && !known.has(id)) {
+        known.add(id);
+        propositions.push({ id, text: text.trim(), createdAt: arg.createdAt });
+      }
+    });
+  });
+  
+  // Relationships were either flat { from, to, type } entries or
+  // per-argument entries that may predate attack kinds
+  const relationships = new Map(args.filter(isObject).map(arg => [arg.id, {
+    argumentId: arg.id,
+    supports: [],
+    contradicts: [],
+    attacks: [],
+    respondsTo: null
+  }]));
+  const entryFor = id => {
+    if (!relationships.has(id)) {
+      relationships.set(id, { argumentId: id, supports: [], contradicts: [], attacks: [], respondsTo: null });
+    }
+    return relationships.get(id);
+  };
+  
+  (document.relationships || []).forEach(rel => {
+    if (!isObject(rel)) return;
+    
+    if (rel.argumentId !== undefined) {
+      const entry = entryFor(rel.argumentId);
+      entry.supports.push(...(rel.supports || []));
+      entry.attacks.push(...(rel.attacks || (rel.contradicts || []).map(target => ({ target, kind: 'rebutting' }))));
+      entry.respondsTo = rel.respondsTo || null;
+      return;
+    }
+    
+    const entry = entryFor(rel.from);
+    if (rel.type === 'support') {
+      entry.supports.push(rel.to);
+    } else if (rel.type === 'contradict') {
+      entry.attacks.push(Argument.normalizeAttack({ target: rel.to, kind: rel.kind, premiseIndex: rel.premiseIndex }));
+    } else if (rel.type === 'respond') {
+      entry.respondsTo = rel.to;
+    }
+  });
+  relationships.forEach(entry => {
+    entry.contradicts = [...new Set(entry.attacks.map(attack => attack.target))];
+  });
+  
+  const migrated = {
+    schemaVersion: 2,
+    arguments: args,
+    propositions,
+    participants: (document.participants || []).map(participant =>
+      isObject(participant) ? { ...participant, createdAt: toISOString(participant.createdAt) || now } : participant
+    ),
+    stances: document.stances || [],
+    relationships: Array.from(relationships.values())
+  };
+  if (document.history !== undefined) migrated.history = document.history;
+  
+  return migrated;
+}
+
+/**
+ * Checks that the lists of an unversioned document are arrays, as migration
+ * expects: arguments is required, and the other lists may be missing
+ */
+function checkVersion1(document) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const checkArray = (value, path) => {
+    if (value !== undefined && !Array.isArray(value)) fail(path, 'must be an array');
+  };
+  
+  if (!Array.isArray(document.arguments)) {
+    fail('arguments', 'must be an array');
+  } else {
+    document.arguments.forEach((arg, index) => {
+      if (!isObject(arg)) return;
+      ['premises', 'premiseIds', 'strengths', 'weaknesses'].forEach(key => checkArray(arg[key], `arguments[${index}].${key}`));
+    });
+  }
+  
+  ['propositions', 'participants', 'stances', 'relationships'].forEach(key => checkArray(document[key], key));
+  if (Array.isArray(document.relationships)) {
+    document.relationships.forEach((rel, index) => {
+      if (!isObject(rel)) return;
+      ['supports', 'contradicts', 'attacks'].forEach(key => checkArray(rel[key], `relationships[${index}].${key}`));
+    });
+  }
+  
+  return errors;
+}
+
+/**
+ * Collects the IDs of a list of entries, reporting missing and duplicate IDs
+ */
+function collectIds(entries, key, fail) {
+  const ids = new Set();
+  
+  entries.forEach((entry, index) => {
+    const path = `${key}[${index}]`;
+    if (!isObject(entry)) return fail(path, 'must be an object');
+    if (typeof entry.id !== 'string' || !entry.id) return fail(`${path}.id`, 'must be a non-empty string');
+    if (ids.has(entry.id)) return fail(`${path}.id`, `duplicate ID ${entry.id}`);
+    ids.add(entry.id);
+  });
+  
+  return ids;
+}
+
+/**
+ * Checks that a value refers to a known ID, returning whether it does
+ */
+function checkReference(value, ids, path, kind, fail) {
+  if (typeof value !== 'string' || !ids.has(value)) {
+    fail(path, `must be the ID of an existing ${kind}`);
+    return false;
+  }
+  return true;
+}
+
+function checkText(value, path, fail) {
+  if (typeof value !== 'string' || !value.trim()) fail(path, 'must be a non-empty string');
+}
+
+function checkNullableString(value, path, fail) {
+  if (value !== null && typeof value !== 'string') fail(path, 'must be a string or null');
+}
+
+function checkStrings(value, path, fail) {
+  if (!Array.isArray(value)) {
+    fail(path, 'must be an array');
+    return false;
+  }
+  
+  let valid = true;
+  value.forEach((item, index) => {
+    if (typeof item !== 'string') {
+      fail(`${path}[${index}]`, 'must be a string');
+      valid = false;
+    }
+  });
+  return valid;
+}
+
+function checkDate(value, path, fail) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) fail(path, 'must be an ISO 8601 timestamp');
+}
+
+function toISOString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+GraphSchema.CURRENT_VERSION = CURRENT_VERSION;
+GraphSchema.SchemaValidationError = SchemaValidationError;
+
+module.exports = GraphSchema;
@@ -0,0 +1,257 @@
+const ArgumentGraph = require('../core/argumentGraph');
+
+const FORMATS = ['apx', 'tgf', 'i23'];
+
+/**
+ * Confidence given to the placeholder arguments created on import
+ */
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * IccmaConverter reads and writes the abstract argumentation formats used by
+ * the ICCMA solver competitions. Only the attack relation is represented:
+ *
+ * - apx: `arg(a).` and `att(a,b).` facts
+ * - tgf: one argument per line, a `#` separator, then `a b` attack lines
+ * - i23: a `p af <n>` header followed by `i j` attack lines over arguments
+ *   numbered 1..n, with `#` comment lines
+ *
+ * i23 export records the original argument IDs in `# <n> <id>` comments, and
+ * import restores them when present. An ID with whitespace or quotes, or
+ * that is empty, is written as a JSON string.
+ */
+class IccmaConverter {
+  /**
+   * Writes the attack relation of a graph in an ICCMA format
+   */
+  static toICCMA(graph, format = 'apx') {
+    this.validateFormat(format);
+    
+    const ids = Array.from(graph.arguments.keys());
+    const attacks = graph.getAttackRelation();
+    
+    if (format === 'i23') {
+      const index = new Map(ids.map((id, i) => [id, i + 1]));
+      return [
+        `p af ${ids.length}`,
+        ...ids.map(id => `# ${index.get(id)} ${/^[^\s"]+$/.test(id) ? id : JSON.stringify(id)}`),
+        ...attacks.map(([from, to]) => `${index.get(from)} ${index.get(to)}`)
+      ].join('\n') + '\n';
+    }
+    
+    ids.forEach(id => this.validateId(id, format));
+    
+    if (format === 'tgf') {
+      return [
+        ...ids,
+        '#',
+        ...attacks.map(([from, to]) => `${from} ${to}`)
+      ].join('\n') + '\n';
+    }
+    
+    return [
+      ...ids.map(id => `arg(${id}).`),
+      ...attacks.map(([from, to]) => `att(${from},${to}).`)
+    ].join('\n') + '\n';
+  }
+  
+  /**
+   * Builds an ArgumentGraph from an ICCMA framework, creating a placeholder
+   * argument for every abstract argument. The format is detected when omitted.
+   */
+  static fromICCMA(text, format = this.detectFormat(text), graph = new ArgumentGraph()) {
+    this.validateFormat(format);
+    
+    const parsers = { apx: 'parseApx', tgf: 'parseTgf', i23: 'parseI23' };
+    const framework = this[parsers[format]](text);
+    
+    framework.arguments.forEach(id => {
+      graph.addArgument({
+        argumentId: id,
+        claim: `Argument ${id}`,
+        premises: [],
+        conclusion: `Argument ${id}`,
+        argumentType: 'thesis',
+        confidence: DEFAULT_CONFIDENCE
+      });
+    });
+    
+    framework.attacks.forEach(([from, to]) => {
+      graph.addContradictsRelationship(from, to);
+    });
+    
+    return graph;
+  }
+  
+  /**
+   * Guesses the format of an ICCMA framework from its content
+   */
+  static detectFormat(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    
+    if (lines.some(line => /^p\s+af\s+\d+$/.test(line))) return 'i23';
+    if (lines.some(line => /^(arg|att)\(/.test(line))) return 'apx';
+    return 'tgf';
+  }
+  
+  /**
+   * Parses apx facts
+   */
+  static parseApx(text) {
+    const framework = { arguments: [], attacks: [] };
+    
+    this.lines(text).forEach(({ content, number }) => {
+      const argMatch = /^arg\(\s*([^(),\s]+)\s*\)\.$/.exec(content);
+      const attMatch = /^att\(\s*([^(),\s]+)\s*,\s*([^(),\s]+)\s*\)\.$/.exec(content);
+      
+      if (argMatch) {
+        framework.arguments.push(argMatch[1]);
+      } else if (attMatch) {
+        framework.attacks.push([attMatch[1], attMatch[2]]);
+      } else {
+        throw new Error(`Line ${number}: expected arg(a). or att(a,b).`);
+      }
+    });
+    
+    return this.checkFramework(framework);
+  }
+  
+  /**
+   * Parses trivial graph format
+   */
+  static parseTgf(text) {
+    const framework = { arguments: [], attacks: [] };
+    let inEdges = false;
+    
+    this.lines(text).forEach(({ content, number }) => {
+      if (content === '#') {
+        inEdges = true;
+        return;
+      }
+      
+      const tokens = content.split(/\s+/);
+      if (!inEdges) {
+        framework.arguments.push(tokens[0]);
+      } else if (tokens.length >= 2) {
+        framework.attacks.push([tokens[0], tokens[1]]);
+      } else {
+        throw new Error(`Line ${number}: expected an attack "a b"`);
+      }
+    });
+    
+    return this.checkFramework(framework);
+  }
+  
+  /**
+   * Parses the i23 format, restoring argument IDs from `# <n> <id>` comments
+   */
+  static parseI23(text) {
+    const framework = { arguments: [], attacks: [] };
+    const names = new Map();
+    let size = null;
+    
+    text.split(/\r?\n/).forEach((line, index) => {
+      const content = line.trim();
+      const number = index + 1;
+      if (!content) return;
+      
+      if (content.startsWith('#')) {
+        const nameMatch = /^#\s*(\d+)\s+(.+)$/.exec(content);
+        if (nameMatch) names.set(parseInt(nameMatch[1], 10), this.parseI23Name(nameMatch[2]));
+        return;
+      }
+      
+      const headerMatch = /^p\s+af\s+(\d+)$/.exec(content);
+      if (headerMatch) {
+        if (size !== null) throw new Error(`Line ${number}: duplicate p af header`);
+        size = parseInt(headerMatch[1], 10);
+        return;
+      }
+      
+      if (size === null) throw new Error(`Line ${number}: expected p af <n> header`);
+      
+      const attackMatch = /^(\d+)\s+(\d+)$/.exec(content);
+      if (!attackMatch) throw new Error(`Line ${number}: expected an attack "i j"`);
+      
+      const pair = [parseInt(attackMatch[1], 10), parseInt(attackMatch[2], 10)];
+      if (pair.some(n => n < 1 || n > size)) {
+        throw new Error(`Line ${number}: arguments must be numbered 1 to ${size}`);
+      }
+      framework.attacks.push(pair);
+    });
+    
+    if (size === null) throw new Error('Missing p af <n> header');
+    
+    const idOf = n => names.get(n) || String(n);
+    for (let n = 1; n <= size; n++) framework.arguments.push(idOf(n));
+    framework.attacks = framework.attacks.map(([from, to]) => [idOf(from), idOf(to)]);
+    
+    return this.checkFramework(framework);
+  }
+  
+  /**
+   * Reads the ID of an i23 name comment, which is quoted as a JSON string
+   * when it has whitespace
+   */
+  static parseI23Name(name) {
+    if (!name.startsWith('"')) return name;
+    
+    try {
+      return JSON.parse(name);
+    } catch (error) {
+      return name;
+    }
+  }
+  
+  /**
+   * Splits text into numbered, non-empty lines
+   */
+  static lines(text) {
+    return text.split(/\r?\n/)
+               .map((line, index) => ({ content: line.trim(), number: index + 1 }))
+               .filter(line => line.content);
+  }
+  
+  /**
+   * Checks that arguments are unique and attacks only use declared arguments
+   */
+  static checkFramework(framework) {
+    const declared = new Set();
+    
+    framework.arguments.forEach(id => {
+      if (declared.has(id)) throw new Error(`Argument ${id} is declared twice`);
+      declared.add(id);
+    });
+    
+    framework.attacks.forEach(([from, to]) => {
+      [from, to].forEach(id => {
+        if (!declared.has(id)) throw new Error(`Attack uses undeclared argument ${id}`);
+      });
+    });
+    
+    return framework;
+  }
+  
+  /**
+   * Checks that an argument ID can be written in apx or tgf
+   */
+  static validateId(id, format) {
+    const invalid = format === 'apx' ? /[(),.\s]/ : /[\s#]/;
+    if (invalid.test(id)) {
+      throw new Error(`Argument ID "${id}" cannot be written in ${format} format`);
+    }
+  }
+  
+  /**
+   * Checks that a format is supported
+   */
+  static validateFormat(format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported ICCMA format. Must be one of: ${FORMATS.join(', ')}`);
+    }
+  }
+}
+
+IccmaConverter.FORMATS = FORMATS;
+
+module.exports = IccmaConverter;
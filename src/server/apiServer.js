@@ -0,0 +1,707 @@
+const http = require('http');
+const { StructuredArgumentationTool } = require('../index');
+const EventLog = require('../core/eventLog');
+const AbstractSemantics = require('../analysis/abstractSemantics');
+const GraphSchema = require('../io/graphSchema');
+const StorageAdapter = require('../storage/storageAdapter');
+const MemoryStorageAdapter = require('../storage/memoryStorageAdapter');
+
+const VISUALIZE_FORMATS = {
+  ascii: 'text/plain',
+  dot: 'text/vnd.graphviz',
+  mermaid: 'text/plain',
+  html: 'text/html'
+};
+
+const REPORT_FORMATS = {
+  markdown: 'text/markdown',
+  html: 'text/html',
+  json: 'application/json',
+  text: 'text/plain'
+};
+
+const SEMANTICS = ['grounded', 'complete', 'preferred', 'stable', 'semi-stable'];
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Body field types as [description, check]
+ */
+const FIELD_TYPES = {
+  string: ['a string', value => typeof value === 'string'],
+  nullableString: ['a string or null', value => value === null || typeof value === 'string'],
+  strings: ['an array of strings', value => Array.isArray(value) && value.every(item => typeof item === 'string')],
+  number: ['a number', value => typeof value === 'number' && Number.isFinite(value)],
+  index: ['a non-negative integer', value => Number.isInteger(value) && value >= 0]
+};
+
+/**
+ * Types of the argument fields a request body may set
+ */
+const ARGUMENT_FIELDS = {
+  claim: 'string',
+  premises: 'strings',
+  conclusion: 'string',
+  type: 'string',
+  confidence: 'number',
+  scheme: 'nullableString',
+  criticalQuestion: 'nullableString'
+};
+
+/**
+ * Turns a route path into a pattern and the names of its parameters
+ */
+const compilePath = path => {
+  const names = [];
+  const source = path.split('/').map(segment => {
+    if (!segment.startsWith(':')) return segment;
+    names.push(segment.slice(1));
+    return '([^/]+)';
+  }).join('/');
+  
+  return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+/**
+ * Routes as [method, path, handler]. Path segments starting with ":" are
+ * parameters. Handlers are ApiServer methods called with
+ * (params, { query, body }) that resolve to a response { status, type, body }.
+ */
+const ROUTES = [
+  ['GET', '/graphs', 'listGraphs'],
+  ['POST', '/graphs', 'createGraph'],
+  ['GET', '/graphs/:graphId', 'getGraph'],
+  ['PUT', '/graphs/:graphId', 'replaceGraph'],
+  ['DELETE', '/graphs/:graphId', 'deleteGraph'],
+  ['GET', '/graphs/:graphId/arguments', 'listArguments'],
+  ['POST', '/graphs/:graphId/arguments', 'createArgument'],
+  ['GET', '/graphs/:graphId/arguments/:argumentId', 'getArgument'],
+  ['PATCH', '/graphs/:graphId/arguments/:argumentId', 'editArgument'],
+  ['DELETE', '/graphs/:graphId/arguments/:argumentId', 'removeArgument'],
+  ['GET', '/graphs/:graphId/relationships', 'listRelationships'],
+  ['POST', '/graphs/:graphId/relationships', 'addRelationship'],
+  ['DELETE', '/graphs/:graphId/relationships', 'removeRelationship'],
+  ['POST', '/graphs/:graphId/evaluate/:argumentId', 'evaluate'],
+  ['POST', '/graphs/:graphId/synthesize', 'synthesize'],
+  ['GET', '/graphs/:graphId/visualize', 'visualize'],
+  ['GET', '/graphs/:graphId/report', 'report'],
+  ['GET', '/graphs/:graphId/extensions', 'extensions']
+].map(([method, path, handler]) => ({ method, path, handler, ...compilePath(path) }));
+
+/**
+ * HttpError carries the status code a request should fail with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * ApiServer serves named graphs over HTTP as a JSON REST API. Graphs are kept
+ * in a storage adapter (in memory by default) and saved after every change;
+ * requests to the same graph run one at a time.
+ *
+ * Errors are answered as { error: { status, message } }. Invalid input fails
+ * with status 400 and the message the tool threw, such as "Claim is required"
+ * from Argument.validateArgument; invalid documents also list their schema
+ * errors.
+ *
+ * Reports and the semantics that search for extensions take long on large
+ * graphs, so they are refused with status 400 beyond options.maxReportArguments
+ * arguments (100) and options.maxSearchArguments arguments left undecided by
+ * grounded semantics (20).
+ */
+class ApiServer {
+  constructor(options = {}) {
+    this.adapter = options.adapter || new MemoryStorageAdapter();
+    this.maxReportArguments = options.maxReportArguments !== undefined ? options.maxReportArguments : 100;
+    this.maxSearchArguments = options.maxSearchArguments !== undefined ? options.maxSearchArguments : 20;
+    
+    // Origin allowed to call the API from a browser, if any
+    this.allowOrigin = options.allowOrigin || null;
+    
+    this.graphs = new Map();
+    this.queues = new Map();
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+  
+  /**
+   * Starts listening, resolving to the address once the server is ready
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+  
+  /**
+   * Stops the server, resolving once open connections have ended
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server.closeIdleConnections();
+    });
+  }
+  
+  /**
+   * Answers a request, turning thrown errors into JSON error responses
+   */
+  async handle(request, response) {
+    if (this.allowOrigin) {
+      response.setHeader('Access-Control-Allow-Origin', this.allowOrigin);
+      response.setHeader('Vary', 'Origin');
+    }
+    
+    try {
+      const url = new URL(request.url, 'http://localhost');
+      if (request.method === 'OPTIONS') return ApiServer.send(response, ApiServer.getPreflight(url.pathname));
+      
+      const { route, params } = ApiServer.matchRoute(request.method, url.pathname);
+      const body = await ApiServer.readBody(request);
+      
+      ApiServer.send(response, await this[route.handler](params, { query: url.searchParams, body }));
+    } catch (error) {
+      const status = ApiServer.getStatus(error);
+      const body = { error: { status, message: status === 500 ? 'Internal server error' : error.message } };
+      if (error.errors) body.error.errors = error.errors;
+      
+      ApiServer.send(response, { status, body });
+    }
+  }
+  
+  /**
+   * Lists the stored graphs
+   */
+  async listGraphs() {
+    return { body: { graphs: await this.adapter.list() } };
+  }
+  
+  /**
+   * Creates a graph from { graphId, document }, empty without a document
+   */
+  async createGraph(params, { body }) {
+    const { graphId, document } = ApiServer.requireObject(body);
+    StorageAdapter.validateGraphId(graphId);
+    
+    return this.enqueue(graphId, async () => {
+      if (await this.exists(graphId)) throw new HttpError(409, `Graph ${graphId} already exists`);
+      
+      const tool = new StructuredArgumentationTool();
+      if (document !== undefined) tool.import(document);
+      await this.saveGraph(graphId, tool);
+      
+      return { status: 201, body: ApiServer.describeGraph(graphId, tool) };
+    });
+  }
+  
+  /**
+   * Gets a graph's export() document
+   */
+  async getGraph({ graphId }) {
+    return { body: await this.withGraph(graphId, tool => tool.export()) };
+  }
+  
+  /**
+   * Replaces a graph with the document in the body, creating it if needed
+   */
+  async replaceGraph({ graphId }, { body }) {
+    const document = ApiServer.requireObject(body);
+    StorageAdapter.validateGraphId(graphId);
+    
+    return this.enqueue(graphId, async () => {
+      const previous = await this.exists(graphId) ? await this.loadGraph(graphId) : null;
+      const tool = new StructuredArgumentationTool();
+      tool.import(document);
+      
+      // Take over the stored version, so that saving replaces it
+      tool.storage = previous && previous.storage;
+      await this.saveGraph(graphId, tool);
+      
+      return { status: previous ? 200 : 201, body: ApiServer.describeGraph(graphId, tool) };
+    });
+  }
+  
+  /**
+   * Deletes a graph
+   */
+  async deleteGraph({ graphId }) {
+    StorageAdapter.validateGraphId(graphId);
+    
+    return this.enqueue(graphId, async () => {
+      if (!await this.adapter.delete(graphId)) throw new HttpError(404, `Graph ${graphId} does not exist`);
+      this.graphs.delete(graphId);
+      return { status: 204 };
+    });
+  }
+  
+  /**
+   * Lists a graph's arguments
+   */
+  async listArguments({ graphId }) {
+    const args = await this.withGraph(graphId, tool =>
+      Array.from(tool.getAllArguments().values()).map(arg => arg.toJSON())
+    );
+    return { body: { arguments: args } };
+  }
+  
+  /**
+   * Adds an argument from { claim, premises, conclusion, type, confidence }.
+   * Confidence defaults to 0.5.
+   */
+  async createArgument({ graphId }, { body }) {
+    const { claim, premises, conclusion, type, confidence = 0.5 } = ApiServer.checkFields(body, ARGUMENT_FIELDS);
+    
+    const argument = await this.withGraph(graphId, tool =>
+      tool.createArgument(claim, premises, conclusion, type, confidence).toJSON(), { save: true });
+    return { status: 201, body: { argument } };
+  }
+  
+  /**
+   * Gets an argument with the relationships it takes part in
+   */
+  async getArgument({ graphId, argumentId }) {
+    return {
+      body: await this.withGraph(graphId, tool => ({
+        argument: ApiServer.requireArgument(tool, argumentId).toJSON(),
+        relationships: ApiServer.getRelationships(tool.graph).filter(relationship =>
+          relationship.from === argumentId || relationship.to === argumentId
+        )
+      }))
+    };
+  }
+  
+  /**
+   * Edits an argument's fields. The argument type is given as "type", as in
+   * the argument JSON.
+   */
+  async editArgument({ graphId, argumentId }, { body }) {
+    const { type, ...changes } = ApiServer.checkFields(body, ARGUMENT_FIELDS);
+    if (type !== undefined) changes.argumentType = type;
+    
+    const argument = await this.withGraph(graphId, tool => {
+      ApiServer.requireArgument(tool, argumentId);
+      return tool.editArgument(argumentId, changes).toJSON();
+    }, { save: true });
+    return { body: { argument } };
+  }
+  
+  /**
+   * Removes an argument and its relationships
+   */
+  async removeArgument({ graphId, argumentId }) {
+    await this.withGraph(graphId, tool => {
+      ApiServer.requireArgument(tool, argumentId);
+      tool.removeArgument(argumentId);
+    }, { save: true });
+    return { status: 204 };
+  }
+  
+  /**
+   * Lists a graph's relationships
+   */
+  async listRelationships({ graphId }) {
+    const relationships = await this.withGraph(graphId, tool => ApiServer.getRelationships(tool.graph));
+    return { body: { relationships } };
+  }
+  
+  /**
+   * Adds a relationship from { from, to, type, kind, premiseIndex }. A
+   * contradiction with a premise index undermines that premise unless
+   * another kind is given.
+   */
+  async addRelationship({ graphId }, { body }) {
+    const { from, to, type, kind, premiseIndex } = ApiServer.checkFields(body, {
+      from: 'string', to: 'string', type: 'string', kind: 'string', premiseIndex: 'index'
+    });
+    const options = { kind: kind || (premiseIndex !== undefined ? 'undermining' : undefined), premiseIndex };
+    
+    const relationship = await this.withGraph(graphId, tool => {
+      ApiServer.requireArgument(tool, from);
+      ApiServer.requireArgument(tool, to);
+      tool.addRelationship(from, to, type, options);
+      
+      return ApiServer.getRelationships(tool.graph).filter(candidate =>
+        candidate.from === from && candidate.to === to && candidate.type === type
+      ).pop();
+    }, { save: true });
+    return { status: 201, body: { relationship } };
+  }
+  
+  /**
+   * Removes the relationship given by the from, to and type query
+   * parameters. For contradictions, kind and premiseIndex select which
+   * attacks to remove.
+   */
+  async removeRelationship({ graphId }, { query }) {
+    const from = query.get('from');
+    const to = query.get('to');
+    const type = query.get('type');
+    const options = {
+      kind: query.get('kind') || undefined,
+      premiseIndex: query.has('premiseIndex') ? ApiServer.parseIndex(query.get('premiseIndex')) : undefined
+    };
+    
+    if (!EventLog.RELATIONSHIP_TYPES.includes(type)) {
+      throw new HttpError(400, `Invalid relationship type. Must be one of: ${EventLog.RELATIONSHIP_TYPES.join(', ')}`);
+    }
+    
+    await this.withGraph(graphId, tool => {
+      ApiServer.requireArgument(tool, from);
+      ApiServer.requireArgument(tool, to);
+      
+      // Both arguments exist, so the only failure left is a missing relationship
+      try {
+        tool.removeRelationship(from, to, type, options);
+      } catch (error) {
+        throw new HttpError(404, error.message);
+      }
+    }, { save: true });
+    return { status: 204 };
+  }
+  
+  /**
+   * Re-evaluates an argument
+   */
+  async evaluate({ graphId, argumentId }) {
+    const evaluation = await this.withGraph(graphId, tool => {
+      ApiServer.requireArgument(tool, argumentId);
+      return tool.evaluateArgument(argumentId);
+    }, { save: true });
+    
+    return {
+      body: {
+        evaluation: {
+          argumentId,
+          score: evaluation.score,
+          strengths: evaluation.strengths,
+          weaknesses: evaluation.weaknesses,
+          justification: evaluation.justification
+        }
+      }
+    };
+  }
+  
+  /**
+   * Synthesizes the arguments listed in { argumentIds }
+   */
+  async synthesize({ graphId }, { body }) {
+    const { argumentIds } = ApiServer.requireObject(body);
+    if (!Array.isArray(argumentIds) || argumentIds.length < 2) {
+      throw new HttpError(400, 'argumentIds must list at least two arguments');
+    }
+    
+    const argument = await this.withGraph(graphId, tool => {
+      argumentIds.forEach(id => ApiServer.requireArgument(tool, id));
+      return tool.synthesize(argumentIds).toJSON();
+    }, { save: true });
+    return { status: 201, body: { argument } };
+  }
+  
+  /**
+   * Draws the graph in the format given by ?format= (ascii by default)
+   */
+  async visualize({ graphId }, { query }) {
+    const format = ApiServer.getFormat(query, VISUALIZE_FORMATS, 'ascii');
+    return { type: VISUALIZE_FORMATS[format], body: await this.withGraph(graphId, tool => tool.visualize(format)) };
+  }
+  
+  /**
+   * Generates a report in the format given by ?format= (markdown by default)
+   */
+  async report({ graphId }, { query }) {
+    const format = ApiServer.getFormat(query, REPORT_FORMATS, 'markdown');
+    return {
+      type: REPORT_FORMATS[format],
+      body: await this.withGraph(graphId, tool => {
+        const count = tool.getAllArguments().size;
+        if (count > this.maxReportArguments) {
+          throw new HttpError(400, `Graph has ${count} arguments; reports are limited to ${this.maxReportArguments}`);
+        }
+        return tool.generateReport(format);
+      })
+    };
+  }
+  
+  /**
+   * Computes the extensions and labels of the graph under ?semantics=
+   * (grounded by default)
+   */
+  async extensions({ graphId }, { query }) {
+    const semantics = query.get('semantics') || 'grounded';
+    if (!SEMANTICS.includes(semantics)) {
+      throw new HttpError(400, `Unknown semantics. Must be one of: ${SEMANTICS.join(', ')}`);
+    }
+    
+    return {
+      body: await this.withGraph(graphId, tool => {
+        if (semantics !== 'grounded') {
+          const grounded = AbstractSemantics.getLabels(tool.graph, 'grounded');
+          const undecided = Object.values(grounded).filter(label => label === 'UNDEC').length;
+          if (undecided > this.maxSearchArguments) {
+            throw new HttpError(400, `Grounded semantics leaves ${undecided} arguments undecided; ` +
+              `${semantics} semantics is limited to ${this.maxSearchArguments}`);
+          }
+        }
+        
+        return {
+          semantics,
+          extensions: AbstractSemantics.computeExtensions(tool.graph, semantics),
+          labels: AbstractSemantics.getLabels(tool.graph, semantics)
+        };
+      })
+    };
+  }
+  
+  /**
+   * Runs a command against a stored graph once earlier requests to it have
+   * finished, resolving to the command's result. With options.save the graph
+   * is saved afterwards.
+   */
+  async withGraph(graphId, command, options = {}) {
+    StorageAdapter.validateGraphId(graphId);
+    
+    return this.enqueue(graphId, async () => {
+      const tool = await this.loadGraph(graphId);
+      const result = command(tool);
+      if (options.save) await this.saveGraph(graphId, tool);
+      return result;
+    });
+  }
+  
+  /**
+   * Runs a task after the tasks queued earlier for the same graph
+   */
+  enqueue(graphId, task) {
+    const previous = this.queues.get(graphId) || Promise.resolve();
+    const result = previous.then(task, task);
+    const settled = result.then(() => {}, () => {});
+    
+    this.queues.set(graphId, settled);
+    settled.then(() => {
+      if (this.queues.get(graphId) === settled) this.queues.delete(graphId);
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Gets a graph, opening it from storage the first time
+   */
+  async loadGraph(graphId) {
+    if (!this.graphs.has(graphId)) {
+      if (!await this.exists(graphId)) throw new HttpError(404, `Graph ${graphId} does not exist`);
+      this.graphs.set(graphId, await StructuredArgumentationTool.open(this.adapter, graphId));
+    }
+    return this.graphs.get(graphId);
+  }
+  
+  /**
+   * Saves a graph. If someone else saved it in the meantime, the save fails
+   * and the graph is dropped so that the next request reloads it.
+   */
+  async saveGraph(graphId, tool) {
+    try {
+      await tool.save(this.adapter, graphId);
+      this.graphs.set(graphId, tool);
+    } catch (error) {
+      this.graphs.delete(graphId);
+      throw error;
+    }
+  }
+  
+  /**
+   * Checks whether a graph is stored
+   */
+  async exists(graphId) {
+    return (await this.adapter.list()).includes(graphId);
+  }
+  
+  /**
+   * Finds the route for a request, throwing 404 for unknown paths and 405
+   * for methods a path does not support
+   */
+  static matchRoute(method, pathname) {
+    const routes = ROUTES.filter(route => route.pattern.test(pathname));
+    if (routes.length === 0) throw new HttpError(404, `No route for ${pathname}`);
+    
+    const route = routes.find(candidate => candidate.method === method);
+    if (!route) {
+      throw new HttpError(405, `Method ${method} is not allowed. Must be one of: ${routes.map(r => r.method).join(', ')}`);
+    }
+    
+    const match = route.pattern.exec(pathname);
+    const params = {};
+    route.names.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch (error) {
+        throw new HttpError(400, `Invalid escape sequence in ${pathname}`);
+      }
+    });
+    
+    return { route, params };
+  }
+  
+  /**
+   * Gets the response to a CORS preflight request
+   */
+  static getPreflight(pathname) {
+    const methods = ROUTES.filter(route => route.pattern.test(pathname)).map(route => route.method);
+    if (methods.length === 0) throw new HttpError(404, `No route for ${pathname}`);
+    
+    return {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Methods': methods.join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type'
+      }
+    };
+  }
+  
+  /**
+   * Reads and parses a JSON request body, resolving to undefined when there
+   * is none
+   */
+  static async readBody(request) {
+    const chunks = [];
+    let size = 0;
+    
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) throw new HttpError(413, `Request body must not exceed ${MAX_BODY_SIZE} bytes`);
+      chunks.push(chunk);
+    }
+    
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (text.trim() === '') return undefined;
+    
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Writes a response. Bodies are sent as JSON unless a content type is given.
+   */
+  static send(response, { status = 200, type = 'application/json', headers = {}, body }) {
+    if (body === undefined) {
+      response.writeHead(status, headers);
+      response.end();
+      return;
+    }
+    
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    response.writeHead(status, {
+      ...headers,
+      'Content-Type': `${type}; charset=utf-8`,
+      'Content-Length': Buffer.byteLength(text)
+    });
+    response.end(text);
+  }
+  
+  /**
+   * Gets the status code for an error. Plain errors thrown by the tool report
+   * invalid input; other error classes are bugs.
+   */
+  static getStatus(error) {
+    if (error instanceof HttpError) return error.status;
+    if (error instanceof GraphSchema.SchemaValidationError) return 400;
+    if (error instanceof StorageAdapter.VersionConflictError) return 409;
+    return error.constructor === Error ? 400 : 500;
+  }
+  
+  /**
+   * Checks that a request body is a JSON object
+   */
+  static requireObject(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+  
+  /**
+   * Checks that a request body is a JSON object whose fields have the given
+   * types (see FIELD_TYPES). Fields left out are not checked.
+   */
+  static checkFields(body, types) {
+    ApiServer.requireObject(body);
+    
+    Object.entries(types).forEach(([name, type]) => {
+      const [description, check] = FIELD_TYPES[type];
+      if (body[name] !== undefined && !check(body[name])) throw new HttpError(400, `${name} must be ${description}`);
+    });
+    return body;
+  }
+  
+  /**
+   * Gets an argument, throwing 404 if it does not exist
+   */
+  static requireArgument(tool, argumentId) {
+    const argument = tool.getArgument(argumentId);
+    if (!argument) throw new HttpError(404, `Argument with ID ${argumentId} does not exist`);
+    return argument;
+  }
+  
+  /**
+   * Gets the ?format= parameter, checking it against the supported formats
+   */
+  static getFormat(query, formats, defaultFormat) {
+    const format = query.get('format') || defaultFormat;
+    if (!Object.prototype.hasOwnProperty.call(formats, format)) {
+      throw new HttpError(400, `Invalid format: ${format}. Must be one of: ${Object.keys(formats).join(', ')}`);
+    }
+    return format;
+  }
+  
+  /**
+   * Parses a premise index query parameter
+   */
+  static parseIndex(value) {
+    if (!/^\d+$/.test(value)) throw new HttpError(400, 'premiseIndex must be a non-negative integer');
+    return parseInt(value, 10);
+  }
+  
+  /**
+   * Lists a graph's relationships as { from, to, type }, adding the kind and
+   * premise index of contradictions
+   */
+  static getRelationships(graph) {
+    const relationships = [];
+    
+    graph.adjacencyList.forEach((relations, from) => {
+      relations.supports.forEach(to => relationships.push({ from, to, type: 'support' }));
+      relations.attacks.forEach(({ target, ...attack }) => {
+        relationships.push({ from, to: target, type: 'contradict', ...attack });
+      });
+      if (relations.respondsTo) relationships.push({ from, to: relations.respondsTo, type: 'respond' });
+    });
+    
+    return relationships;
+  }
+  
+  /**
+   * Describes a stored graph
+   */
+  static describeGraph(graphId, tool) {
+    return { graphId, arguments: tool.getAllArguments().size, version: tool.storage.version };
+  }
+}
+
+ApiServer.HttpError = HttpError;
+ApiServer.ROUTES = ROUTES;
+
+module.exports = ApiServer;
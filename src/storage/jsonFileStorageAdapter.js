@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * How long to wait between attempts to take a lock held by someone else
+ */
+const LOCK_RETRY_DELAY = 20;
+
+/**
+ * JsonFileStorageAdapter stores each graph as `<graphId>.json` in a directory,
+ * holding only the latest version. Files are replaced atomically by writing
+ * a temporary file and renaming it.
+ *
+ * Saves and deletes lock the graph by creating `<file>.lock` exclusively, so
+ * processes sharing the directory cannot both pass the version check. A
+ * process waits up to options.lockTimeout ms (10 s) for a lock, and removes
+ * locks older than options.staleLockAge ms (30 s), left by a crashed process.
+ */
+class JsonFileStorageAdapter extends StorageAdapter {
+  constructor(directory, options = {}) {
+    super();
+    if (!directory) throw new Error('Storage directory is required');
+    this.directory = directory;
+    this.extension = '.json';
+    this.lockTimeout = options.lockTimeout !== undefined ? options.lockTimeout : 10000;
+    this.staleLockAge = options.staleLockAge !== undefined ? options.staleLockAge : 30000;
+  }
+  
+  /**
+   * Gets the file a graph is stored in
+   */
+  getFilePath(graphId) {
+    return path.join(this.directory, `${graphId}${this.extension}`);
+  }
+  
+  async lockRecord(graphId) {
+    const lockPath = `${this.getFilePath(graphId)}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    while (true) {
+      try {
+        await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+        return () => fs.unlink(lockPath).catch(() => {});
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      
+      if (await this.removeStaleLock(lockPath)) continue;
+      if (Date.now() >= deadline) throw new Error(`Graph ${graphId} is locked by another process`);
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+  
+  /**
+   * Removes a lock file older than staleLockAge, resolving to whether it did
+   */
+  async removeStaleLock(lockPath) {
+    try {
+      const { mtimeMs } = await fs.stat(lockPath);
+      if (Date.now() - mtimeMs < this.staleLockAge) return false;
+      
+      await fs.unlink(lockPath);
+      return true;
+    } catch (error) {
+      // The lock was released while we looked at it
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+  }
+  
+  async readRecord(graphId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getFilePath(graphId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  async writeRecord(graphId, record) {
+    const filePath = this.getFilePath(graphId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(record, null, 2) + '\n');
+    await fs.rename(tempPath, filePath);
+  }
+  
+  async deleteRecord(graphId) {
+    try {
+      await fs.unlink(this.getFilePath(graphId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+  
+  async listIds() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(file => file.endsWith(this.extension))
+                  .map(file => file.slice(0, -this.extension.length))
+                  .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+module.exports = JsonFileStorageAdapter;
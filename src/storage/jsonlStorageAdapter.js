@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const StorageAdapter = require('./storageAdapter');
+const JsonFileStorageAdapter = require('./jsonFileStorageAdapter');
+const EventLog = require('../core/eventLog');
+
+/**
+ * JsonlStorageAdapter stores each graph as `<graphId>.jsonl` in a directory,
+ * appending one line per saved version. Earlier versions stay readable, and a
+ * line left incomplete by a crash is ignored.
+ *
+ * A line is either a snapshot, { version, savedAt, data }, or, for a tool's
+ * exported graph, only the events added since the previous version:
+ * { version, savedAt, history: { from, position, events } }, where the first
+ * `from` events are kept from the previous version. The graph of such a
+ * version is rebuilt by replaying its history. A snapshot is written every
+ * options.snapshotInterval versions (20), and whenever the data is not a
+ * graph that its history rebuilds exactly.
+ */
+class JsonlStorageAdapter extends JsonFileStorageAdapter {
+  constructor(directory, options = {}) {
+    super(directory, options);
+    this.extension = '.jsonl';
+    this.snapshotInterval = options.snapshotInterval || 20;
+  }
+  
+  /**
+   * Lists the saved versions of a graph as { version, savedAt }
+   */
+  async getVersions(graphId) {
+    StorageAdapter.validateGraphId(graphId);
+    const lines = await this.readLines(graphId);
+    return lines.map(({ version, savedAt }) => ({ version, savedAt }));
+  }
+  
+  /**
+   * Loads a specific version of a graph
+   */
+  async loadVersion(graphId, version) {
+    StorageAdapter.validateGraphId(graphId);
+    const lines = await this.readLines(graphId);
+    const index = lines.findIndex(line => line.version === version);
+    return index === -1 ? null : this.resolveRecord(lines, index);
+  }
+  
+  /**
+   * Reads every complete line of a graph's file
+   */
+  async readLines(graphId) {
+    const content = await this.readFile(graphId);
+    if (content === null) return [];
+    
+    // Whatever follows the last newline is empty or an interrupted append
+    const lines = content.split('\n').slice(0, -1);
+    
+    return lines.map((line, index) => ({ line, number: index + 1 }))
+                .filter(({ line }) => line.trim())
+                .map(({ line, number }) => {
+                  try {
+                    return JSON.parse(line);
+                  } catch (error) {
+                    throw new Error(`${this.getFilePath(graphId)} line ${number}: ${error.message}`);
+                  }
+                });
+  }
+  
+  /**
+   * Builds the record of the version on a given line, collecting the events
+   * of the lines since the last snapshot and replaying them
+   */
+  resolveRecord(lines, index) {
+    const { version, savedAt } = lines[index];
+    if (lines[index].data) return { version, savedAt, data: lines[index].data };
+    
+    let start = index;
+    while (start > 0 && !lines[start].data) start--;
+    if (!lines[start].data) throw new Error(`Version ${version} has no snapshot to start from`);
+    
+    const history = this.collectHistory(lines[start].data.history, lines.slice(start + 1, index + 1));
+    return { version, savedAt, data: this.rebuildData(history) };
+  }
+  
+  /**
+   * Applies the event lines after a snapshot to the snapshot's history
+   */
+  collectHistory(history, eventLines) {
+    return eventLines.reduce((current, line) => ({
+      position: line.history.position,
+      events: [...current.events.slice(0, line.history.from), ...line.history.events]
+    }), { position: history.position, events: history.events });
+  }
+  
+  /**
+   * Exports the graph a history rebuilds, together with the history, in the
+   * form StructuredArgumentationTool.export() gives
+   */
+  rebuildData(history) {
+    return {
+      ...EventLog.fromJSON(history).replay().toJSON(),
+      history
+    };
+  }
+  
+  /**
+   * Gets the line to append for a new record: only its new events when the
+   * previous version is a graph with a history that the new one extends, or
+   * a snapshot otherwise
+   */
+  getLine(lines, record) {
+    const snapshot = { version: record.version, savedAt: record.savedAt, data: record.data };
+    const history = record.data && record.data.history;
+    const sinceSnapshot = lines.length - 1 - lines.map(line => Boolean(line.data)).lastIndexOf(true);
+    
+    if (lines.length === 0 || !history || !Array.isArray(history.events) || sinceSnapshot + 1 >= this.snapshotInterval) {
+      return snapshot;
+    }
+    
+    const previous = this.resolveRecord(lines, lines.length - 1).data;
+    if (!previous.history || !Array.isArray(previous.history.events)) return snapshot;
+    
+    try {
+      if (JSON.stringify(this.rebuildData(history)) !== JSON.stringify(record.data)) return snapshot;
+    } catch (error) {
+      return snapshot;
+    }
+    
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    let from = 0;
+    while (from < previous.history.events.length && from < history.events.length &&
+           same(previous.history.events[from], history.events[from])) {
+      from++;
+    }
+    
+    return {
+      version: record.version,
+      savedAt: record.savedAt,
+      history: { from, position: history.position, events: history.events.slice(from) }
+    };
+  }
+  
+  /**
+   * Reads a graph's file, or null when it does not exist
+   */
+  async readFile(graphId) {
+    try {
+      return await fs.readFile(this.getFilePath(graphId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  async readRecord(graphId) {
+    const lines = await this.readLines(graphId);
+    return lines.length > 0 ? this.resolveRecord(lines, lines.length - 1) : null;
+  }
+  
+  async writeRecord(graphId, record) {
+    const filePath = this.getFilePath(graphId);
+    const content = await this.readFile(graphId);
+    
+    // Drop the remains of an append that was cut short
+    if (content && !content.endsWith('\n')) {
+      const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+      await fs.truncate(filePath, Buffer.byteLength(complete));
+    }
+    
+    const line = this.getLine(await this.readLines(graphId), record);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(line) + '\n');
+  }
+}
+
+module.exports = JsonlStorageAdapter;
@@ -0,0 +1,32 @@
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * MemoryStorageAdapter keeps graphs in memory, for tests and short-lived
+ * sessions. Records are copied through JSON so callers see the same data a
+ * file adapter would give them.
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+  
+  async readRecord(graphId) {
+    const record = this.records.get(graphId);
+    return record ? JSON.parse(record) : null;
+  }
+  
+  async writeRecord(graphId, record) {
+    this.records.set(graphId, JSON.stringify(record));
+  }
+  
+  async deleteRecord(graphId) {
+    return this.records.delete(graphId);
+  }
+  
+  async listIds() {
+    return Array.from(this.records.keys());
+  }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,145 @@
+/**
+ * Thrown when a save expects a different version than the one stored, i.e.
+ * someone else saved the graph since it was loaded
+ */
+class VersionConflictError extends Error {
+  constructor(graphId, expectedVersion, actualVersion) {
+    super(`Version conflict for graph ${graphId}: expected version ${expectedVersion} but found ${actualVersion}`);
+    this.name = 'VersionConflictError';
+    this.graphId = graphId;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+/**
+ * StorageAdapter is the base class for graph storage. Graphs are stored as
+ * JSON documents under an ID, and every save creates a new version:
+ *
+ * - load(graphId) resolves to { version, savedAt, data }, or null
+ * - save(graphId, data, { expectedVersion }) resolves to the new version, and
+ *   rejects with a VersionConflictError when the stored version differs from
+ *   expectedVersion (0 for a graph that should not exist yet)
+ *
+ * Subclasses implement readRecord, writeRecord, deleteRecord and listIds.
+ * Saves to the same graph are serialized within a process. Adapters whose
+ * storage other processes share also implement lockRecord, so that the
+ * version check and the write happen under a lock those processes respect.
+ */
+class StorageAdapter {
+  constructor() {
+    this.locks = new Map();
+  }
+  
+  /**
+   * Loads the latest version of a graph
+   */
+  async load(graphId) {
+    StorageAdapter.validateGraphId(graphId);
+    return this.readRecord(graphId);
+  }
+  
+  /**
+   * Saves a new version of a graph. Without an expected version the save
+   * always succeeds.
+   */
+  async save(graphId, data, options = {}) {
+    StorageAdapter.validateGraphId(graphId);
+    
+    return this.withLock(graphId, async () => {
+      const current = await this.readRecord(graphId);
+      const actualVersion = current ? current.version : 0;
+      
+      if (options.expectedVersion !== undefined && options.expectedVersion !== actualVersion) {
+        throw new VersionConflictError(graphId, options.expectedVersion, actualVersion);
+      }
+      
+      const record = {
+        version: actualVersion + 1,
+        savedAt: new Date().toISOString(),
+        data
+      };
+      await this.writeRecord(graphId, record);
+      
+      return record.version;
+    });
+  }
+  
+  /**
+   * Deletes a graph, resolving to whether it existed
+   */
+  async delete(graphId) {
+    StorageAdapter.validateGraphId(graphId);
+    return this.withLock(graphId, () => this.deleteRecord(graphId));
+  }
+  
+  /**
+   * Lists the IDs of the stored graphs
+   */
+  async list() {
+    return this.listIds();
+  }
+  
+  /**
+   * Runs a task once earlier tasks on the same graph have finished, holding
+   * the graph's lock from lockRecord while it runs
+   */
+  withLock(graphId, task) {
+    const run = async () => {
+      const release = await this.lockRecord(graphId);
+      try {
+        return await task();
+      } finally {
+        await release();
+      }
+    };
+    
+    const previous = this.locks.get(graphId) || Promise.resolve();
+    const result = previous.then(run, run);
+    const settled = result.then(() => {}, () => {});
+    
+    this.locks.set(graphId, settled);
+    settled.then(() => {
+      if (this.locks.get(graphId) === settled) this.locks.delete(graphId);
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Locks a graph against other processes, resolving to a function that
+   * releases the lock. Storage private to one process needs no lock.
+   */
+  async lockRecord() {
+    return async () => {};
+  }
+  
+  async readRecord() {
+    throw new Error('readRecord must be implemented by the storage adapter');
+  }
+  
+  async writeRecord() {
+    throw new Error('writeRecord must be implemented by the storage adapter');
+  }
+  
+  async deleteRecord() {
+    throw new Error('deleteRecord must be implemented by the storage adapter');
+  }
+  
+  async listIds() {
+    throw new Error('listIds must be implemented by the storage adapter');
+  }
+  
+  /**
+   * Checks that a graph ID is safe to use as a key or file name
+   */
+  static validateGraphId(graphId) {
+    if (typeof graphId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(graphId)) {
+      throw new Error('Graph ID must contain only letters, digits, hyphens and underscores');
+    }
+  }
+}
+
+StorageAdapter.VersionConflictError = VersionConflictError;
+
+module.exports = StorageAdapter;
@@ -1,3 +1,17 @@
+const BipolarFramework = require('../analysis/bipolarFramework');
+const GraphDiff = require('../analysis/graphDiff');
+const FallacyDetector = require('../analysis/fallacyDetector');
+
+/**
+ * Colors for the change status of nodes and edges in diff graphs
+ */
+const DIFF_COLORS = {
+  added: { fill: '#c8e6c9', stroke: '#2e7d32', dot: 'darkgreen' },
+  removed: { fill: '#ffcdd2', stroke: '#c62828', dot: 'red' },
+  changed: { fill: '#fff9c4', stroke: '#f9a825', dot: 'orange' },
+  unchanged: { fill: '#eeeeee', stroke: '#9e9e9e', dot: 'gray' }
+};
+
 /**
  * GraphVisualizer creates visual representations of argument networks
  */
@@ -10,7 +24,8 @@ class GraphVisualizer {
       format: 'ascii',
       showDetails: true,
       maxDepth: 3,
-      highlightSynthesis: true
+      highlightSynthesis: true,
+      showDerivedAttacks: false
     };
     
     const config = { ...defaultOptions, ...options };
@@ -22,6 +37,8 @@ class GraphVisualizer {
         return this.generateDotGraph(graph, config);
       case 'mermaid':
         return this.generateMermaidGraph(graph, config);
+      case 'html':
+        return this.generateHtmlVisualization(graph, config);
       default:
         return this.generateJsonGraph(graph, config);
     }
@@ -74,7 +91,7 @@ class GraphVisualizer {
   /**
    * Generates DOT graph for Graphviz
    */
-  static generateDotGraph(graph, config) {
+  static generateDotGraph(graph, config = {}) {
     const lines = ['digraph ArgumentGraph {'];
     lines.push('  rankdir=LR;');
     lines.push('  node [shape=box];');
@@ -94,14 +111,23 @@ class GraphVisualizer {
       relations.supports.forEach(toId => {
         lines.push(`  "${fromId}" -> "${toId}" [color=green, label="supports"];`);
       });
-      relations.contradicts.forEach(toId => {
-        lines.push(`  "${fromId}" -> "${toId}" [color=red, label="contradicts"];`);
+      relations.attacks.forEach(attack => {
+        const style = this.getAttackStyle(attack.kind);
+        lines.push(`  "${fromId}" -> "${attack.target}" [color=${style.dotColor}, arrowhead=${style.arrowhead}, label="${this.describeAttack(attack)}"];`);
       });
       if (relations.respondsTo) {
         lines.push(`  "${fromId}" -> "${relations.respondsTo}" [color=blue, label="responds to"];`);
       }
     });
     
+    // Add indirect attacks derived from support chains
+    if (config.showDerivedAttacks) {
+      BipolarFramework.getDerivedAttacks(graph).forEach(attack => {
+        const label = BipolarFramework.getAttackLabel(attack.kind);
+        lines.push(`  "${attack.from}" -> "${attack.to}" [color=red, style=dashed, label="${label}"];`);
+      });
+    }
+    
     lines.push('}');
     return lines.join('\n');
   }
@@ -109,7 +135,7 @@ class GraphVisualizer {
   /**
    * Generates Mermaid graph syntax
    */
-  static generateMermaidGraph(graph, config) {
+  static generateMermaidGraph(graph, config = {}) {
     const lines = ['graph TD'];
     
     // Add nodes
@@ -126,14 +152,21 @@ class GraphVisualizer {
       relations.supports.forEach(toId => {
         lines.push(`  ${fromId} -->|supports| ${toId}`);
       });
-      relations.contradicts.forEach(toId => {
-        lines.push(`  ${fromId} -.->|contradicts| ${toId}`);
+      relations.attacks.forEach(attack => {
+        lines.push(`  ${fromId} -.->|${this.describeAttack(attack)}| ${attack.target}`);
       });
       if (relations.respondsTo) {
         lines.push(`  ${fromId} -->|responds to| ${relations.respondsTo}`);
       }
     });
     
+    // Add indirect attacks derived from support chains
+    if (config.showDerivedAttacks) {
+      BipolarFramework.getDerivedAttacks(graph).forEach(attack => {
+        lines.push(`  ${attack.from} -.-x|${BipolarFramework.getAttackLabel(attack.kind)}| ${attack.to}`);
+      });
+    }
+    
     // Add styling
     lines.push('');
     lines.push('  classDef thesis fill:#bbdefb;');
@@ -180,12 +213,15 @@ class GraphVisualizer {
           color: '#4caf50'
         });
       });
-      relations.contradicts.forEach(toId => {
+      relations.attacks.forEach(attack => {
         edges.push({
           from: fromId,
-          to: toId,
+          to: attack.target,
           type: 'contradicts',
-          color: '#f44336'
+          kind: attack.kind,
+          ...attack.kind === 'undermining' && { premiseIndex: attack.premiseIndex },
+          label: this.describeAttack(attack),
+          color: this.getAttackStyle(attack.kind).color
         });
       });
       if (relations.respondsTo) {
@@ -201,6 +237,154 @@ class GraphVisualizer {
     return JSON.stringify({ nodes, edges }, null, 2);
   }
   
+  /**
+   * Generates a graph of the changes between two graphs: the target's
+   * arguments and relationships plus those the target removed, colored by
+   * whether they were added, removed, changed or left unchanged.
+   * Formats: mermaid (default), dot, ascii and json.
+   */
+  static generateDiffGraph(base, target, options = {}) {
+    const format = options.format || 'mermaid';
+    const diff = options.diff || GraphDiff.diff(base, target);
+    const model = this.buildDiffModel(base, target, diff);
+    
+    switch (format) {
+      case 'dot':
+        return this.generateDotDiff(model);
+      case 'ascii':
+        return this.generateAsciiDiff(model, diff);
+      case 'json':
+        return JSON.stringify(model, null, 2);
+      default:
+        return this.generateMermaidDiff(model);
+    }
+  }
+  
+  /**
+   * Collects the nodes and edges of a diff graph with their change status.
+   * Relationship status comes from the graphs themselves.
+   */
+  static buildDiffModel(base, target, diff) {
+    const changed = new Set(diff.arguments.changed.map(change => change.id));
+    const added = new Set(diff.arguments.added);
+    const nodes = [];
+    
+    target.arguments.forEach((arg, id) => {
+      const status = added.has(id) ? 'added' : changed.has(id) ? 'changed' : 'unchanged';
+      nodes.push({ id, label: arg.claim, type: arg.type, status });
+    });
+    diff.arguments.removed.forEach(id => {
+      const arg = base.getArgument(id);
+      nodes.push({ id, label: arg.claim, type: arg.type, status: 'removed' });
+    });
+    
+    const edgeLabel = edge => {
+      if (edge.type === 'support') return 'supports';
+      if (edge.type === 'respond') return 'responds to';
+      return this.describeAttack({ kind: edge.kind, premiseIndex: edge.premiseIndex });
+    };
+    const baseEdges = GraphDiff.getEdgeMap(base);
+    const targetEdges = GraphDiff.getEdgeMap(target);
+    const edges = [];
+    
+    targetEdges.forEach((edge, key) => {
+      edges.push({ ...edge, label: edgeLabel(edge), status: baseEdges.has(key) ? 'unchanged' : 'added' });
+    });
+    baseEdges.forEach((edge, key) => {
+      if (!targetEdges.has(key)) edges.push({ ...edge, label: edgeLabel(edge), status: 'removed' });
+    });
+    
+    return { nodes, edges };
+  }
+  
+  /**
+   * Renders a diff model as Mermaid
+   */
+  static generateMermaidDiff(model) {
+    const lines = ['graph TD'];
+    
+    model.nodes.forEach(node => {
+      const shape = this.getMermaidShape(node);
+      lines.push(`  ${node.id}${shape}${this.escapeLabel(node.label)}${shape}`);
+    });
+    
+    lines.push('');
+    
+    const linkStyles = [];
+    model.edges.forEach((edge, index) => {
+      const arrow = edge.type === 'contradict' || edge.status === 'removed' ? '-.->' : '-->';
+      lines.push(`  ${edge.from} ${arrow}|${edge.label}| ${edge.to}`);
+      if (edge.status !== 'unchanged') {
+        linkStyles.push(`  linkStyle ${index} stroke:${DIFF_COLORS[edge.status].stroke},stroke-width:2px;`);
+      }
+    });
+    
+    lines.push('');
+    Object.entries(DIFF_COLORS).forEach(([status, color]) => {
+      const dash = status === 'removed' ? ',stroke-dasharray:5 5' : '';
+      lines.push(`  classDef ${status} fill:${color.fill},stroke:${color.stroke}${dash};`);
+    });
+    model.nodes.forEach(node => {
+      lines.push(`  class ${node.id} ${node.status};`);
+    });
+    lines.push(...linkStyles);
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Renders a diff model for Graphviz
+   */
+  static generateDotDiff(model) {
+    const lines = ['digraph ArgumentGraphDiff {'];
+    lines.push('  rankdir=LR;');
+    lines.push('  node [shape=box, style=filled];');
+    lines.push('');
+    
+    model.nodes.forEach(node => {
+      const color = DIFF_COLORS[node.status];
+      const style = node.status === 'removed' ? 'filled,dashed' : 'filled';
+      lines.push(`  "${node.id}" [label="${this.escapeLabel(node.label)}", fillcolor="${color.fill}", color="${color.dot}", style="${style}"];`);
+    });
+    
+    lines.push('');
+    
+    model.edges.forEach(edge => {
+      const style = edge.status === 'removed' ? 'dashed' : 'solid';
+      lines.push(`  "${edge.from}" -> "${edge.to}" [color=${DIFF_COLORS[edge.status].dot}, style=${style}, label="${edge.label}"];`);
+    });
+    
+    lines.push('}');
+    return lines.join('\n');
+  }
+  
+  /**
+   * Renders a diff model as text, marking additions with +, removals with -
+   * and changes with ~
+   */
+  static generateAsciiDiff(model, diff) {
+    const marks = { added: '+', removed: '-', changed: '~', unchanged: ' ' };
+    const lines = ['Argument Graph Diff', '================================', ''];
+    
+    lines.push('Arguments:');
+    model.nodes.forEach(node => {
+      lines.push(`  ${marks[node.status]} [${node.id}] ${this.truncateText(node.label, 60)}`);
+      const change = diff.arguments.changed.find(entry => entry.id === node.id);
+      if (change) {
+        change.changes.forEach(({ field, from, to }) => {
+          lines.push(`      ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+        });
+      }
+    });
+    
+    lines.push('', 'Relationships:');
+    model.edges.forEach(edge => {
+      lines.push(`  ${marks[edge.status]} ${edge.from} ${edge.label} ${edge.to}`);
+    });
+    
+    return lines.join('\n');
+  }
+  
   /**
    * Formats argument type for display
    */
@@ -243,14 +427,14 @@ class GraphVisualizer {
     
     // Show relationships
     const supporters = graph.getSupporters(arg.id);
-    const contradictors = graph.getContradictors(arg.id);
+    const attacks = graph.getAttacksOn(arg.id);
     const responders = graph.getResponders(arg.id);
     
     if (supporters.length > 0) {
       lines.push(`${indent}Supported by: ${supporters.map(s => s.id).join(', ')}`);
     }
-    if (contradictors.length > 0) {
-      lines.push(`${indent}Contradicted by: ${contradictors.map(c => c.id).join(', ')}`);
+    if (attacks.length > 0) {
+      lines.push(`${indent}Contradicted by: ${attacks.map(a => `${a.from} (${this.describeAttack(a)})`).join(', ')}`);
     }
     if (responders.length > 0) {
       lines.push(`${indent}Responses: ${responders.map(r => r.id).join(', ')}`);
@@ -283,10 +467,10 @@ class GraphVisualizer {
         relationships.push(`${argName} → supports → ${toName}`);
       });
       
-      relations.contradicts.forEach(toId => {
-        const toArg = graph.getArgument(toId);
+      relations.attacks.forEach(attack => {
+        const toArg = graph.getArgument(attack.target);
         const toName = this.truncateText(toArg.claim, 20);
-        relationships.push(`${argName} → contradicts → ${toName}`);
+        relationships.push(`${argName} → ${this.describeAttack(attack)} → ${toName}`);
       });
       
       if (relations.respondsTo) {
@@ -318,6 +502,33 @@ class GraphVisualizer {
     return colors[arg.type] || 'lightgray';
   }
   
+  /**
+   * Describes an attack by the part of the target it hits
+   */
+  static describeAttack(attack) {
+    switch (attack.kind) {
+      case 'undermining':
+        return `undermines premise ${attack.premiseIndex + 1}`;
+      case 'undercutting':
+        return 'undercuts';
+      default:
+        return 'rebuts';
+    }
+  }
+  
+  /**
+   * Gets edge styling for an attack kind
+   */
+  static getAttackStyle(kind) {
+    const styles = {
+      rebutting: { color: '#f44336', dotColor: 'red', arrowhead: 'normal' },
+      undermining: { color: '#ff9800', dotColor: 'orange', arrowhead: 'diamond' },
+      undercutting: { color: '#9c27b0', dotColor: 'purple', arrowhead: 'tee' }
+    };
+    
+    return styles[kind] || styles.rebutting;
+  }
+  
   /**
    * Gets Mermaid shape based on argument type
    */
@@ -357,11 +568,86 @@ class GraphVisualizer {
     return '→';
   }
   
+  /**
+   * Merges overlapping spans of one text into ranges { start, end, labels },
+   * sorted by position, where labels lists the distinct span labels
+   */
+  static mergeSpans(spans) {
+    const ranges = [];
+    
+    [...spans].sort((a, b) => a.start - b.start || b.end - a.end).forEach(span => {
+      const last = ranges[ranges.length - 1];
+      if (last && span.start < last.end) {
+        last.end = Math.max(last.end, span.end);
+        if (span.label && !last.labels.includes(span.label)) last.labels.push(span.label);
+      } else {
+        ranges.push({ start: span.start, end: span.end, labels: span.label ? [span.label] : [] });
+      }
+    });
+    
+    return ranges;
+  }
+  
+  /**
+   * Escapes a text for HTML
+   */
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  /**
+   * Escapes a text for HTML and wraps the given spans of it in <mark>
+   * elements titled with their labels
+   */
+  static highlightSpans(text, spans) {
+    const escape = value => this.escapeHtml(value);
+    let html = '';
+    let position = 0;
+    
+    this.mergeSpans(spans).forEach(range => {
+      html += escape(text.slice(position, range.start));
+      html += `<mark class="fallacy" title="${escape(range.labels.join(', '))}">${escape(text.slice(range.start, range.end))}</mark>`;
+      position = range.end;
+    });
+    
+    return html + escape(text.slice(position));
+  }
+  
+  /**
+   * Gets an argument's claim, premises and conclusion as HTML with the spans
+   * of possible fallacies highlighted, and the names of those fallacies
+   */
+  static highlightFallacies(argument) {
+    const detections = FallacyDetector.detect(argument);
+    const spans = detections.flatMap(detection => detection.spans.map(span => ({ ...span, label: detection.name })));
+    const highlight = (text, part, index = null) =>
+      this.highlightSpans(text, spans.filter(span => span.part === part && span.index === index));
+    
+    return {
+      claim: highlight(argument.claim, 'claim'),
+      premises: argument.premises.map((premise, index) => highlight(premise, 'premise', index)),
+      conclusion: highlight(argument.conclusion, 'conclusion'),
+      fallacies: detections.map(detection => detection.name)
+    };
+  }
+  
   /**
    * Generates HTML visualization
    */
   static generateHtmlVisualization(graph, options = {}) {
     const json = JSON.parse(this.generateJsonGraph(graph, options));
+    const details = {};
+    graph.arguments.forEach(arg => {
+      details[arg.id] = {
+        ...this.highlightFallacies(arg),
+        strengths: arg.strengths.map(strength => this.escapeHtml(strength)),
+        weaknesses: arg.weaknesses.map(weakness => this.escapeHtml(weakness))
+      };
+    });
     
     const html = `
 <!DOCTYPE html>
@@ -394,6 +680,10 @@ class GraphVisualizer {
             margin-right: 10px;
             border: 1px solid #666;
         }
+        mark.fallacy {
+            background: #ffe082;
+            border-bottom: 2px solid #ff6f00;
+        }
     </style>
 </head>
 <body>
@@ -416,18 +706,20 @@ class GraphVisualizer {
             rebuttal: '#f8bbd0'
         };
         
+        const details = ${JSON.stringify(details)};
+        
         const nodes = ${JSON.stringify(json.nodes)}.map(node => ({
             id: node.id,
             label: node.label,
             color: nodeColors[node.type] || '#ddd',
-            title: \`Type: \${node.type}\\nConfidence: \${node.confidence}\\n\\nClick for details\`,
+            title: \`Type: \${node.type}\\nConfidence: \${node.confidence}\\nPossible fallacies: \${details[node.id].fallacies.length}\\n\\nClick for details\`,
             shape: node.type === 'synthesis' ? 'star' : 'box'
         }));
         
         const edges = ${JSON.stringify(json.edges)}.map(edge => ({
             from: edge.from,
             to: edge.to,
-            label: edge.type.replace('_', ' '),
+            label: edge.label || edge.type.replace('_', ' '),
             color: edge.color,
             arrows: 'to',
             smooth: { type: 'curvedCW', roundness: 0.2 }
@@ -448,24 +740,29 @@ class GraphVisualizer {
                 const nodeId = params.nodes[0];
                 const node = ${JSON.stringify(json.nodes)}.find(n => n.id === nodeId);
                 if (node) {
-                    let content = \`<strong>\${node.label}</strong><br>\\n\`;
+                    const text = details[nodeId];
+                    let content = \`<strong>\${text.claim}</strong><br>\\n\`;
                     content += \`<strong>Type:</strong> \${node.type}<br>\\n\`;
                     content += \`<strong>Confidence:</strong> \${node.confidence}<br><br>\\n\`;
                     
                     if (node.premises) {
                         content += \`<strong>Premises:</strong><ul>\\n\`;
-                        node.premises.forEach(p => content += \`<li>\${p}</li>\\n\`);
+                        text.premises.forEach(p => content += \`<li>\${p}</li>\\n\`);
                         content += \`</ul>\\n\`;
                     }
                     
-                    content += \`<strong>Conclusion:</strong> \${node.conclusion}<br><br>\\n\`;
+                    content += \`<strong>Conclusion:</strong> \${text.conclusion}<br><br>\\n\`;
+                    
+                    if (text.fallacies.length > 0) {
+                        content += \`<strong>Possible fallacies:</strong> \${text.fallacies.join(', ')}<br>\\n\`;
+                    }
                     
                     if (node.strengths && node.strengths.length > 0) {
-                        content += \`<strong>Strengths:</strong> \${node.strengths.join(', ')}<br>\\n\`;
+                        content += \`<strong>Strengths:</strong> \${text.strengths.join(', ')}<br>\\n\`;
                     }
                     
                     if (node.weaknesses && node.weaknesses.length > 0) {
-                        content += \`<strong>Weaknesses:</strong> \${node.weaknesses.join(', ')}<br>\\n\`;
+                        content += \`<strong>Weaknesses:</strong> \${text.weaknesses.join(', ')}<br>\\n\`;
                     }
                     
                     document.body.innerHTML += \`
@@ -1,12 +1,22 @@
 const Evaluator = require('../analysis/evaluator');
+const AbstractSemantics = require('../analysis/abstractSemantics');
+const DialecticalEngine = require('../core/dialecticalEngine');
+const GraphDiff = require('../analysis/graphDiff');
+const Synthesizer = require('../analysis/synthesizer');
+const CycleDetector = require('../analysis/cycleDetector');
+const ConsistencyChecker = require('../analysis/consistencyChecker');
 const GraphVisualizer = require('./graphVisualizer');
 
+const ARGUMENT_TYPES = ['thesis', 'antithesis', 'synthesis', 'objection', 'rebuttal'];
+
 /**
  * ReportGenerator creates comprehensive reports on argumentation analysis
  */
 class ReportGenerator {
   /**
-   * Generates a complete analysis report
+   * Generates a complete analysis report. Justification uses grounded
+   * semantics; list further semantics in options.extensions, such as
+   * ['preferred'], to add their extensions, which can take exponential time.
    */
   static generateReport(graph, options = {}) {
     const defaultOptions = {
@@ -14,6 +24,7 @@ class ReportGenerator {
       includeDiagrams: true,
       includeMetrics: true,
       includeScoring: true,
+      extensions: [],
       depth: 'comprehensive'
     };
     
@@ -24,9 +35,16 @@ class ReportGenerator {
       summary: this.generateSummary(graph),
       arguments: this.analyzeArguments(graph),
       structure: this.analyzeStructure(graph),
-      quality: this.analyzeQuality(graph)
+      quality: this.analyzeQuality(graph),
+      participants: this.analyzeParticipants(graph)
     };
     
+    if (config.extensions.length > 0) {
+      report.structure.justification.extensions = Object.fromEntries(config.extensions.map(semantics =>
+        [semantics, AbstractSemantics.computeExtensions(graph, semantics)]
+      ));
+    }
+    
     if (config.includeMetrics) {
       report.metrics = this.generateMetrics(graph);
     }
@@ -42,13 +60,156 @@ class ReportGenerator {
     return this.formatReport(report, config.format);
   }
   
+  /**
+   * Generates a report on the changes between two graphs. Pass the conflicts
+   * returned by GraphDiff.merge as options.conflicts to list them as well.
+   */
+  static generateDiffReport(base, target, options = {}) {
+    const config = { format: 'markdown', includeDiagrams: true, conflicts: [], ...options };
+    const diff = GraphDiff.diff(base, target);
+    
+    const report = {
+      metadata: { timestamp: new Date().toISOString() },
+      summary: GraphDiff.summarize(diff),
+      diff,
+      conflicts: config.conflicts,
+      claims: this.collectClaims(base, target)
+    };
+    
+    if (config.includeDiagrams) {
+      report.visualization = GraphVisualizer.generateDiffGraph(base, target, { format: 'mermaid', diff });
+    }
+    
+    return config.format.toLowerCase() === 'json'
+      ? JSON.stringify(report, null, 2)
+      : this.formatDiffAsMarkdown(report);
+  }
+  
+  /**
+   * Maps argument IDs to claims across both graphs
+   */
+  static collectClaims(base, target) {
+    const claims = {};
+    [base, target].forEach(graph => {
+      graph.arguments.forEach((arg, id) => {
+        claims[id] = arg.claim;
+      });
+    });
+    return claims;
+  }
+  
+  /**
+   * Formats a diff report as Markdown
+   */
+  static formatDiffAsMarkdown(report) {
+    const { diff, summary, claims } = report;
+    const lines = ['# Argument Graph Diff', '', `Generated: ${report.metadata.timestamp}`, ''];
+    const describeEdge = edge => {
+      const label = edge.type === 'support' ? 'supports'
+        : edge.type === 'respond' ? 'responds to'
+          : GraphVisualizer.describeAttack(edge);
+      return `${edge.from} ${label} ${edge.to}`;
+    };
+    
+    lines.push('## Summary');
+    lines.push('');
+    if (GraphDiff.isEmpty(diff)) {
+      lines.push('No changes.');
+    } else {
+      lines.push(`- **Arguments**: ${summary.argumentsAdded} added, ${summary.argumentsRemoved} removed, ${summary.argumentsChanged} changed`);
+      lines.push(`- **Relationships**: ${summary.relationshipsAdded} added, ${summary.relationshipsRemoved} removed`);
+      lines.push(`- **Confidence changes**: ${summary.confidenceChanges}`);
+    }
+    lines.push('');
+    
+    const pushList = (heading, ids) => {
+      if (ids.length === 0) return;
+      lines.push(`## ${heading}`);
+      lines.push('');
+      ids.forEach(id => lines.push(`- **[${id}]** ${claims[id]}`));
+      lines.push('');
+    };
+    pushList('Added Arguments', diff.arguments.added);
+    pushList('Removed Arguments', diff.arguments.removed);
+    
+    if (diff.arguments.changed.length > 0) {
+      lines.push('## Changed Arguments');
+      lines.push('');
+      diff.arguments.changed.forEach(({ id, changes }) => {
+        lines.push(`- **[${id}]** ${claims[id]}`);
+        changes.forEach(({ field, from, to }) => {
+          lines.push(`  - ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+        });
+      });
+      lines.push('');
+    }
+    
+    if (diff.relationships.added.length + diff.relationships.removed.length > 0) {
+      lines.push('## Relationship Changes');
+      lines.push('');
+      diff.relationships.added.forEach(edge => lines.push(`- Added: ${describeEdge(edge)}`));
+      diff.relationships.removed.forEach(edge => lines.push(`- Removed: ${describeEdge(edge)}`));
+      lines.push('');
+    }
+    
+    if (diff.confidence.length > 0) {
+      lines.push('## Confidence Changes');
+      lines.push('');
+      lines.push('| Argument | Before | After | Change |');
+      lines.push('|----------|--------|-------|--------|');
+      diff.confidence.forEach(entry => {
+        const sign = entry.delta > 0 ? '+' : '';
+        lines.push(`| ${entry.id} | ${entry.from} | ${entry.to} | ${sign}${entry.delta} |`);
+      });
+      lines.push('');
+    }
+    
+    if (report.conflicts.length > 0) {
+      lines.push('## Merge Conflicts');
+      lines.push('');
+      report.conflicts.forEach(conflict => {
+        lines.push(`- ${this.describeConflict(conflict, describeEdge)} (kept ${conflict.resolution})`);
+      });
+      lines.push('');
+    }
+    
+    if (report.visualization) {
+      lines.push('## Diff Visualization');
+      lines.push('');
+      lines.push('```mermaid');
+      lines.push(report.visualization);
+      lines.push('```');
+      lines.push('');
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Describes a merge conflict in one line
+   */
+  static describeConflict(conflict, describeEdge) {
+    switch (conflict.type) {
+      case 'field':
+        return `[${conflict.argumentId}] ${conflict.field}: ours ${JSON.stringify(conflict.ours)}, theirs ${JSON.stringify(conflict.theirs)}`;
+      case 'delete':
+        return `[${conflict.argumentId}] was removed in ${conflict.deletedIn} but changed in ${conflict.deletedIn === 'ours' ? 'theirs' : 'ours'}`;
+      case 'stance':
+        return `${conflict.participantId} on [${conflict.argumentId}]: ours ${conflict.ours}, theirs ${conflict.theirs}`;
+      case 'rules':
+        return `Rule settings: ours ${JSON.stringify(conflict.ours)}, theirs ${JSON.stringify(conflict.theirs)}`;
+      default:
+        return `${describeEdge(conflict.edge)}: ${conflict.message}`;
+    }
+  }
+  
   /**
    * Generates report metadata
    */
   static generateMetadata(graph) {
     return {
       timestamp: new Date().toISOString(),
-      argumentCount: graph.arguments.length,
+      argumentCount: graph.arguments.size,
       relationshipCount: this.countRelationships(graph),
       types: this.countArgumentTypes(graph),
       complexity: this.assessComplexity(graph)
@@ -61,7 +222,7 @@ class ReportGenerator {
   static generateSummary(graph) {
     const mainArguments = this.identifyMainArguments(graph);
     const keyConflicts = this.identifyKeyConflicts(graph);
-    const syntheses = graph.arguments.filter(arg => arg.type === 'synthesis');
+    const syntheses = graph.getArgumentsByType('synthesis');
     
     return {
       overview: this.generateOverview(graph),
@@ -77,14 +238,20 @@ class ReportGenerator {
    */
   static analyzeArguments(graph) {
     const analyses = [];
+    const index = this.indexCriticalPaths(graph);
     
+    const evaluations = Evaluator.evaluateArguments(graph);
     graph.arguments.forEach(arg => {
       const analysis = {
         id: arg.id,
         type: arg.type,
-        evaluation: Evaluator.evaluateArgument(arg, graph),
+        claim: arg.claim,
+        premises: arg.premises,
+        conclusion: arg.conclusion,
+        confidence: arg.confidence,
+        evaluation: evaluations.get(arg.id),
         relationships: this.getArgumentRelationships(arg, graph),
-        criticalPath: this.traceCriticalPath(arg, graph),
+        criticalPath: [...this.traceCriticalPath(arg, graph, index)],
         impact: this.assessArgumentImpact(arg, graph)
       };
       
@@ -103,7 +270,77 @@ class ReportGenerator {
       clusters: this.identifyClusters(graph),
       criticalPaths: this.findCriticalPaths(graph),
       density: this.calculateDensity(graph),
-      centrality: this.calculateCentrality(graph)
+      centrality: this.calculateCentrality(graph),
+      justification: this.analyzeJustification(graph),
+      cycles: this.analyzeCycles(graph),
+      consistency: ConsistencyChecker.checkGraph(graph)
+    };
+  }
+  
+  /**
+   * Finds circular support and reasoning, with the statements along each
+   * proposition cycle
+   */
+  static analyzeCycles(graph) {
+    return CycleDetector.findCycles(graph).map(cycle => cycle.type === 'proposition'
+      ? { ...cycle, statements: cycle.path.map(id => (graph.getProposition(id) || { text: id }).text) }
+      : cycle);
+  }
+  
+  /**
+   * Describes each inconsistent premise pair and proposed contradicts edge
+   * found by ConsistencyChecker.checkGraph in one line
+   */
+  static describeConsistency(consistency) {
+    const quote = ([first, second]) => `"${first}" / "${second}"`;
+    
+    return [
+      ...consistency.inconsistentArguments.flatMap(({ argumentId, conflicts }) => conflicts.map(conflict =>
+        `[${argumentId}] Premises ${conflict.premises[0] + 1} and ${conflict.premises[1] + 1} are ${conflict.relation}: ${quote(conflict.statements)}`
+      )),
+      ...consistency.proposedContradictions.map(proposal =>
+        `Proposed contradicts edge ${proposal.from} → ${proposal.to} (${proposal.relation} conclusions: ${quote(proposal.conclusions)})`
+      )
+    ];
+  }
+  
+  /**
+   * Describes each cycle found by analyzeCycles in one line
+   */
+  static describeCycles(cycles) {
+    return cycles.map(cycle => cycle.type === 'support'
+      ? `Support cycle: ${cycle.path.join(' → ')}`
+      : `Circular reasoning: ${cycle.statements.map(text => `"${text}"`).join(' → ')} (arguments ${cycle.arguments.join(', ')})`);
+  }
+  
+  /**
+   * Analyzes which arguments are justified by the attack relation
+   */
+  static analyzeJustification(graph, semantics = 'grounded') {
+    const labels = AbstractSemantics.getLabels(graph, semantics);
+    const withLabel = label => Object.keys(labels).filter(id => labels[id] === label);
+    
+    return {
+      semantics,
+      labels,
+      justified: withLabel('IN'),
+      defeated: withLabel('OUT'),
+      undecided: withLabel('UNDEC')
+    };
+  }
+  
+  /**
+   * Builds the view of each participant and each team
+   */
+  static analyzeParticipants(graph) {
+    const engine = new DialecticalEngine(graph);
+    const teams = [...new Set(Array.from(graph.participants.values())
+      .map(participant => participant.team)
+      .filter(Boolean))];
+    
+    return {
+      participants: Array.from(graph.participants.keys()).map(id => engine.getParticipantView(id)),
+      teams: teams.map(team => engine.getTeamView(team))
     };
   }
   
@@ -152,8 +389,9 @@ class ReportGenerator {
     };
     
     // Score individual arguments
+    const evaluations = Evaluator.evaluateArguments(graph);
     graph.arguments.forEach(arg => {
-      const evaluation = Evaluator.evaluateArgument(arg, graph);
+      const evaluation = evaluations.get(arg.id);
       scores.individualArguments[arg.id] = {
         score: evaluation.score,
         strengths: evaluation.strengths,
@@ -164,12 +402,9 @@ class ReportGenerator {
     // Score by argument type
     const types = ['thesis', 'antithesis', 'synthesis', 'objection', 'rebuttal'];
     types.forEach(type => {
-      const typeArgs = graph.arguments.filter(arg => arg.type === type);
+      const typeArgs = graph.getArgumentsByType(type);
       if (typeArgs.length > 0) {
-        const avgScore = typeArgs.reduce((acc, arg) => {
-          const eval = Evaluator.evaluateArgument(arg, graph);
-          return acc + eval.score;
-        }, 0) / typeArgs.length;
+        const avgScore = typeArgs.reduce((acc, arg) => acc + evaluations.get(arg.id).score, 0) / typeArgs.length;
         scores.argumentTypes[type] = avgScore;
       }
     });
@@ -185,7 +420,7 @@ class ReportGenerator {
       graphVisualization: GraphVisualizer.generateMermaidGraph(graph),
       dotGraph: GraphVisualizer.generateDotGraph(graph),
       htmlVisualization: GraphVisualizer.generateHtmlVisualization(graph),
-      asciiDiagram: GraphVisualizer.generateAsciiGraph(graph)
+      asciiDiagram: GraphVisualizer.generateGraph(graph, { format: 'ascii' })
     };
   }
   
@@ -248,6 +483,48 @@ class ReportGenerator {
       lines.push('');
     }
     
+    // Justification status
+    if (report.structure && report.structure.justification) {
+      const justification = report.structure.justification;
+      lines.push('## Justification Status');
+      lines.push('');
+      lines.push(`Semantics: ${justification.semantics}`);
+      lines.push('');
+      lines.push(`- **Justified (IN)**: ${justification.justified.join(', ') || 'none'}`);
+      lines.push(`- **Defeated (OUT)**: ${justification.defeated.join(', ') || 'none'}`);
+      lines.push(`- **Undecided (UNDEC)**: ${justification.undecided.join(', ') || 'none'}`);
+      lines.push('');
+    }
+    
+    // Structure analysis
+    if (report.structure && report.structure.cycles) {
+      lines.push('## Structure Analysis');
+      lines.push('');
+      lines.push('### Circular Reasoning');
+      lines.push('');
+      if (report.structure.cycles.length > 0) {
+        this.describeCycles(report.structure.cycles).forEach(cycle => lines.push(`- ${cycle}`));
+      } else {
+        lines.push('No circular support or reasoning found.');
+      }
+      lines.push('');
+      
+      const consistency = this.describeConsistency(report.structure.consistency);
+      lines.push('### Consistency');
+      lines.push('');
+      if (consistency.length > 0) {
+        consistency.forEach(finding => lines.push(`- ${finding}`));
+      } else {
+        lines.push('No contradictory premises or missing contradictions found.');
+      }
+      lines.push('');
+    }
+    
+    // Participants
+    if (report.participants && report.participants.participants.length > 0) {
+      lines.push(...this.formatParticipantsAsMarkdown(report.participants));
+    }
+    
     // Quality Analysis
     lines.push('## Quality Analysis');
     lines.push('');
@@ -291,10 +568,10 @@ class ReportGenerator {
         lines.push('');
         
         typeArgs.forEach(arg => {
-          lines.push(`#### [${arg.id}] ${arg.evaluation.claim}`);
+          lines.push(`#### [${arg.id}] ${arg.claim}`);
           lines.push('');
           lines.push(`- **Overall Score**: ${(arg.evaluation.score * 100).toFixed(1)}%`);
-          lines.push(`- **Confidence**: ${arg.evaluation.confidence}`);
+          lines.push(`- **Confidence**: ${arg.confidence}`);
           lines.push('');
           
           if (arg.evaluation.strengths.length > 0) {
@@ -308,6 +585,16 @@ class ReportGenerator {
             arg.evaluation.weaknesses.forEach(w => lines.push(`- ${w}`));
             lines.push('');
           }
+          
+          if (arg.evaluation.fallacies.length > 0) {
+            lines.push('**Possible Fallacies**:');
+            lines.push(...this.formatFallaciesAsMarkdown(arg));
+            lines.push('');
+          }
+          
+          lines.push('**Score Explanation**:');
+          lines.push(...this.formatExplanationAsMarkdown(arg.evaluation.explanation));
+          lines.push('');
         });
       }
     });
@@ -337,6 +624,293 @@ class ReportGenerator {
     return lines.join('\n');
   }
   
+  /**
+   * Formats participant and team views as Markdown lines
+   */
+  static formatParticipantsAsMarkdown(analysis) {
+    const lines = ['## Participants', ''];
+    const list = ids => ids.join(', ') || 'none';
+    const pushView = (heading, view) => {
+      lines.push(`### ${heading}`);
+      lines.push('');
+      lines.push(`- **Authored**: ${list(view.authored)}`);
+      lines.push(`- **Endorses**: ${list(view.endorsed)}`);
+      lines.push(`- **Rejects**: ${list(view.rejected)}`);
+      lines.push(`- **Unanswered**: ${list(view.unanswered)}`);
+      lines.push(`- **Commitments**:${view.commitments.length > 0 ? '' : ' none'}`);
+      view.commitments.forEach(commitment => lines.push(`  - ${commitment}`));
+      lines.push('');
+    };
+    
+    analysis.participants.forEach(view => {
+      const details = [view.participant.team, view.participant.role].filter(Boolean).join(', ');
+      pushView(details ? `${view.participant.name} (${details})` : view.participant.name, view);
+    });
+    
+    analysis.teams.forEach(view => {
+      pushView(`Team ${view.team}`, view);
+    });
+    
+    return lines;
+  }
+  
+  /**
+   * Formats report as a standalone HTML page
+   */
+  static formatAsHTML(report) {
+    const escape = this.escapeHtml;
+    const list = items => `<ul>\n${items.map(item => `  <li>${escape(item)}</li>`).join('\n')}\n</ul>`;
+    const sections = [];
+    
+    sections.push(`<h2>Executive Summary</h2>\n<p>${escape(report.summary.overview)}</p>`);
+    if (report.summary.mainArguments.length > 0) {
+      sections.push(`<h3>Main Arguments</h3>\n${list(report.summary.mainArguments.map(arg => `${arg.claim} (${arg.type}, confidence ${arg.confidence})`))}`);
+    }
+    if (report.summary.keyConflicts.length > 0) {
+      sections.push(`<h3>Key Conflicts</h3>\n${list(report.summary.keyConflicts.map(conflict =>
+        `${conflict.arg1.claim} vs ${conflict.arg2.claim} (reconcilable: ${conflict.reconcilable ? 'yes' : 'no'})`
+      ))}`);
+    }
+    sections.push(`<p><strong>Conclusion:</strong> ${escape(report.summary.conclusion)}</p>`);
+    
+    const justification = report.structure.justification;
+    sections.push(`<h2>Justification Status</h2>\n<p>Semantics: ${escape(justification.semantics)}</p>\n${list([
+      `Justified (IN): ${justification.justified.join(', ') || 'none'}`,
+      `Defeated (OUT): ${justification.defeated.join(', ') || 'none'}`,
+      `Undecided (UNDEC): ${justification.undecided.join(', ') || 'none'}`
+    ])}`);
+    
+    const cycles = report.structure.cycles;
+    sections.push(`<h2>Structure Analysis</h2>\n<h3>Circular Reasoning</h3>\n${cycles.length > 0
+      ? list(this.describeCycles(cycles))
+      : '<p>No circular support or reasoning found.</p>'}`);
+    
+    const consistency = this.describeConsistency(report.structure.consistency);
+    sections.push(`<h3>Consistency</h3>\n${consistency.length > 0
+      ? list(consistency)
+      : '<p>No contradictory premises or missing contradictions found.</p>'}`);
+    
+    sections.push(`<h2>Quality Analysis</h2>\n<p>Overall Score: <strong>${(report.quality.overallScore * 100).toFixed(1)}%</strong></p>`);
+    sections.push(`<h3>Strengths</h3>\n${list(report.quality.strengths)}`);
+    sections.push(`<h3>Weaknesses</h3>\n${list(report.quality.weaknesses)}`);
+    sections.push(`<h3>Recommendations</h3>\n${list(report.quality.recommendations)}`);
+    
+    const rows = report.arguments.map(arg => `  <tr><td>${escape(arg.id)}</td><td>${escape(arg.type)}</td><td>${escape(arg.claim)}</td>` +
+      `<td>${arg.confidence}</td><td>${(arg.evaluation.score * 100).toFixed(1)}%</td></tr>`);
+    sections.push(`<h2>Individual Argument Analysis</h2>\n<table>\n  <tr><th>ID</th><th>Type</th><th>Claim</th><th>Confidence</th><th>Score</th></tr>\n${rows.join('\n')}\n</table>`);
+    sections.push(`<h3>Score Explanations</h3>\n${report.arguments.map(arg =>
+      `<details>\n<summary>[${escape(arg.id)}] ${escape(arg.claim)}</summary>\n${this.formatExplanationAsHTML(arg.evaluation.explanation)}\n</details>`
+    ).join('\n')}`);
+    
+    const fallacies = report.arguments.flatMap(arg => this.groupFallacySpans(arg).map(({ name, text, spans }) =>
+      `  <li>[${escape(arg.id)}] ${escape(name)} (${escape(this.describePart(spans[0]))}): ${GraphVisualizer.highlightSpans(text, spans)}</li>`
+    ));
+    sections.push(`<h3>Possible Fallacies</h3>\n${fallacies.length > 0 ? `<ul>\n${fallacies.join('\n')}\n</ul>` : '<p>None detected.</p>'}`);
+    
+    if (report.visualizations) {
+      sections.push(`<h2>Argument Structure Visualization</h2>\n<pre class="mermaid">\n${escape(report.visualizations.graphVisualization)}\n</pre>`);
+    }
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Structured Argumentation Analysis Report</title>
+<script src="https://cdn.jsdelivr.net/npm/mermaid/dist/mermaid.min.js"></script>
+<style>
+  body { font-family: sans-serif; max-width: 960px; margin: 2em auto; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+  .explanation .positive { color: #2e7d32; }
+  .explanation .negative { color: #c62828; }
+  mark.fallacy { background: #ffe082; }
+</style>
+</head>
+<body>
+<h1>Structured Argumentation Analysis Report</h1>
+<p>Generated: ${escape(report.metadata.timestamp)}<br>Arguments: ${report.metadata.argumentCount} | Relationships: ${report.metadata.relationshipCount}</p>
+${sections.join('\n')}
+<script>mermaid.initialize({ startOnLoad: true });</script>
+</body>
+</html>
+`;
+  }
+  
+  /**
+   * Formats report as plain text
+   */
+  static formatAsText(report) {
+    const lines = [];
+    const heading = title => lines.push('', title, '-'.repeat(title.length));
+    
+    lines.push('STRUCTURED ARGUMENTATION ANALYSIS REPORT');
+    lines.push(`Generated: ${report.metadata.timestamp}`);
+    lines.push(`Arguments: ${report.metadata.argumentCount} | Relationships: ${report.metadata.relationshipCount}`);
+    
+    heading('Executive Summary');
+    lines.push(report.summary.overview);
+    report.summary.mainArguments.forEach((arg, idx) => {
+      lines.push(`  ${idx + 1}. ${arg.claim} (${arg.type}, confidence ${arg.confidence})`);
+    });
+    lines.push(`Conclusion: ${report.summary.conclusion}`);
+    
+    const justification = report.structure.justification;
+    heading('Justification Status');
+    lines.push(`Justified (IN): ${justification.justified.join(', ') || 'none'}`);
+    lines.push(`Defeated (OUT): ${justification.defeated.join(', ') || 'none'}`);
+    lines.push(`Undecided (UNDEC): ${justification.undecided.join(', ') || 'none'}`);
+    
+    heading('Structure Analysis');
+    const cycles = this.describeCycles(report.structure.cycles);
+    lines.push(cycles.length > 0 ? 'Circular reasoning:' : 'No circular support or reasoning found.');
+    cycles.forEach(cycle => lines.push(`  - ${cycle}`));
+    const consistency = this.describeConsistency(report.structure.consistency);
+    lines.push(consistency.length > 0 ? 'Consistency:' : 'No contradictory premises or missing contradictions found.');
+    consistency.forEach(finding => lines.push(`  - ${finding}`));
+    
+    heading('Quality Analysis');
+    lines.push(`Overall Score: ${(report.quality.overallScore * 100).toFixed(1)}%`);
+    [['Strengths', report.quality.strengths], ['Weaknesses', report.quality.weaknesses], ['Recommendations', report.quality.recommendations]]
+      .forEach(([title, items]) => {
+        lines.push(`${title}:`);
+        items.forEach(item => lines.push(`  - ${item}`));
+      });
+    
+    heading('Individual Argument Analysis');
+    report.arguments.forEach(arg => {
+      lines.push(`[${arg.id}] ${arg.claim} (${arg.type}) - score ${(arg.evaluation.score * 100).toFixed(1)}%, confidence ${arg.confidence}`);
+    });
+    
+    if (report.visualizations) {
+      heading('Argument Structure');
+      lines.push(report.visualizations.asciiDiagram);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Formats an evaluation's explanation tree as nested Markdown list lines
+   */
+  static formatExplanationAsMarkdown(node, depth = 0) {
+    const indent = '  '.repeat(depth);
+    const lines = [`${indent}- ${this.describeExplanationNode(node)}`];
+    
+    if (node.spans && node.spans.length > 0) {
+      lines.push(`${indent}  - Matched ${node.spans.map(span => `"${span.text}" (${this.describeSpan(span)})`).join('; ')}`);
+    }
+    if (node.arguments && node.arguments.length > 0) {
+      lines.push(`${indent}  - Arguments: ${node.arguments.join(', ')}`);
+    }
+    node.children.forEach(child => lines.push(...this.formatExplanationAsMarkdown(child, depth + 1)));
+    
+    return lines;
+  }
+  
+  /**
+   * Formats an evaluation's explanation tree as a nested HTML list, with
+   * contributions coloured by sign and matched text marked
+   */
+  static formatExplanationAsHTML(explanation) {
+    const escape = this.escapeHtml;
+    const render = node => {
+      const items = [];
+      if (node.spans && node.spans.length > 0) {
+        items.push(`<li>Matched ${node.spans.map(span =>
+          `<mark>${escape(span.text)}</mark> (${escape(this.describeSpan(span))})`
+        ).join('; ')}</li>`);
+      }
+      if (node.arguments && node.arguments.length > 0) {
+        items.push(`<li>Arguments: ${escape(node.arguments.join(', '))}</li>`);
+      }
+      node.children.forEach(child => items.push(render(child)));
+      
+      const sign = node.contribution > 0 ? 'positive' : node.contribution < 0 ? 'negative' : 'neutral';
+      return `<li class="${sign}">${escape(this.describeExplanationNode(node))}` +
+        (items.length > 0 ? `\n<ul>\n${items.join('\n')}\n</ul>` : '') + '</li>';
+    };
+    
+    return `<ul class="explanation">\n${render(explanation)}\n</ul>`;
+  }
+  
+  /**
+   * Describes one node of an explanation tree: the overall score, a
+   * category's weighted score, or a rule's contribution and finding
+   */
+  static describeExplanationNode(node) {
+    const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+    
+    if (node.category) {
+      const clamped = Math.abs(node.rawScore - node.score) > 1e-9 ? ` (clamped from ${node.rawScore.toFixed(2)})` : '';
+      return `${node.label}: ${node.score.toFixed(2)}${clamped} × weight ${node.weight} = ${signed(node.contribution)}`;
+    }
+    if (node.rule) {
+      return `${node.rule} (${signed(node.contribution)}): ${node.label}`;
+    }
+    return `${node.label}: ${node.score.toFixed(2)}`;
+  }
+  
+  /**
+   * Describes where a matched span lies, such as "premise 2, chars 4-10"
+   */
+  static describeSpan(span) {
+    return `${this.describePart(span)}, chars ${span.start}-${span.end}`;
+  }
+  
+  /**
+   * Names the part of an argument a span lies in, such as "premise 2"
+   */
+  static describePart(span) {
+    return span.part === 'premise' ? `premise ${span.index + 1}` : span.part;
+  }
+  
+  /**
+   * Formats the possible fallacies of an analyzed argument as Markdown list
+   * lines, quoting each affected part with the suspect wording in bold
+   */
+  static formatFallaciesAsMarkdown(arg) {
+    return this.groupFallacySpans(arg).map(({ name, text, spans }) => {
+      let quoted = '';
+      let position = 0;
+      GraphVisualizer.mergeSpans(spans).forEach(range => {
+        quoted += `${text.slice(position, range.start)}**${text.slice(range.start, range.end)}**`;
+        position = range.end;
+      });
+      
+      return `- ${name} (${this.describePart(spans[0])}): ${quoted}${text.slice(position)}`;
+    });
+  }
+  
+  /**
+   * Groups the spans of each possible fallacy of an analyzed argument by the
+   * part they lie in, as { name, text, spans } with the text of that part
+   */
+  static groupFallacySpans(arg) {
+    return arg.evaluation.fallacies.flatMap(detection => {
+      const groups = new Map();
+      detection.spans.forEach(span => {
+        const key = `${span.part}:${span.index}`;
+        if (!groups.has(key)) {
+          const text = span.part === 'premise' ? arg.premises[span.index] : arg[span.part];
+          groups.set(key, { name: detection.name, text, spans: [] });
+        }
+        groups.get(key).spans.push({ ...span, label: detection.name });
+      });
+      return Array.from(groups.values());
+    });
+  }
+  
+  /**
+   * Escapes text for HTML
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
   /**
    * Identifies main arguments
    */
@@ -346,12 +920,12 @@ class ReportGenerator {
     // 2. High confidence arguments
     // 3. Arguments referenced by many others
     
-    const rootArgs = graph.arguments.filter(arg => {
+    const rootArgs = this.getArguments(graph).filter(arg => {
       const respondents = graph.getResponders(arg.id);
       return respondents.length === 0; // No responses to this argument
     });
     
-    const highConfidenceArgs = graph.arguments.filter(arg => arg.confidence >= 0.7);
+    const highConfidenceArgs = this.getArguments(graph).filter(arg => arg.confidence >= 0.7);
     const frequentlyReferencedArgs = this.findMostReferencedArguments(graph);
     
     // Combine and deduplicate
@@ -454,8 +1028,7 @@ class ReportGenerator {
     let totalScore = 0;
     let count = 0;
     
-    graph.arguments.forEach(arg => {
-      const evaluation = Evaluator.evaluateArgument(arg, graph);
+    Evaluator.evaluateArguments(graph).forEach(evaluation => {
       totalScore += evaluation.logicalScore;
       count++;
     });
@@ -469,9 +1042,10 @@ class ReportGenerator {
   static assessDialogicDepth(graph) {
     // Measure response depth and engagement
     const depths = [];
+    const index = this.indexCriticalPaths(graph);
     
     graph.arguments.forEach(arg => {
-      const depth = this.calculateArgumentDepth(arg, graph);
+      const depth = this.calculateArgumentDepth(arg, graph, index);
       depths.push(depth);
     });
     
@@ -490,7 +1064,7 @@ class ReportGenerator {
     const progress = [];
     
     // Sort arguments by creation order (if available)
-    const sortedArgs = [...graph.arguments].sort((a, b) => {
+    const sortedArgs = this.getArguments(graph).sort((a, b) => {
       if (a.id < b.id) return -1;
       return 1;
     });
@@ -516,7 +1090,387 @@ class ReportGenerator {
     return progress;
   }
   
+  /**
+   * Rates the size of the debate as low, medium or high complexity
+   */
+  static assessComplexity(graph) {
+    const size = graph.arguments.size + this.countRelationships(graph);
+    if (size < 5) return 'low';
+    if (size < 15) return 'medium';
+    return 'high';
+  }
+  
+  /**
+   * Describes the debate in one paragraph
+   */
+  static generateOverview(graph) {
+    if (graph.arguments.size === 0) return 'The debate contains no arguments yet.';
+    
+    const types = Object.entries(this.countArgumentTypes(graph))
+      .map(([type, count]) => `${count} ${type}`)
+      .join(', ');
+    const justified = this.analyzeJustification(graph).justified.length;
+    
+    return `The debate contains ${graph.arguments.size} arguments (${types}) connected by ${this.countRelationships(graph)} relationships. ` +
+      `${justified} of them are justified under grounded semantics.`;
+  }
+  
+  /**
+   * Draws the overall conclusion of the debate
+   */
+  static generateExecutiveConclusion(graph) {
+    const syntheses = graph.getArgumentsByType('synthesis');
+    if (syntheses.length > 0) {
+      return `${syntheses.length} synthesis argument(s) integrate the opposing positions: ${syntheses.map(arg => arg.claim).join('; ')}`;
+    }
+    
+    const justified = this.analyzeJustification(graph).justified.map(id => graph.getArgument(id).claim);
+    if (justified.length > 0) {
+      return `No synthesis yet. The justified claims are: ${justified.join('; ')}`;
+    }
+    
+    return 'No synthesis yet, and no argument is justified.';
+  }
+  
+  /**
+   * Lists an argument's outgoing and incoming relationships
+   */
+  static getArgumentRelationships(arg, graph) {
+    const relations = graph.adjacencyList.get(arg.id);
+    
+    return {
+      supports: relations.supports,
+      contradicts: relations.contradicts,
+      respondsTo: relations.respondsTo,
+      supportedBy: graph.getSupporterIds(arg.id),
+      attackedBy: graph.getAttackerIds(arg.id),
+      respondedToBy: graph.getResponderIds(arg.id)
+    };
+  }
+  
+  /**
+   * Gets the IDs of the arguments an argument supports, contradicts or
+   * responds to
+   */
+  static getTargetIds(argumentId, graph) {
+    const relations = graph.adjacencyList.get(argumentId);
+    const targets = [...relations.supports, ...relations.contradicts];
+    if (relations.respondsTo) targets.push(relations.respondsTo);
+    return [...new Set(targets)];
+  }
+  
+  /**
+   * Groups the arguments of a graph into strongly connected components for
+   * traceCriticalPath, which memoizes the chains it finds in `paths`. Share
+   * the index between calls on the same, unchanged graph.
+   */
+  static indexCriticalPaths(graph) {
+    const components = new Map();
+    CycleDetector.findStronglyConnectedComponents(Array.from(graph.arguments.keys()), id => this.getTargetIds(id, graph))
+      .forEach(component => {
+        const members = new Set(component);
+        component.forEach(id => components.set(id, members));
+      });
+    
+    return { components, paths: new Map() };
+  }
+  
+  /**
+   * Follows the longest chain of relationships starting at an argument,
+   * returning the argument IDs along it. Arguments that reach each other in
+   * a loop are passed through once, taking the first unvisited target at
+   * each step, and the chain leaves them wherever it can continue furthest,
+   * so each argument is traced only once.
+   */
+  static traceCriticalPath(arg, graph, index = this.indexCriticalPaths(graph)) {
+    if (index.paths.has(arg.id)) return index.paths.get(arg.id);
+    
+    const component = index.components.get(arg.id);
+    const walk = [arg.id];
+    let next;
+    while ((next = this.getTargetIds(walk[walk.length - 1], graph).find(id => component.has(id) && !walk.includes(id))) !== undefined) {
+      walk.push(next);
+    }
+    
+    let longest = walk;
+    walk.forEach((id, position) => {
+      this.getTargetIds(id, graph).forEach(targetId => {
+        if (component.has(targetId)) return;
+        const path = this.traceCriticalPath(graph.getArgument(targetId), graph, index);
+        if (position + 1 + path.length > longest.length) longest = [...walk.slice(0, position + 1), ...path];
+      });
+    });
+    
+    index.paths.set(arg.id, longest);
+    return longest;
+  }
+  
+  /**
+   * Counts the relationships between an argument and the rest of the debate
+   */
+  static calculateArgumentDepth(arg, graph, index = this.indexCriticalPaths(graph)) {
+    return this.traceCriticalPath(arg, graph, index).length - 1;
+  }
+  
+  /**
+   * Measures how much of the debate refers to an argument
+   */
+  static assessArgumentImpact(arg, graph) {
+    const references = graph.getSupporterIds(arg.id).length +
+      graph.getAttackerIds(arg.id).length +
+      graph.getResponderIds(arg.id).length;
+    
+    return {
+      references,
+      score: graph.arguments.size > 1 ? Math.min(1, references / (graph.arguments.size - 1)) : 0
+    };
+  }
+  
+  /**
+   * Groups arguments by how far they are from the arguments they build on.
+   * Level 0 holds arguments that refer to no other argument.
+   */
+  static analyzeHierarchy(graph) {
+    const index = this.indexCriticalPaths(graph);
+    const levels = {};
+    graph.arguments.forEach(arg => {
+      const level = this.calculateArgumentDepth(arg, graph, index);
+      (levels[level] = levels[level] || []).push(arg.id);
+    });
+    
+    return {
+      levels,
+      depth: Math.max(0, ...Object.keys(levels).map(Number))
+    };
+  }
+  
+  /**
+   * Finds groups of arguments connected by any relationship, largest first
+   */
+  static identifyClusters(graph) {
+    const neighbours = new Map(Array.from(graph.arguments.keys()).map(id => [id, new Set()]));
+    graph.arguments.forEach(arg => {
+      this.getTargetIds(arg.id, graph).forEach(targetId => {
+        neighbours.get(arg.id).add(targetId);
+        neighbours.get(targetId).add(arg.id);
+      });
+    });
+    
+    const seen = new Set();
+    const clusters = [];
+    neighbours.forEach((_, id) => {
+      if (seen.has(id)) return;
+      
+      const cluster = [];
+      const queue = [id];
+      seen.add(id);
+      while (queue.length > 0) {
+        const current = queue.shift();
+        cluster.push(current);
+        neighbours.get(current).forEach(next => {
+          if (!seen.has(next)) {
+            seen.add(next);
+            queue.push(next);
+          }
+        });
+      }
+      clusters.push(cluster);
+    });
+    
+    return clusters.sort((a, b) => b.length - a.length);
+  }
+  
+  /**
+   * Finds the three longest chains starting at arguments nobody refers to
+   */
+  static findCriticalPaths(graph) {
+    const index = this.indexCriticalPaths(graph);
+    return this.getArguments(graph)
+      .filter(arg => this.assessArgumentImpact(arg, graph).references === 0)
+      .map(arg => this.traceCriticalPath(arg, graph, index))
+      .filter(path => path.length > 1)
+      .sort((a, b) => b.length - a.length)
+      .slice(0, 3);
+  }
+  
+  /**
+   * Calculates the share of possible relationships that exist
+   */
+  static calculateDensity(graph) {
+    const n = graph.arguments.size;
+    return n > 1 ? this.countRelationships(graph) / (n * (n - 1)) : 0;
+  }
+  
+  /**
+   * Calculates the degree centrality of each argument
+   */
+  static calculateCentrality(graph) {
+    const centrality = {};
+    graph.arguments.forEach(arg => {
+      const degree = this.getTargetIds(arg.id, graph).length + this.assessArgumentImpact(arg, graph).references;
+      centrality[arg.id] = graph.arguments.size > 1 ? degree / (graph.arguments.size - 1) : 0;
+    });
+    return centrality;
+  }
+  
+  /**
+   * Assesses evidential support
+   */
+  static assessEvidentialSupport(graph) {
+    const args = this.getArguments(graph);
+    if (args.length === 0) return 0;
+    
+    const rules = Evaluator.getRules(graph);
+    return args.reduce((acc, arg) => acc + Evaluator.evaluateEvidence(arg, rules), 0) / args.length;
+  }
+  
+  /**
+   * Assesses how well syntheses integrate the arguments they support
+   */
+  static assessSynthesisQuality(graph) {
+    const syntheses = graph.getArgumentsByType('synthesis');
+    if (syntheses.length === 0) return 0;
+    
+    return syntheses.reduce((acc, synthesis) => {
+      const originals = graph.adjacencyList.get(synthesis.id).supports.map(id => graph.getArgument(id));
+      return acc + (originals.length > 0 ? Synthesizer.evaluateSynthesisQuality(synthesis, originals).overallScore : 0);
+    }, 0) / syntheses.length;
+  }
+  
+  /**
+   * Assesses completeness: which argument types are present and how many
+   * objections have been answered
+   */
+  static assessCompleteness(graph) {
+    if (graph.arguments.size === 0) return 0;
+    
+    const typeCoverage = 1 - this.identifyMissingArgumentTypes(graph).length / ARGUMENT_TYPES.length;
+    const answered = 1 - this.findUnaddressedArguments(graph).length / graph.arguments.size;
+    
+    return (typeCoverage + answered) / 2;
+  }
+  
+  /**
+   * Lists the strengths shared by the most arguments
+   */
+  static identifyOverallStrengths(graph) {
+    return this.rankFindings(graph, 'strengths');
+  }
+  
+  /**
+   * Lists the weaknesses shared by the most arguments
+   */
+  static identifyOverallWeaknesses(graph) {
+    return this.rankFindings(graph, 'weaknesses');
+  }
+  
+  /**
+   * Counts how many arguments share each strength or weakness, returning the
+   * five most common
+   */
+  static rankFindings(graph, key) {
+    const counts = new Map();
+    Evaluator.evaluateArguments(graph).forEach(evaluation => {
+      evaluation[key].forEach(finding => {
+        counts.set(finding, (counts.get(finding) || 0) + 1);
+      });
+    });
+    
+    return Array.from(counts.entries())
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 5)
+      .map(([finding, count]) => `${finding} (${count} argument${count === 1 ? '' : 's'})`);
+  }
+  
+  /**
+   * Counts arguments of each type
+   */
+  static generateArgumentDistribution(graph) {
+    return this.countArgumentTypes(graph);
+  }
+  
+  /**
+   * Counts relationships between argument types, as matrix[fromType][toType]
+   */
+  static generateRelationshipMatrix(graph) {
+    const matrix = {};
+    graph.arguments.forEach(arg => {
+      this.getTargetIds(arg.id, graph).forEach(targetId => {
+        const row = matrix[arg.type] = matrix[arg.type] || {};
+        const toType = graph.getArgument(targetId).type;
+        row[toType] = (row[toType] || 0) + 1;
+      });
+    });
+    return matrix;
+  }
+  
+  /**
+   * Buckets arguments by evaluation score
+   */
+  static generateQualityDistribution(graph) {
+    return this.bucket(Array.from(Evaluator.evaluateArguments(graph).values()).map(evaluation => evaluation.score));
+  }
+  
+  /**
+   * Buckets arguments by confidence
+   */
+  static generateConfidenceDistribution(graph) {
+    return this.bucket(this.getArguments(graph).map(arg => arg.confidence));
+  }
+  
+  /**
+   * Sorts values between 0 and 1 into high, medium and low
+   */
+  static bucket(values) {
+    return {
+      high: values.filter(value => value >= 0.7).length,
+      medium: values.filter(value => value >= 0.4 && value < 0.7).length,
+      low: values.filter(value => value < 0.4).length
+    };
+  }
+  
+  /**
+   * Scores the dialogue as the average argument score
+   */
+  static calculateDialogueScore(graph) {
+    const args = this.getArguments(graph);
+    if (args.length === 0) return 0;
+    
+    const evaluations = Evaluator.evaluateArguments(graph);
+    return args.reduce((acc, arg) => acc + evaluations.get(arg.id).score, 0) / args.length;
+  }
+  
+  /**
+   * Finds arguments that contradict another argument and have not been
+   * answered by a response or an attack
+   */
+  static findUnaddressedArguments(graph) {
+    return this.getArguments(graph).filter(arg =>
+      graph.adjacencyList.get(arg.id).contradicts.length > 0 &&
+      graph.getAttackerIds(arg.id).length === 0 &&
+      graph.getResponderIds(arg.id).length === 0
+    );
+  }
+  
+  /**
+   * Lists the argument types the debate does not use yet
+   */
+  static identifyMissingArgumentTypes(graph) {
+    return ARGUMENT_TYPES.filter(type => graph.getArgumentsByType(type).length === 0);
+  }
+  
+  /**
+   * Checks whether two conflicting arguments could be reconciled
+   */
+  static isConflictReconcilable(arg1, arg2) {
+    return Synthesizer.isReconcilable(arg1, arg2);
+  }
+  
   // Helper methods
+  static getArguments(graph) {
+    return Array.from(graph.arguments.values());
+  }
+  
   static countRelationships(graph) {
     let count = 0;
     graph.adjacencyList.forEach(relations => {
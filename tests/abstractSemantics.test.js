@@ -0,0 +1,99 @@
+const AbstractSemantics = require('../src/analysis/abstractSemantics');
+const ArgumentGraph = require('../src/core/argumentGraph');
+
+const addArgument = (graph, id, contradicts = []) => graph.addArgument({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`Premise ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.5,
+  contradicts
+});
+
+describe('AbstractSemantics', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+  });
+  
+  test('should reinstate an argument defended against its attacker', () => {
+    addArgument(graph, 'a');
+    addArgument(graph, 'b', ['a']);
+    addArgument(graph, 'c', ['b']);
+    
+    const labels = AbstractSemantics.getLabels(graph, 'grounded');
+    
+    expect(labels).toEqual({ a: 'IN', b: 'OUT', c: 'IN' });
+    expect(AbstractSemantics.computeExtensions(graph, 'grounded')).toEqual([['a', 'c']]);
+  });
+  
+  test('should leave mutual attacks undecided under grounded semantics', () => {
+    addArgument(graph, 'a');
+    addArgument(graph, 'b', ['a']);
+    graph.addContradictsRelationship('a', 'b');
+    
+    expect(AbstractSemantics.getLabels(graph, 'grounded')).toEqual({ a: 'UNDEC', b: 'UNDEC' });
+    expect(AbstractSemantics.computeExtensions(graph, 'complete')).toEqual([['a'], ['b'], []]);
+    expect(AbstractSemantics.computeExtensions(graph, 'preferred')).toEqual([['a'], ['b']]);
+    expect(AbstractSemantics.computeExtensions(graph, 'stable')).toEqual([['a'], ['b']]);
+    expect(AbstractSemantics.isCredulouslyAccepted(graph, 'a')).toBe(true);
+    expect(AbstractSemantics.isSkepticallyAccepted(graph, 'a')).toBe(false);
+  });
+  
+  test('should distinguish stable and semi-stable semantics on odd cycles', () => {
+    addArgument(graph, 'a');
+    addArgument(graph, 'b', ['a']);
+    addArgument(graph, 'c', ['b']);
+    graph.addContradictsRelationship('a', 'c');
+    addArgument(graph, 'd');
+    
+    expect(AbstractSemantics.computeLabellings(graph, 'stable')).toEqual([]);
+    expect(AbstractSemantics.computeExtensions(graph, 'semi-stable')).toEqual([['d']]);
+    expect(AbstractSemantics.getLabels(graph, 'stable')).toEqual({
+      a: 'UNDEC', b: 'UNDEC', c: 'UNDEC', d: 'UNDEC'
+    });
+  });
+  
+  test('should pick the semi-stable labelling with the fewest undecided arguments', () => {
+    addArgument(graph, 'a');
+    addArgument(graph, 'b', ['a']);
+    graph.addContradictsRelationship('a', 'b');
+    addArgument(graph, 'c', ['c']);
+    graph.addContradictsRelationship('b', 'c');
+    
+    expect(AbstractSemantics.computeExtensions(graph, 'stable')).toEqual([['b']]);
+    expect(AbstractSemantics.computeExtensions(graph, 'semi-stable')).toEqual([['b']]);
+    expect(AbstractSemantics.computeExtensions(graph, 'preferred')).toEqual([['a'], ['b']]);
+  });
+  
+  test('should search preferred extensions directly instead of listing complete labellings', () => {
+    for (let i = 0; i < 8; i++) {
+      addArgument(graph, `a${i}`);
+      addArgument(graph, `b${i}`, [`a${i}`]);
+      graph.addContradictsRelationship(`a${i}`, `b${i}`);
+    }
+    addArgument(graph, 'c', ['c']);
+    graph.addContradictsRelationship('a0', 'c');
+    const complete = jest.spyOn(AbstractSemantics, 'completeLabellings');
+    
+    const preferred = AbstractSemantics.computeExtensions(graph, 'preferred');
+    expect(preferred).toHaveLength(256);
+    expect(preferred[0]).toEqual(['a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7']);
+    expect(preferred.every(extension => extension.length === 8)).toBe(true);
+    
+    // c attacks itself, so only the extensions with a0 attack it and are stable
+    const stable = AbstractSemantics.computeExtensions(graph, 'stable');
+    expect(stable).toHaveLength(128);
+    expect(stable.every(extension => extension.includes('a0'))).toBe(true);
+    expect(AbstractSemantics.computeExtensions(graph, 'semi-stable')).toEqual(stable);
+    expect(complete).not.toHaveBeenCalled();
+    
+    complete.mockRestore();
+  });
+  
+  test('should reject unknown semantics', () => {
+    expect(() => AbstractSemantics.computeLabellings(graph, 'ideal')).toThrow('Unknown semantics');
+  });
+});
@@ -0,0 +1,241 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const AifConverter = require('../src/io/aifConverter');
+
+const argumentData = (id, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.6,
+  ...extra
+});
+
+const buildGraph = () => {
+  const graph = new ArgumentGraph();
+  graph.addArgument(argumentData('thesis', {
+    premises: ['Dr. Lee is an expert in climate science', 'Dr. Lee asserts that warming is accelerating'],
+    conclusion: 'Warming is accelerating',
+    scheme: 'expert-opinion'
+  }));
+  graph.addArgument(argumentData('support', { conclusion: 'Dr. Lee is an expert in climate science', supports: ['thesis'] }));
+  graph.addArgument(argumentData('rebut', { argumentType: 'antithesis', contradicts: ['thesis'] }));
+  graph.addArgument(argumentData('undermine', {
+    argumentType: 'objection',
+    attacks: [{ target: 'thesis', kind: 'undermining', premiseIndex: 1 }],
+    respondsTo: 'thesis'
+  }));
+  graph.addArgument(argumentData('undercut', {
+    argumentType: 'objection',
+    criticalQuestion: { argumentId: 'thesis', id: 'CQ4' },
+    attacks: [{ target: 'thesis', kind: 'undercutting' }]
+  }));
+  return graph;
+};
+
+describe('AifConverter export', () => {
+  let aif;
+  
+  beforeEach(() => {
+    aif = AifConverter.toAIF(buildGraph());
+  });
+  
+  const node = id => aif.nodes.find(n => n.nodeID === id);
+  const targetsOf = id => aif.edges.filter(e => e.fromID === id).map(e => e.toID);
+  const sourcesOf = id => aif.edges.filter(e => e.toID === id).map(e => e.fromID);
+  
+  test('should produce AIFdb JSON with nodes, edges, locutions and participants', () => {
+    expect(Object.keys(aif)).toEqual(['nodes', 'edges', 'locutions', 'participants', 'stances']);
+    expect(aif.nodes.every(n => ['I', 'RA', 'CA'].includes(n.type))).toBe(true);
+    aif.edges.forEach(edge => {
+      expect(node(edge.fromID)).toBeDefined();
+      expect(node(edge.toID)).toBeDefined();
+    });
+  });
+  
+  test('should link premises to conclusions through RA nodes', () => {
+    const thesis = buildGraph().getArgument('thesis');
+    
+    expect(node('ra_thesis').scheme).toBe('expert-opinion');
+    expect(sourcesOf('ra_thesis').filter(id => node(id).type === 'I')).toEqual(thesis.premiseIds);
+    expect(targetsOf('ra_thesis')).toEqual([thesis.conclusionId]);
+  });
+  
+  test('should share I-nodes between arguments using the same proposition', () => {
+    const graph = buildGraph();
+    const shared = graph.getArgument('support').conclusionId;
+    
+    expect(aif.nodes.filter(n => n.nodeID === shared)).toHaveLength(1);
+    expect(targetsOf(shared)).toContain('ra_thesis');
+  });
+  
+  test('should point CA nodes at the part of the argument each attack kind targets', () => {
+    const thesis = buildGraph().getArgument('thesis');
+    const conflictTarget = from => targetsOf(aif.nodes.find(n => n.type === 'CA' && n.relation.from === from).nodeID);
+    
+    expect(conflictTarget('rebut')).toEqual([thesis.conclusionId]);
+    expect(conflictTarget('undermine')).toEqual([thesis.premiseIds[1]]);
+    expect(conflictTarget('undercut')).toEqual(['ra_thesis']);
+  });
+});
+
+describe('AifConverter locutions', () => {
+  const buildAuthoredGraph = () => {
+    const graph = buildGraph();
+    graph.addParticipant({ participantId: 'alice', name: 'Alice', team: 'pro', createdAt: '2024-03-05T09:00:00Z' });
+    graph.addArgument(argumentData('authored', {
+      author: 'alice',
+      contradicts: ['rebut'],
+      createdAt: '2024-03-05T09:30:15.250Z'
+    }));
+    return graph;
+  };
+  
+  test('should export authors as locutions anchored to their arguments', () => {
+    const aif = AifConverter.toAIF(buildAuthoredGraph());
+    
+    expect(aif.locutions).toEqual([{
+      nodeID: 'l_authored',
+      personID: 'alice',
+      timestamp: '2024-03-05 09:30:15',
+      participant: { name: 'Alice', team: 'pro', role: null, createdAt: '2024-03-05T09:00:00.000Z' }
+    }]);
+    expect(aif.participants).toEqual([{
+      participantID: 'alice',
+      firstname: 'Alice',
+      surname: '',
+      participant: { team: 'pro', role: null, createdAt: '2024-03-05T09:00:00.000Z' }
+    }]);
+    expect(aif.nodes.find(node => node.nodeID === 'l_authored')).toEqual({
+      nodeID: 'l_authored', text: 'Alice: Claim authored', type: 'L', timestamp: '2024-03-05 09:30:15'
+    });
+    expect(aif.edges.filter(edge => edge.fromID === 'ya_authored').map(edge => edge.toID)).toEqual(['ra_authored']);
+    expect(aif.nodes.every(node => !node.timestamp || /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(node.timestamp))).toBe(true);
+  });
+  
+  test('should import locutions as participants and authors', () => {
+    const aif = AifConverter.toAIF(buildAuthoredGraph());
+    const imported = AifConverter.fromAIF(JSON.parse(JSON.stringify(aif)));
+    
+    expect(imported.getParticipant('alice').toJSON()).toEqual({
+      id: 'alice', name: 'Alice', team: 'pro', role: null, createdAt: '2024-03-05T09:00:00.000Z'
+    });
+    expect(imported.getArgument('authored').author).toBe('alice');
+    expect(imported.getArgument('authored').createdAt.toISOString()).toBe('2024-03-05T09:30:15.250Z');
+    expect(AifConverter.toAIF(imported)).toEqual(aif);
+  });
+});
+
+describe('AifConverter import', () => {
+  test('should round-trip a graph through AIF unchanged', () => {
+    const aif = AifConverter.toAIF(buildGraph());
+    const imported = AifConverter.fromAIF(JSON.parse(JSON.stringify(aif)));
+    
+    expect(AifConverter.toAIF(imported)).toEqual(aif);
+    expect(imported.getAttacksOn('thesis')).toEqual(buildGraph().getAttacksOn('thesis'));
+    expect(imported.getArgument('undermine').type).toBe('objection');
+    expect(imported.adjacencyList.get('undermine').respondsTo).toBe('thesis');
+  });
+  
+  test('should rebuild a graph from its AIF with participants, stances and exact times', () => {
+    const graph = buildGraph();
+    graph.addParticipant({ participantId: 'alice', name: 'Alice', team: 'pro', createdAt: '2024-03-05T09:00:00.125Z' });
+    graph.addParticipant({ participantId: 'bob', name: 'Bob', role: 'moderator' });
+    graph.addArgument(argumentData('authored', { author: 'alice', createdAt: '2024-03-05T09:30:15.250Z' }));
+    graph.setStance('bob', 'thesis', 'reject');
+    graph.setStance('alice', 'rebut', 'undecided');
+    
+    const imported = AifConverter.fromAIF(JSON.parse(JSON.stringify(AifConverter.toAIF(graph))));
+    const sortBy = key => list => [...list].sort((a, b) => a[key].localeCompare(b[key]));
+    const json = JSON.parse(JSON.stringify(graph.toJSON()));
+    const importedJson = JSON.parse(JSON.stringify(imported.toJSON()));
+    
+    expect(sortBy('id')(importedJson.arguments)).toEqual(sortBy('id')(json.arguments));
+    expect(sortBy('id')(importedJson.propositions)).toEqual(sortBy('id')(json.propositions));
+    expect(importedJson.participants).toEqual(json.participants);
+    expect(importedJson.stances).toEqual(json.stances);
+    expect(sortBy('argumentId')(importedJson.relationships)).toEqual(sortBy('argumentId')(json.relationships));
+  });
+  
+  test('should interpret AIF from other tools by its structure', () => {
+    const graph = AifConverter.fromAIF({
+      nodes: [
+        { nodeID: 1, text: 'We should ban cars in the city centre', type: 'I' },
+        { nodeID: 2, text: 'Cars cause most of the air pollution', type: 'I' },
+        { nodeID: 3, text: 'Default Inference', type: 'RA' },
+        { nodeID: 4, text: 'Shops would lose customers', type: 'I' },
+        { nodeID: 5, text: 'Default Conflict', type: 'CA' },
+        { nodeID: 6, text: 'Most pollution comes from heating', type: 'I' },
+        { nodeID: 7, text: 'Default Conflict', type: 'CA' },
+        { nodeID: 8, text: 'Alice: cars should go', type: 'L' },
+        { nodeID: 9, text: 'Asserting', type: 'YA' }
+      ],
+      edges: [
+        { edgeID: 1, fromID: 2, toID: 3 },
+        { edgeID: 2, fromID: 3, toID: 1 },
+        { edgeID: 3, fromID: 4, toID: 5 },
+        { edgeID: 4, fromID: 5, toID: 1 },
+        { edgeID: 5, fromID: 6, toID: 7 },
+        { edgeID: 6, fromID: 7, toID: 2 },
+        { edgeID: 7, fromID: 8, toID: 9 },
+        { edgeID: 8, fromID: 9, toID: 1 }
+      ],
+      locutions: [{ nodeID: 8, personID: 1 }]
+    });
+    
+    expect(Array.from(graph.arguments.keys())).toEqual(['3', '4', '6']);
+    expect(graph.getArgument('3').premises).toEqual(['Cars cause most of the air pollution']);
+    expect(graph.getArgument('3').conclusion).toBe('We should ban cars in the city centre');
+    expect(graph.getAttacksOn('3')).toEqual([
+      { from: '4', target: '3', kind: 'rebutting' },
+      { from: '6', target: '3', kind: 'undermining', premiseIndex: 0 }
+    ]);
+    
+    // Alice's locution asserts the conclusion of argument 3
+    expect(graph.getParticipant('1').name).toBe('Alice');
+    expect(graph.getArgument('3').author).toBe('1');
+    expect(graph.getArgument('4').author).toBeNull();
+  });
+  
+  test('should name speakers of locutions without a person from the L-node text', () => {
+    const graph = AifConverter.fromAIF({
+      nodes: [
+        { nodeID: 'i1', text: 'Fares should be free', type: 'I', timestamp: '2024-03-05 09:30:00' },
+        { nodeID: 'l1', text: 'Bob : Fares should be free', type: 'L' },
+        { nodeID: 'y1', text: 'Asserting', type: 'YA' }
+      ],
+      edges: [
+        { edgeID: 1, fromID: 'l1', toID: 'y1' },
+        { edgeID: 2, fromID: 'y1', toID: 'i1' }
+      ]
+    });
+    
+    expect(graph.getParticipant('Bob').name).toBe('Bob');
+    expect(graph.getArgument('i1').author).toBe('Bob');
+    expect(graph.getArgument('i1').createdAt.toISOString()).toBe('2024-03-05T09:30:00.000Z');
+  });
+  
+  test('should derive supports from chained inferences', () => {
+    const graph = AifConverter.fromAIF({
+      nodes: [
+        { nodeID: 'a', text: 'Premise', type: 'I' },
+        { nodeID: 'b', text: 'Intermediate', type: 'I' },
+        { nodeID: 'c', text: 'Final', type: 'I' },
+        { nodeID: 'r1', text: 'Default Inference', type: 'RA' },
+        { nodeID: 'r2', text: 'Default Inference', type: 'RA' }
+      ],
+      edges: [
+        { edgeID: 1, fromID: 'a', toID: 'r1' },
+        { edgeID: 2, fromID: 'r1', toID: 'b' },
+        { edgeID: 3, fromID: 'b', toID: 'r2' },
+        { edgeID: 4, fromID: 'r2', toID: 'c' }
+      ]
+    });
+    
+    expect(graph.getSupporterIds('r2')).toEqual(['r1']);
+  });
+  
+  test('should reject data without nodes and edges', () => {
+    expect(() => AifConverter.fromAIF({ nodes: [] })).toThrow('AIF data must contain nodes and edges arrays');
+  });
+});
@@ -0,0 +1,221 @@
+const ApiServer = require('../src/server/apiServer');
+const { MemoryStorageAdapter } = require('../src/index');
+
+describe('ApiServer', () => {
+  let server;
+  let adapter;
+  let baseUrl;
+  
+  const request = async (method, path, body) => {
+    const options = { method };
+    if (body !== undefined) {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    
+    const response = await fetch(`${baseUrl}${path}`, options);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+    
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+  
+  const addArgument = async (claim, type, extra = {}) => {
+    const response = await request('POST', '/graphs/carbon/arguments', {
+      claim,
+      premises: [`${claim} premise one`, `${claim} premise two`],
+      conclusion: `${claim} follows`,
+      type,
+      confidence: 0.7,
+      ...extra
+    });
+    expect(response.status).toBe(201);
+    return response.body.argument;
+  };
+  
+  beforeEach(async () => {
+    adapter = new MemoryStorageAdapter();
+    server = new ApiServer({ adapter, allowOrigin: 'http://localhost:8080' });
+    const address = await server.listen(0);
+    baseUrl = `http://127.0.0.1:${address.port}`;
+    
+    expect((await request('POST', '/graphs', { graphId: 'carbon' })).status).toBe(201);
+  });
+  
+  afterEach(async () => {
+    await server.close();
+  });
+  
+  test('should create, edit and delete arguments and relationships', async () => {
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    const antithesis = await addArgument('Subsidize instead', 'antithesis');
+    
+    const relationship = await request('POST', '/graphs/carbon/relationships', {
+      from: antithesis.id,
+      to: thesis.id,
+      type: 'contradict',
+      premiseIndex: 1
+    });
+    expect(relationship).toMatchObject({
+      status: 201,
+      body: { relationship: { from: antithesis.id, to: thesis.id, type: 'contradict', kind: 'undermining', premiseIndex: 1 } }
+    });
+    
+    const edited = await request('PATCH', `/graphs/carbon/arguments/${thesis.id}`, { claim: 'Tax carbon now', type: 'synthesis' });
+    expect(edited.body.argument).toMatchObject({ id: thesis.id, claim: 'Tax carbon now', type: 'synthesis' });
+    
+    const fetched = await request('GET', `/graphs/carbon/arguments/${thesis.id}`);
+    expect(fetched.body.relationships).toEqual([relationship.body.relationship]);
+    
+    const removed = await request('DELETE', `/graphs/carbon/relationships?from=${antithesis.id}&to=${thesis.id}&type=contradict`);
+    expect(removed.status).toBe(204);
+    expect((await request('GET', '/graphs/carbon/relationships')).body.relationships).toEqual([]);
+    
+    expect((await request('DELETE', `/graphs/carbon/arguments/${antithesis.id}`)).status).toBe(204);
+    expect((await request('GET', '/graphs/carbon/arguments')).body.arguments.map(arg => arg.id)).toEqual([thesis.id]);
+    
+    // Every change was saved to the adapter
+    const record = await adapter.load('carbon');
+    expect(record.data.arguments.map(arg => arg.claim)).toEqual(['Tax carbon now']);
+    expect(record.data.history.events.map(event => event.type)).toContain('argument-removed');
+  });
+  
+  test('should evaluate, synthesize and analyze a graph', async () => {
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    const antithesis = await addArgument('Subsidize instead', 'antithesis');
+    await request('POST', '/graphs/carbon/relationships', { from: antithesis.id, to: thesis.id, type: 'contradict' });
+    
+    const evaluation = await request('POST', `/graphs/carbon/evaluate/${thesis.id}`);
+    expect(evaluation.body.evaluation).toMatchObject({ argumentId: thesis.id, score: expect.any(Number) });
+    
+    const synthesis = await request('POST', '/graphs/carbon/synthesize', { argumentIds: [thesis.id, antithesis.id] });
+    expect(synthesis).toMatchObject({ status: 201, body: { argument: { type: 'synthesis' } } });
+    
+    const extensions = await request('GET', '/graphs/carbon/extensions?semantics=preferred');
+    expect(extensions.body).toEqual({
+      semantics: 'preferred',
+      extensions: [[antithesis.id, synthesis.body.argument.id]],
+      labels: { [thesis.id]: 'OUT', [antithesis.id]: 'IN', [synthesis.body.argument.id]: 'IN' }
+    });
+    
+    const dot = await request('GET', '/graphs/carbon/visualize?format=dot');
+    expect(dot.headers.get('content-type')).toBe('text/vnd.graphviz; charset=utf-8');
+    expect(dot.body).toMatch(/^digraph ArgumentGraph \{/);
+    
+    const report = await request('GET', '/graphs/carbon/report?format=json');
+    expect(report.body.metadata.argumentCount).toBe(3);
+    expect((await request('GET', '/graphs/carbon/report')).body).toContain('# Structured Argumentation Analysis Report');
+  });
+  
+  test('should keep named graphs apart', async () => {
+    await addArgument('Tax carbon', 'thesis');
+    
+    const copy = await request('PUT', '/graphs/copy', (await request('GET', '/graphs/carbon')).body);
+    expect(copy).toMatchObject({ status: 201, body: { graphId: 'copy', arguments: 1, version: 1 } });
+    expect((await request('POST', '/graphs', { graphId: 'copy' })).status).toBe(409);
+    
+    expect((await request('PUT', '/graphs/copy', { arguments: [] })).body).toMatchObject({ arguments: 0, version: 2 });
+    expect((await request('GET', '/graphs')).body.graphs.sort()).toEqual(['carbon', 'copy']);
+    expect((await request('GET', '/graphs/carbon/arguments')).body.arguments).toHaveLength(1);
+    
+    expect((await request('DELETE', '/graphs/copy')).status).toBe(204);
+    expect((await request('GET', '/graphs/copy/arguments')).status).toBe(404);
+  });
+  
+  test('should answer errors as JSON', async () => {
+    const expectError = async (response, status, message) => {
+      expect(response.status).toBe(status);
+      expect(response.headers.get('content-type')).toBe('application/json; charset=utf-8');
+      expect(response.body.error).toMatchObject({ status, message });
+      return response.body.error;
+    };
+    
+    // Validation errors carry the message thrown by Argument.validateArgument
+    await expectError(await request('POST', '/graphs/carbon/arguments', { premises: [], conclusion: 'C', type: 'thesis' }),
+      400, 'Claim is required');
+    await expectError(await request('POST', '/graphs/carbon/arguments', { claim: 'A', premises: [], conclusion: 'C', type: 'idea' }),
+      400, 'Invalid argument type. Must be one of: thesis, antithesis, synthesis, objection, rebuttal');
+    await expectError(await request('POST', '/graphs/carbon/arguments', { claim: 'A', premises: 'P', conclusion: 'C', type: 'thesis' }),
+      400, 'premises must be an array of strings');
+    
+    // Fields of the wrong type are refused before they reach the tool
+    await expectError(await request('POST', '/graphs/carbon/arguments', { claim: 5, premises: [], conclusion: 'C', type: 'thesis' }),
+      400, 'claim must be a string');
+    await expectError(await request('POST', '/graphs/carbon/arguments', { claim: 'A', premises: [], conclusion: 'C', type: 'thesis', confidence: '0.5' }),
+      400, 'confidence must be a number');
+    
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    await expectError(await request('PATCH', `/graphs/carbon/arguments/${thesis.id}`, { confidence: 2 }),
+      400, 'Confidence must be between 0 and 1');
+    await expectError(await request('PATCH', `/graphs/carbon/arguments/${thesis.id}`, { premises: ['P', 7] }),
+      400, 'premises must be an array of strings');
+    await expectError(await request('POST', '/graphs/carbon/relationships', { from: thesis.id, to: { id: thesis.id }, type: 'support' }),
+      400, 'to must be a string');
+    await expectError(await request('POST', '/graphs/carbon/relationships', { from: thesis.id, to: thesis.id, type: 'contradict', premiseIndex: '1' }),
+      400, 'premiseIndex must be a non-negative integer');
+    await expectError(await request('DELETE', `/graphs/carbon/relationships?from=${thesis.id}&to=${thesis.id}&type=support`),
+      404, `No support relationship from ${thesis.id} to ${thesis.id}`);
+    
+    await expectError(await request('GET', '/graphs/carbon/arguments/missing'), 404, 'Argument with ID missing does not exist');
+    await expectError(await request('GET', '/graphs/other/arguments'), 404, 'Graph other does not exist');
+    await expectError(await request('GET', '/graphs/carbon/visualize?format=png'), 400, 'Invalid format: png. Must be one of: ascii, dot, mermaid, html');
+    await expectError(await request('GET', '/graphs/carbon/extensions?semantics=ideal'), 400, expect.stringContaining('Unknown semantics'));
+    await expectError(await request('PUT', '/graphs/carbon/arguments'), 405, 'Method PUT is not allowed. Must be one of: GET, POST');
+    await expectError(await request('GET', '/nothing'), 404, 'No route for /nothing');
+    await expectError(await request('GET', '/graphs/%E0'), 400, 'Invalid escape sequence in /graphs/%E0');
+    await expectError(await request('POST', '/graphs/carbon/arguments', '{"claim":'), 400, expect.stringContaining('Request body is not valid JSON'));
+    await expectError(await request('POST', '/graphs', { graphId: '../etc' }), 400, expect.stringContaining('Graph ID must contain only'));
+    
+    const invalid = await expectError(await request('PUT', '/graphs/carbon', { schemaVersion: 2, arguments: 'none' }), 400, expect.any(String));
+    expect(invalid.errors).toContainEqual({ path: 'arguments', message: 'must be an array' });
+    const unversioned = await expectError(await request('PUT', '/graphs/carbon', { arguments: 'x' }), 400, expect.any(String));
+    expect(unversioned.errors).toEqual([{ path: 'arguments', message: 'must be an array' }]);
+    
+    // Failed requests change nothing
+    expect((await request('GET', '/graphs/carbon/arguments')).body.arguments).toHaveLength(1);
+  });
+  
+  test('should refuse searches and reports that are too large for the server', async () => {
+    await server.close();
+    server = new ApiServer({ adapter, maxReportArguments: 3, maxSearchArguments: 2 });
+    baseUrl = `http://127.0.0.1:${(await server.listen(0)).port}`;
+    
+    const first = await addArgument('Tax carbon', 'thesis');
+    const second = await addArgument('Cap emissions', 'antithesis');
+    await request('POST', '/graphs/carbon/relationships', { from: first.id, to: second.id, type: 'contradict' });
+    await request('POST', '/graphs/carbon/relationships', { from: second.id, to: first.id, type: 'contradict' });
+    
+    expect((await request('GET', '/graphs/carbon/extensions?semantics=preferred')).body.extensions).toHaveLength(2);
+    expect((await request('GET', '/graphs/carbon/report?format=json')).status).toBe(200);
+    
+    const third = await addArgument('Subsidise renewables', 'synthesis');
+    await request('POST', '/graphs/carbon/relationships', { from: third.id, to: third.id, type: 'contradict' });
+    await addArgument('Plant forests', 'objection');
+    
+    const search = await request('GET', '/graphs/carbon/extensions?semantics=stable');
+    expect(search.status).toBe(400);
+    expect(search.body.error.message).toBe('Grounded semantics leaves 3 arguments undecided; stable semantics is limited to 2');
+    expect((await request('GET', '/graphs/carbon/extensions')).status).toBe(200);
+    
+    const report = await request('GET', '/graphs/carbon/report');
+    expect(report.status).toBe(400);
+    expect(report.body.error.message).toBe('Graph has 4 arguments; reports are limited to 3');
+  });
+  
+  test('should run concurrent requests to a graph one at a time', async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, (_, index) =>
+      request('POST', '/graphs/carbon/arguments', { claim: `Claim ${index}`, premises: ['P'], conclusion: 'C', type: 'thesis' })
+    ));
+    
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201, 201, 201]);
+    expect((await adapter.load('carbon')).version).toBe(6);
+  });
+  
+  test('should answer CORS preflight requests for the allowed origin', async () => {
+    const response = await request('OPTIONS', '/graphs/carbon/arguments/a1');
+    
+    expect(response.status).toBe(204);
+    expect(response.headers.get('access-control-allow-origin')).toBe('http://localhost:8080');
+    expect(response.headers.get('access-control-allow-methods')).toBe('GET, PATCH, DELETE');
+  });
+});
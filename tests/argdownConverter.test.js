@@ -0,0 +1,167 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const ArgdownConverter = require('../src/io/argdownConverter');
+
+const argumentData = (id, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.6,
+  ...extra
+});
+
+const DEBATE = `
+# Car-free city centre
+
+[Ban]: We should ban cars from the city centre. #thesis
+  + <Pollution>: Cars are the main source of air pollution downtown.
+  - <Shops>: Shops would lose their customers. #objection {confidence: 0.7}
+    <_ <Online>: Shops lose customers to online retail anyway. #rebuttal
+
+<Health>: Clean air improves public health. {confidence: 0.9}
+
+<Health>
+
+(1) [Air]: Air pollution causes respiratory disease
+(2) Fewer cars means less air pollution
+    <- <Heating>: Most pollution comes from heating, not traffic.
+----
+(3) [Ban]
+
+// Analysts' notes are ignored
+/* and so are
+   block comments */
+[Air]
+  - <Study>: The link to respiratory disease is overstated.
+`;
+
+describe('ArgdownConverter import', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = ArgdownConverter.fromArgdown(DEBATE);
+  });
+  
+  test('should create arguments from titles and premise-conclusion structures', () => {
+    const health = graph.getArgument('Health');
+    
+    expect(health.claim).toBe('Clean air improves public health.');
+    expect(health.premises).toEqual(['Air pollution causes respiratory disease', 'Fewer cars means less air pollution']);
+    expect(health.conclusion).toBe('We should ban cars from the city centre.');
+    expect(health.confidence).toBe(0.9);
+    expect(graph.getArgument('Shops').type).toBe('objection');
+    expect(graph.getArgument('Shops').confidence).toBe(0.7);
+  });
+  
+  test('should share statements as propositions', () => {
+    expect(graph.getProposition('Ban').text).toBe('We should ban cars from the city centre.');
+    expect(graph.getArgument('Health').premiseIds[0]).toBe('Air');
+    expect(graph.getArgumentsConcluding('Ban').map(arg => arg.id)).toEqual(['Health']);
+  });
+  
+  test('should map relations onto supports and attack kinds', () => {
+    expect(graph.getSupporterIds('Health')).toEqual(['Pollution']);
+    expect(graph.getAttacksOn('Health')).toEqual([
+      { from: 'Shops', target: 'Health', kind: 'rebutting' },
+      { from: 'Heating', target: 'Health', kind: 'undermining', premiseIndex: 1 },
+      { from: 'Study', target: 'Health', kind: 'undermining', premiseIndex: 0 }
+    ]);
+    expect(graph.getAttacksOn('Shops')).toEqual([
+      { from: 'Online', target: 'Shops', kind: 'undercutting' }
+    ]);
+  });
+  
+  test('should turn statements nobody concludes into premise-less arguments', () => {
+    const graph = ArgdownConverter.fromArgdown('[Claim]: Cities need more parks\n  - <Cost>: Parks are expensive\n');
+    
+    expect(graph.getArgument('Claim').premises).toEqual([]);
+    expect(graph.getArgument('Claim').conclusion).toBe('Cities need more parks');
+    expect(graph.getAttackerIds('Claim')).toEqual(['Cost']);
+  });
+  
+  test('should fold intermediate conclusions into the premises', () => {
+    const graph = ArgdownConverter.fromArgdown('<A>\n\n(1) p\n(2) q\n--\n(3) r\n(4) s\n--\n(5) t\n');
+    
+    expect(graph.getArgument('A').premises).toEqual(['p', 'q', 'r', 's']);
+    expect(graph.getArgument('A').conclusion).toBe('t');
+  });
+  
+  test('should reject malformed documents', () => {
+    expect(() => ArgdownConverter.fromArgdown('  + <A>')).toThrow('relation has no parent element');
+    expect(() => ArgdownConverter.fromArgdown('(1) stray premise')).toThrow('must follow an argument title');
+    expect(() => ArgdownConverter.fromArgdown('<A>\n  + [Undefined]')).toThrow('Statement [Undefined] is used but never defined');
+  });
+});
+
+describe('ArgdownConverter export', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    graph.addArgument(argumentData('thesis', { premises: ['Shared premise', 'Own premise'], scheme: 'analogy' }));
+    graph.addArgument(argumentData('support', { conclusion: 'Shared premise', supports: ['thesis'] }));
+    graph.addArgument(argumentData('rebut', { argumentType: 'antithesis', contradicts: ['thesis'] }));
+    graph.addArgument(argumentData('undermine', {
+      argumentType: 'objection',
+      attacks: [{ target: 'thesis', kind: 'undermining', premiseIndex: 1 }],
+      respondsTo: 'thesis'
+    }));
+    graph.addArgument(argumentData('undercut', {
+      argumentType: 'objection',
+      premises: [],
+      claim: 'The analogy is weak',
+      conclusion: 'The analogy is weak',
+      attacks: [{ target: 'thesis', kind: 'undercutting' }]
+    }));
+  });
+  
+  test('should write arguments, structures and relations', () => {
+    const text = ArgdownConverter.toArgdown(graph);
+    const sharedId = graph.getArgument('thesis').premiseIds[0];
+    
+    expect(text).toContain('<thesis>: Claim thesis #thesis {confidence: 0.6, scheme: analogy}');
+    expect(text).toContain(`(1) [${sharedId}]: Shared premise\n(2) Own premise\n    <- <undermine>\n----\n(3) Conclusion thesis`);
+    expect(text).toContain(`----\n(3) [${sharedId}]`);
+    expect(text).toContain('<support>: Claim support #thesis {confidence: 0.6}\n  +> <thesis>');
+    expect(text).toContain('  -> <thesis>');
+    expect(text).toContain('<undercut>: The analogy is weak #objection {confidence: 0.6}\n  _> <thesis>\n');
+    expect(text).toContain('{confidence: 0.6, respondsTo: thesis}');
+  });
+  
+  test('should round-trip through Argdown text', () => {
+    const text = ArgdownConverter.toArgdown(graph);
+    const imported = ArgdownConverter.fromArgdown(text);
+    
+    expect(ArgdownConverter.toArgdown(imported)).toBe(text);
+    expect(imported.getAttacksOn('thesis')).toEqual(expect.arrayContaining(graph.getAttacksOn('thesis')));
+    expect(imported.getSupporterIds('thesis')).toEqual(['support']);
+    expect(imported.adjacencyList.get('undermine').respondsTo).toBe('thesis');
+    expect(Array.from(imported.propositions.keys()).sort()).toEqual(Array.from(graph.propositions.keys()).sort());
+  });
+  
+  test('should escape text that would read as tags, metadata, titles or comments', () => {
+    const escaped = new ArgumentGraph();
+    escaped.addArgument(argumentData('issue', {
+      claim: 'Issue #42 is {still} open',
+      premises: ['<Maintainers> said so // twice', '[Logs] show a /* gap */ and a \\ path'],
+      conclusion: 'Fix issue #42 {soon}'
+    }));
+    
+    const text = ArgdownConverter.toArgdown(escaped);
+    expect(text).toContain('<issue>: Issue \\#42 is \\{still\\} open #thesis {confidence: 0.6}');
+    
+    const imported = ArgdownConverter.fromArgdown(text);
+    const arg = imported.getArgument('issue');
+    expect(arg.claim).toBe('Issue #42 is {still} open');
+    expect(arg.premises).toEqual(['<Maintainers> said so // twice', '[Logs] show a /* gap */ and a \\ path']);
+    expect(arg.conclusion).toBe('Fix issue #42 {soon}');
+    expect(arg.type).toBe('thesis');
+    expect(ArgdownConverter.toArgdown(imported)).toBe(text);
+  });
+  
+  test('should quote metadata values that would not read back as strings', () => {
+    expect(ArgdownConverter.formatMetadata({ respondsTo: 'arg 1', scheme: '42' })).toBe('{respondsTo: "arg 1", scheme: "42"}');
+    expect(ArgdownConverter.parseMetadata('respondsTo: "arg 1", scheme: "42"')).toEqual({ respondsTo: 'arg 1', scheme: '42' });
+  });
+});
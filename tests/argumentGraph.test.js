@@ -0,0 +1,260 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const DialecticalEngine = require('../src/core/dialecticalEngine');
+const Evaluator = require('../src/analysis/evaluator');
+const Synthesizer = require('../src/analysis/synthesizer');
+const GraphVisualizer = require('../src/visualization/graphVisualizer');
+const ReportGenerator = require('../src/visualization/reportGenerator');
+
+const argumentData = (id, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.6,
+  ...extra
+});
+
+describe('ArgumentGraph attack kinds', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    graph.addArgument(argumentData('target'));
+  });
+  
+  test('should treat plain contradictions as rebutting attacks', () => {
+    graph.addArgument(argumentData('rebut', { contradicts: ['target'] }));
+    
+    expect(graph.getAttacksOn('target')).toEqual([
+      { from: 'rebut', target: 'target', kind: 'rebutting' }
+    ]);
+  });
+  
+  test('should address premises as sub-nodes', () => {
+    const target = graph.getArgument('target');
+    graph.addArgument(argumentData('objection', { argumentType: 'objection' }));
+    graph.addContradictsRelationship('objection', target.getPremiseId(1));
+    
+    expect(target.getPremiseNodes()[1]).toEqual({
+      id: 'target#p2',
+      argumentId: 'target',
+      propositionId: target.premiseIds[1],
+      index: 1,
+      text: 'Second premise of target'
+    });
+    expect(graph.getAttacksOnPremise('target', 1)).toEqual([
+      { from: 'objection', target: 'target', kind: 'undermining', premiseIndex: 1 }
+    ]);
+    expect(graph.getAttackerIds('target')).toEqual(['objection']);
+  });
+  
+  test('should not store the same attack twice', () => {
+    graph.addArgument(argumentData('critic'));
+    graph.addContradictsRelationship('critic', 'target');
+    graph.addContradictsRelationship('critic', 'target');
+    graph.addContradictsRelationship('critic', 'target#p1');
+    graph.addContradictsRelationship('critic', 'target', { kind: 'undermining', premiseIndex: 0 });
+    
+    expect(graph.getAttacksOn('target')).toEqual([
+      { from: 'critic', target: 'target', kind: 'rebutting' },
+      { from: 'critic', target: 'target', kind: 'undermining', premiseIndex: 0 }
+    ]);
+    expect(graph.getAttackerIds('target')).toEqual(['critic']);
+  });
+  
+  test('should resolve premise addresses on the argument as in the graph', () => {
+    graph.addArgument(argumentData('objection', {
+      argumentType: 'objection',
+      contradicts: ['target#p2', 'target#p2'],
+      attacks: [{ target: 'target', kind: 'undermining', premiseIndex: 1 }]
+    }));
+    const objection = graph.getArgument('objection');
+    
+    expect(objection.contradicts).toEqual(['target']);
+    expect(objection.attacks).toEqual([{ target: 'target', kind: 'undermining', premiseIndex: 1 }]);
+    expect(graph.getAttacksOn('target')).toEqual([
+      { from: 'objection', target: 'target', kind: 'undermining', premiseIndex: 1 }
+    ]);
+  });
+  
+  test('should validate attack kinds and premise indexes', () => {
+    graph.addArgument(argumentData('other'));
+    
+    expect(() => graph.addContradictsRelationship('other', 'target', { kind: 'ignoring' }))
+      .toThrow('Invalid attack kind');
+    expect(() => graph.addContradictsRelationship('other', 'target#p5'))
+      .toThrow('Argument target has no premise 5');
+    expect(() => graph.addArgument(argumentData('bad', { attacks: [{ target: 'target', kind: 'undermining' }] })))
+      .toThrow('Undermining attacks must specify a premise index');
+  });
+  
+  test('should remove attacks by kind and premise', () => {
+    graph.addArgument(argumentData('critic', {
+      attacks: [
+        { target: 'target', kind: 'undermining', premiseIndex: 0 },
+        { target: 'target', kind: 'undermining', premiseIndex: 1 },
+        { target: 'target', kind: 'undercutting' }
+      ]
+    }));
+    
+    graph.removeRelationship('critic', 'target', 'contradict', { kind: 'undermining', premiseIndex: 1 });
+    expect(graph.getAttacksOn('target').map(attack => attack.premiseIndex)).toEqual([0, undefined]);
+    
+    graph.removeRelationship('critic', 'target', 'contradict');
+    expect(graph.getAttacksOn('target')).toEqual([]);
+    expect(graph.getAttackerIds('target')).toEqual([]);
+    expect(() => graph.removeRelationship('critic', 'target', 'contradict')).toThrow('No contradict relationship from critic to target');
+  });
+  
+  test('should reflect attack kinds in evaluation, suggestions and visualizations', () => {
+    graph.addArgument(argumentData('undercut', {
+      argumentType: 'objection',
+      attacks: [{ target: 'target', kind: 'undercutting' }]
+    }));
+    graph.addArgument(argumentData('undermine', {
+      argumentType: 'objection',
+      attacks: [{ target: 'target', kind: 'undermining', premiseIndex: 0 }]
+    }));
+    
+    const evaluation = Evaluator.evaluateArgument(graph.getArgument('target'), graph);
+    expect(evaluation.weaknesses).toContain('Inference undercut by undercut');
+    expect(evaluation.weaknesses).toContain('Premise 1 undermined by undermine');
+    
+    const engine = new DialecticalEngine(graph);
+    expect(engine.suggestAttacks('target').map(s => [s.kind, s.premiseIndex])).toEqual([
+      ['undermining', 1],
+      ['rebutting', undefined]
+    ]);
+    
+    const dot = GraphVisualizer.generateGraph(graph, { format: 'dot' });
+    expect(dot).toContain('"undercut" -> "target" [color=purple, arrowhead=tee, label="undercuts"];');
+    expect(GraphVisualizer.generateGraph(graph, { format: 'mermaid' }))
+      .toContain('undermine -.->|undermines premise 1| target');
+    const json = JSON.parse(GraphVisualizer.generateGraph(graph, { format: 'json' }));
+    expect(json.edges.find(edge => edge.from === 'undermine')).toMatchObject({
+      kind: 'undermining',
+      premiseIndex: 0
+    });
+    expect(GraphVisualizer.generateGraph(graph, { format: 'ascii' }))
+      .toContain('Contradicted by: undercut (undercuts), undermine (undermines premise 1)');
+  });
+});
+
+describe('ArgumentGraph propositions', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    graph.addArgument(argumentData('a', { premises: ['Emissions are rising', 'Taxes change behaviour'] }));
+    graph.addArgument(argumentData('b', { premises: ['emissions are rising.', 'Markets find cheap cuts'] }));
+  });
+  
+  test('should share one proposition between identical premises', () => {
+    const shared = graph.findProposition('Emissions are rising');
+    
+    expect(graph.getArgument('a').premiseIds[0]).toBe(shared.id);
+    expect(graph.getArgument('b').premiseIds[0]).toBe(shared.id);
+    expect(graph.getArgumentsDependingOn(shared.id).map(arg => arg.id)).toEqual(['a', 'b']);
+  });
+  
+  test('should build arguments from existing proposition IDs', () => {
+    const premise = graph.findProposition('Markets find cheap cuts');
+    const conclusion = graph.getArgument('a').conclusionId;
+    
+    const arg = graph.addArgument(argumentData('c', { premiseIds: [premise.id], conclusionId: conclusion }));
+    
+    expect(arg.premises).toEqual(['Markets find cheap cuts']);
+    expect(arg.conclusion).toBe('Conclusion a');
+    expect(graph.getArgumentsConcluding(conclusion).map(a => a.id)).toEqual(['a', 'c']);
+    expect(() => graph.addArgument(argumentData('d', { premiseIds: ['prop_missing'] })))
+      .toThrow('Proposition with ID prop_missing does not exist');
+  });
+  
+  test('should use proposition identity for shared premises', () => {
+    const engine = new DialecticalEngine(graph);
+    const a = graph.getArgument('a');
+    const b = graph.getArgument('b');
+    
+    expect(engine.findSharedPropositions(a, b)).toEqual([a.premiseIds[0]]);
+    expect(engine.findSharedArgumentConcepts(a, b)).toEqual(['emissions are rising']);
+    expect(engine.findSharedConcepts(a.premises, b.premises)).toEqual(['emissions', 'rising']);
+    expect(Synthesizer.findSharedPremises([a, b])).toEqual(['Emissions are rising']);
+    expect(() => Synthesizer.generateSynthesis([a], graph)).toThrow('Synthesis requires at least 2 arguments');
+  });
+  
+  test('should relink propositions when an argument is edited', () => {
+    graph.addArgument(argumentData('c', { attacks: [{ target: 'b', kind: 'undermining', premiseIndex: 1 }] }));
+    
+    const edited = graph.updateArgument('a', { premises: ['Markets find cheap cuts'], confidence: 0.9 });
+    
+    expect(edited.premiseIds).toEqual([graph.findProposition('Markets find cheap cuts').id]);
+    expect(edited.confidence).toBe(0.9);
+    expect(graph.getArgumentsDependingOn(graph.findProposition('Emissions are rising').id).map(arg => arg.id)).toEqual(['b']);
+    expect(() => graph.updateArgument('b', { premises: ['Only one premise'] })).toThrow('Premise 2 of b is attacked by c');
+    expect(() => graph.updateArgument('a', { supports: ['b'] })).toThrow('Cannot edit supports');
+    expect(() => graph.updateArgument('a', { argumentType: 'musing' })).toThrow('Invalid argument type');
+  });
+});
+
+describe('ArgumentGraph participants and stances', () => {
+  let graph;
+  let engine;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    graph.addParticipant({ participantId: 'alice', name: 'Alice', team: 'A', role: 'proponent' });
+    graph.addParticipant({ participantId: 'bob', name: 'Bob', team: 'B', role: 'opponent' });
+    graph.addParticipant({ participantId: 'carol', name: 'Carol', team: 'B' });
+    
+    graph.addArgument(argumentData('a1', { author: 'alice' }));
+    graph.addArgument(argumentData('a2', { author: 'alice', premises: ['Buses are cheap'] }));
+    graph.addArgument(argumentData('b1', { author: 'bob', argumentType: 'objection', contradicts: ['a1'] }));
+    engine = new DialecticalEngine(graph);
+  });
+  
+  test('should attach authors to arguments', () => {
+    expect(graph.getArgumentsByAuthor('alice').map(arg => arg.id)).toEqual(['a1', 'a2']);
+    expect(graph.getArgument('b1').toJSON().author).toBe('bob');
+    expect(() => graph.addArgument(argumentData('x', { author: 'mallory' })))
+      .toThrow('Participant with ID mallory does not exist');
+  });
+  
+  test('should default stances to endorsing own arguments', () => {
+    graph.setStance('carol', 'a2', 'reject');
+    
+    expect(graph.getStances('a2')).toEqual({ alice: 'endorse', bob: 'undecided', carol: 'reject' });
+    expect(() => graph.setStance('bob', 'a1', 'maybe')).toThrow('Invalid stance. Must be one of: endorse, reject, undecided');
+    expect(graph.toJSON().stances).toEqual([{ participantId: 'carol', argumentId: 'a2', stance: 'reject' }]);
+  });
+  
+  test('should list unanswered arguments in a participant view', () => {
+    const view = engine.getParticipantView('alice');
+    
+    expect(view.participant.name).toBe('Alice');
+    expect(view.authored).toEqual(['a1', 'a2']);
+    expect(view.unanswered).toEqual(['a2']);
+  });
+  
+  test('should combine team members\' commitments', () => {
+    graph.setStance('carol', 'a2', 'endorse');
+    const view = engine.getTeamView('B');
+    
+    expect(view.members).toEqual(['bob', 'carol']);
+    expect(view.endorsed).toEqual(['a2', 'b1']);
+    expect(view.commitments).toEqual([
+      'Buses are cheap', 'Conclusion a2', 'First premise of b1', 'Second premise of b1', 'Conclusion b1'
+    ]);
+    expect(() => engine.getTeamView('C')).toThrow('Team C has no members');
+  });
+  
+  test('should report per-participant views', () => {
+    const analysis = ReportGenerator.analyzeParticipants(graph);
+    const markdown = ReportGenerator.formatParticipantsAsMarkdown(analysis).join('\n');
+    
+    expect(analysis.teams.map(view => view.team)).toEqual(['A', 'B']);
+    expect(markdown).toContain('### Alice (A, proponent)\n\n- **Authored**: a1, a2');
+    expect(markdown).toContain('- **Unanswered**: a2');
+    expect(markdown).toContain('### Team B');
+  });
+});
@@ -0,0 +1,87 @@
+const ArgumentationSchemes = require('../src/core/argumentationSchemes');
+const ArgumentGraph = require('../src/core/argumentGraph');
+const DialecticalEngine = require('../src/core/dialecticalEngine');
+const Evaluator = require('../src/analysis/evaluator');
+
+describe('ArgumentationSchemes', () => {
+  let graph;
+  let engine;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    engine = new DialecticalEngine(graph);
+    graph.addArgument({
+      argumentId: 'expert',
+      claim: 'Sea levels will rise by a metre',
+      premises: [
+        'Dr. Rahman is a leading climate scientist',
+        'Dr. Rahman says sea levels will rise by a metre'
+      ],
+      conclusion: 'Sea levels will rise by a metre',
+      argumentType: 'thesis',
+      confidence: 0.8,
+      scheme: 'expert-opinion'
+    });
+  });
+  
+  test('should declare premise slots and critical questions', () => {
+    const scheme = ArgumentationSchemes.getScheme('expert-opinion');
+    
+    expect(scheme.premises.map(p => p.slot)).toEqual(['expertise', 'assertion']);
+    expect(ArgumentationSchemes.getCriticalQuestions('expert-opinion')[2]).toMatchObject({
+      id: 'CQ3',
+      kind: 'undermining',
+      premiseIndex: 1
+    });
+    expect(ArgumentationSchemes.listSchemes()).toEqual(expect.arrayContaining([
+      'analogy', 'cause-to-effect', 'practical-reasoning', 'sign', 'negative-consequences'
+    ]));
+  });
+  
+  test('should reject unknown schemes', () => {
+    expect(() => graph.addArgument({
+      argumentId: 'bad',
+      claim: 'Claim',
+      premises: [],
+      conclusion: 'Conclusion',
+      argumentType: 'thesis',
+      scheme: 'argument-from-vibes'
+    })).toThrow('Unknown argumentation scheme');
+  });
+  
+  test('should flag critical questions no objection has answered', () => {
+    graph.addArgument({
+      argumentId: 'field',
+      claim: 'Dr. Rahman works on atmospheric chemistry, not oceanography',
+      premises: ['Her publications are on aerosols'],
+      conclusion: 'She is not an expert on sea levels',
+      argumentType: 'objection',
+      criticalQuestion: 'CQ2',
+      attacks: [{ target: 'expert', kind: 'undermining', premiseIndex: 0 }]
+    });
+    
+    const evaluation = Evaluator.evaluateArgument(graph.getArgument('expert'), graph);
+    const open = evaluation.unansweredCriticalQuestions.map(cq => cq.id);
+    
+    expect(open).toEqual(['CQ1', 'CQ3', 'CQ4', 'CQ5', 'CQ6']);
+    expect(evaluation.weaknesses).toContain('Unanswered critical question (CQ4): Is E personally reliable as a source?');
+  });
+  
+  test('should suggest objections from unanswered critical questions', () => {
+    const suggestions = engine.suggestObjections('expert');
+    
+    expect(suggestions).toHaveLength(6);
+    expect(suggestions[2]).toMatchObject({
+      claim: 'What did E assert that implies A?',
+      argumentType: 'objection',
+      criticalQuestion: 'CQ3',
+      attacks: [{ target: 'expert', kind: 'undermining', premiseIndex: 1 }]
+    });
+    
+    const objection = graph.addArgument({ ...suggestions[3], argumentId: 'reliability', premises: ['He has a conflict of interest'] });
+    expect(graph.getAttacksOn('expert')).toEqual([
+      { from: objection.id, target: 'expert', kind: 'undercutting' }
+    ]);
+    expect(engine.suggestObjections('expert').map(s => s.criticalQuestion)).not.toContain('CQ4');
+  });
+});
@@ -0,0 +1,93 @@
+const AspicEngine = require('../src/core/aspicEngine');
+const AbstractSemantics = require('../src/analysis/abstractSemantics');
+
+describe('AspicEngine', () => {
+  const snoringProfessor = options => new AspicEngine({
+    premises: ['snores', 'professor'],
+    defeasibleRules: [
+      { id: 'd1', antecedents: ['snores'], consequent: 'misbehaves' },
+      { id: 'd2', antecedents: ['misbehaves'], consequent: 'accessDenied' },
+      { id: 'd3', antecedents: ['professor'], consequent: '~accessDenied' }
+    ],
+    rulePreferences: [['d1', 'd2'], ['d1', 'd3'], ['d3', 'd2']],
+    ...options
+  });
+  
+  const conclusionsOf = (engine, semantics = 'grounded') => {
+    const graph = engine.toArgumentGraph();
+    const [extension] = AbstractSemantics.computeExtensions(graph, semantics);
+    return extension.map(id => graph.getArgument(id).conclusion).sort();
+  };
+  
+  test('should build arguments bottom-up from premises and rules', () => {
+    const args = snoringProfessor().buildArguments();
+    
+    expect(args.map(arg => arg.conclusion)).toEqual([
+      'snores', 'professor', 'misbehaves', 'accessDenied', '~accessDenied'
+    ]);
+    expect(args[3]).toMatchObject({ id: 'A4', subArguments: ['A3'], defeasibleRules: ['d1', 'd2'], lastDefeasibleRules: ['d2'] });
+  });
+  
+  test('should resolve rebuttals with the last-link ordering', () => {
+    expect(conclusionsOf(snoringProfessor())).toEqual(['accessDenied', 'misbehaves', 'professor', 'snores']);
+  });
+  
+  test('should resolve rebuttals with the weakest-link ordering', () => {
+    expect(conclusionsOf(snoringProfessor({ ordering: 'weakest-link' })))
+      .toEqual(['misbehaves', 'professor', 'snores', '~accessDenied']);
+  });
+  
+  test('should output sub-argument supports and typed defeats into an ArgumentGraph', () => {
+    const engine = new AspicEngine({
+      premises: ['bird', 'penguin'],
+      defeasibleRules: [
+        { id: 'r1', antecedents: ['bird'], consequent: 'flies' },
+        { id: 'r2', antecedents: ['flies'], consequent: 'migrates' },
+        { id: 'r3', antecedents: ['penguin'], consequent: '~[r1]' }
+      ]
+    });
+    const graph = engine.toArgumentGraph();
+    
+    expect(graph.getSupporterIds('A3')).toEqual(['A1']);
+    expect(graph.getAttacksOn('A3')).toEqual([{ from: 'A5', target: 'A3', kind: 'undercutting' }]);
+    expect(graph.getAttacksOn('A4')).toEqual([{ from: 'A5', target: 'A4', kind: 'undermining', premiseIndex: 0 }]);
+    expect(graph.getArgument('A5').type).toBe('objection');
+    expect(conclusionsOf(engine)).toEqual(['bird', 'penguin', '~[r1]']);
+  });
+  
+  test('should never let a weaker argument undermine a preferred premise', () => {
+    const engine = new AspicEngine({
+      premises: ['a', 'b'],
+      defeasibleRules: [{ id: 'r1', antecedents: ['b'], consequent: '~a' }],
+      premisePreferences: [['b', 'a']]
+    });
+    
+    const attacks = engine.computeAttacks();
+    
+    expect(attacks).toEqual([
+      { from: 'A1', to: 'A3', on: 'A3', kind: 'rebutting', defeat: true },
+      { from: 'A3', to: 'A1', on: 'A1', kind: 'undermining', defeat: false }
+    ]);
+  });
+  
+  test('should check rationality postulates', () => {
+    const knowledgeBase = {
+      premises: ['wearsRing', 'partyAnimal'],
+      defeasibleRules: [
+        { id: 'd1', antecedents: ['wearsRing'], consequent: 'married' },
+        { id: 'd2', antecedents: ['partyAnimal'], consequent: 'bachelor' }
+      ],
+      strictRules: [
+        { id: 's1', antecedents: ['married'], consequent: 'hasWife' },
+        { id: 's2', antecedents: ['bachelor'], consequent: '~hasWife' }
+      ]
+    };
+    
+    const unclosed = new AspicEngine(knowledgeBase).checkRationalityPostulates();
+    const closed = new AspicEngine({ ...knowledgeBase, closeUnderTransposition: true }).checkRationalityPostulates();
+    
+    expect(unclosed.satisfied).toBe(false);
+    expect(unclosed.postulates.directConsistency).toBe(false);
+    expect(closed.satisfied).toBe(true);
+  });
+});
@@ -0,0 +1,65 @@
+const BipolarFramework = require('../src/analysis/bipolarFramework');
+const ArgumentGraph = require('../src/core/argumentGraph');
+const GraphVisualizer = require('../src/visualization/graphVisualizer');
+
+const addArgument = (graph, id, relations = {}) => graph.addArgument({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`Premise ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.5,
+  ...relations
+});
+
+describe('BipolarFramework', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    addArgument(graph, 'b');
+    addArgument(graph, 'a', { supports: ['b'] });
+    addArgument(graph, 'c', { contradicts: ['a'] });
+  });
+  
+  test('should derive secondary attacks along support chains', () => {
+    addArgument(graph, 'z');
+    graph.addSupportsRelationship('b', 'z');
+    
+    const secondary = BipolarFramework.getSecondaryAttacks(graph);
+    
+    expect(secondary).toEqual([
+      { from: 'c', to: 'b', kind: 'secondary', via: ['a', 'b'] },
+      { from: 'c', to: 'z', kind: 'secondary', via: ['a', 'b', 'z'] }
+    ]);
+    expect(BipolarFramework.getIndirectAttackers(graph, 'z').map(attack => attack.from)).toEqual(['c']);
+  });
+  
+  test('should derive supported and mediated attacks', () => {
+    addArgument(graph, 's', { supports: ['c'] });
+    addArgument(graph, 'd', { contradicts: ['b'] });
+    
+    expect(BipolarFramework.getSupportedAttacks(graph)).toEqual([
+      { from: 's', to: 'a', kind: 'supported', via: ['s', 'c'] }
+    ]);
+    expect(BipolarFramework.getMediatedAttacks(graph)).toEqual([
+      { from: 'd', to: 'a', kind: 'mediated', via: ['a', 'b'] }
+    ]);
+  });
+  
+  test('should not repeat attacks that already exist as direct edges', () => {
+    graph.addContradictsRelationship('c', 'b');
+    
+    expect(BipolarFramework.getDerivedAttacks(graph)).toEqual([]);
+  });
+  
+  test('should render derived attacks as dashed edges only when requested', () => {
+    const dot = GraphVisualizer.generateGraph(graph, { format: 'dot', showDerivedAttacks: true });
+    const mermaid = GraphVisualizer.generateGraph(graph, { format: 'mermaid', showDerivedAttacks: true });
+    const plain = GraphVisualizer.generateGraph(graph, { format: 'dot' });
+    
+    expect(dot).toContain('"c" -> "b" [color=red, style=dashed, label="secondary attack"];');
+    expect(mermaid).toContain('c -.-x|secondary attack| b');
+    expect(plain).not.toContain('style=dashed');
+  });
+});
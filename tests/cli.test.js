@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const Cli = require('../src/cli/cli');
+
+const { EXIT_CODES } = Cli;
+
+const createStream = () => {
+  const stream = { output: '', write: text => { stream.output += text; } };
+  return stream;
+};
+
+describe('Cli', () => {
+  let directory;
+  
+  const run = async (argv, stdin = '') => {
+    const stdout = createStream();
+    const stderr = createStream();
+    const cli = new Cli({ stdout, stderr, stdin: Readable.from([stdin]), cwd: directory, env: {} });
+    const exitCode = await cli.run(argv);
+    return { exitCode, stdout: stdout.output, stderr: stderr.output };
+  };
+  
+  const runJson = async argv => {
+    const result = await run(argv);
+    expect(result).toMatchObject({ exitCode: EXIT_CODES.OK, stderr: '' });
+    return JSON.parse(result.stdout);
+  };
+  
+  const addArgument = async (claim, type) => (await runJson([
+    'add', '--claim', claim, '--premise', `${claim} premise one`, '--premise', `${claim} premise two`,
+    '--conclusion', `${claim} follows`, '--type', type, '--confidence', '0.7'
+  ])).argument;
+  
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sat-cli-'));
+    await runJson(['init']);
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  test('should build a graph in the graph file across commands', async () => {
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    const antithesis = await addArgument('Subsidize instead', 'antithesis');
+    
+    expect(thesis.premises).toEqual(['Tax carbon premise one', 'Tax carbon premise two']);
+    expect(await runJson(['relate', antithesis.id, thesis.id, '--type', 'contradict', '--premise', '2'])).toEqual({
+      relationship: { from: antithesis.id, to: thesis.id, type: 'contradict', kind: 'undermining', premiseIndex: 1 }
+    });
+    
+    const { evaluations } = await runJson(['evaluate', thesis.id]);
+    expect(evaluations).toHaveLength(1);
+    expect(evaluations[0]).toMatchObject({ argumentId: thesis.id, score: expect.any(Number) });
+    
+    const { argument: synthesis } = await runJson(['synthesize', thesis.id, antithesis.id]);
+    expect(synthesis.type).toBe('synthesis');
+    
+    const document = await runJson(['export']);
+    expect(document.arguments.map(arg => arg.id)).toEqual([thesis.id, antithesis.id, synthesis.id]);
+    expect(document.relationships[1].attacks).toEqual([{ target: thesis.id, kind: 'undermining', premiseIndex: 1 }]);
+    expect(document.history.events.length).toBeGreaterThan(0);
+  });
+  
+  test('should visualize and report in each format', async () => {
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    
+    expect((await run(['visualize', '--format', 'dot'])).stdout).toMatch(/^digraph ArgumentGraph \{/);
+    expect((await run(['visualize', '--format', 'mermaid'])).stdout).toContain(thesis.id);
+    expect((await run(['visualize', '--format', 'html'])).stdout).toContain('<!DOCTYPE html>');
+    expect((await run(['report'])).stdout).toContain('# Structured Argumentation Analysis Report');
+    expect((await run(['report', '--format', 'text'])).stdout).toContain('Executive Summary\n-----------------');
+    expect((await run(['report', '--format', 'html'])).stdout).toContain('<h2>Quality Analysis</h2>');
+    expect(JSON.parse((await run(['report', '--format', 'json'])).stdout).metadata.argumentCount).toBe(1);
+    
+    expect(await runJson(['report', '--output', 'report.md'])).toMatchObject({ file: path.join(directory, 'report.md') });
+    expect(fs.readFileSync(path.join(directory, 'report.md'), 'utf8')).toContain('Tax carbon');
+  });
+  
+  test('should import documents from a file and from stdin', async () => {
+    await addArgument('Tax carbon', 'thesis');
+    await runJson(['export', '-o', 'backup.json']);
+    
+    expect(await runJson(['import', 'backup.json', '--file', 'copy.json'])).toEqual({
+      file: path.join(directory, 'copy.json'),
+      arguments: 1
+    });
+    
+    const legacy = JSON.stringify({
+      arguments: [
+        { id: 'a1', claim: 'Legacy', premises: ['P1'], conclusion: 'K1', type: 'thesis' },
+        { id: 'a2', claim: 'Backing', premises: ['P2'], conclusion: 'K2', type: 'thesis' }
+      ],
+      relationships: [{ from: 'a2', to: 'a1', type: 'support' }]
+    });
+    const result = await run(['import', '-'], legacy);
+    
+    expect(result.exitCode).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(result.stdout).arguments).toBe(3);
+  });
+  
+  test('should report errors as JSON with exit codes', async () => {
+    const expectError = async (argv, exitCode, message) => {
+      const result = await run(argv);
+      expect(result.exitCode).toBe(exitCode);
+      expect(result.stdout).toBe('');
+      expect(JSON.parse(result.stderr).error).toMatchObject({ exitCode, message: expect.stringContaining(message) });
+    };
+    
+    await expectError(['frobnicate'], EXIT_CODES.USAGE, 'Unknown command: frobnicate');
+    await expectError(['add', '--claim', 'x'], EXIT_CODES.USAGE, 'Option --conclusion is required');
+    await expectError(['visualize', '--format', 'png'], EXIT_CODES.USAGE, 'Must be one of: ascii, dot, mermaid, html');
+    await expectError(['init'], EXIT_CODES.ERROR, 'already exists');
+    await expectError(['relate', 'a', 'b', '--type', 'support'], EXIT_CODES.NOT_FOUND, 'Argument with ID a does not exist');
+    await expectError(['evaluate', 'missing'], EXIT_CODES.NOT_FOUND, 'Argument with ID missing does not exist');
+    await expectError(['synthesize', 'a', 'b'], EXIT_CODES.NOT_FOUND, 'Argument with ID a does not exist');
+    await expectError(['add', '--claim', 'x', '--conclusion', 'y', '--type', 'musing'], EXIT_CODES.INVALID_DATA, 'Invalid argument type');
+    await expectError(['add', '--claim', 'x', '--conclusion', 'y', '--type', 'thesis', '--confidence', '1.5'],
+      EXIT_CODES.INVALID_DATA, 'Confidence must be between 0 and 1');
+    
+    const thesis = await addArgument('Tax carbon', 'thesis');
+    await expectError(['relate', thesis.id, 'missing', '--type', 'support'], EXIT_CODES.NOT_FOUND, 'Argument with ID missing does not exist');
+    const objection = await addArgument('Regressive', 'objection');
+    await expectError(['relate', objection.id, thesis.id, '--type', 'endorse'], EXIT_CODES.INVALID_DATA, 'Invalid relationship type');
+    await expectError(['relate', objection.id, thesis.id, '--type', 'contradict', '--kind', 'sideways'], EXIT_CODES.INVALID_DATA, 'Invalid attack kind');
+    await expectError(['relate', objection.id, thesis.id, '--type', 'contradict', '--premise', '5'], EXIT_CODES.INVALID_DATA, 'has no premise 5');
+    await expectError(['export', '--file', 'missing.json'], EXIT_CODES.NOT_FOUND, 'Run "sat init" to create it');
+    
+    fs.writeFileSync(path.join(directory, 'bad.json'), JSON.stringify({ schemaVersion: 2, arguments: 'none' }));
+    const result = await run(['import', 'bad.json']);
+    expect(result.exitCode).toBe(EXIT_CODES.INVALID_DATA);
+    expect(JSON.parse(result.stderr).error.errors).toContainEqual({ path: 'arguments', message: 'must be an array' });
+    
+    const unversioned = await run(['import', '-'], JSON.stringify({ bad: 1 }));
+    expect(unversioned.exitCode).toBe(EXIT_CODES.INVALID_DATA);
+  });
+  
+  test('should set the process exit code from bin/sat.js', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'sat.js');
+    const result = spawnSync(process.execPath, [bin, 'export'], { cwd: directory, env: { ...process.env, SAT_GRAPH: 'other.json' } });
+    
+    expect(result.status).toBe(EXIT_CODES.NOT_FOUND);
+    expect(JSON.parse(result.stderr.toString()).error.message).toContain('other.json');
+  });
+  
+  test('should serve a graph directory until interrupted', async () => {
+    const bin = path.join(__dirname, '..', 'bin', 'sat.js');
+    const child = spawn(process.execPath, [bin, 'serve', '--port', '0', '--dir', 'graphs'], { cwd: directory });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    
+    let output = '';
+    const url = await new Promise((resolve, reject) => {
+      child.stdout.on('data', chunk => {
+        output += chunk;
+        const match = /at (http:\/\/\S+)/.exec(output);
+        if (match) resolve(match[1]);
+      });
+      child.on('exit', () => reject(new Error(`sat serve exited: ${output}`)));
+    });
+    
+    const response = await fetch(`${url}/graphs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ graphId: 'carbon' })
+    });
+    expect(response.status).toBe(201);
+    expect(fs.existsSync(path.join(directory, 'graphs', 'carbon.json'))).toBe(true);
+    
+    child.kill('SIGINT');
+    expect(await exited).toBe(EXIT_CODES.OK);
+    expect(output).toContain('Server stopped');
+  });
+});
@@ -0,0 +1,103 @@
+const { StructuredArgumentationTool, ConsistencyChecker, Evaluator, Synthesizer } = require('../src/index');
+
+describe('ConsistencyChecker', () => {
+  test('should normalize negations, antonyms and quantifiers', () => {
+    expect(ConsistencyChecker.normalize("Nuclear reactors aren't safe")).toEqual({
+      terms: ['nuclear', 'reactor', 'safe'], positive: false, quantifier: null
+    });
+    expect(ConsistencyChecker.normalize('Nuclear reactors are dangerous'))
+      .toEqual(ConsistencyChecker.normalize('Nuclear reactors are not safe'));
+    expect(ConsistencyChecker.normalize('Not all reactors are safe')).toMatchObject({ positive: false, quantifier: 'existential' });
+    expect(ConsistencyChecker.normalize('No reactors are safe')).toMatchObject({ positive: false, quantifier: 'universal' });
+  });
+  
+  test('should classify contradictory and contrary statements', () => {
+    const cases = [
+      ['Nuclear power is safe', 'Nuclear power is not safe', 'contradictory'],
+      ['Nuclear power is safe', 'Nuclear power is dangerous', 'contradictory'],
+      ['The tax is fair', 'The tax is unfair', 'contradictory'],
+      ['Carbon taxes raise prices', 'Carbon taxes lower prices', 'contradictory'],
+      ['All reactors are safe', 'Some reactors are not safe', 'contradictory'],
+      ['All reactors are safe', 'Not all reactors are safe', 'contradictory'],
+      ['Some reactors are safe', 'No reactors are safe', 'contradictory'],
+      ['All reactors are safe', 'No reactors are safe', 'contrary'],
+      ['Some reactors are safe', 'Some reactors are not safe', null],
+      ['Nuclear power is dangerous', 'Nuclear power is not safe', null],
+      ['The policy is effective', 'The policy is not ineffective', null],
+      ['Taxes are good', 'Subsidies are bad', null]
+    ];
+    
+    cases.forEach(([first, second, relation]) => {
+      expect([first, second, ConsistencyChecker.compare(first, second)]).toEqual([first, second, relation]);
+    });
+  });
+  
+  test('should keep word order and the sides of a comparison', () => {
+    const cases = [
+      ['Wind power is cheaper than coal', 'Coal is not cheaper than wind power', null],
+      ['Wind power is cheaper than coal', 'Wind power is not cheaper than coal', 'contradictory'],
+      ['Dogs chase cats', 'Cats do not chase dogs', null],
+      ['Dogs chase cats', 'Dogs do not chase cats', 'contradictory']
+    ];
+    
+    cases.forEach(([first, second, relation]) => {
+      expect([first, second, ConsistencyChecker.compare(first, second)]).toEqual([first, second, relation]);
+    });
+    expect(ConsistencyChecker.normalize('Coal is cheaper than wind power').terms).toEqual(['coal', 'cheaper', 'wind', 'power']);
+  });
+  
+  test('should only pair prefixed words with a word of an antonym pair', () => {
+    expect(ConsistencyChecker.compare('Companies invest', 'Companies vest')).toBeNull();
+    expect(ConsistencyChecker.compare('Companies vest', 'Companies invest')).toBeNull();
+    expect(ConsistencyChecker.compare('The rules allow drones', 'The rules disallow drones')).toBe('contradictory');
+    
+    const tool = new StructuredArgumentationTool();
+    tool.createArgument('Investment', ['Rates are low'], 'Companies invest', 'thesis', 0.6);
+    tool.createArgument('Pensions', ['Plans mature'], 'Companies vest', 'antithesis', 0.6);
+    tool.createArgument('Costs', ['Turbines got cheaper'], 'Wind power is cheaper than coal', 'thesis', 0.6);
+    tool.createArgument('Subsidies', ['Coal is subsidised'], 'Coal is not cheaper than wind power', 'antithesis', 0.6);
+    expect(tool.checkConsistency().proposedContradictions).toEqual([]);
+  });
+  
+  test('should flag contradictory premises within an argument', () => {
+    const tool = new StructuredArgumentationTool();
+    const arg = tool.createArgument(
+      'Build more reactors',
+      ['Nuclear power is safe', 'Reactors are cheap to run', "Nuclear power isn't safe"],
+      'Build more reactors',
+      'thesis',
+      0.6
+    );
+    
+    expect(ConsistencyChecker.findInconsistentPremises(arg)).toEqual([{
+      premises: [0, 2], relation: 'contradictory', statements: ['Nuclear power is safe', "Nuclear power isn't safe"]
+    }]);
+    expect(Evaluator.evaluateArgument(arg, tool.graph).weaknesses).toContain('Premises 1 and 3 contradict each other');
+    expect(tool.checkConsistency().inconsistentArguments).toEqual([{ argumentId: arg.id, conflicts: expect.any(Array) }]);
+  });
+  
+  test('should propose contradicts edges between arguments with contrary conclusions', () => {
+    const tool = new StructuredArgumentationTool();
+    const thesis = tool.createArgument('Reactors', ['Modern designs fail safe'], 'All reactors are safe', 'thesis', 0.6);
+    const antithesis = tool.createArgument('Accidents', ['Chernobyl happened'], 'No reactors are safe', 'antithesis', 0.6);
+    const objection = tool.createArgument('Old plants', ['Some plants are decades old'], 'Some reactors are not safe', 'objection', 0.6);
+    tool.addRelationship(objection.id, thesis.id, 'contradict');
+    
+    expect(tool.checkConsistency().proposedContradictions).toEqual([{
+      from: antithesis.id,
+      to: thesis.id,
+      relation: 'contrary',
+      conclusions: ['All reactors are safe', 'No reactors are safe']
+    }]);
+    
+    const markdown = tool.generateReport('markdown');
+    expect(markdown).toContain(`### Consistency\n\n- Proposed contradicts edge ${antithesis.id} → ${thesis.id} ` +
+      '(contrary conclusions: "All reactors are safe" / "No reactors are safe")');
+    expect(tool.generateReport('html')).toContain('<h3>Consistency</h3>');
+  });
+  
+  test('should let the synthesizer notice antonymous claims', () => {
+    expect(Synthesizer.areClaimsConflicting('Remote work is beneficial', 'Remote work is harmful')).toBe(true);
+    expect(Synthesizer.areClaimsConflicting('Remote work is beneficial', 'Remote work is popular')).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+const CrdtGraph = require('../src/collab/crdtGraph');
+const SimulatedNetwork = require('../src/collab/simulatedNetwork');
+
+const argumentData = (id, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.6,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...extra
+});
+
+const createPeers = (network, ...peerIds) => peerIds.map(peerId => network.connect(new CrdtGraph({ peerId })));
+
+const snapshot = replica => JSON.stringify(replica.toGraph().toJSON());
+
+describe('CrdtGraph', () => {
+  test('should materialize local edits as an ArgumentGraph', () => {
+    const replica = new CrdtGraph({ peerId: 'alice' });
+    replica.addParticipant({ participantId: 'alice' });
+    replica.addArgument(argumentData('a', { author: 'alice' }));
+    replica.addArgument(argumentData('b', { argumentType: 'objection', attacks: [{ target: 'a', kind: 'undermining', premiseIndex: 1 }] }));
+    replica.addArgument(argumentData('c', { supports: ['a'], respondsTo: 'b' }));
+    replica.updateArgument('a', { confidence: 0.9 });
+    replica.setStance('alice', 'b', 'reject');
+    
+    const graph = replica.toGraph();
+    
+    expect(Array.from(graph.arguments.keys())).toEqual(['a', 'b', 'c']);
+    expect(graph.getArgument('a').confidence).toBe(0.9);
+    expect(graph.getArgument('a').author).toBe('alice');
+    expect(graph.getAttacksOn('a')).toEqual([{ from: 'b', target: 'a', kind: 'undermining', premiseIndex: 1 }]);
+    expect(graph.getSupporterIds('a')).toEqual(['c']);
+    expect(graph.getResponderIds('b')).toEqual(['c']);
+    expect(graph.getStance('alice', 'b')).toBe('reject');
+  });
+  
+  test('should validate local edits', () => {
+    const replica = new CrdtGraph({ peerId: 'alice' });
+    replica.addArgument(argumentData('a'));
+    
+    expect(() => replica.addArgument(argumentData('a'))).toThrow('Argument with ID a already exists');
+    expect(() => replica.updateArgument('a', { confidence: 2 })).toThrow('Confidence must be between 0 and 1');
+    expect(() => replica.updateArgument('a', { supports: ['b'] })).toThrow('Cannot update supports');
+    expect(() => replica.addRelationship('a', 'missing', 'support')).toThrow('Argument with ID missing does not exist');
+    expect(() => replica.removeRelationship('a', 'a', 'support')).toThrow('No support relationship from a to a');
+    expect(replica.getUpdatesSince()).toHaveLength(1);
+  });
+  
+  test('should ignore operations it has already applied', () => {
+    const alice = new CrdtGraph({ peerId: 'alice' });
+    const bob = new CrdtGraph({ peerId: 'bob' });
+    const operations = alice.addArgument(argumentData('a'));
+    
+    expect(bob.applyUpdates(operations)).toBe(1);
+    expect(bob.applyUpdates(operations)).toBe(0);
+    expect(snapshot(bob)).toBe(snapshot(alice));
+  });
+  
+  test('should restore a replica from JSON and continue its sequence', () => {
+    const replica = new CrdtGraph({ peerId: 'alice' });
+    replica.addArgument(argumentData('a'));
+    
+    const restored = CrdtGraph.fromJSON(JSON.parse(JSON.stringify(replica.toJSON())));
+    const [operation] = restored.updateArgument('a', { claim: 'Restored' });
+    
+    expect(operation.id).toBe('alice:2');
+    expect(restored.getVersionVector()).toEqual({ alice: 2 });
+  });
+});
+
+describe('Concurrent editing', () => {
+  let network;
+  let alice;
+  let bob;
+  let carol;
+  
+  beforeEach(() => {
+    network = new SimulatedNetwork({ seed: 7 });
+    [alice, bob, carol] = createPeers(network, 'alice', 'bob', 'carol');
+    alice.addArgument(argumentData('a'));
+    alice.addArgument(argumentData('b', { argumentType: 'antithesis' }));
+    network.deliver();
+  });
+  
+  test('should converge on concurrent field updates by last writer', () => {
+    alice.updateArgument('a', { confidence: 0.2 });
+    bob.updateArgument('a', { confidence: 0.8 });
+    carol.updateArgument('a', { claim: 'Carol claim' });
+    network.deliver({ shuffle: true });
+    
+    expect(network.isConverged()).toBe(true);
+    // Equal Lamport clocks: the higher peer ID wins
+    expect(alice.toGraph().getArgument('a').confidence).toBe(0.8);
+    expect(alice.toGraph().getArgument('a').claim).toBe('Carol claim');
+  });
+  
+  test('should converge on the rule settings by last writer', () => {
+    expect(() => alice.setRuleSettings({ disabled: ['unknown-rule'] })).toThrow('Unknown evaluation rule');
+    
+    alice.setRuleSettings({ disabled: ['citations'] });
+    bob.setRuleSettings({ weights: { supporters: 2 } });
+    network.deliver({ shuffle: true });
+    
+    expect(network.isConverged()).toBe(true);
+    expect(carol.toGraph().ruleSettings).toEqual({ weights: { supporters: 2 } });
+    
+    carol.setRuleSettings(null);
+    network.deliver();
+    expect(alice.toGraph().ruleSettings).toBeNull();
+  });
+  
+  test('should keep a relationship added concurrently with its removal', () => {
+    alice.addRelationship('b', 'a', 'contradict');
+    network.deliver();
+    
+    bob.removeRelationship('b', 'a', 'contradict');
+    carol.addRelationship('b', 'a', 'contradict');
+    network.deliver({ shuffle: true });
+    
+    expect(network.isConverged()).toBe(true);
+    expect(bob.toGraph().getAttackerIds('a')).toEqual(['b']);
+    
+    bob.removeRelationship('b', 'a', 'contradict');
+    network.deliver();
+    
+    expect(network.isConverged()).toBe(true);
+    expect(carol.toGraph().getAttackerIds('a')).toEqual([]);
+  });
+  
+  test('should drop relationships to arguments removed concurrently', () => {
+    bob.removeArgument('b');
+    carol.addRelationship('b', 'a', 'support');
+    network.deliver({ shuffle: true });
+    
+    expect(network.isConverged()).toBe(true);
+    expect(Array.from(alice.toGraph().arguments.keys())).toEqual(['a']);
+    expect(alice.toGraph().getSupporterIds('a')).toEqual([]);
+  });
+  
+  test('should converge for random edits delivered in any order', () => {
+    const peers = [alice, bob, carol];
+    for (let round = 0; round < 10; round++) {
+      peers.forEach((peer, index) => {
+        const id = `${peer.peerId}${round}`;
+        peer.addArgument(argumentData(id, { argumentType: 'objection', confidence: (round + index) / 20 }));
+        peer.addRelationship(id, round % 2 === 0 ? 'a' : 'b', 'contradict');
+        peer.updateArgument(round % 2 === 0 ? 'b' : 'a', { confidence: (index + 1) / 4 });
+      });
+      network.deliver({ shuffle: true, limit: 12 });
+    }
+    network.deliver({ shuffle: true });
+    
+    expect(network.isConverged()).toBe(true);
+    expect(alice.toGraph().arguments.size).toBe(32);
+    expect(alice.toGraph().getAttackerIds('a')).toHaveLength(15);
+  });
+  
+  test('should catch up after a partition heals', () => {
+    network.partition(['alice', 'bob'], ['carol']);
+    alice.updateArgument('a', { claim: 'Alice claim' });
+    carol.addArgument(argumentData('c', { supports: ['a'] }));
+    network.deliver();
+    
+    expect(bob.toGraph().getArgument('a').claim).toBe('Alice claim');
+    expect(bob.toGraph().getArgument('c')).toBeUndefined();
+    
+    network.heal();
+    network.sync();
+    
+    expect(network.isConverged()).toBe(true);
+    expect(bob.toGraph().getSupporterIds('a')).toEqual(['c']);
+    expect(carol.getVersionVector()).toEqual(alice.getVersionVector());
+  });
+});
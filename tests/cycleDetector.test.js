@@ -0,0 +1,153 @@
+const { StructuredArgumentationTool, ArgumentGraph, CycleDetector, Evaluator, GraphVisualizer } = require('../src/index');
+
+describe('CycleDetector', () => {
+  let tool;
+  
+  const create = (claim, premises, conclusion) => tool.createArgument(claim, premises, conclusion, 'thesis', 0.6);
+  
+  beforeEach(() => {
+    tool = new StructuredArgumentationTool();
+  });
+  
+  test('should find the strongly connected components of a directed graph', () => {
+    const edges = { a: ['b'], b: ['c'], c: ['a', 'd'], d: ['e'], e: ['d'], f: ['f'], g: [] };
+    const neighbors = node => edges[node];
+    
+    expect(CycleDetector.findStronglyConnectedComponents(Object.keys(edges), neighbors))
+      .toEqual([['d', 'e'], ['a', 'b', 'c'], ['f'], ['g']]);
+    expect(CycleDetector.findCyclicComponents(Object.keys(edges), neighbors)).toEqual([['d', 'e'], ['a', 'b', 'c'], ['f']]);
+    expect(CycleDetector.findLoop(['a', 'b', 'c'], neighbors)).toEqual(['a', 'b', 'c', 'a']);
+  });
+  
+  test('should search long chains without running out of stack', () => {
+    const graph = new ArgumentGraph();
+    const ids = Array.from({ length: 5000 }, (_, i) => graph.addArgument({
+      argumentId: `arg_${i}`, claim: `Step ${i}`, premises: [`Reason ${i}`], conclusion: `Result ${i}`, argumentType: 'thesis', confidence: 0.5
+    }).id);
+    ids.slice(1).forEach((id, i) => graph.addSupportsRelationship(ids[i], id));
+    
+    expect(CycleDetector.findCycles(graph)).toEqual([]);
+    
+    graph.addSupportsRelationship(ids[ids.length - 1], ids[0]);
+    expect(CycleDetector.findSupportCycles(graph).map(cycle => cycle.arguments.length)).toEqual([5000]);
+    
+    expect(Evaluator.evaluateArgument(graph.getArgument(ids[0]), graph).cycles).toHaveLength(1);
+  });
+  
+  test('should find the cycles of a graph once when evaluating all its arguments', () => {
+    const a = create('A', ['Carbon taxes work'], 'Prices change behaviour');
+    const b = create('B', ['Prices change behaviour'], 'Carbon taxes work');
+    const c = create('C', ['Markets respond to costs'], 'Taxes raise prices');
+    tool.addRelationship(a.id, b.id, 'support');
+    tool.addRelationship(b.id, a.id, 'support');
+    
+    const findCycles = jest.spyOn(CycleDetector, 'findCycles');
+    try {
+      const evaluations = Evaluator.evaluateArguments(tool.graph);
+      expect(findCycles).toHaveBeenCalledTimes(1);
+      expect(Array.from(evaluations.keys())).toEqual([a.id, b.id, c.id]);
+      [a, b, c].forEach(arg => {
+        expect(evaluations.get(arg.id)).toEqual(Evaluator.evaluateArgument(tool.graph.getArgument(arg.id), tool.graph));
+      });
+    } finally {
+      findCycles.mockRestore();
+    }
+  });
+  
+  test('should find arguments that support each other in a loop', () => {
+    const a = create('A', ['Carbon taxes work'], 'Prices change behaviour');
+    const b = create('B', ['Drivers respond to fuel costs'], 'Fuel use falls when taxed');
+    const c = create('C', ['Fuel taxes cut emissions'], 'Carbon taxes work');
+    const d = create('D', ['Emissions matter'], 'Cuts are urgent');
+    
+    tool.addRelationship(a.id, b.id, 'support');
+    tool.addRelationship(b.id, c.id, 'support');
+    tool.addRelationship(c.id, a.id, 'support');
+    tool.addRelationship(c.id, d.id, 'support');
+    
+    expect(CycleDetector.findSupportCycles(tool.graph)).toEqual([
+      { type: 'support', arguments: [a.id, b.id, c.id], path: [a.id, b.id, c.id, a.id] }
+    ]);
+    expect(CycleDetector.findCyclesThrough(tool.graph, d.id)).toEqual([]);
+    
+    tool.removeRelationship(c.id, a.id, 'support');
+    expect(CycleDetector.findSupportCycles(tool.graph)).toEqual([]);
+  });
+  
+  test('should find conclusions that reappear as premises down a supports chain', () => {
+    const a = create('Taxes work', ['Markets respond to costs'], 'Carbon taxes work');
+    const b = create('Markets respond', ['Carbon taxes work.'], 'Markets respond to costs');
+    tool.addRelationship(b.id, a.id, 'support');
+    
+    const cycles = CycleDetector.findPropositionCycles(tool.graph);
+    const taxesWork = tool.graph.getArgument(a.id).conclusionId;
+    
+    expect(cycles).toEqual([{
+      type: 'proposition',
+      propositions: [expect.any(String), expect.any(String)],
+      path: expect.any(Array),
+      arguments: [a.id, b.id]
+    }]);
+    expect(cycles[0].propositions).toContain(taxesWork);
+    
+    // An argument concluding one of its own premises is circular by itself
+    const self = create('Self', ['Growth is good', 'Growth creates jobs'], 'Growth is good');
+    expect(CycleDetector.findCyclesThrough(tool.graph, self.id)).toEqual([{
+      type: 'proposition',
+      propositions: [tool.graph.getArgument(self.id).conclusionId],
+      path: [tool.graph.getArgument(self.id).conclusionId, tool.graph.getArgument(self.id).conclusionId],
+      arguments: [self.id]
+    }]);
+  });
+  
+  test('should report cycles as weaknesses and in the structure analysis', () => {
+    const a = create('A', ['Carbon taxes work'], 'Prices change behaviour');
+    const b = create('B', ['Prices change behaviour'], 'Carbon taxes work');
+    tool.addRelationship(a.id, b.id, 'support');
+    tool.addRelationship(b.id, a.id, 'support');
+    const c = create('C', ['Markets respond to costs'], 'Taxes raise prices');
+    const d = create('D', ['Taxes raise prices.'], 'Markets respond to costs');
+    
+    // The loop of A and B is one support cycle, not also a proposition cycle
+    const evaluation = Evaluator.evaluateArgument(tool.graph.getArgument(a.id), tool.graph);
+    expect(evaluation.cycles.map(cycle => cycle.type)).toEqual(['support']);
+    expect(evaluation.weaknesses).toContain(`Circular support: ${a.id} → ${b.id} → ${a.id}`);
+    expect(evaluation.weaknesses.filter(weakness => weakness.startsWith('Circular reasoning'))).toEqual([]);
+    expect(Evaluator.evaluateArgument(tool.graph.getArgument(c.id), tool.graph).weaknesses)
+      .toContain(`Circular reasoning: "Markets respond to costs" is derived from itself through ${c.id}, ${d.id}`);
+    
+    const markdown = tool.generateReport('markdown');
+    expect(markdown).toContain(`## Structure Analysis\n\n### Circular Reasoning\n\n- Support cycle: ${a.id} → ${b.id} → ${a.id}\n`);
+    expect(markdown).toContain(`- Circular reasoning: "Markets respond to costs" → "Taxes raise prices" → "Markets respond to costs" (arguments ${c.id}, ${d.id})`);
+    expect(tool.generateReport('html')).toContain(`<h3>Circular Reasoning</h3>\n<ul>\n  <li>Support cycle: ${a.id} → ${b.id} → ${a.id}</li>`);
+    expect(JSON.parse(tool.generateReport('json')).structure.cycles.map(cycle => cycle.type)).toEqual(['support', 'proposition']);
+  });
+  
+  test('should escape the statements of cycles in HTML visualizations', () => {
+    const self = create('Self', ['Taxes <img src=x onerror=alert(1)> work'], 'Taxes <img src=x onerror=alert(1)> work');
+    const weakness = `Circular reasoning: "Taxes <img src=x onerror=alert(1)> work" is derived from itself through ${self.id}`;
+    expect(tool.graph.getArgument(self.id).weaknesses).toContain(weakness);
+    
+    const html = GraphVisualizer.generateGraph(tool.graph, { format: 'html', showDetails: true });
+    expect(html).toContain(JSON.stringify(GraphVisualizer.escapeHtml(weakness)).slice(1, -1));
+    expect(html).toContain('${text.weaknesses.join(\', \')}');
+  });
+  
+  test('should not count support between arguments with the same conclusion as circular reasoning', () => {
+    const a = create('A', ['Carbon taxes work'], 'Emissions fall');
+    const b = create('B', ['Drivers buy less fuel'], 'Emissions fall.');
+    tool.addRelationship(a.id, b.id, 'support');
+    
+    expect(tool.graph.getArgument(a.id).conclusionId).toBe(tool.graph.getArgument(b.id).conclusionId);
+    expect(CycleDetector.findCycles(tool.graph)).toEqual([]);
+  });
+  
+  test('should report an acyclic graph as free of circular reasoning', () => {
+    const a = create('A', ['Carbon taxes work'], 'Prices change behaviour');
+    const b = create('B', ['Prices change behaviour'], 'Emissions fall');
+    tool.addRelationship(a.id, b.id, 'support');
+    
+    expect(CycleDetector.findCycles(tool.graph)).toEqual([]);
+    expect(tool.generateReport('markdown')).toContain('### Circular Reasoning\n\nNo circular support or reasoning found.');
+  });
+});
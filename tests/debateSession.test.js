@@ -0,0 +1,100 @@
+const { Readable } = require('stream');
+const { StructuredArgumentationTool } = require('../src/index');
+const DebateSession = require('../src/cli/debateSession');
+
+const runSession = async (tool, lines) => {
+  const output = { text: '', write: text => { output.text += text; } };
+  const saves = [];
+  
+  await new DebateSession(tool, {
+    input: Readable.from([lines.join('\n') + '\n']),
+    output,
+    save: async saved => saves.push(JSON.stringify(saved.export()))
+  }).start();
+  
+  return { output: output.text, saves };
+};
+
+describe('DebateSession', () => {
+  test('should guide a debate from thesis to synthesis', async () => {
+    const tool = new StructuredArgumentationTool();
+    const { output, saves } = await runSession(tool, [
+      // Thesis: claim, premises, conclusion, confidence
+      'Tax carbon', 'Emissions have a social cost', 'Prices steer behaviour', '', 'A carbon tax is needed', '0.8',
+      // Suggested antithesis against premise 2 of the thesis
+      'next', '', '2', 'Regressive', 'Poor households pay more', '', 'The tax is unfair', '',
+      // Suggested synthesis of the candidate pair
+      '', 'y',
+      'quit'
+    ]);
+    
+    const [thesis, antithesis, synthesis] = Array.from(tool.getAllArguments().values());
+    
+    expect([thesis.type, antithesis.type, synthesis.type]).toEqual(['thesis', 'antithesis', 'synthesis']);
+    expect(thesis.premises).toEqual(['Emissions have a social cost', 'Prices steer behaviour']);
+    expect(antithesis.confidence).toBe(0.5);
+    expect(tool.graph.getAttacksOn(thesis.id)).toEqual([
+      { from: antithesis.id, target: thesis.id, kind: 'undermining', premiseIndex: 1 }
+    ]);
+    expect(tool.graph.getSupporterIds(antithesis.id)).toEqual([synthesis.id]);
+    
+    expect(output).toContain('Suggested next move: an antithesis');
+    expect(output).toContain(`or synthesize ${thesis.id} and ${antithesis.id}`);
+    expect(output.match(/Argument Graph Visualization/g)).toHaveLength(3);
+    expect(saves).toHaveLength(3);
+    expect(JSON.parse(saves[2]).arguments).toHaveLength(3);
+  });
+  
+  test('should undo an argument and its relationship together', async () => {
+    const tool = new StructuredArgumentationTool();
+    const thesis = tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis', 0.8);
+    
+    const { saves } = await runSession(tool, [
+      'add objection', '1', 'c', 'Too costly', '', 'The tax hurts growth', '0.4',
+      'undo'
+    ]);
+    
+    expect(Array.from(tool.getAllArguments().keys())).toEqual([thesis.id]);
+    expect(tool.graph.getAttackerIds(thesis.id)).toEqual([]);
+    expect(tool.canRedo()).toBe(true);
+    expect(saves).toHaveLength(2);
+  });
+  
+  test('should edit and evaluate arguments inline', async () => {
+    const tool = new StructuredArgumentationTool();
+    const thesis = tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis', 0.8);
+    
+    const { output } = await runSession(tool, [
+      `edit ${thesis.id}`, 'Price carbon', 'Emissions cost 50% more than thought', 'Prices steer behaviour', '', '', '0.9',
+      `evaluate ${thesis.id}`
+    ]);
+    
+    const edited = tool.getArgument(thesis.id);
+    expect(edited.claim).toBe('Price carbon');
+    expect(edited.premises).toEqual(['Emissions cost 50% more than thought', 'Prices steer behaviour']);
+    expect(edited.conclusion).toBe('A carbon tax is needed');
+    expect(edited.confidence).toBe(0.9);
+    expect(tool.getHistory().map(event => event.type).slice(-3)).toEqual(['argument-edited', 'argument-evaluated', 'argument-evaluated']);
+    expect(output).toContain(`Updated ${thesis.id}.`);
+    expect(output).toMatch(/\[arg_\w+\] Price carbon\n {2}Score: \d+\.\d%/);
+  });
+  
+  test('should report mistakes and keep going', async () => {
+    const tool = new StructuredArgumentationTool();
+    tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis', 0.8);
+    
+    const { output, saves } = await runSession(tool, [
+      'add rebuttal',
+      'frobnicate',
+      'relate a b support',
+      'add antithesis', '', '', 'Half-finished'
+    ]);
+    
+    expect(output).toContain('Error: Cannot add a rebuttal without an objection or an antithesis to answer');
+    expect(output).toContain('Unknown command: frobnicate');
+    expect(output).toContain('Error: Both arguments must exist in the graph');
+    expect(output).toMatch(/Session ended\.\n$/);
+    expect(tool.getAllArguments().size).toBe(1);
+    expect(saves).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+const DialogueGame = require('../src/core/dialogueGame');
+const DialecticalEngine = require('../src/core/dialecticalEngine');
+
+const TOPIC = 'The city should introduce a congestion charge';
+
+const argumentData = (id, conclusion, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion,
+  argumentType: 'thesis',
+  confidence: 0.7,
+  ...extra
+});
+
+describe('DialogueGame persuasion', () => {
+  let game;
+  
+  beforeEach(() => {
+    game = new DialogueGame({ protocol: 'persuasion', participants: ['alice', 'bob'], topic: TOPIC });
+  });
+  
+  test('should require the proponent to open with the topic', () => {
+    expect(() => game.makeMove({ speaker: 'alice', type: 'claim', proposition: 'Something else' }))
+      .toThrow(`Illegal move: the dialogue must open with a claim of the topic "${TOPIC}"`);
+    expect(() => game.makeMove({ speaker: 'bob', type: 'claim', proposition: TOPIC }))
+      .toThrow("Illegal move: it is alice's turn");
+  });
+  
+  test('should track commitments through claim, why and argue', () => {
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    const why = game.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    
+    expect(game.getOpenChallenges()).toHaveLength(1);
+    expect(game.getLegalMoves('alice')).toContainEqual(
+      { speaker: 'alice', type: 'argue', proposition: game.topic, replyTo: why.id }
+    );
+    
+    game.makeMove({ speaker: 'alice', type: 'argue', argument: argumentData('a1', TOPIC), replyTo: why.id });
+    
+    expect(game.getOpenChallenges()).toHaveLength(0);
+    expect(game.getCommitments('alice').map(p => p.text)).toEqual([
+      TOPIC, 'First premise of a1', 'Second premise of a1'
+    ]);
+    expect(game.graph.getArgument('a1')).toBeDefined();
+    expect(game.isTerminated()).toBe(false);
+  });
+  
+  test('should reject illegal moves with a reason', () => {
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    
+    expect(game.getIllegalReason({ speaker: 'bob', type: 'retract', proposition: TOPIC }))
+      .toBe(`bob is not committed to "${TOPIC}"`);
+    expect(game.getIllegalReason({ speaker: 'bob', type: 'why', proposition: 'Unrelated' }))
+      .toBe('"Unrelated" is not a commitment of another participant');
+    expect(game.getIllegalReason({ speaker: 'bob', type: 'argue', argument: argumentData('b1', 'Traffic is fine') }))
+      .toBe("an argument must answer a challenge to its conclusion or attack another participant's argument");
+    expect(game.getIllegalReason({ speaker: 'carol', type: 'claim', proposition: 'x' })).toBe('carol is not a participant');
+    expect(game.getIllegalReason({ speaker: 'bob', type: 'shout' })).toMatch(/^move type must be one of/);
+  });
+  
+  test('should let the opponent attack the proponent\'s arguments', () => {
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    game.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    game.makeMove({ speaker: 'alice', type: 'argue', argument: argumentData('a1', TOPIC) });
+    game.makeMove({
+      speaker: 'bob',
+      type: 'argue',
+      argument: argumentData('b1', 'The charge hurts commuters', { argumentType: 'objection', contradicts: ['a1'] })
+    });
+    
+    expect(game.graph.getAttackerIds('a1')).toEqual(['b1']);
+    expect(game.graph.getArgument('b1').author).toBe('bob');
+  });
+  
+  test('should end with the proponent winning when the opponent concedes', () => {
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    game.makeMove({ speaker: 'bob', type: 'concede', proposition: TOPIC });
+    
+    expect(game.getOutcome()).toEqual({ reason: 'Opponent conceded the topic', winner: 'alice', turns: 2 });
+    expect(game.getIllegalReason({ speaker: 'alice', type: 'claim', proposition: 'More' })).toBe('the dialogue has ended');
+  });
+  
+  test('should end with the opponent winning when the proponent retracts', () => {
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    game.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    game.makeMove({ speaker: 'alice', type: 'retract', proposition: TOPIC });
+    
+    expect(game.getOutcome().winner).toBe('bob');
+    expect(game.getOpenChallenges()).toHaveLength(0);
+  });
+  
+  test('should decide by grounded justification at the turn limit', () => {
+    const limited = new DialogueGame({ participants: ['alice', 'bob'], topic: TOPIC, maxTurns: 3 });
+    limited.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    limited.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    limited.makeMove({ speaker: 'alice', type: 'argue', argument: argumentData('a1', TOPIC) });
+    
+    expect(limited.getOutcome()).toEqual({ reason: 'Turn limit reached', winner: 'alice', turns: 3 });
+  });
+});
+
+describe('DialogueGame deliberation and inquiry', () => {
+  test('should end deliberation when everyone commits to a proposal', () => {
+    const game = new DialogueGame({ protocol: 'deliberation', participants: ['alice', 'bob', 'carol'] });
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: 'Build a bike lane' });
+    game.makeMove({ speaker: 'bob', type: 'concede', proposition: 'Build a bike lane' });
+    game.makeMove({ speaker: 'carol', type: 'concede', proposition: 'Build a bike lane' });
+    
+    expect(game.getOutcome()).toEqual({
+      reason: 'Agreement on "Build a bike lane"',
+      winner: 'alice',
+      agreement: 'Build a bike lane',
+      turns: 3
+    });
+  });
+  
+  test('should not end deliberation on a shared premise nobody proposed', () => {
+    const game = new DialogueGame({ protocol: 'deliberation', participants: ['alice', 'bob'] });
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: 'Build a bike lane' });
+    game.makeMove({ speaker: 'bob', type: 'why', proposition: 'Build a bike lane' });
+    game.makeMove({ speaker: 'alice', type: 'argue', argument: argumentData('a1', 'Build a bike lane') });
+    game.makeMove({ speaker: 'bob', type: 'concede', proposition: 'First premise of a1' });
+    
+    expect(game.getOutcome()).toBeNull();
+    
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: 'Build it this year' });
+    game.makeMove({ speaker: 'bob', type: 'concede', proposition: 'Build a bike lane' });
+    
+    expect(game.getOutcome()).toMatchObject({ winner: 'alice', agreement: 'Build a bike lane', turns: 6 });
+  });
+  
+  test('should only allow conceding argued propositions in an inquiry', () => {
+    const game = new DialogueGame({ protocol: 'inquiry', participants: ['alice', 'bob'], topic: TOPIC });
+    game.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    
+    expect(() => game.makeMove({ speaker: 'bob', type: 'concede', proposition: TOPIC }))
+      .toThrow(`Illegal move: "${TOPIC}" must be argued for before it can be conceded in an inquiry`);
+    
+    game.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    game.makeMove({ speaker: 'alice', type: 'argue', argument: argumentData('a1', TOPIC) });
+    game.makeMove({ speaker: 'bob', type: 'concede', proposition: TOPIC });
+    
+    expect(game.getOutcome().reason).toBe('Topic established');
+  });
+  
+  test('should validate the protocol setup', () => {
+    expect(() => new DialogueGame({ protocol: 'negotiation', participants: ['a', 'b'] })).toThrow('Unknown dialogue protocol');
+    expect(() => new DialogueGame({ participants: ['a', 'b', 'c'], topic: TOPIC })).toThrow('The persuasion protocol needs 2 participants');
+    expect(() => new DialogueGame({ protocol: 'inquiry', participants: ['a', 'b'] })).toThrow('The inquiry protocol requires a topic');
+  });
+});
+
+describe('DialecticalEngine dialogues', () => {
+  test('should enforce the protocol on addArgument', () => {
+    const engine = new DialecticalEngine();
+    const dialogue = engine.startDialogue({ protocol: 'persuasion', participants: ['alice', 'bob'], topic: TOPIC });
+    
+    expect(() => engine.addArgument(argumentData('a1', TOPIC), { speaker: 'alice' }))
+      .toThrow('Illegal move: the dialogue must open with a claim');
+    
+    dialogue.makeMove({ speaker: 'alice', type: 'claim', proposition: TOPIC });
+    dialogue.makeMove({ speaker: 'bob', type: 'why', proposition: TOPIC });
+    const argument = engine.addArgument(argumentData('a1', TOPIC), { speaker: 'alice' });
+    
+    expect(argument.id).toBe('a1');
+    expect(engine.dialecticHistory[0].author).toBe('alice');
+    expect(dialogue.moves.map(move => move.type)).toEqual(['claim', 'why', 'argue']);
+  });
+});
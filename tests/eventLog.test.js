@@ -0,0 +1,162 @@
+const EventLog = require('../src/core/eventLog');
+const { StructuredArgumentationTool } = require('../src/index');
+
+describe('EventLog', () => {
+  const record = (log, type, payload, transaction = log.beginTransaction()) =>
+    log.record(log.createEvent(type, payload, transaction));
+  
+  test('should undo and redo whole transactions', () => {
+    const log = new EventLog();
+    record(log, 'round-started', { label: 'Opening' });
+    const transaction = log.beginTransaction();
+    record(log, 'round-started', { label: 'a' }, transaction);
+    record(log, 'round-started', { label: 'b' }, transaction);
+    
+    expect(log.undo().map(event => event.payload.label)).toEqual(['a', 'b']);
+    expect(log.getEvents()).toHaveLength(1);
+    expect(log.redo()).toHaveLength(2);
+    expect(log.canRedo()).toBe(false);
+  });
+  
+  test('should discard undone events when a new one is recorded', () => {
+    const log = new EventLog();
+    record(log, 'round-started', { label: 'first' });
+    record(log, 'round-started', { label: 'second' });
+    log.undo();
+    record(log, 'round-started', { label: 'third' });
+    
+    expect(log.getEvents().map(event => event.payload.label)).toEqual(['first', 'third']);
+    expect(log.getEvents().map(event => event.sequence)).toEqual([1, 2]);
+    expect(log.canRedo()).toBe(false);
+  });
+  
+  test('should round-trip through JSON', () => {
+    const log = new EventLog();
+    record(log, 'round-started', { label: 'first' });
+    record(log, 'round-started', { label: 'second' });
+    log.undo();
+    
+    const restored = EventLog.fromJSON(JSON.parse(JSON.stringify(log)));
+    
+    expect(restored.getEvents()).toEqual(log.getEvents());
+    expect(restored.redo()).toHaveLength(1);
+    expect(restored.beginTransaction()).toBe(3);
+  });
+  
+  test('should reject unknown event types', () => {
+    expect(() => new EventLog().createEvent('argument-archived', {}, 1)).toThrow('Unknown event type');
+  });
+});
+
+describe('StructuredArgumentationTool history', () => {
+  let tool;
+  let thesis;
+  let antithesis;
+  
+  beforeEach(() => {
+    tool = new StructuredArgumentationTool();
+    thesis = tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis', 0.8);
+    antithesis = tool.createArgument('Trade permits', ['Markets find cheap cuts'], 'Cap and trade is better', 'antithesis', 0.7);
+  });
+  
+  test('should record every change as an event', () => {
+    tool.addRelationship(antithesis.id, thesis.id, 'contradict');
+    tool.updateConfidence(thesis.id, 0.6);
+    
+    expect(tool.getHistory().map(event => event.type)).toEqual([
+      'argument-added', 'argument-evaluated',
+      'argument-added', 'argument-evaluated',
+      'relationship-added',
+      'confidence-updated'
+    ]);
+    expect(tool.getHistory()[5].payload).toEqual({ argumentId: thesis.id, confidence: 0.6, previous: 0.8 });
+  });
+  
+  test('should roll back a mistaken relationship', () => {
+    tool.addRelationship(thesis.id, antithesis.id, 'support');
+    
+    expect(tool.undo()).toHaveLength(1);
+    expect(tool.graph.getSupporterIds(antithesis.id)).toEqual([]);
+    expect(tool.engine.graph).toBe(tool.graph);
+    
+    tool.redo();
+    expect(tool.graph.getSupporterIds(antithesis.id)).toEqual([thesis.id]);
+  });
+  
+  test('should undo an edit and group commands into one transaction', () => {
+    tool.editArgument(thesis.id, { claim: 'Price carbon', premises: ['Prices steer behaviour'] });
+    
+    expect(tool.getHistory()[4].payload.previous).toEqual({ claim: 'Tax carbon', premises: ['Emissions have a social cost'] });
+    expect(tool.getArgument(thesis.id).premiseIds).toEqual([tool.graph.findProposition('Prices steer behaviour').id]);
+    
+    tool.transact(() => {
+      tool.updateConfidence(thesis.id, 0.5);
+      tool.addRelationship(antithesis.id, thesis.id, 'contradict');
+    });
+    tool.undo();
+    tool.undo();
+    
+    expect(tool.getArgument(thesis.id).confidence).toBe(0.8);
+    expect(tool.getArgument(thesis.id).claim).toBe('Tax carbon');
+    expect(tool.getArgument(thesis.id).premises).toEqual(['Emissions have a social cost']);
+  });
+  
+  test('should remove an argument with its relationships and undo the removal', () => {
+    tool.addRelationship(antithesis.id, thesis.id, 'contradict');
+    tool.addRelationship(thesis.id, antithesis.id, 'respond');
+    tool.removeArgument(antithesis.id);
+    
+    expect(tool.getArgument(antithesis.id)).toBeUndefined();
+    expect(tool.graph.adjacencyList.get(thesis.id).respondsTo).toBeNull();
+    expect(tool.graph.getAttackerIds(thesis.id)).toEqual([]);
+    
+    tool.undo();
+    expect(tool.graph.getAttackerIds(thesis.id)).toEqual([antithesis.id]);
+    expect(tool.graph.getResponderIds(antithesis.id)).toEqual([thesis.id]);
+    
+    tool.removeRelationship(antithesis.id, thesis.id, 'contradict');
+    expect(tool.getHistory().slice(-1)[0].type).toBe('relationship-removed');
+    expect(tool.graph.getAttackerIds(thesis.id)).toEqual([]);
+  });
+  
+  test('should undo argument creation together with its evaluation', () => {
+    tool.undo();
+    
+    expect(tool.graph.getArgument(antithesis.id)).toBeUndefined();
+    expect(tool.getHistory()).toHaveLength(2);
+    expect(tool.graph.getArgument(thesis.id).strengths).toEqual(thesis.strengths);
+  });
+  
+  test('should show the debate as of a round', () => {
+    tool.startRound('Rebuttals');
+    tool.addRelationship(antithesis.id, thesis.id, 'contradict');
+    tool.startRound('Closing');
+    tool.updateConfidence(thesis.id, 0.4);
+    
+    const opening = tool.getStateAt({ round: 0 });
+    const rebuttals = tool.getStateAt({ round: 1 });
+    
+    expect(opening.getAttackRelation()).toEqual([]);
+    expect(rebuttals.getAttackRelation()).toEqual([[antithesis.id, thesis.id]]);
+    expect(rebuttals.getArgument(thesis.id).confidence).toBe(0.8);
+    expect(tool.graph.getArgument(thesis.id).confidence).toBe(0.4);
+  });
+  
+  test('should leave the graph and history untouched when a command fails', () => {
+    expect(() => tool.addRelationship(thesis.id, 'missing', 'support')).toThrow('Both arguments must exist in the graph');
+    expect(() => tool.addRelationship(thesis.id, antithesis.id, 'endorse')).toThrow('Invalid relationship type');
+    expect(() => tool.import({
+      arguments: [{ id: 'imported', claim: 'C', premises: [], conclusion: 'C', type: 'thesis', confidence: 0.5 }],
+      relationships: [{ from: 'imported', to: 'missing', type: 'support' }]
+    })).toThrow('must be the ID of an existing argument');
+    expect(() => tool.import({
+      arguments: [
+        { id: 'imported', claim: 'C', premises: [], conclusion: 'C', type: 'thesis', confidence: 0.5 },
+        { id: thesis.id, claim: 'D', premises: [], conclusion: 'D', type: 'thesis', confidence: 0.5 }
+      ]
+    })).toThrow(`Argument with ID ${thesis.id} already exists`);
+    
+    expect(tool.graph.getArgument('imported')).toBeUndefined();
+    expect(tool.getHistory()).toHaveLength(4);
+  });
+});
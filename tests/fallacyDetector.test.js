@@ -0,0 +1,116 @@
+const { StructuredArgumentationTool, Evaluator, FallacyDetector, GraphVisualizer } = require('../src/index');
+
+const argument = (claim, premises, conclusion) => ({ claim, premises, conclusion });
+
+/**
+ * Lists each detection as [fallacy, ["<part><index>:<start>-<end>", ...]]
+ */
+const detect = arg => FallacyDetector.detect(arg).map(detection => [
+  detection.fallacy,
+  detection.spans.map(span => `${span.part}${span.index === null ? '' : span.index}:${span.start}-${span.end}`)
+]);
+
+describe('FallacyDetector', () => {
+  test('should locate wording typical of informal fallacies', () => {
+    expect(detect(argument('Legalizing cannabis is dangerous', ['Legalizing cannabis will inevitably lead to legal heroin'], 'Cannabis should stay illegal')))
+      .toEqual([['slippery-slope', ['premise0:20-43']]]);
+    expect(detect(argument('Vaccines are safe', ['Leading scientists agree vaccines are safe', 'A renowned doctor endorses vaccines'], 'Vaccines are safe')))
+      .toEqual([['appeal-to-authority', ['premise0:8-24', 'premise1:2-17']]]);
+    expect(detect(argument('Smartphones improve life', ['Everyone knows smartphones improve life', 'Smartphones are widely accepted'], 'Smartphones are good')))
+      .toEqual([['appeal-to-popularity', ['premise0:0-14', 'premise1:16-31']]]);
+    expect(detect(argument('The new mayor ruined the economy', ['Ever since the new mayor took office unemployment has risen'], 'The mayor caused unemployment')))
+      .toEqual([['post-hoc', ['premise0:0-10']]]);
+    expect(detect(argument('Ignore his advice on smoking', ['He smokes himself, the hypocrite', 'Who is he to lecture us about smoking'], 'His advice on smoking is wrong')))
+      .toEqual([['tu-quoque', ['premise0:23-32', 'premise1:0-20']]]);
+  });
+  
+  test('should compare the parts of an argument for structural fallacies', () => {
+    expect(detect(argument('The policy is fair', ['Rent control keeps rents affordable for tenants'], 'Rent control keeps rents affordable')))
+      .toEqual([['begging-the-question', ['premise0:0-47', 'conclusion:0-35']]]);
+    expect(detect(argument('All electric cars are unreliable', ['My neighbour had an electric car that broke down'], 'Electric cars always break down')))
+      .toEqual([['hasty-generalization', ['premise0:0-12', 'claim:0-3', 'conclusion:14-20']]]);
+    expect(detect(argument('Evolution is doubtful', ['Evolution is only a theory', 'A theory is a guess'], 'Evolution is a guess')))
+      .toEqual([['equivocation', ['premise0:20-26', 'premise1:2-8']]]);
+    expect(detect(argument('Carbon taxes reduce emissions', ['Carbon taxes raise fuel prices', 'My grandmother bakes excellent pies'], 'Carbon taxes reduce emissions')))
+      .toEqual([['red-herring', ['premise1:0-35']]]);
+    
+    expect(detect(argument('Carbon pricing cuts emissions', ['Carbon pricing reduced emissions by 12% (Smith 2020)'], 'Carbon pricing cuts emissions')))
+      .toEqual([]);
+  });
+  
+  test('should not flag ordinary wording as a fallacy', () => {
+    // "once" is not an anecdote
+    expect(detect(argument('All drivers must pay the toll', ['Once the bridge opens, the toll covers its upkeep'], 'Tolls always fund the bridge')))
+      .toEqual([]);
+    // An ambiguous term used among the same words keeps its sense
+    expect(detect(argument('Free speech needs protection', ['Free speech lets citizens criticise power'], 'Free speech must be protected')))
+      .toEqual([]);
+    expect(detect(argument('Fares should be free', ['Free buses cut traffic', 'Buses should be free of charge'], 'Fares should be free')))
+      .toEqual([['equivocation', ['claim:16-20', 'premise0:0-4', 'premise1:16-20', 'conclusion:16-20']]]);
+  });
+  
+  test('should blame overlapping text on one fallacy', () => {
+    const arg = argument('Carbon taxes reduce emissions', ['Carbon taxes raise fuel prices', 'People who believe otherwise are wrong'], 'Carbon taxes reduce emissions');
+    
+    expect(detect(arg)).toEqual([['ad-hominem', ['premise1:0-18']]]);
+    expect(detect({ ...arg, premises: [arg.premises[0], 'My grandmother bakes excellent pies'] }))
+      .toEqual([['red-herring', ['premise1:0-35']]]);
+  });
+  
+  test('should penalize each kind of fallacy found and report it with the evaluation', () => {
+    const tool = new StructuredArgumentationTool();
+    const arg = tool.createArgument(
+      'Banning bags is wrong',
+      ['Banning plastic bags will inevitably lead to banning all plastics', 'Experts say banning bags is pointless'],
+      'Banning bags is wrong',
+      'thesis',
+      0.5
+    );
+    
+    const evaluation = Evaluator.evaluateArgument(arg, tool.graph);
+    
+    expect(Evaluator.detectFallacies(arg)).toEqual(['Possible slippery slope', 'Possible appeal to authority']);
+    expect(evaluation.fallacies.map(detection => detection.fallacy)).toEqual(['slippery-slope', 'appeal-to-authority']);
+    expect(evaluation.findings.find(finding => finding.rule === 'fallacies').contribution).toBeCloseTo(-0.2);
+  });
+  
+  test('should register custom detectors', () => {
+    const detector = {
+      id: 'appeal-to-nature',
+      name: 'Possible appeal to nature',
+      description: 'Takes what is natural to be good',
+      detect: arg => arg.premises.includes('It is natural') ? [{ part: 'premise', index: 0, start: 6, end: 13, text: 'natural' }] : []
+    };
+    
+    FallacyDetector.register(detector);
+    try {
+      expect(() => FallacyDetector.register(detector)).toThrow('Fallacy detector appeal-to-nature is already registered');
+      expect(detect(argument('Herbs heal', ['It is natural'], 'Herbs heal'))).toEqual([['appeal-to-nature', ['premise0:6-13']]]);
+    } finally {
+      FallacyDetector.unregister('appeal-to-nature');
+    }
+    
+    expect(() => FallacyDetector.unregister('appeal-to-nature')).toThrow('Unknown fallacy detector: appeal-to-nature');
+  });
+  
+  test('should highlight fallacy spans in HTML visualizations and reports', () => {
+    const tool = new StructuredArgumentationTool();
+    tool.createArgument('Banning bags is wrong', ['Banning plastic <bags> will inevitably lead to banning all plastics'], 'Banning bags is wrong', 'thesis', 0.5);
+    
+    const highlighted = 'Banning plastic &lt;bags&gt; <mark class="fallacy" title="Possible slippery slope">will inevitably lead to</mark> banning all plastics';
+    expect(GraphVisualizer.generateGraph(tool.graph, { format: 'html' })).toContain(JSON.stringify(highlighted).slice(1, -1));
+    expect(tool.generateReport('html')).toContain(`Possible slippery slope (premise 1): ${highlighted}</li>`);
+    expect(tool.generateReport('markdown')).toContain(
+      '**Possible Fallacies**:\n- Possible slippery slope (premise 1): Banning plastic <bags> **will inevitably lead to** banning all plastics'
+    );
+  });
+  
+  test('should merge overlapping spans when highlighting', () => {
+    const html = GraphVisualizer.highlightSpans('Everyone knows experts say so', [
+      { start: 0, end: 14, label: 'Possible appeal to popularity' },
+      { start: 9, end: 26, label: 'Possible appeal to authority' }
+    ]);
+    
+    expect(html).toBe('<mark class="fallacy" title="Possible appeal to popularity, Possible appeal to authority">Everyone knows experts say</mark> so');
+  });
+});
@@ -0,0 +1,96 @@
+const GradualSemantics = require('../src/analysis/gradualSemantics');
+const ArgumentGraph = require('../src/core/argumentGraph');
+
+const addArgument = (graph, id, confidence, relations = {}) => graph.addArgument({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`Premise ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence,
+  ...relations
+});
+
+describe('GradualSemantics', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+  });
+  
+  afterEach(() => {
+    if (GradualSemantics.getAvailableSemantics().includes('ignore-attacks')) {
+      GradualSemantics.unregisterSemantics('ignore-attacks');
+    }
+  });
+  
+  test('should keep unattacked arguments at their base weight', () => {
+    addArgument(graph, 'a', 0.8);
+    
+    const result = GradualSemantics.computeScores(graph, 'h-categorizer');
+    
+    expect(result.converged).toBe(true);
+    expect(result.scores.a).toBeCloseTo(0.8);
+  });
+  
+  test('should compute h-categorizer and max-based scores', () => {
+    addArgument(graph, 'a', 1);
+    addArgument(graph, 'b', 1, { contradicts: ['a'] });
+    addArgument(graph, 'c', 0.5, { contradicts: ['a'] });
+    
+    const hCategorizer = GradualSemantics.computeScores(graph, 'h-categorizer').scores;
+    const maxBased = GradualSemantics.computeScores(graph, 'weighted-max-based').scores;
+    
+    expect(hCategorizer.a).toBeCloseTo(1 / 2.5);
+    expect(maxBased.a).toBeCloseTo(1 / 2);
+  });
+  
+  test('should converge on attack cycles', () => {
+    addArgument(graph, 'a', 1);
+    addArgument(graph, 'b', 1, { contradicts: ['a'] });
+    graph.addContradictsRelationship('a', 'b');
+    
+    const result = GradualSemantics.computeScores(graph, 'h-categorizer');
+    
+    expect(result.converged).toBe(true);
+    expect(result.scores.a).toBeCloseTo((Math.sqrt(5) - 1) / 2, 4);
+    expect(result.scores.b).toBeCloseTo(result.scores.a, 4);
+  });
+  
+  test('should propagate an attack through support chains with quadratic energy', () => {
+    addArgument(graph, 'conclusion', 0.5);
+    addArgument(graph, 'support', 0.5, { supports: ['conclusion'] });
+    
+    const before = GradualSemantics.computeScores(graph, 'quadratic-energy').scores;
+    addArgument(graph, 'attack', 0.9, { contradicts: ['support'] });
+    const after = GradualSemantics.computeScores(graph, 'quadratic-energy').scores;
+    
+    expect(before.conclusion).toBeGreaterThan(0.5);
+    expect(after.support).toBeLessThan(before.support);
+    expect(after.conclusion).toBeLessThan(before.conclusion);
+  });
+  
+  test('should allow registering custom semantics', () => {
+    GradualSemantics.registerSemantics('ignore-attacks', {
+      update: weight => weight
+    });
+    addArgument(graph, 'a', 0.7);
+    addArgument(graph, 'b', 1, { contradicts: ['a'] });
+    
+    expect(GradualSemantics.getAcceptability(graph, 'a', 'ignore-attacks')).toBeCloseTo(0.7);
+    expect(GradualSemantics.getAvailableSemantics()).toContain('ignore-attacks');
+    
+    GradualSemantics.unregisterSemantics('ignore-attacks');
+    expect(GradualSemantics.getAvailableSemantics()).not.toContain('ignore-attacks');
+    expect(() => GradualSemantics.unregisterSemantics('ignore-attacks')).toThrow('Unknown gradual semantics');
+    
+    const builtIn = GradualSemantics.getAcceptability(graph, 'a', 'h-categorizer');
+    GradualSemantics.registerSemantics('h-categorizer', { update: weight => weight });
+    GradualSemantics.unregisterSemantics('h-categorizer');
+    expect(GradualSemantics.getAcceptability(graph, 'a', 'h-categorizer')).toBeCloseTo(builtIn);
+  });
+  
+  test('should reject unknown semantics', () => {
+    expect(() => GradualSemantics.computeScores(graph, 'unknown')).toThrow('Unknown gradual semantics');
+  });
+});
@@ -0,0 +1,194 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const GraphDiff = require('../src/analysis/graphDiff');
+const GraphSchema = require('../src/io/graphSchema');
+const GraphVisualizer = require('../src/visualization/graphVisualizer');
+const ReportGenerator = require('../src/visualization/reportGenerator');
+
+const argumentData = (id, extra = {}) => ({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`First premise of ${id}`, `Second premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.6,
+  ...extra
+});
+
+const buildBase = () => {
+  const graph = new ArgumentGraph();
+  graph.addArgument(argumentData('a'));
+  graph.addArgument(argumentData('b', { argumentType: 'antithesis', contradicts: ['a'] }));
+  graph.addArgument(argumentData('c', { supports: ['a'] }));
+  return graph;
+};
+
+const branch = graph => GraphSchema.toGraph(JSON.parse(JSON.stringify(graph.toJSON())));
+
+describe('GraphDiff.diff', () => {
+  let base;
+  let target;
+  
+  beforeEach(() => {
+    base = buildBase();
+    target = branch(base);
+  });
+  
+  test('should report no changes for identical graphs', () => {
+    const diff = GraphDiff.diff(base, target);
+    
+    expect(GraphDiff.isEmpty(diff)).toBe(true);
+    expect(diff.confidence).toEqual([]);
+  });
+  
+  test('should list added, removed and changed arguments', () => {
+    target.addArgument(argumentData('d', { argumentType: 'objection', attacks: [{ target: 'a', kind: 'undermining', premiseIndex: 1 }] }));
+    target.getArgument('a').claim = 'Revised claim a';
+    target.getArgument('a').updateConfidence(0.9);
+    
+    const reduced = branch(target);
+    reduced.arguments.delete('c');
+    reduced.adjacencyList.delete('c');
+    
+    const diff = GraphDiff.diff(base, reduced);
+    
+    expect(diff.arguments.added).toEqual(['d']);
+    expect(diff.arguments.removed).toEqual(['c']);
+    expect(diff.arguments.changed).toEqual([{
+      id: 'a',
+      changes: [
+        { field: 'claim', from: 'Claim a', to: 'Revised claim a' },
+        { field: 'confidence', from: 0.6, to: 0.9 }
+      ]
+    }]);
+    expect(diff.confidence).toEqual([{ id: 'a', from: 0.6, to: 0.9, delta: 0.3 }]);
+    expect(diff.relationships.added).toEqual([
+      { from: 'd', to: 'a', type: 'contradict', kind: 'undermining', premiseIndex: 1 }
+    ]);
+    expect(diff.relationships.removed).toEqual([{ from: 'c', to: 'a', type: 'support' }]);
+    expect(GraphDiff.summarize(diff)).toMatchObject({ argumentsAdded: 1, argumentsRemoved: 1, argumentsChanged: 1 });
+  });
+});
+
+describe('GraphDiff.merge', () => {
+  let base;
+  let ours;
+  let theirs;
+  
+  beforeEach(() => {
+    base = buildBase();
+    ours = branch(base);
+    theirs = branch(base);
+  });
+  
+  test('should combine independent changes without conflicts', () => {
+    ours.addArgument(argumentData('d', { argumentType: 'objection', contradicts: ['b'] }));
+    theirs.addArgument(argumentData('e', { supports: ['c'] }));
+    theirs.getArgument('a').updateConfidence(0.8);
+    ours.getArgument('b').claim = 'Sharper antithesis';
+    
+    const { graph, conflicts } = GraphDiff.merge(base, ours, theirs);
+    
+    expect(conflicts).toEqual([]);
+    expect(Array.from(graph.arguments.keys())).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(graph.getArgument('a').confidence).toBe(0.8);
+    expect(graph.getArgument('b').claim).toBe('Sharper antithesis');
+    expect(graph.getAttackerIds('b')).toEqual(['d']);
+    expect(graph.getSupporterIds('c')).toEqual(['e']);
+  });
+  
+  test('should surface conflicting edits for resolution', () => {
+    ours.getArgument('a').claim = 'Our claim';
+    theirs.getArgument('a').claim = 'Their claim';
+    ours.addArgument(argumentData('d', { claim: 'Our d' }));
+    theirs.addArgument(argumentData('d', { claim: 'Their d' }));
+    
+    const { graph, conflicts } = GraphDiff.merge(base, ours, theirs, {
+      resolve: conflict => (conflict.argumentId === 'd' ? 'theirs' : 'ours')
+    });
+    
+    expect(conflicts).toEqual([
+      { type: 'field', argumentId: 'a', field: 'claim', base: 'Claim a', ours: 'Our claim', theirs: 'Their claim', resolution: 'ours' },
+      { type: 'field', argumentId: 'd', field: 'claim', base: undefined, ours: 'Our d', theirs: 'Their d', resolution: 'theirs' }
+    ]);
+    expect(graph.getArgument('a').claim).toBe('Our claim');
+    expect(graph.getArgument('d').claim).toBe('Their d');
+  });
+  
+  test('should apply removals and flag removals of changed arguments', () => {
+    [ours, theirs].forEach(graph => {
+      graph.arguments.delete('c');
+      graph.adjacencyList.delete('c');
+    });
+    ours.arguments.delete('b');
+    ours.adjacencyList.delete('b');
+    theirs.getArgument('b').updateConfidence(0.9);
+    theirs.addArgument(argumentData('e', { argumentType: 'rebuttal', contradicts: ['b'] }));
+    
+    const { graph, conflicts } = GraphDiff.merge(base, ours, theirs);
+    
+    expect(graph.getArgument('c')).toBeUndefined();
+    expect(graph.getArgument('b')).toBeUndefined();
+    expect(conflicts.map(conflict => conflict.type)).toEqual(['delete', 'edge']);
+    expect(conflicts[1].message).toBe('Argument b was removed');
+  });
+  
+  test('should merge the rule settings of the graph', () => {
+    theirs.setRuleSettings({ disabled: ['citations'] });
+    
+    expect(GraphDiff.merge(base, ours, theirs).graph.ruleSettings).toEqual({ disabled: ['citations'] });
+    
+    ours.setRuleSettings({ weights: { supporters: 2 } });
+    const { graph, conflicts } = GraphDiff.merge(base, ours, theirs, { resolve: () => 'theirs' });
+    
+    expect(conflicts).toEqual([
+      { type: 'rules', base: null, ours: { weights: { supporters: 2 } }, theirs: { disabled: ['citations'] }, resolution: 'theirs' }
+    ]);
+    expect(graph.ruleSettings).toEqual({ disabled: ['citations'] });
+  });
+});
+
+describe('Diff rendering', () => {
+  let base;
+  let target;
+  
+  beforeEach(() => {
+    base = buildBase();
+    target = branch(base);
+    target.addArgument(argumentData('d', { argumentType: 'objection', contradicts: ['a'] }));
+    target.getArgument('b').updateConfidence(0.3);
+    target.arguments.delete('c');
+    target.adjacencyList.delete('c');
+  });
+  
+  test('should color added and removed nodes in Mermaid and DOT', () => {
+    const mermaid = GraphVisualizer.generateDiffGraph(base, target);
+    const dot = GraphVisualizer.generateDiffGraph(base, target, { format: 'dot' });
+    
+    expect(mermaid).toContain('  class d added;');
+    expect(mermaid).toContain('  class c removed;');
+    expect(mermaid).toContain('  class b changed;');
+    expect(mermaid).toContain('  classDef removed fill:#ffcdd2,stroke:#c62828,stroke-dasharray:5 5;');
+    expect(dot).toContain('"c" [label="Claim c", fillcolor="#ffcdd2", color="red", style="filled,dashed"];');
+    expect(dot).toContain('"c" -> "a" [color=red, style=dashed, label="supports"];');
+  });
+  
+  test('should mark changes in the ASCII diff', () => {
+    const ascii = GraphVisualizer.generateDiffGraph(base, target, { format: 'ascii' });
+    
+    expect(ascii).toContain('  + [d] Claim d');
+    expect(ascii).toContain('  - [c] Claim c');
+    expect(ascii).toContain('      confidence: 0.6 -> 0.3');
+  });
+  
+  test('should summarize the diff and merge conflicts in a report', () => {
+    const conflicts = [{ type: 'field', argumentId: 'a', field: 'claim', ours: 'x', theirs: 'y', resolution: 'ours' }];
+    const report = ReportGenerator.generateDiffReport(base, target, { conflicts });
+    
+    expect(report).toContain('- **Arguments**: 1 added, 1 removed, 1 changed');
+    expect(report).toContain('- Added: d rebuts a');
+    expect(report).toContain('| b | 0.6 | 0.3 | -0.3 |');
+    expect(report).toContain('- [a] claim: ours "x", theirs "y" (kept ours)');
+    expect(report).toContain('```mermaid');
+    expect(JSON.parse(ReportGenerator.generateDiffReport(base, base, { format: 'json' })).summary.argumentsAdded).toBe(0);
+  });
+});
@@ -0,0 +1,219 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const GraphSchema = require('../src/io/graphSchema');
+const { StructuredArgumentationTool, MemoryStorageAdapter } = require('../src/index');
+
+const buildTool = () => {
+  const tool = new StructuredArgumentationTool();
+  tool.addParticipant({ participantId: 'alice', team: 'A' });
+  tool.addParticipant({ participantId: 'bob', role: 'opponent' });
+  
+  const thesis = tool.createArgument('Tax carbon', ['Emissions have a social cost', 'Prices steer behaviour'], 'A carbon tax is needed', 'thesis', 0.8);
+  const objection = tool.createArgument('Regressive', ['Poor households pay more'], 'The tax is unfair', 'objection', 0.6);
+  const reply = tool.createArgument('Dividends', ['Revenue can be returned'], 'The tax need not be unfair', 'rebuttal', 0.7);
+  
+  tool.addRelationship(objection.id, thesis.id, 'contradict', { kind: 'undermining', premiseIndex: 1 });
+  tool.addRelationship(reply.id, objection.id, 'respond');
+  tool.addRelationship(reply.id, thesis.id, 'support');
+  tool.setStance('bob', thesis.id, 'reject');
+  tool.startRound('Closing');
+  tool.updateConfidence(thesis.id, 0.7);
+  tool.updateConfidence(objection.id, 0.2);
+  tool.undo();
+  
+  return { tool, thesis, objection, reply };
+};
+
+describe('GraphSchema round trip', () => {
+  test('should give identical output for export, import, export', () => {
+    const { tool } = buildTool();
+    const exported = JSON.stringify(tool.export());
+    
+    const imported = new StructuredArgumentationTool();
+    imported.import(JSON.parse(exported));
+    
+    expect(JSON.stringify(imported.export())).toBe(exported);
+    expect(imported.canRedo()).toBe(true);
+  });
+  
+  test('should rebuild an identical graph from its JSON', () => {
+    const { tool } = buildTool();
+    const json = JSON.parse(JSON.stringify(tool.graph.toJSON()));
+    const graph = GraphSchema.toGraph(json);
+    
+    expect(graph.toJSON()).toEqual(json);
+    expect(graph.getAttacksOn(Array.from(graph.arguments.keys())[0])[0]).toMatchObject({ kind: 'undermining', premiseIndex: 1 });
+  });
+  
+  test('should keep respondsTo and timestamps', () => {
+    const { tool, thesis, reply } = buildTool();
+    const document = tool.export();
+    
+    expect(document.schemaVersion).toBe(GraphSchema.CURRENT_VERSION);
+    expect(document.relationships.find(rel => rel.argumentId === reply.id).respondsTo).toBeTruthy();
+    expect(document.arguments[0].createdAt).toBe(thesis.createdAt.toISOString());
+    expect(GraphSchema.validate(document)).toEqual([]);
+  });
+  
+  test('should reload arguments created without a confidence', async () => {
+    const tool = new StructuredArgumentationTool();
+    const arg = tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis');
+    const exported = JSON.parse(JSON.stringify(tool.export()));
+    expect(exported.arguments[0].confidence).toBeNull();
+    
+    const imported = new StructuredArgumentationTool();
+    imported.import(exported);
+    expect(imported.graph.getArgument(arg.id).confidence).toBeUndefined();
+    expect(JSON.stringify(imported.export())).toBe(JSON.stringify(exported));
+    
+    const adapter = new MemoryStorageAdapter();
+    await tool.save(adapter, 'carbon');
+    const reopened = await StructuredArgumentationTool.open(adapter, 'carbon');
+    expect(reopened.graph.getArgument(arg.id).confidence).toBeUndefined();
+  });
+});
+
+describe('GraphSchema validation', () => {
+  let document;
+  
+  beforeEach(() => {
+    document = JSON.parse(JSON.stringify(buildTool().tool.export()));
+  });
+  
+  test('should report problems by path', () => {
+    document.arguments[1].confidence = 1.5;
+    document.arguments[2].premiseIds = ['prop_missing'];
+    document.relationships[1].attacks[0].premiseIndex = 7;
+    document.stances[0].stance = 'maybe';
+    document.history.events[3].type = 'argument-archived';
+    
+    expect(GraphSchema.validate(document)).toEqual([
+      { path: 'arguments[1].confidence', message: 'must be a number between 0 and 1' },
+      { path: 'arguments[2].premiseIds[0]', message: 'must be the ID of an existing proposition' },
+      { path: 'stances[0].stance', message: 'must be one of: endorse, reject, undecided' },
+      { path: 'relationships[1].attacks[0].premiseIndex', message: `must be the index of a premise of ${document.arguments[0].id}` },
+      { path: 'history.events[3].type', message: expect.stringMatching(/^must be one of: /) }
+    ]);
+  });
+  
+  test('should throw every error on import', () => {
+    document.arguments[0].type = 'musing';
+    delete document.propositions;
+    
+    let error;
+    try {
+      new StructuredArgumentationTool().import(document);
+    } catch (e) {
+      error = e;
+    }
+    
+    expect(error).toBeInstanceOf(GraphSchema.SchemaValidationError);
+    expect(error.errors.map(e => e.path)).toEqual(expect.arrayContaining(['propositions', 'arguments[0].type']));
+    expect(error.message).toMatch(/^Invalid graph document:\n {2}propositions: must be an array/);
+  });
+  
+  test('should reject documents from a newer version', () => {
+    document.schemaVersion = GraphSchema.CURRENT_VERSION + 1;
+    
+    expect(() => GraphSchema.parse(document)).toThrow(
+      `schemaVersion: version ${GraphSchema.CURRENT_VERSION + 1} is newer than the supported version ${GraphSchema.CURRENT_VERSION}`
+    );
+  });
+  
+  test('should reject a history that does not rebuild the arguments it is saved with', () => {
+    document.arguments[1].claim = 'Edited outside the tool';
+    document.arguments.push({ ...document.arguments[0], id: 'arg_added' });
+    document.relationships.push({ argumentId: 'arg_added', supports: [], contradicts: [], attacks: [], respondsTo: null });
+    
+    let error;
+    try {
+      new StructuredArgumentationTool().import(document);
+    } catch (e) {
+      error = e;
+    }
+    
+    expect(error).toBeInstanceOf(GraphSchema.SchemaValidationError);
+    expect(error.errors).toEqual([
+      { path: 'arguments', message: 'does not match the graph the history rebuilds' },
+      { path: 'relationships', message: 'does not match the graph the history rebuilds' }
+    ]);
+    
+    document.arguments.pop();
+    document.relationships.pop();
+    expect(() => new StructuredArgumentationTool().restore(document)).toThrow(
+      'arguments[1]: does not match the graph the history rebuilds'
+    );
+    
+    document.arguments[1].claim = 'Regressive';
+    expect(GraphSchema.checkHistory(document)).toEqual([]);
+  });
+});
+
+describe('GraphSchema migrations', () => {
+  test('should migrate the flat version 1 export', () => {
+    const tool = new StructuredArgumentationTool();
+    tool.import({
+      arguments: [
+        { id: 'a1', claim: 'Tax carbon', premises: ['Emissions have a social cost'], conclusion: 'A carbon tax is needed', type: 'thesis', confidence: 0.8, strengths: [], weaknesses: [] },
+        { id: 'a2', claim: 'Regressive', premises: ['Poor households pay more'], conclusion: 'The tax is unfair', type: 'objection' }
+      ],
+      relationships: [
+        { from: 'a2', to: 'a1', type: 'contradict' },
+        { from: 'a2', to: 'a1', type: 'respond' }
+      ]
+    });
+    
+    expect(tool.graph.getAttackRelation()).toEqual([['a2', 'a1']]);
+    expect(tool.graph.getResponderIds('a1')).toEqual(['a2']);
+    expect(tool.getArgument('a2').confidence).toBe(0.5);
+    expect(tool.graph.propositions.size).toBe(4);
+    
+    tool.undo();
+    expect(tool.getAllArguments().size).toBe(0);
+  });
+  
+  test('should migrate graph JSON written before schema versions', () => {
+    const legacy = {
+      arguments: [
+        { id: 'a1', claim: 'C1', premises: ['P1'], conclusion: 'K1', type: 'thesis', confidence: 0.6, supports: [], contradicts: [], createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'a2', claim: 'C2', premises: ['P2'], conclusion: 'K2', type: 'antithesis', confidence: 0.6, supports: [], contradicts: ['a1'] }
+      ],
+      relationships: [
+        { argumentId: 'a1', supports: [], contradicts: [], respondsTo: null },
+        { argumentId: 'a2', supports: [], contradicts: ['a1'], respondsTo: null }
+      ]
+    };
+    
+    const migrated = GraphSchema.migrate(legacy);
+    
+    expect(migrated.schemaVersion).toBe(2);
+    expect(migrated.relationships[1].attacks).toEqual([{ target: 'a1', kind: 'rebutting' }]);
+    expect(migrated.arguments[0].lastModified).toBe('2024-01-01T00:00:00.000Z');
+    expect(GraphSchema.toGraph(legacy)).toBeInstanceOf(ArgumentGraph);
+  });
+  
+  test('should reject unversioned documents whose lists are not arrays', () => {
+    const errorsOf = document => {
+      try {
+        GraphSchema.parse(document);
+      } catch (error) {
+        expect(error).toBeInstanceOf(GraphSchema.SchemaValidationError);
+        return error.errors;
+      }
+      return [];
+    };
+    
+    expect(errorsOf({ bad: 1 })).toEqual([{ path: 'arguments', message: 'must be an array' }]);
+    expect(errorsOf({ arguments: 'x', relationships: {} })).toEqual([
+      { path: 'arguments', message: 'must be an array' },
+      { path: 'relationships', message: 'must be an array' }
+    ]);
+    expect(errorsOf({
+      arguments: [{ id: 'a1', claim: 'C1', premises: 'P1', conclusion: 'K1', type: 'thesis' }],
+      relationships: [{ argumentId: 'a1', supports: 'a2' }]
+    })).toEqual([
+      { path: 'arguments[0].premises', message: 'must be an array' },
+      { path: 'relationships[0].supports', message: 'must be an array' }
+    ]);
+    expect(() => new StructuredArgumentationTool().import({ bad: 1 })).toThrow('arguments: must be an array');
+  });
+});
@@ -0,0 +1,101 @@
+const ArgumentGraph = require('../src/core/argumentGraph');
+const AbstractSemantics = require('../src/analysis/abstractSemantics');
+const IccmaConverter = require('../src/io/iccmaConverter');
+
+const addArgument = (graph, id, contradicts = []) => graph.addArgument({
+  argumentId: id,
+  claim: `Claim ${id}`,
+  premises: [`Premise of ${id}`],
+  conclusion: `Conclusion ${id}`,
+  argumentType: 'thesis',
+  confidence: 0.7,
+  contradicts
+});
+
+describe('IccmaConverter export', () => {
+  let graph;
+  
+  beforeEach(() => {
+    graph = new ArgumentGraph();
+    addArgument(graph, 'a');
+    addArgument(graph, 'b', ['a']);
+    addArgument(graph, 'c', ['b']);
+  });
+  
+  test('should write apx facts', () => {
+    expect(IccmaConverter.toICCMA(graph, 'apx')).toBe('arg(a).\narg(b).\narg(c).\natt(b,a).\natt(c,b).\n');
+  });
+  
+  test('should write trivial graph format', () => {
+    expect(IccmaConverter.toICCMA(graph, 'tgf')).toBe('a\nb\nc\n#\nb a\nc b\n');
+  });
+  
+  test('should write i23 with numbered arguments', () => {
+    expect(IccmaConverter.toICCMA(graph, 'i23')).toBe('p af 3\n# 1 a\n# 2 b\n# 3 c\n2 1\n3 2\n');
+  });
+  
+  test('should reject IDs the format cannot express', () => {
+    addArgument(graph, 'arg.1');
+    
+    expect(() => IccmaConverter.toICCMA(graph, 'apx')).toThrow('Argument ID "arg.1" cannot be written in apx format');
+    expect(() => IccmaConverter.toICCMA(graph, 'xml')).toThrow('Unsupported ICCMA format');
+  });
+});
+
+describe('IccmaConverter import', () => {
+  test('should create placeholder arguments and attacks', () => {
+    const graph = IccmaConverter.fromICCMA('arg(a).\narg(b).\natt(a,b).\n');
+    const placeholder = graph.getArgument('a');
+    
+    expect(Array.from(graph.arguments.keys())).toEqual(['a', 'b']);
+    expect(placeholder.premises).toEqual([]);
+    expect(placeholder.claim).toBe('Argument a');
+    expect(graph.getAttackRelation()).toEqual([['a', 'b']]);
+  });
+  
+  test('should detect the format', () => {
+    expect(IccmaConverter.detectFormat('p af 2\n1 2\n')).toBe('i23');
+    expect(IccmaConverter.detectFormat('arg(a).\n')).toBe('apx');
+    expect(IccmaConverter.detectFormat('a\nb\n#\na b\n')).toBe('tgf');
+  });
+  
+  test('should number i23 arguments and skip comments', () => {
+    const graph = IccmaConverter.fromICCMA('p af 3\n# a comment\n1 2\n2 3\n', 'i23');
+    
+    expect(Array.from(graph.arguments.keys())).toEqual(['1', '2', '3']);
+    expect(AbstractSemantics.getLabels(graph, 'grounded')).toEqual({ 1: 'IN', 2: 'OUT', 3: 'IN' });
+  });
+  
+  test('should round-trip every format', () => {
+    const graph = new ArgumentGraph();
+    addArgument(graph, 'a', []);
+    addArgument(graph, 'b', ['a']);
+    graph.addContradictsRelationship('a', 'b');
+    
+    IccmaConverter.FORMATS.forEach(format => {
+      const text = IccmaConverter.toICCMA(graph, format);
+      const imported = IccmaConverter.fromICCMA(text, format);
+      
+      expect(IccmaConverter.toICCMA(imported, format)).toBe(text);
+      expect(imported.getAttackRelation()).toEqual(graph.getAttackRelation());
+    });
+  });
+  
+  test('should keep i23 argument IDs that contain whitespace', () => {
+    const graph = new ArgumentGraph();
+    addArgument(graph, 'car free', []);
+    addArgument(graph, ' "quoted" ', ['car free']);
+    
+    const text = IccmaConverter.toICCMA(graph, 'i23');
+    expect(text).toBe('p af 2\n# 1 "car free"\n# 2 " \\"quoted\\" "\n2 1\n');
+    expect(Array.from(IccmaConverter.fromICCMA(text, 'i23').arguments.keys())).toEqual(['car free', ' "quoted" ']);
+    expect(Array.from(IccmaConverter.fromICCMA('p af 1\n# 1 car free\n', 'i23').arguments.keys())).toEqual(['car free']);
+  });
+  
+  test('should report malformed input by line', () => {
+    expect(() => IccmaConverter.fromICCMA('arg(a).\nattack(a,b)\n', 'apx')).toThrow('Line 2: expected arg(a). or att(a,b).');
+    expect(() => IccmaConverter.fromICCMA('arg(a).\natt(a,b).\n', 'apx')).toThrow('Attack uses undeclared argument b');
+    expect(() => IccmaConverter.fromICCMA('p af 2\n1 3\n', 'i23')).toThrow('Line 2: arguments must be numbered 1 to 2');
+    expect(() => IccmaConverter.fromICCMA('1 2\n', 'i23')).toThrow('Line 1: expected p af <n> header');
+  });
+});
@@ -0,0 +1,220 @@
+const { StructuredArgumentationTool, ReportGenerator, Evaluator } = require('../src/index');
+
+describe('ReportGenerator metrics', () => {
+  let tool;
+  let graph;
+  let thesis;
+  let antithesis;
+  let objection;
+  let synthesis;
+  let rebuttal;
+  
+  beforeEach(() => {
+    tool = new StructuredArgumentationTool();
+    graph = tool.graph;
+    
+    thesis = tool.createArgument('Cities should add bike lanes',
+      ['Bike lanes reduce traffic deaths', 'Cycling improves health'],
+      'Cities should build more bike lanes', 'thesis', 0.8);
+    antithesis = tool.createArgument('Bike lanes hurt local shops',
+      ['Shops depend on parking'], 'Bike lanes should not replace parking', 'antithesis', 0.5);
+    objection = tool.createArgument('Shops gain cycling customers',
+      ['Cyclists shop locally more often'], 'Shops need not lose trade', 'objection', 0.3);
+    synthesis = tool.createArgument('Add bike lanes on side streets',
+      ['Side streets have little parking'], 'Bike lanes can spare parking', 'synthesis', 0.9);
+    rebuttal = tool.createArgument('Parking studies are outdated',
+      ['The parking survey is ten years old'], 'Parking data needs renewing', 'rebuttal', 0.6);
+    
+    tool.addRelationship(antithesis.id, thesis.id, 'contradict');
+    tool.addRelationship(objection.id, antithesis.id, 'respond');
+    tool.addRelationship(synthesis.id, thesis.id, 'support');
+    tool.addRelationship(synthesis.id, antithesis.id, 'support');
+  });
+  
+  const sorted = ids => [...ids].sort();
+  
+  test('should describe the size of the debate', () => {
+    expect(ReportGenerator.countRelationships(graph)).toBe(4);
+    expect(ReportGenerator.assessComplexity(graph)).toBe('medium');
+    expect(ReportGenerator.assessComplexity(new StructuredArgumentationTool().graph)).toBe('low');
+    
+    expect(ReportGenerator.generateOverview(graph)).toMatch(/^The debate contains 5 arguments \(1 thesis, 1 antithesis, 1 objection, 1 synthesis, 1 rebuttal\) connected by 4 relationships\./);
+    expect(ReportGenerator.generateOverview(new StructuredArgumentationTool().graph)).toBe('The debate contains no arguments yet.');
+    expect(ReportGenerator.generateExecutiveConclusion(graph)).toBe(
+      '1 synthesis argument(s) integrate the opposing positions: Add bike lanes on side streets'
+    );
+  });
+  
+  test('should list the relationships of an argument in both directions', () => {
+    expect(ReportGenerator.getArgumentRelationships(graph.getArgument(antithesis.id), graph)).toEqual({
+      supports: [],
+      contradicts: [thesis.id],
+      respondsTo: null,
+      supportedBy: [synthesis.id],
+      attackedBy: [],
+      respondedToBy: [objection.id]
+    });
+    expect(ReportGenerator.getTargetIds(synthesis.id, graph)).toEqual([thesis.id, antithesis.id]);
+  });
+  
+  test('should trace the longest chain of relationships from an argument', () => {
+    const trace = arg => ReportGenerator.traceCriticalPath(graph.getArgument(arg.id), graph);
+    
+    expect(trace(thesis)).toEqual([thesis.id]);
+    expect(trace(objection)).toEqual([objection.id, antithesis.id, thesis.id]);
+    expect(trace(synthesis)).toEqual([synthesis.id, antithesis.id, thesis.id]);
+    expect(ReportGenerator.calculateArgumentDepth(graph.getArgument(objection.id), graph)).toBe(2);
+    
+    expect(ReportGenerator.findCriticalPaths(graph)).toEqual([
+      [objection.id, antithesis.id, thesis.id],
+      [synthesis.id, antithesis.id, thesis.id]
+    ]);
+  });
+  
+  test('should pass through a loop once and leave it where the chain continues furthest', () => {
+    tool.addRelationship(thesis.id, synthesis.id, 'support');
+    tool.addRelationship(thesis.id, rebuttal.id, 'support');
+    
+    expect(ReportGenerator.traceCriticalPath(graph.getArgument(synthesis.id), graph))
+      .toEqual([synthesis.id, thesis.id, rebuttal.id]);
+    expect(ReportGenerator.traceCriticalPath(graph.getArgument(objection.id), graph))
+      .toEqual([objection.id, antithesis.id, thesis.id, synthesis.id]);
+  });
+  
+  test('should trace every argument of a dense graph quickly', () => {
+    const dense = new StructuredArgumentationTool();
+    const ids = Array.from({ length: 24 }, (_, i) =>
+      dense.createArgument(`Step ${i}`, [`Reason ${i}`], `Result ${i}`, 'thesis', 0.5).id
+    );
+    ids.forEach((fromId, i) => ids.slice(i + 1).forEach(toId => dense.addRelationship(fromId, toId, 'support')));
+    
+    const started = Date.now();
+    expect(ReportGenerator.findCriticalPaths(dense.graph)).toEqual([ids]);
+    expect(ReportGenerator.analyzeHierarchy(dense.graph).depth).toBe(23);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+  
+  test('should group arguments into hierarchy levels and clusters', () => {
+    expect(ReportGenerator.analyzeHierarchy(graph)).toEqual({
+      levels: { 0: [thesis.id, rebuttal.id], 1: [antithesis.id], 2: [objection.id, synthesis.id] },
+      depth: 2
+    });
+    
+    const clusters = ReportGenerator.identifyClusters(graph);
+    expect(clusters.map(sorted)).toEqual([
+      sorted([thesis.id, antithesis.id, objection.id, synthesis.id]),
+      [rebuttal.id]
+    ]);
+  });
+  
+  test('should measure impact, density and centrality', () => {
+    expect(ReportGenerator.assessArgumentImpact(graph.getArgument(thesis.id), graph)).toEqual({ references: 2, score: 0.5 });
+    expect(ReportGenerator.assessArgumentImpact(graph.getArgument(rebuttal.id), graph)).toEqual({ references: 0, score: 0 });
+    
+    expect(ReportGenerator.calculateDensity(graph)).toBeCloseTo(0.2);
+    expect(ReportGenerator.calculateCentrality(graph)).toEqual({
+      [thesis.id]: 0.5,
+      [antithesis.id]: 0.75,
+      [objection.id]: 0.25,
+      [synthesis.id]: 0.5,
+      [rebuttal.id]: 0
+    });
+  });
+  
+  test('should assess completeness from argument types and answered contradictions', () => {
+    expect(ReportGenerator.identifyMissingArgumentTypes(graph)).toEqual([]);
+    expect(ReportGenerator.findUnaddressedArguments(graph)).toEqual([]);
+    expect(ReportGenerator.assessCompleteness(graph)).toBe(1);
+    
+    const partial = new StructuredArgumentationTool();
+    const taxes = partial.createArgument('Taxes work', ['Prices change behaviour'], 'Carbon taxes cut emissions', 'thesis', 0.7);
+    const costs = partial.createArgument('Taxes hurt the poor', ['Fuel is a large share of low budgets'], 'Carbon taxes are regressive', 'antithesis', 0.6);
+    partial.addRelationship(costs.id, taxes.id, 'contradict');
+    
+    expect(ReportGenerator.identifyMissingArgumentTypes(partial.graph)).toEqual(['synthesis', 'objection', 'rebuttal']);
+    expect(ReportGenerator.findUnaddressedArguments(partial.graph).map(arg => arg.id)).toEqual([costs.id]);
+    expect(ReportGenerator.assessCompleteness(partial.graph)).toBeCloseTo(0.45);
+    expect(ReportGenerator.assessCompleteness(new StructuredArgumentationTool().graph)).toBe(0);
+  });
+  
+  test('should count arguments and relationships by type', () => {
+    expect(ReportGenerator.generateArgumentDistribution(graph)).toEqual({
+      thesis: 1, antithesis: 1, objection: 1, synthesis: 1, rebuttal: 1
+    });
+    expect(ReportGenerator.generateRelationshipMatrix(graph)).toEqual({
+      antithesis: { thesis: 1 },
+      objection: { antithesis: 1 },
+      synthesis: { thesis: 1, antithesis: 1 }
+    });
+  });
+  
+  test('should bucket confidence and scores', () => {
+    expect(ReportGenerator.bucket([0.9, 0.7, 0.69, 0.4, 0.39, 0])).toEqual({ high: 2, medium: 2, low: 2 });
+    expect(ReportGenerator.generateConfidenceDistribution(graph)).toEqual({ high: 2, medium: 2, low: 1 });
+    
+    const quality = ReportGenerator.generateQualityDistribution(graph);
+    expect(quality.high + quality.medium + quality.low).toBe(5);
+  });
+  
+  test('should average argument scores into quality metrics', () => {
+    const args = ReportGenerator.getArguments(graph);
+    const average = values => values.reduce((acc, value) => acc + value, 0) / values.length;
+    
+    expect(ReportGenerator.calculateDialogueScore(graph))
+      .toBeCloseTo(average(args.map(arg => Evaluator.evaluateArgument(arg, graph).score)));
+    expect(ReportGenerator.assessEvidentialSupport(graph))
+      .toBeCloseTo(average(args.map(arg => Evaluator.evaluateEvidence(arg))));
+    
+    const synthesisQuality = ReportGenerator.assessSynthesisQuality(graph);
+    expect(synthesisQuality).toBeGreaterThan(0);
+    expect(synthesisQuality).toBeLessThanOrEqual(1);
+    
+    const empty = new StructuredArgumentationTool().graph;
+    expect(ReportGenerator.calculateDialogueScore(empty)).toBe(0);
+    expect(ReportGenerator.assessEvidentialSupport(empty)).toBe(0);
+    expect(ReportGenerator.assessSynthesisQuality(empty)).toBe(0);
+  });
+  
+  test('should rank the strengths and weaknesses shared by most arguments', () => {
+    const strengths = ReportGenerator.identifyOverallStrengths(graph);
+    const weaknesses = ReportGenerator.identifyOverallWeaknesses(graph);
+    
+    [strengths, weaknesses].forEach(findings => {
+      expect(findings.length).toBeLessThanOrEqual(5);
+      findings.forEach(finding => expect(finding).toMatch(/ \([1-5] arguments?\)$/));
+    });
+    
+    const counts = weaknesses.map(finding => Number(finding.match(/\((\d+) argument/)[1]));
+    expect(counts).toEqual([...counts].sort((a, b) => b - a));
+  });
+  
+  test('should format the report as HTML and plain text', () => {
+    const html = ReportGenerator.generateReport(graph, { format: 'html' });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<td>Cities should add bike lanes</td>');
+    
+    const text = ReportGenerator.generateReport(graph, { format: 'text' });
+    expect(text).toContain('STRUCTURED ARGUMENTATION ANALYSIS REPORT');
+    expect(text).toContain(`[${rebuttal.id}] Parking studies are outdated (rebuttal)`);
+    expect(ReportGenerator.escapeHtml('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  });
+  
+  test('should only compute extensions beyond grounded semantics on request', () => {
+    const pairs = new StructuredArgumentationTool();
+    for (let i = 0; i < 9; i++) {
+      const first = pairs.createArgument(`Option ${i} is best`, [`Option ${i} is cheap`], `Choose option ${i}`, 'thesis', 0.6);
+      const second = pairs.createArgument(`Option ${i} is risky`, [`Option ${i} failed before`], `Avoid option ${i}`, 'antithesis', 0.6);
+      pairs.addRelationship(first.id, second.id, 'contradict');
+      pairs.addRelationship(second.id, first.id, 'contradict');
+    }
+    
+    const report = JSON.parse(ReportGenerator.generateReport(pairs.graph, { format: 'json', includeDiagrams: false }));
+    expect(report.structure.justification.undecided).toHaveLength(18);
+    expect(report.structure.justification.extensions).toBeUndefined();
+    
+    const withExtensions = JSON.parse(ReportGenerator.generateReport(pairs.graph, {
+      format: 'json', includeDiagrams: false, extensions: ['preferred']
+    }));
+    expect(withExtensions.structure.justification.extensions.preferred).toHaveLength(512);
+  });
+});
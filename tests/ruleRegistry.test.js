@@ -0,0 +1,141 @@
+const { StructuredArgumentationTool, Evaluator, RuleRegistry } = require('../src/index');
+
+const officialStatistics = {
+  name: 'official-statistics',
+  category: 'evidence',
+  description: 'Premises citing a national statistics office',
+  evaluate(argument) {
+    const count = argument.premises.filter(premise => /\bstatistics office\b/i.test(premise)).length;
+    return { score: count * 0.5, finding: count > 0 ? `${count} premise(s) cite official statistics` : null };
+  }
+};
+
+describe('RuleRegistry', () => {
+  let tool;
+  let argument;
+  
+  beforeEach(() => {
+    tool = new StructuredArgumentationTool();
+    argument = tool.createArgument(
+      'Carbon pricing cuts emissions',
+      ['The statistics office reports 12% lower emissions', 'Emissions may fall further as prices rise'],
+      'Carbon pricing cuts emissions',
+      'thesis',
+      0.7
+    );
+  });
+  
+  test('should score with the built-in rules and report their findings', () => {
+    const evaluation = Evaluator.evaluateArgument(argument, tool.graph);
+    
+    expect(Evaluator.rules.listRules().map(rule => rule.name)).toEqual([
+      'conclusion-overlap', 'fallacies', 'coherence', 'premise-count',
+      'empirical-data', 'citations', 'qualifiers',
+      'supporters', 'contradictors', 'supporter-confidence'
+    ]);
+    expect(evaluation.logicalScore).toBeCloseTo(0.6);
+    expect(evaluation.evidenceScore).toBeCloseTo(0.3);
+    expect(evaluation.score).toBeCloseTo(0.6 * 0.4 + 0.3 * 0.3);
+    expect(evaluation.findings).toContainEqual({
+      rule: 'empirical-data',
+      category: 'evidence',
+      contribution: 0.2,
+      finding: '1 premise(s) report data or statistics',
+      spans: [{ part: 'premise', index: 0, start: 30, end: 33, text: '12%' }],
+      arguments: []
+    });
+  });
+  
+  test('should register, disable and reweight rules', () => {
+    const rules = RuleRegistry.createDefault().register(officialStatistics);
+    
+    expect(Evaluator.evaluateArgument(argument, tool.graph, { rules }).evidenceScore).toBeCloseTo(0.8);
+    
+    rules.disable('official-statistics').setWeight('qualifiers', 3).setCategoryWeight('evidence', 0.6);
+    const evaluation = Evaluator.evaluateArgument(argument, tool.graph, { rules });
+    
+    expect(evaluation.evidenceScore).toBeCloseTo(0.5);
+    expect(evaluation.findings.map(finding => finding.rule)).not.toContain('official-statistics');
+    expect(evaluation.score).toBeCloseTo(0.6 * 0.4 + 0.5 * 0.6);
+    
+    // The default registry is untouched
+    expect(Evaluator.rules.hasRule('official-statistics')).toBe(false);
+  });
+  
+  test('should count relationships added and removed after the arguments were created', () => {
+    const supporter = tool.createArgument('Prices steer demand', ['Fuel use falls as prices rise'], 'Carbon pricing cuts emissions', 'thesis', 0.9);
+    const critic = tool.createArgument('Leakage', ['Industry moves abroad'], 'Carbon pricing moves emissions', 'antithesis', 0.5);
+    const findings = () => Evaluator.evaluateArgument(argument, tool.graph).findings.map(finding => finding.rule);
+    
+    tool.addRelationship(supporter.id, argument.id, 'support');
+    tool.addRelationship(critic.id, argument.id, 'contradict');
+    
+    const evaluation = Evaluator.evaluateArgument(argument, tool.graph);
+    expect(evaluation.supportScore).toBeGreaterThan(0);
+    expect(evaluation.weaknesses).not.toContain('Lack of supporting arguments');
+    expect(findings()).toEqual(expect.arrayContaining(['supporters', 'contradictors', 'supporter-confidence']));
+    
+    tool.undo();
+    tool.undo();
+    expect(findings()).not.toContain('supporters');
+    expect(findings()).not.toContain('contradictors');
+  });
+  
+  test('should validate rules and settings', () => {
+    const rules = RuleRegistry.createDefault();
+    
+    expect(() => rules.register({ name: 'x', category: 'style', evaluate: () => ({}) }))
+      .toThrow('Invalid rule category. Must be one of: logical, evidence, support');
+    expect(() => rules.register({ name: 'citations', category: 'evidence', evaluate: () => ({}) }))
+      .toThrow('Rule citations is already registered');
+    expect(() => rules.configure({ disabled: ['missing'] })).toThrow('Unknown evaluation rule: missing');
+    expect(() => rules.setWeight('citations', -1)).toThrow('Weight of rule citations must be a non-negative number');
+  });
+  
+  test('should configure rules per graph', () => {
+    Evaluator.rules.register(officialStatistics, { enabled: false });
+    
+    try {
+      const other = new StructuredArgumentationTool();
+      other.import(tool.export());
+      
+      tool.configureRules({ enabled: ['official-statistics'], disabled: ['fallacies'], weights: { citations: 2 } });
+      
+      expect(tool.getHistory().slice(-2).map(event => event.type)).toEqual(['rules-configured', 'argument-evaluated']);
+      expect(Evaluator.evaluateArgument(argument, tool.graph).evidenceScore).toBeCloseTo(0.8);
+      expect(Evaluator.evaluateArgument(argument, other.graph).evidenceScore).toBeCloseTo(0.3);
+      
+      // Settings travel with the graph, and undo restores the defaults
+      const copy = new StructuredArgumentationTool();
+      copy.import(JSON.parse(JSON.stringify(tool.export())));
+      expect(copy.graph.ruleSettings).toEqual(tool.graph.ruleSettings);
+      
+      tool.undo();
+      expect(tool.graph.ruleSettings).toBeNull();
+      expect(() => tool.configureRules({ weights: { citations: 'high' } }))
+        .toThrow('Weight of rule citations must be a non-negative number');
+    } finally {
+      Evaluator.rules.unregister('official-statistics');
+    }
+  });
+  
+  test('should ignore settings for rules that are not registered', () => {
+    const document = tool.export();
+    const settings = { enabled: ['official-statistics'], weights: { 'official-statistics': 2, qualifiers: 0 } };
+    
+    const imported = new StructuredArgumentationTool();
+    imported.import({ ...document, history: undefined, ruleSettings: settings });
+    const [copy] = Array.from(imported.getAllArguments().values());
+    
+    expect(Evaluator.evaluateArgument(copy, imported.graph).evidenceScore).toBeCloseTo(0.2);
+    expect(() => imported.generateReport('json')).not.toThrow();
+    expect(() => imported.configureRules(settings)).toThrow('Unknown evaluation rule: official-statistics');
+    
+    Evaluator.rules.register(officialStatistics, { enabled: false });
+    try {
+      expect(Evaluator.evaluateArgument(copy, imported.graph).evidenceScore).toBeCloseTo(1);
+    } finally {
+      Evaluator.rules.unregister('official-statistics');
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const { StructuredArgumentationTool, Evaluator, ReportGenerator } = require('../src/index');
+
+describe('Score explanations', () => {
+  let tool;
+  let thesis;
+  let objection;
+  
+  beforeEach(() => {
+    tool = new StructuredArgumentationTool();
+    thesis = tool.createArgument(
+      'Carbon pricing cuts emissions',
+      ['Carbon pricing reduced emissions by 12% (Smith 2020)', 'Emissions may fall further'],
+      'Carbon pricing cuts emissions',
+      'thesis',
+      0.7
+    );
+    objection = tool.createArgument(
+      'Either we tax carbon or we fail',
+      ['People who believe otherwise are wrong'],
+      'Tax',
+      'objection',
+      0.5
+    );
+  });
+  
+  test('should explain a score by the rules that fired and the text they matched', () => {
+    const evaluation = Evaluator.evaluateArgument(thesis, tool.graph);
+    const { explanation } = evaluation;
+    
+    expect(explanation.score).toBe(evaluation.score);
+    expect(explanation.children.map(node => node.category)).toEqual(['logical', 'evidence', 'support']);
+    expect(explanation.children.reduce((acc, node) => acc + node.contribution, 0)).toBeCloseTo(evaluation.score);
+    
+    const evidence = explanation.children[1];
+    expect(evidence).toMatchObject({ label: 'Evidence', score: evaluation.evidenceScore, weight: 0.3 });
+    expect(evidence.children.map(node => node.rule)).toEqual(['empirical-data', 'citations', 'qualifiers']);
+    expect(evidence.children[1]).toMatchObject({
+      label: '1 premise(s) cite a source',
+      contribution: 0.15,
+      spans: [{ part: 'premise', index: 0, start: 40, end: 52, text: '(Smith 2020)' }]
+    });
+    
+    // Spans are offsets into the part they were found in
+    evidence.children.flatMap(node => node.spans).forEach(span => {
+      expect(thesis.premises[span.index].slice(span.start, span.end)).toBe(span.text);
+    });
+  });
+  
+  test('should show penalties and clamping', () => {
+    const logical = Evaluator.evaluateArgument(objection, tool.graph).explanation.children[0];
+    
+    expect(logical).toMatchObject({ score: 0, rawScore: expect.closeTo(-0.2) });
+    expect(logical.children.find(node => node.rule === 'fallacies')).toMatchObject({
+      contribution: expect.closeTo(-0.2),
+      spans: [
+        { part: 'premise', index: 0, start: 0, end: 18, text: 'People who believe', fallacy: 'ad-hominem' },
+        { part: 'claim', index: null, start: 0, end: 23, text: 'Either we tax carbon or', fallacy: 'false-dichotomy' }
+      ]
+    });
+  });
+  
+  test('should list the arguments behind support scores', () => {
+    tool.addRelationship(objection.id, thesis.id, 'support');
+    
+    const support = Evaluator.evaluateArgument(thesis, tool.graph).explanation.children[2];
+    
+    expect(support.children.map(node => [node.rule, node.arguments])).toEqual([
+      ['supporters', [objection.id]],
+      ['supporter-confidence', [objection.id]]
+    ]);
+  });
+  
+  test('should render explanations in Markdown and HTML reports', () => {
+    const markdown = ReportGenerator.formatExplanationAsMarkdown(Evaluator.evaluateArgument(objection, tool.graph).explanation);
+    
+    expect(markdown).toEqual(expect.arrayContaining([
+      '  - Logical structure: 0.00 (clamped from -0.20) × weight 0.4 = +0.00',
+      '    - fallacies (-0.20): Possible ad hominem, Possible false dichotomy',
+      '      - Matched "People who believe" (premise 1, chars 0-18); "Either we tax carbon or" (claim, chars 0-23)'
+    ]));
+    expect(tool.generateReport('markdown')).toContain('**Score Explanation**:\n- Overall score:');
+    
+    const html = tool.generateReport('html');
+    expect(html).toContain('<h3>Score Explanations</h3>');
+    expect(html).toContain('<li class="positive">citations (+0.15): 1 premise(s) cite a source');
+    expect(html).toContain('<mark>(Smith 2020)</mark> (premise 1, chars 40-52)');
+  });
+});
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  StructuredArgumentationTool,
+  MemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  JsonlStorageAdapter,
+  VersionConflictError
+} = require('../src/index');
+
+const createTool = () => {
+  const tool = new StructuredArgumentationTool();
+  tool.createArgument('Tax carbon', ['Emissions have a social cost'], 'A carbon tax is needed', 'thesis', 0.8);
+  return tool;
+};
+
+const adapters = {
+  memory: () => new MemoryStorageAdapter(),
+  'JSON file': directory => new JsonFileStorageAdapter(directory),
+  JSONL: directory => new JsonlStorageAdapter(directory)
+};
+
+Object.entries(adapters).forEach(([name, createAdapter]) => {
+  describe(`${name} storage`, () => {
+    let directory;
+    let adapter;
+    
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sat-storage-'));
+      adapter = createAdapter(directory);
+    });
+    
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+    
+    test('should save, reopen and incrementally update a graph', async () => {
+      const tool = createTool();
+      expect(await tool.save(adapter, 'carbon')).toBe(1);
+      
+      const reopened = await StructuredArgumentationTool.open(adapter, 'carbon');
+      const [thesis] = Array.from(reopened.getAllArguments().values());
+      const objection = reopened.createArgument('Regressive', ['Poor households pay more'], 'The tax is unfair', 'objection', 0.6);
+      reopened.addRelationship(objection.id, thesis.id, 'contradict');
+      
+      expect(await reopened.save()).toBe(2);
+      
+      const latest = await StructuredArgumentationTool.open(adapter, 'carbon');
+      expect(latest.export()).toEqual(reopened.export());
+      expect(latest.storage.version).toBe(2);
+      
+      latest.undo();
+      expect(latest.graph.getAttackRelation()).toEqual([]);
+    });
+    
+    test('should reject a save based on a stale version', async () => {
+      await createTool().save(adapter, 'carbon');
+      const first = await StructuredArgumentationTool.open(adapter, 'carbon');
+      const second = await StructuredArgumentationTool.open(adapter, 'carbon');
+      
+      first.startRound('Opening');
+      await first.save();
+      second.startRound('Rebuttals');
+      
+      await expect(second.save()).rejects.toThrow(VersionConflictError);
+      await expect(createTool().save(adapter, 'carbon')).rejects.toThrow(
+        'Version conflict for graph carbon: expected version 0 but found 2'
+      );
+    });
+    
+    test('should list and delete graphs', async () => {
+      await adapter.save('b', { arguments: [] });
+      await adapter.save('a', { arguments: [] });
+      
+      expect((await adapter.list()).sort()).toEqual(['a', 'b']);
+      expect(await adapter.delete('a')).toBe(true);
+      expect(await adapter.delete('a')).toBe(false);
+      expect(await adapter.load('a')).toBeNull();
+      await expect(StructuredArgumentationTool.open(adapter, 'a')).rejects.toThrow('Graph a does not exist');
+    });
+  });
+});
+
+describe('Storage adapters', () => {
+  let directory;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sat-storage-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  test('should serialize concurrent saves to the same graph', async () => {
+    const adapter = new JsonFileStorageAdapter(directory);
+    const saves = [1, 2, 3].map(n => adapter.save('carbon', { n }, { expectedVersion: 0 }));
+    const results = await Promise.allSettled(saves);
+    
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'rejected']);
+    expect((await adapter.load('carbon')).data).toEqual({ n: 1 });
+  });
+  
+  test('should lock a graph against other adapters sharing the directory', async () => {
+    const saves = [1, 2, 3].map(n => new JsonFileStorageAdapter(directory).save('carbon', { n }, { expectedVersion: 0 }));
+    const results = await Promise.allSettled(saves);
+    
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(fs.readdirSync(directory)).toEqual(['carbon.json']);
+  });
+  
+  test('should wait for a held lock and remove a stale one', async () => {
+    const lockPath = path.join(directory, 'carbon.json.lock');
+    fs.writeFileSync(lockPath, '1');
+    
+    const impatient = new JsonFileStorageAdapter(directory, { lockTimeout: 50 });
+    await expect(impatient.save('carbon', { n: 1 })).rejects.toThrow('Graph carbon is locked by another process');
+    
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+    expect(await impatient.save('carbon', { n: 1 })).toBe(1);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+  
+  test('should keep every version in a JSONL file and skip an interrupted line', async () => {
+    const adapter = new JsonlStorageAdapter(directory);
+    await adapter.save('carbon', { step: 1 });
+    await adapter.save('carbon', { step: 2 });
+    fs.appendFileSync(path.join(directory, 'carbon.jsonl'), '{"version":3,"da');
+    
+    expect((await adapter.load('carbon')).data).toEqual({ step: 2 });
+    expect((await adapter.getVersions('carbon')).map(v => v.version)).toEqual([1, 2]);
+    expect((await adapter.loadVersion('carbon', 1)).data).toEqual({ step: 1 });
+    
+    await adapter.save('carbon', { step: 3 }, { expectedVersion: 2 });
+    expect((await adapter.load('carbon')).data).toEqual({ step: 3 });
+    expect(fs.readFileSync(path.join(directory, 'carbon.jsonl'), 'utf8').split('\n')).toHaveLength(4);
+  });
+  
+  test('should append only the new events of a graph to a JSONL file', async () => {
+    const adapter = new JsonlStorageAdapter(directory);
+    const tool = createTool();
+    await tool.save(adapter, 'carbon');
+    
+    const [thesis] = Array.from(tool.getAllArguments().values());
+    const objection = tool.createArgument('Regressive', ['Poor households pay more'], 'The tax is unfair', 'objection', 0.6);
+    await tool.save();
+    tool.addRelationship(objection.id, thesis.id, 'contradict');
+    tool.undo();
+    tool.addRelationship(objection.id, thesis.id, 'respond');
+    await tool.save();
+    
+    const lines = fs.readFileSync(path.join(directory, 'carbon.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => Boolean(line.data))).toEqual([true, false, false]);
+    expect(lines[1].history.from).toBe(lines[0].data.history.events.length);
+    expect(lines[2].history.events.map(event => event.payload.type)).toEqual(['respond']);
+    
+    expect((await adapter.load('carbon')).data).toEqual(tool.export());
+    const reopened = await StructuredArgumentationTool.open(adapter, 'carbon');
+    expect(reopened.export()).toEqual(tool.export());
+    
+    const second = await adapter.loadVersion('carbon', 2);
+    expect(second.data.arguments).toHaveLength(2);
+    expect(second.data.relationships.flatMap(rel => rel.contradicts)).toEqual([]);
+  });
+  
+  test('should write a JSONL snapshot every snapshotInterval versions', async () => {
+    const adapter = new JsonlStorageAdapter(directory, { snapshotInterval: 3 });
+    const tool = createTool();
+    await tool.save(adapter, 'carbon');
+    for (let i = 0; i < 4; i++) {
+      tool.createArgument(`Point ${i}`, [`Reason ${i}`], `Conclusion ${i}`, 'objection', 0.5);
+      await tool.save();
+    }
+    await adapter.save('carbon', { plain: true });
+    
+    const lines = fs.readFileSync(path.join(directory, 'carbon.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => Boolean(line.data))).toEqual([true, false, false, true, false, true]);
+    expect((await adapter.loadVersion('carbon', 5)).data.arguments).toHaveLength(5);
+    expect((await adapter.load('carbon')).data).toEqual({ plain: true });
+  });
+  
+  test('should load exported data without a history', async () => {
+    const adapter = new MemoryStorageAdapter();
+    await adapter.save('plain', createTool().export());
+    
+    const tool = await StructuredArgumentationTool.open(adapter, 'plain');
+    expect(tool.getAllArguments().size).toBe(1);
+  });
+  
+  test('should reject unsafe graph IDs', async () => {
+    const adapter = new JsonFileStorageAdapter(directory);
+    await expect(adapter.load('../secrets')).rejects.toThrow('Graph ID must contain only letters');
+  });
+});